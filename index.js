@@ -1,4 +1,5 @@
 /* eslint-disable no-console */
+const path = require('path');
 const rlp = require('readline');
 const cliFactory = require('./src/cli');
 
@@ -16,17 +17,28 @@ const inMemoryCache = require('./src/cache/inMemoryCache');
 
 // storage
 const inMemoryStorage = require('./src/storage/inMemoryStorage');
+const fileStorage = require('./src/storage/fileStorage');
 
 if (require.main === module) {
     const cache = inMemoryCache();
     const time = timeFactory();
-    const storage = inMemoryStorage();
+    // pass a directory to persist the blocktree to disk.
+    const [directory] = process.argv.slice(2);
+    const storage = directory ? fileStorage({ directory }) : inMemoryStorage();
     const system = systemLayerFactory({ cache, storage, time });
-    const blockchain = blockchainLayerFactory({ system, cache, time });
-    const blocktree = blocktreeLayerFactory({ blockchain });
+    const checkpointStorage = directory
+        ? fileStorage({ directory: path.join(directory, 'checkpoints') }) : inMemoryStorage();
+    const blockchain = blockchainLayerFactory({
+        system, cache, time, checkpointStorage,
+    });
+    const anchorStorage = directory
+        ? fileStorage({ directory: path.join(directory, 'anchors') }) : inMemoryStorage();
+    const blocktree = blocktreeLayerFactory({ blockchain, cache, anchorStorage });
     const secureCache = inMemoryCache();
+    const indexStorage = directory
+        ? fileStorage({ directory: path.join(directory, 'indexes') }) : inMemoryStorage();
     const secureBlocktree = secureBlocktreeLayerFactory({
-        blocktree, secureCache, time,
+        blocktree, secureCache, time, indexStorage,
     });
 
     const rl = rlp.createInterface({
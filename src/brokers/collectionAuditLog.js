@@ -0,0 +1,50 @@
+/**
+ * Creates an audit log for a secrets broker, which records every re-encryption performed by the
+ * broker as a record in a secure blocktree collection. Since blocks cannot be changed or
+ * removed once written, the audit log is append-only.
+ * @param {Object} secureBlocktree The secure blocktree where the collection is stored.
+ * @param {Buffer} collection The collection to write audit entries to.
+ * @param {*} sig The signature (or signing function) to write audit entries with, which must be
+ * allowed to write to the collection.
+ */
+module.exports = function collectionAuditLogFactory({ secureBlocktree, collection, sig }) {
+    /**
+     * Writes an audit entry to the collection.
+     * @param {BigInt} timestamp When the re-encryption was performed.
+     * @param {Buffer} token The request token which was used.
+     * @param {Buffer} trustedKey The key the secrets were re-encrypted with.
+     * @param {Buffer} authorizedKey The key the secrets were decrypted with.
+     * @param {Buffer} block The block which was read, or null if not provided.
+     * @param {Array<Buffer>} secrets The hashes of the secrets which were re-encrypted.
+     * @returns {Promise<Buffer>} The record block.
+     */
+    async function writeEntry({
+        timestamp, token, trustedKey, authorizedKey, block, secrets,
+    }) {
+        return secureBlocktree.addRecord({
+            block: collection,
+            sig,
+            data: {
+                timestamp, token, trustedKey, authorizedKey, block, secrets,
+            },
+        });
+    }
+
+    /**
+     * Reads the audit entries from the collection, oldest first.
+     * @param {Object} where (optional) Field values or operators to filter the entries by.
+     * @param {BigInt} asOf (optional) Only returns entries which existed at the timestamp.
+     * @returns {Promise<Array>} The audit entries.
+     */
+    async function readEntries({ where, asOf } = {}) {
+        const records = await secureBlocktree.queryRecords({
+            collection, where, orderBy: 'timestamp', asOf,
+        });
+        return records.map((i) => i.data);
+    }
+
+    return {
+        writeEntry,
+        readEntries,
+    };
+};
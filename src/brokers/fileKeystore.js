@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const constants = require('../constants');
+const { InvalidKeyError } = require('../errors');
+const { cipher, decipher } = require('../utils/crypto');
+
+/**
+ * Creates a keystore which holds authorized keys in a file, for use with a secrets broker.
+ * Private keys are encrypted at rest using the keystore secret, which should be kept
+ * separately from the file (such as in an environment variable or a hardware security module).
+ * @param {string} file The file where authorized keys are stored.
+ * @param {Buffer} secret The 32 byte secret used to encrypt private keys.
+ */
+module.exports = function fileKeystoreFactory({ file, secret }) {
+    if (!Buffer.isBuffer(secret) || Buffer.byteLength(secret) !== constants.keystore.secretSize) {
+        throw new InvalidKeyError({ secretSize: secret ? Buffer.byteLength(secret) : 0 });
+    }
+
+    /**
+     * @private
+     * The encrypted private keys, by public key (base64), once the file has been loaded.
+     */
+    let keys = null;
+
+    /**
+     * @private
+     * Loads the encrypted private keys from the file, if it exists.
+     * @returns {Object} The encrypted private keys.
+     */
+    function loadKeys() {
+        if (!keys) {
+            keys = fs.existsSync(file)
+                ? JSON.parse(fs.readFileSync(file, 'utf-8')).keys : {};
+        }
+        return keys;
+    }
+
+    /**
+     * @private
+     * Writes the encrypted private keys to the file. A temporary file is written first, so
+     * that the keystore is never left partially written.
+     */
+    function saveKeys() {
+        const temp = `${file}.tmp`;
+        const fd = fs.openSync(temp, 'w');
+        fs.writeSync(fd, JSON.stringify({ version: constants.keystore.version, keys }));
+        fs.fsyncSync(fd);
+        fs.closeSync(fd);
+        fs.renameSync(temp, file);
+    }
+
+    /**
+     * Reads the private key for an authorized key.
+     * @param {Buffer} publicKey The public key.
+     * @returns {Promise<KeyObject>} The private key, or null if the key is not authorized.
+     */
+    async function readKey(publicKey) {
+        const encrypted = loadKeys()[publicKey.toString('base64')];
+        if (!encrypted) {
+            return null;
+        }
+        return crypto.createPrivateKey(await decipher(secret, Buffer.from(encrypted, 'base64')));
+    }
+
+    /**
+     * Writes the private key for an authorized key.
+     * @param {Buffer} publicKey The public key.
+     * @param {KeyObject|string|Buffer} privateKey The private key (PEM strings and buffers are
+     * also accepted).
+     * @returns {Promise}
+     */
+    async function writeKey(publicKey, privateKey) {
+        const keyObject = privateKey instanceof crypto.KeyObject
+            ? privateKey : crypto.createPrivateKey(privateKey);
+        const pem = keyObject.export({ type: 'pkcs8', format: 'pem' });
+        loadKeys()[publicKey.toString('base64')] = (await cipher(secret, Buffer.from(pem, 'utf-8')))
+            .toString('base64');
+        saveKeys();
+    }
+
+    /**
+     * Deletes the private key for an authorized key.
+     * @param {Buffer} publicKey The public key.
+     * @returns {Promise}
+     */
+    async function deleteKey(publicKey) {
+        delete loadKeys()[publicKey.toString('base64')];
+        saveKeys();
+    }
+
+    return {
+        readKey,
+        writeKey,
+        deleteKey,
+    };
+};
@@ -1,6 +1,7 @@
+const crypto = require('crypto');
 const axios = require('axios');
 const { encrypt, sign, generateNonce } = require('../utils/crypto');
-const { fromInt16 } = require('../utils/convert');
+const { fromInt16, fromInt64 } = require('../utils/convert');
 
 /**
  * Creates a connection to an HTTP-based trusted secrets broker.
@@ -9,9 +10,10 @@ const { fromInt16 } = require('../utils/convert');
  * @param clientPrivateKey {Buffer} (Optional) The client's private key for signing requests.
  * @param serverPublicKey {Buffer} (Optional) The server's public key for encrypting data.
  * @param httpClientOptions {Object} (Optional) Custom settings for the HTTP client.
+ * @param time {Object} (Optional) The time provider, with a generateTimestamp() function.
  */
 module.exports = function httpBrokerFactory({
-    url, clientSecret, clientPrivateKey, serverPublicKey, httpClientOptions,
+    url, clientSecret, clientPrivateKey, serverPublicKey, httpClientOptions, time,
 }) {
     /**
      * The Axios instance used for all HTTP-based communications with the broker.
@@ -33,17 +35,21 @@ module.exports = function httpBrokerFactory({
      * @param {Object} data
      */
     async function buildSecureRequest(data) {
+        // the server only accepts requests made within a short window of its own time.
+        const timestamp = fromInt64(time ? time.generateTimestamp() : BigInt(Date.now()));
         const nonce = generateNonce();
         const dataToSend = Buffer.from(JSON.stringify(data), 'utf-8');
 
         // Using pre-negotiated public and private keys to comunicate with the broker
         // as additional security above TLS is highly recommended.
         const sig = clientPrivateKey ? await sign(clientPrivateKey, Buffer.concat([
+            timestamp,
             nonce,
             Buffer.from(clientSecret, 'base64'),
         ])) : Buffer.alloc(0);
 
         const unencryptedResult = Buffer.concat([
+            timestamp,
             nonce,
             fromInt16(Buffer.byteLength(sig)),
             sig,
@@ -59,11 +65,17 @@ module.exports = function httpBrokerFactory({
     /**
      * Generates a broker request token.
      * @param {Buffer} trustedKey The public key of the key pair that will be trusted.
+     * @param {Buffer} block (optional) If provided, the token can only be used to read this block.
+     * @param {Buffer} authorizedKey (optional) If provided, the token can only be used with
+     * this authorized key.
+     * @param {number} ttl (optional) The number of milliseconds the token is valid for.
      * @returns {Promise<Buffer>} The request token.
      */
-    async function generateRequestToken({ trustedKey }) {
+    async function generateRequestToken({
+        trustedKey, block, authorizedKey, ttl,
+    }) {
         const req = await buildSecureRequest({
-            trustedKey,
+            trustedKey, block, authorizedKey, ttl,
         });
         const { data } = await instance.post('requestTokens', req);
         return Buffer.from(data, 'base64');
@@ -72,12 +84,15 @@ module.exports = function httpBrokerFactory({
     /**
      * Adds an authorized key to the broker.
      * @param {Buffer} publicKey The public key.
-     * @param {Buffer} privateKey The private key.
+     * @param {KeyObject|string|Buffer} privateKey The private key (PEM strings and buffers are
+     * also accepted).
      * @returns {Promise}
      */
     async function addAuthorizedKey({ publicKey, privateKey }) {
         const req = await buildSecureRequest({
-            publicKey, privateKey,
+            publicKey,
+            privateKey: privateKey instanceof crypto.KeyObject
+                ? privateKey.export({ type: 'pkcs8', format: 'pem' }) : privateKey,
         });
         await instance.post('authorizedKeys', req);
     }
@@ -95,17 +110,19 @@ module.exports = function httpBrokerFactory({
     /**
      * Given a secret, uses the authorized key to decrypt it and then re-encrypts the
      * data using the trusted key. This brokering process is used for performing trusted reads.
-     * @param {Buffer} signedToken The token
-     * @param {Buffer} secret The secret to convert into a trusted secret.
+     * @param {Buffer} token The request token.
+     * @param {Buffer} sig The request token, signed by the trusted key.
+     * @param {Array<Buffer>} secrets The secrets to convert into trusted secrets.
      * @param {Buffer} authorizedKey The public key of the pair used to encrypt.
      * @param {Buffer} trustedKey The public key to re-encrypt the data with.
+     * @param {Buffer} block (optional) The block being read.
      * @returns {Promise<Buffer>} The re-encrypted data.
      */
     async function buildTrustedSecrets({
-        signedToken, secrets, authorizedKey, trustedKey,
+        token, sig, secrets, authorizedKey, trustedKey, block,
     }) {
         const req = await buildSecureRequest({
-            signedToken, secrets, authorizedKey, trustedKey,
+            token, sig, secrets, authorizedKey, trustedKey, block,
         });
         const { data } = await instance.post('trustedSecrets', req);
         if (Array.isArray(data)) {
@@ -1,34 +1,170 @@
+const constants = require('../constants');
 const {
-    decrypt, encrypt, generateNonce, verify,
+    decrypt, encrypt, generateHash, generateNonce, verify,
 } = require('../utils/crypto');
-const { InvalidKeyError, InvalidSignatureError } = require('../errors');
+const { BrokerError, InvalidKeyError, InvalidSignatureError } = require('../errors');
+
+/**
+ * @private
+ * Creates a keystore which holds authorized keys in memory.
+ * Note: this is a simple implementation which places private keys directly into
+ * unencrypted memory. This is not the most secure implementation of this pattern.
+ */
+function inMemoryKeystoreFactory() {
+    const keys = {};
+    return {
+        readKey: async (publicKey) => keys[publicKey.toString('base64')] || null,
+        writeKey: async (publicKey, privateKey) => {
+            keys[publicKey.toString('base64')] = privateKey;
+        },
+        deleteKey: async (publicKey) => {
+            delete keys[publicKey.toString('base64')];
+        },
+    };
+}
+
+/**
+ * @private
+ * Determines whether or not two optional buffers are the same.
+ */
+function isSameBuffer(a, b) {
+    return !!a && !!b && Buffer.compare(a, b) === 0;
+}
 
 /**
  * Creates an in-memory encrypted trusted secrets broker.
+ * @param {Object} keystore (optional) The keystore where authorized keys are held, with
+ * readKey(), writeKey() and deleteKey() functions (see fileKeystore). Defaults to memory.
+ * @param {Object} time (optional) The time provider, with a generateTimestamp() function.
+ * @param {number} tokenTtl (optional) The default number of milliseconds a token is valid for.
+ * @param {number} rateLimit (optional) The number of trusted reads allowed per authorized key
+ * within the rate limit interval.
+ * @param {number} rateLimitInterval (optional) The rate limit interval, in milliseconds.
+ * @param {Object} auditLog (optional) The audit log, with a writeEntry() function which is
+ * called for every re-encryption performed (see collectionAuditLog).
+ * @param {Object} secureBlocktree (optional) The secure blocktree which the secrets are read
+ * from. If provided, the secrets of a trusted read must belong to the block being read.
+ * Otherwise, the block is reported by the caller, and binding a token to a block is advisory.
  */
-module.exports = function inMemoryBrokerFactory() {
+module.exports = function inMemoryBrokerFactory({
+    keystore, time, tokenTtl, rateLimit, rateLimitInterval, auditLog, secureBlocktree,
+} = {}) {
+    const defaultTtl = tokenTtl || constants.broker.tokenTtl;
+    const maxRequests = rateLimit || constants.broker.rateLimit;
+    const interval = BigInt(rateLimitInterval || constants.broker.rateLimitInterval);
+
     /**
      * The authorized keys being managed by the broker.
-     * Note: this is a simple implementation which places private keys directly into
-     * unencrypted memory. This is not the most secure implementation of this pattern.
      */
-    const authorizedKeys = {};
+    const authorizedKeys = keystore || inMemoryKeystoreFactory();
 
     /**
-     * The request tokens which are ready to be used.
-     * Note: this is a simple implementation which places private keys directly into
-     * unencrypted memory. This is not the most secure implementation of this pattern.
+     * The request tokens which are ready to be used, as
+     * { trustedKey, block, authorizedKey, expires }.
      */
     const tokens = {};
 
+    /**
+     * @private
+     * The timestamps of the recent trusted reads for each authorized key.
+     */
+    const requests = {};
+
+    /**
+     * @private
+     * Generates a 64 bit integer representing UTC epoch time.
+     * @returns {BigInt} A UTC epoch timestamp.
+     */
+    function generateTimestamp() {
+        return time ? time.generateTimestamp() : BigInt(Date.now());
+    }
+
+    /**
+     * @private
+     * Removes request tokens which have expired.
+     * @param {BigInt} timestamp The current timestamp.
+     */
+    function removeExpiredTokens(timestamp) {
+        Object.keys(tokens).forEach((key) => {
+            if (tokens[key].expires <= timestamp) {
+                delete tokens[key];
+            }
+        });
+    }
+
+    /**
+     * @private
+     * Records a trusted read using the authorized key, unless the rate limit has been reached.
+     * @param {Buffer} authorizedKey The authorized key.
+     * @param {BigInt} timestamp The current timestamp.
+     */
+    function checkRateLimit(authorizedKey, timestamp) {
+        const key = authorizedKey.toString('base64');
+        const recent = (requests[key] || []).filter((i) => i > timestamp - interval);
+        if (recent.length >= maxRequests) {
+            requests[key] = recent;
+            throw new BrokerError({ key: authorizedKey, limit: maxRequests },
+                BrokerError.reasons.rateLimitExceeded);
+        }
+        recent.push(timestamp);
+        requests[key] = recent;
+    }
+
+    /**
+     * @private
+     * Reads the encrypted values stored in a block, which are the only secrets that can be
+     * re-encrypted for a trusted read of the block.
+     * @param {Buffer} block The block being read.
+     * @returns {Promise<Array<Buffer>>} The encrypted data of the block, or the encrypted data
+     * keys of its recipients if it is encrypted using an envelope.
+     */
+    async function readBlockSecrets(block) {
+        const secureBlock = await secureBlocktree.readSecureBlock(block);
+        const { data } = secureBlock || {};
+        if (!data || !data.isEncrypted) {
+            return data && Buffer.isBuffer(data.secret) ? [data.secret] : [];
+        }
+        if (data.isEnvelope) {
+            return (await secureBlocktree.getEnvelopeRecipients({ block }))
+                .map((i) => i.wrappedKey);
+        }
+        return [data.data];
+    }
+
+    /**
+     * @private
+     * Ensures that the secrets of a trusted read belong to the block being read.
+     * @param {Buffer} block The block being read.
+     * @param {Array<Buffer>} secrets The secrets to re-encrypt.
+     */
+    async function checkBlockSecrets(block, secrets) {
+        const blockSecrets = block ? await readBlockSecrets(block) : [];
+        if (!secrets.every((secret) => blockSecrets.some((i) => isSameBuffer(i, secret)))) {
+            throw new BrokerError({ block }, BrokerError.reasons.tokenScope);
+        }
+    }
+
     /**
      * Generates a broker request token.
      * @param {Buffer} trustedKey The public key of the key pair that will be trusted.
+     * @param {Buffer} block (optional) If provided, the token can only be used to read this block.
+     * @param {Buffer} authorizedKey (optional) If provided, the token can only be used with
+     * this authorized key.
+     * @param {number} ttl (optional) The number of milliseconds the token is valid for.
      * @returns {Promise<Buffer>} The request token.
      */
-    async function generateRequestToken({ trustedKey }) {
+    async function generateRequestToken({
+        trustedKey, block, authorizedKey, ttl,
+    }) {
+        const timestamp = generateTimestamp();
+        removeExpiredTokens(timestamp);
         const token = generateNonce();
-        tokens[token.toString('base64')] = trustedKey;
+        tokens[token.toString('base64')] = {
+            trustedKey,
+            block: block || null,
+            authorizedKey: authorizedKey || null,
+            expires: timestamp + BigInt(ttl || defaultTtl),
+        };
         return token;
     }
 
@@ -39,7 +175,7 @@ module.exports = function inMemoryBrokerFactory() {
      * @returns {Promise}
      */
     async function addAuthorizedKey({ publicKey, privateKey }) {
-        authorizedKeys[publicKey.toString('base64')] = privateKey;
+        await authorizedKeys.writeKey(publicKey, privateKey);
     }
 
     /**
@@ -48,7 +184,7 @@ module.exports = function inMemoryBrokerFactory() {
      * @returns {Promise}
      */
     async function revokeAuthorizedKey({ publicKey }) {
-        delete authorizedKeys[publicKey.toString('base64')];
+        await authorizedKeys.deleteKey(publicKey);
     }
 
     /**
@@ -59,13 +195,15 @@ module.exports = function inMemoryBrokerFactory() {
      * @param {Array<Buffer>} secrets The secrets to convert into trusted secrets.
      * @param {Buffer} authorizedKey The public key of the pair used to encrypt.
      * @param {Buffer} trustedKey The public key to re-encrypt the data with.
+     * @param {Buffer} block (optional) The block being read, which is required if the token
+     * can only be used to read a specific block.
      * @returns {Promise<Buffer>} The re-encrypted data.
      */
     async function buildTrustedSecrets({
-        token, sig, secrets, authorizedKey, trustedKey,
+        token, sig, secrets, authorizedKey, trustedKey, block,
     }) {
         // check if the broker is managing the authorized key.
-        const privateKey = authorizedKeys[authorizedKey.toString('base64')];
+        const privateKey = await authorizedKeys.readKey(authorizedKey);
         if (!privateKey) {
             throw new InvalidKeyError({ key: authorizedKey });
         }
@@ -75,22 +213,52 @@ module.exports = function inMemoryBrokerFactory() {
             throw new InvalidSignatureError({ sig },
                 InvalidSignatureError.reasons.notFound);
         }
+        const tokenKey = token.toString('base64');
+        const tokenData = tokens[tokenKey];
         if (!(await verify(trustedKey, sig, token))
-            || !tokens[token.toString('base64')]
-            || Buffer.compare(tokens[token.toString('base64')], trustedKey) !== 0) {
+            || !tokenData
+            || !isSameBuffer(tokenData.trustedKey, trustedKey)) {
             throw new InvalidSignatureError({ sig },
                 InvalidSignatureError.reasons.doesNotMatch);
         }
 
         // prevent re-using of the token.
-        tokens[token.toString('base64')] = null;
+        delete tokens[tokenKey];
+
+        // check the token's expiry and scope.
+        const timestamp = generateTimestamp();
+        if (tokenData.expires <= timestamp) {
+            throw new BrokerError({ expires: tokenData.expires },
+                BrokerError.reasons.tokenExpired);
+        }
+        if ((tokenData.block && !isSameBuffer(tokenData.block, block))
+            || (tokenData.authorizedKey && !isSameBuffer(tokenData.authorizedKey, authorizedKey))) {
+            throw new BrokerError({ block, authorizedKey }, BrokerError.reasons.tokenScope);
+        }
+        if (secureBlocktree) {
+            await checkBlockSecrets(tokenData.block || block, secrets);
+        }
+        checkRateLimit(authorizedKey, timestamp);
 
-        return Promise.all(secrets.map(async (secret) => {
+        const result = await Promise.all(secrets.map(async (secret) => {
             // decrypt the secret using the authorized private key.
             const decrypted = await decrypt(privateKey, secret);
             // re-encrypt the data using the trusted public key.
             return encrypt(trustedKey, decrypted);
         }));
+
+        // the secrets are not returned unless the re-encryption has been recorded.
+        if (auditLog) {
+            await auditLog.writeEntry({
+                timestamp,
+                token,
+                trustedKey,
+                authorizedKey,
+                block: block || null,
+                secrets: secrets.map((i) => generateHash(i)),
+            });
+        }
+        return result;
     }
 
     return {
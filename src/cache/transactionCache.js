@@ -0,0 +1,110 @@
+/* eslint-disable no-await-in-loop */
+/**
+ * Transaction cache factory (stages changes on top of another cache until committed)
+ * @param {Object} cache The cache which changes are committed to.
+ */
+module.exports = function transactionCacheFactory({ cache }) {
+    /**
+     * @private
+     * The staged cache values, keyed by scope and name. Each entry records the value which was
+     * written (if any), followed by the values which were pushed onto it.
+     */
+    const staged = new Map();
+
+    /**
+     * @private
+     * Generates the key for a staged cache value.
+     * @param {string} scope The scope (usually a block or blockchain hash).
+     * @param {string} name The name of the value.
+     * @returns {string} The staged value key.
+     */
+    function getKey(scope, name) {
+        const key = Buffer.isBuffer(scope) ? scope.toString('hex') : scope;
+        return `${key || 'global'}___${name}`;
+    }
+
+    /**
+     * Reads data from the staged values, or from the underlying cache.
+     * @param {string} scope The scope (usually a block or blockchain hash)
+     * where the value can be found.
+     * @param {string} name The name of the value to locate.
+     * @returns {Promise<string>} The located cache value, or null.
+     */
+    async function readCache(scope, name) {
+        const entry = staged.get(getKey(scope, name));
+        if (!entry) {
+            return cache.readCache(scope, name);
+        }
+        if (entry.pushed.length === 0) {
+            return entry.value;
+        }
+        const list = entry.isWritten ? entry.value : await cache.readCache(scope, name);
+        return [...(Array.isArray(list) ? list : []), ...entry.pushed];
+    }
+
+    /**
+     * Stages data to be written to the cache.
+     * @param {string} scope The scope (usually a block or blockchain hash)
+     * where the value can be found.
+     * @param {string} name The name of the value to locate.
+     * @param {string} value The value to write to the cache.
+     */
+    async function writeCache(scope, name, value) {
+        staged.set(getKey(scope, name), {
+            scope, name, value, isWritten: true, pushed: [],
+        });
+    }
+
+    /**
+     * Stages data to be pushed onto the specified cache value. Only the pushed value is staged,
+     * so that values pushed onto the underlying cache in the meantime are kept.
+     * @param {string} scope The scope (usually a block or blockchain hash)
+     * where the value can be found.
+     * @param {string} name The name of the value to locate.
+     * @param {string} value The value to push onto to the cache.
+     */
+    async function pushCache(scope, name, value) {
+        const key = getKey(scope, name);
+        const entry = staged.get(key) || {
+            scope, name, value: null, isWritten: false, pushed: [],
+        };
+        entry.pushed.push(value);
+        staged.set(key, entry);
+    }
+
+    /**
+     * Writes all staged values to the underlying cache.
+     * @returns {Promise}
+     */
+    async function commit() {
+        const entries = [...staged.values()];
+        staged.clear();
+        for (let i = 0; i < entries.length; i += 1) {
+            const {
+                scope, name, value, isWritten, pushed,
+            } = entries[i];
+            if (isWritten) {
+                await cache.writeCache(scope, name, value);
+            }
+            for (let j = 0; j < pushed.length; j += 1) {
+                await cache.pushCache(scope, name, pushed[j]);
+            }
+        }
+    }
+
+    /**
+     * Discards all staged values.
+     * @returns {Promise}
+     */
+    async function abort() {
+        staged.clear();
+    }
+
+    return {
+        readCache,
+        writeCache,
+        pushCache,
+        commit,
+        abort,
+    };
+};
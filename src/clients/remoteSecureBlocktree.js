@@ -0,0 +1,294 @@
+/* eslint-disable no-await-in-loop, no-restricted-syntax */
+const axios = require('axios');
+const constants = require('../constants');
+const errors = require('../errors');
+const { toJson, fromJson } = require('../utils/encoding');
+const { fromInt64 } = require('../utils/convert');
+const { generateNonce } = require('../utils/crypto');
+const { generateRequestDigest } = require('../utils/http');
+const sbtEncryptionFactory = require('../layers/secure-blocktree/encryption');
+const sbtDataFactory = require('../layers/secure-blocktree/data');
+const sbtPoliciesFactory = require('../layers/secure-blocktree/policies');
+const sbtSchemasFactory = require('../layers/secure-blocktree/schemas');
+const {
+    isSigningFunction, serializeSignatures,
+} = require('../layers/secure-blocktree/serialization');
+
+const { BlocktreeError, InvalidSignatureError, WriteConflictError } = errors;
+
+/**
+ * @private
+ * Re-creates an error returned by the server, using the matching error class.
+ * @param {number} status The HTTP status of the response.
+ * @param {Object} error The error returned by the server.
+ * @returns {Error} The error to throw.
+ */
+function rehydrateError(status, error) {
+    const {
+        name, code, reason, layer, message,
+    } = error || {};
+    const ErrorClass = errors[name];
+    if (!ErrorClass || !(ErrorClass.prototype instanceof BlocktreeError)) {
+        const result = new Error(message || `Request failed with status ${status}.`);
+        result.status = status;
+        return result;
+    }
+    const result = new BlocktreeError(code, layer, message);
+    Object.setPrototypeOf(result, ErrorClass.prototype);
+    result.name = name;
+    result.reason = reason;
+    return result;
+}
+
+/**
+ * @private
+ * Creates an operation of a local secure blocktree which cannot be performed using the server,
+ * either because it requires a transaction or because it would send a private key.
+ * @param {string} operation The name of the operation.
+ * @returns {Function} A function which throws an error.
+ */
+function unsupportedOperation(operation) {
+    return async () => {
+        throw new Error(`${operation}() is not supported by a remote secure blocktree.`);
+    };
+}
+
+/**
+ * Creates a client for a secure blocktree which is served by the HTTP server, with the same
+ * operations as a local secure blocktree. Blocks are signed locally using the "sig" function
+ * which is passed to each write operation, so private keys are never sent to the server.
+ * @param {string} url The base URL of the server.
+ * @param {Object} httpClientOptions (optional) Custom settings for the HTTP client.
+ * @param {number} writeRetries (optional) The number of times to sign a block again if
+ * another block is added to the blockchain while it is being signed.
+ * @param {Object} time (optional) The time provider, with a generateTimestamp() function.
+ */
+module.exports = function remoteSecureBlocktreeFactory({
+    url, httpClientOptions, writeRetries, time,
+}) {
+    /**
+     * The Axios instance used for all HTTP-based communications with the server.
+     */
+    const instance = axios.create({
+        ...(httpClientOptions || {}),
+        ...{
+            baseURL: url,
+            headers: {
+                ...((httpClientOptions || {}).headers || {}),
+                ...{ 'Content-Type': constants.server.contentType },
+            },
+            // responses are decoded using fromJson() instead.
+            transformResponse: (data) => data,
+            validateStatus: () => true,
+        },
+    });
+    const retries = writeRetries !== undefined ? writeRetries : constants.client.writeRetries;
+
+    /**
+     * @private
+     * Calls an operation on the server.
+     * @param {string} operation The name of the operation.
+     * @param {Object} parameters The operation parameters.
+     * @param {*} sig (optional) The signature function, or an array of signature functions,
+     * used to sign the request.
+     * @returns {Promise} The result of the operation.
+     */
+    async function request(operation, parameters, sig) {
+        const body = toJson(parameters);
+        const headers = {};
+        if (sig) {
+            // the server only accepts each request once, within a short window of its own time.
+            const header = Buffer.concat([
+                fromInt64(time ? time.generateTimestamp() : BigInt(Date.now())),
+                generateNonce(),
+            ]);
+            const digest = generateRequestDigest(operation, Buffer.from(body, 'utf-8'), header);
+            const signatures = await Promise.all((Array.isArray(sig) ? sig : [sig])
+                .map((i) => i({ parent: digest, prev: null })));
+            headers[constants.server.signatureHeader] = serializeSignatures(signatures)
+                .toString('base64');
+            headers[constants.server.nonceHeader] = header.toString('base64');
+        }
+        const { status, data } = await instance.post(
+            `${constants.server.basePath}${operation}`, body, { headers },
+        );
+        let result = null;
+        try {
+            result = fromJson(data);
+        } catch (err) {
+            throw rehydrateError(status, null);
+        }
+        if (status !== 200) {
+            throw rehydrateError(status, (result || {}).error);
+        }
+        return result;
+    }
+
+    /**
+     * @private
+     * Produces a signature using the previous and parent blocks.
+     * @param {Function|Buffer} sig The signature function, or a signature.
+     * @param {Buffer} parent The parent block.
+     * @param {Buffer} prev The previous block.
+     * @returns {Promise<Buffer>} The signature.
+     */
+    async function resolveSignature(sig, { parent, prev }) {
+        return typeof sig === 'function' ? sig({ parent, prev }) : sig;
+    }
+
+    /**
+     * @private
+     * Signs a block using a signature function, or an array of them.
+     * @param {*} sig The signature function, or an array of signature functions.
+     * @param {Buffer} parent The parent block.
+     * @param {Buffer} prev The previous block.
+     * @returns {Promise<Buffer>} The signature.
+     */
+    async function signBlock(sig, { parent, prev }) {
+        return Array.isArray(sig)
+            ? serializeSignatures(await Promise.all(sig.map((i) => resolveSignature(i, {
+                parent, prev,
+            }))))
+            : resolveSignature(sig, { parent, prev });
+    }
+
+    /**
+     * @private
+     * Signs a block locally and then calls a write operation on the server. If another block
+     * is added to the blockchain first, the block is signed again using the new head block.
+     * @param {string} operation The name of the operation.
+     * @param {*} sig The signature function, or an array of signature functions.
+     * @param {Buffer} block The block to write to.
+     * @param {Buffer} expectedHead (optional) The expected head block of the blockchain.
+     * @param {Object} parameters The remaining operation parameters.
+     * @returns {Promise<string>} The new block.
+     */
+    async function writeSigned(operation, {
+        sig, block, expectedHead, ...parameters
+    }) {
+        // the request itself is also signed, so signatures cannot be passed directly.
+        if (!isSigningFunction(sig)) {
+            throw new InvalidSignatureError({ operation },
+                InvalidSignatureError.reasons.signingFunctionRequired);
+        }
+        for (let attempt = 0; ; attempt += 1) {
+            const { parent, prev } = await request('getSigningData', { block, operation });
+            const signature = await signBlock(sig, { parent, prev });
+            try {
+                let result = await request(operation, {
+                    ...parameters, sig: signature, block, expectedHead: expectedHead || prev,
+                }, sig);
+                // the server stages each block which can only be signed once it knows the
+                // blocks before it, and writes them all once every block has been signed.
+                while (result && result.pending) {
+                    const { token } = result.pending;
+                    result = await request('signPending', {
+                        token, sig: await signBlock(sig, result.pending),
+                    }, sig);
+                }
+                return result;
+            } catch (err) {
+                if (!(err instanceof WriteConflictError) || expectedHead || attempt >= retries) {
+                    throw err;
+                }
+            }
+        }
+    }
+
+    /**
+     * Iterates through the blocks in a blockchain, starting from the specified block.
+     * @param {Buffer} block The block to start from.
+     * @param {string} direction (optional) Either "backward" (the default) to walk towards
+     * the root block, or "forward" to walk towards the head block.
+     * @param {BigInt} asOf (optional) Skips any blocks written after the specified timestamp.
+     * @returns {AsyncGenerator<Object>} The secure blocks.
+     */
+    async function* iterateChain(block, { direction, asOf } = {}) {
+        const hasAsOf = asOf !== undefined && asOf !== null;
+        const isForward = direction === constants.direction.forward;
+        let next = block;
+        while (next != null) {
+            const secureBlock = await request('readSecureBlock', { block: next });
+            if (hasAsOf && secureBlock.timestamp > asOf) {
+                if (isForward) {
+                    return;
+                }
+            } else {
+                yield secureBlock;
+            }
+            next = isForward ? await request('getNextBlock', { block: next }) : secureBlock.prev;
+        }
+    }
+
+    /**
+     * Given a block, iterates through the root blocks of all child blockchains.
+     * @param {Buffer} block The block to start from.
+     * @returns {AsyncGenerator<Object>} The secure root blocks of the child blockchains.
+     */
+    async function* iterateChildren(block) {
+        yield* await request('performChildScan', { block });
+    }
+
+    let context = sbtEncryptionFactory();
+    context = {
+        ...context,
+        readSecureBlock: async (block, { asOf } = {}) => request('readSecureBlock',
+            { block, asOf }),
+        getHeadBlock: async (block, { asOf } = {}) => request('getHeadBlock', { block, asOf }),
+        getRootBlock: async (block) => request('getRootBlock', { block }),
+        getParentBlock: async (block) => request('getParentBlock', { block }),
+        getNextBlock: async (block) => request('getNextBlock', { block }),
+        getActiveBlock: async ({ block, type }) => request('getActiveBlock', { block, type }),
+        resolveSigner: async (block) => request('resolveSigner', { block }),
+        iterateChain,
+        iterateChildren,
+        performKeyScan: async (parameters) => request('performKeyScan', parameters),
+        performKeySeek: async (parameters) => request('performKeySeek', parameters),
+        performSecretScan: async (parameters) => request('performSecretScan', parameters),
+        performSecretSeek: async (parameters) => request('performSecretSeek', parameters),
+        queryRecords: async (parameters) => request('queryRecords', parameters),
+        createZone: async ({ sig, block, options }) => writeSigned('createZone',
+            { sig, block, options }),
+        createIdentity: async ({ sig, block, options }) => writeSigned('createIdentity',
+            { sig, block, options }),
+        createCollection: async ({
+            sig, block, options, schema,
+        }) => {
+            if (schema) {
+                context.validateSchema(schema);
+            }
+            return writeSigned('createCollection', {
+                sig, block, options, schema,
+            });
+        },
+        addKey: async (parameters) => writeSigned('addKey', parameters),
+        revokeKey: async (parameters) => writeSigned('revokeKey', parameters),
+        addOptions: async (parameters) => writeSigned('addOptions', parameters),
+        addSecret: async (parameters) => writeSigned('addSecret', parameters),
+        addRecord: async (parameters) => writeSigned('addRecord', parameters),
+        addSchema: async (parameters) => writeSigned('addSchema', parameters),
+        setPolicy: async (parameters) => writeSigned('setPolicy', parameters),
+        addRecipient: async ({
+            sig, block, key, recipientKey, privateKey, wrappedKey, expectedHead,
+        }) => {
+            // the data key is re-encrypted locally, so the private key is never sent.
+            const recipient = wrappedKey ? { key, wrappedKey } : await context.wrapRecipientKey({
+                block, key, recipientKey, privateKey,
+            });
+            return writeSigned('addRecipient', {
+                sig, block, expectedHead, ...recipient,
+            });
+        },
+        grantIdentity: async (parameters) => writeSigned('grantIdentity', parameters),
+        revokeIdentity: async (parameters) => writeSigned('revokeIdentity', parameters),
+        createRoot: unsupportedOperation('createRoot'),
+        resolveFork: unsupportedOperation('resolveFork'),
+        rotateKey: unsupportedOperation('rotateKey'),
+        beginTransaction: unsupportedOperation('beginTransaction'),
+    };
+    // block data is encrypted, decrypted, brokered and validated locally.
+    context = { ...context, ...sbtDataFactory({ context }) };
+    context = { ...context, ...sbtPoliciesFactory({ context }) };
+    context = { ...context, ...sbtSchemasFactory({ context }) };
+    return context;
+};
@@ -1,20 +1,87 @@
 const constants = {
     crypto: {
-        rsaKeySize: 1024,
+        rsaKeySize: 2048,
+        minRsaKeySize: 2048,
         aesKeySize: 16,
         aesType: 'aes-256-cbc',
         ivSize: 16,
+        gcmType: 'aes-256-gcm',
+        gcmIvSize: 12,
+        gcmTagSize: 16,
+        dataKeySize: 32,
+        kdfHash: 'sha256',
+        kdfInfo: 'secure-blocktree key wrap',
+        header: 'SBT',
+        algorithm: {
+            rsa: 1,
+            ed25519: 2,
+            x25519: 3,
+            aes256Cbc: 4,
+            aes256Gcm: 5,
+        },
+        defaultKeyAlgorithm: 'rsa',
+        defaultCipher: 'aes-256-gcm',
     },
     cache: {
         headBlock: 'head block',
         rootBlock: 'root block',
         next: 'next',
         childBlocks: 'child blocks',
+        merkleRoot: 'merkle root',
+    },
+    storageIndex: {
+        next: 'next',
+        children: 'children',
+    },
+    fileStorage: {
+        magic: 'BTSG',
+        version: 2,
+        minVersion: 1,
+        segmentSize: 64 * 1024 * 1024,
+        segmentExtension: '.segment',
+        journalFile: 'journal.log',
+        journalMagic: 'BTJN',
+        commitMagic: 'BTCM',
+    },
+    archive: {
+        magic: 'BTAR',
+        version: 1,
+    },
+    server: {
+        basePath: '/api/',
+        maxBodySize: 1024 * 1024,
+        contentType: 'application/json',
+        signatureHeader: 'x-request-signature',
+        nonceHeader: 'x-request-nonce',
+        requestWindow: 5 * 60 * 1000,
+    },
+    client: {
+        writeRetries: 3,
+    },
+    broker: {
+        basePath: '/',
+        maxBodySize: 64 * 1024,
+        apiKeyHeader: 'x-api-key',
+        requestWindow: 5 * 60 * 1000,
+        tokenTtl: 5 * 60 * 1000,
+        rateLimit: 60,
+        rateLimitInterval: 60 * 1000,
+    },
+    keystore: {
+        version: 1,
+        secretSize: 32,
+    },
+    merkle: {
+        checkpointInterval: 64,
+        leafPrefix: 0,
+        nodePrefix: 1,
     },
     secureCache: {
         rootBlock: 'root block',
         rootZone: 'root zone',
         name: 'name',
+        activeBlock: 'active block',
+        keyWraps: 'key wraps',
     },
     size: {
         byte: 1,
@@ -39,6 +106,21 @@ const constants = {
         missingParentBlock: 'missing parent block',
         invalidTimestamp: 'invalid timestamp',
         invalidSequence: 'invalid sequence',
+        invalidRootBlock: 'invalid root block',
+        anchorMismatch: 'anchor mismatch',
+        invalidHash: 'invalid hash',
+        invalidBlock: 'invalid block',
+        fork: 'fork',
+        orphanBlock: 'orphan block',
+        invalidSignature: 'invalid signature',
+        unauthorizedKey: 'unauthorized key',
+        invalidParentKey: 'invalid parent key',
+        quorumNotMet: 'quorum not met',
+        permissionDenied: 'permission denied',
+    },
+    direction: {
+        forward: 'forward',
+        backward: 'backward',
     },
     format: {
         hash: 'hex',
@@ -58,30 +140,88 @@ const constants = {
         secret: 2,
         options: 3,
         record: 4,
+        schema: 5,
+        forkResolution: 6,
+        policy: 7,
+        grant: 8,
+        keyWrap: 9,
         zone: 128,
         identity: 129,
         collection: 130,
     },
+    schemaFieldType: {
+        any: 'any',
+        string: 'string',
+        number: 'number',
+        bigint: 'bigint',
+        boolean: 'boolean',
+        binary: 'binary',
+        object: 'object',
+        array: 'array',
+    },
     keyType: {
         publicKey: 1,
         certificate: 2,
     },
+    recordValueType: {
+        null: 0,
+        string: 1,
+        number: 2,
+        bigint: 3,
+        boolean: 4,
+        binary: 5,
+        object: 6,
+        array: 7,
+    },
     secureBlockData: {
         null: 0,
         unencrypted: 1,
         encrypted: 2,
+        envelope: 3,
     },
     action: {
         any: '*',
         read: 'r',
         write: 'w',
     },
+    operations: [
+        'createZone',
+        'createIdentity',
+        'createCollection',
+        'addKey',
+        'revokeKey',
+        'addOptions',
+        'addSecret',
+        'addRecord',
+        'addSchema',
+        'setPolicy',
+        'resolveFork',
+        'grantIdentity',
+        'revokeIdentity',
+        'addRecipient',
+    ],
+    role: {
+        optionPrefix: 'role.',
+        separator: ',',
+        all: '*',
+    },
+    roles: {
+        admin: ['*'],
+        'record-writer': ['addRecord', 'addRecipient'],
+        'key-manager': ['addKey', 'revokeKey'],
+        auditor: [],
+    },
     error: {
         serialization: 1,
         invalidBlock: 2,
         invalidSignature: 3,
         invalidKey: 4,
         invalidRoot: 5,
+        invalidRecord: 6,
+        transaction: 7,
+        writeConflict: 8,
+        replication: 9,
+        broker: 10,
     },
     layer: {
         system: 0,
@@ -107,6 +247,28 @@ constants.parentBlockTypes = {
         constants.blockType.zone,
         constants.blockType.identity],
     [constants.blockType.record]: [constants.blockType.collection],
+    [constants.blockType.schema]: [constants.blockType.collection],
+    [constants.blockType.forkResolution]: Object.values(constants.blockType),
+    [constants.blockType.policy]: [
+        constants.blockType.zone,
+        constants.blockType.identity,
+        constants.blockType.collection],
+    [constants.blockType.grant]: [
+        constants.blockType.zone,
+        constants.blockType.collection],
+    [constants.blockType.keyWrap]: [
+        constants.blockType.zone,
+        constants.blockType.identity,
+        constants.blockType.collection],
 };
 
+/**
+ * Block types whose signatures are validated against the keys of the previous block
+ * rather than the parent block (see addSecret(), addRecord() and addRecipient()).
+ */
+constants.prevSignedBlockTypes = [
+    constants.blockType.secret,
+    constants.blockType.record,
+    constants.blockType.keyWrap];
+
 module.exports = constants;
@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+const constants = require('../constants');
+
+/**
+ * AES-256-CBC cipher provider. Data encrypted this way is not authenticated, so this provider
+ * is only used to read data which was encrypted before algorithm identifiers were recorded,
+ * and cannot be selected using an algorithm identifier.
+ */
+module.exports = {
+    name: 'aes-256-cbc',
+    id: constants.crypto.algorithm.aes256Cbc,
+    isLegacy: true,
+
+    /**
+     * Encrypts data using AES-256-CBC.
+     * @param {Buffer} key The 256 bit key to encrypt with.
+     * @param {Buffer} data The data to encrypt.
+     * @returns {Promise<Buffer>} The initialization vector, followed by the encrypted data.
+     */
+    encrypt: async function encryptAesCbc(key, data) {
+        const iv = crypto.randomBytes(constants.crypto.ivSize);
+        const theCipher = crypto.createCipheriv(constants.crypto.aesType, key, iv);
+        return Buffer.concat([
+            iv,
+            theCipher.update(data),
+            theCipher.final(),
+        ]);
+    },
+
+    /**
+     * Decrypts data which was encrypted using AES-256-CBC.
+     * @param {Buffer} key The 256 bit key to decrypt with.
+     * @param {Buffer} encryptedData The encrypted data.
+     * @returns {Promise<Buffer>} The decrypted data.
+     */
+    decrypt: async function decryptAesCbc(key, encryptedData) {
+        const iv = encryptedData.slice(0, constants.crypto.ivSize);
+        const data = encryptedData.slice(constants.crypto.ivSize);
+        const theDecipher = crypto.createDecipheriv(constants.crypto.aesType, key, iv);
+        return Buffer.concat([
+            theDecipher.update(data),
+            theDecipher.final(),
+        ]);
+    },
+};
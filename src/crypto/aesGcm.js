@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+const constants = require('../constants');
+
+/**
+ * AES-256-GCM cipher provider, which authenticates the data as well as encrypting it.
+ */
+module.exports = {
+    name: 'aes-256-gcm',
+    id: constants.crypto.algorithm.aes256Gcm,
+
+    /**
+     * Encrypts data using AES-256-GCM.
+     * @param {Buffer} key The 256 bit key to encrypt with.
+     * @param {Buffer} data The data to encrypt.
+     * @returns {Promise<Buffer>} The initialization vector and authentication tag, followed by
+     * the encrypted data.
+     */
+    encrypt: async function encryptAesGcm(key, data) {
+        const iv = crypto.randomBytes(constants.crypto.gcmIvSize);
+        const theCipher = crypto.createCipheriv(constants.crypto.gcmType, key, iv, {
+            authTagLength: constants.crypto.gcmTagSize,
+        });
+        const encryptedData = Buffer.concat([
+            theCipher.update(data),
+            theCipher.final(),
+        ]);
+        return Buffer.concat([iv, theCipher.getAuthTag(), encryptedData]);
+    },
+
+    /**
+     * Decrypts data which was encrypted using AES-256-GCM, and verifies that it has not been
+     * modified.
+     * @param {Buffer} key The 256 bit key to decrypt with.
+     * @param {Buffer} encryptedData The encrypted data.
+     * @returns {Promise<Buffer>} The decrypted data.
+     */
+    decrypt: async function decryptAesGcm(key, encryptedData) {
+        const { gcmIvSize, gcmTagSize } = constants.crypto;
+        const iv = encryptedData.slice(0, gcmIvSize);
+        const tag = encryptedData.slice(gcmIvSize, gcmIvSize + gcmTagSize);
+        const data = encryptedData.slice(gcmIvSize + gcmTagSize);
+        const theDecipher = crypto.createDecipheriv(constants.crypto.gcmType, key, iv, {
+            authTagLength: gcmTagSize,
+        });
+        theDecipher.setAuthTag(tag);
+        return Buffer.concat([
+            theDecipher.update(data),
+            theDecipher.final(),
+        ]);
+    },
+};
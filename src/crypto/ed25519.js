@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const constants = require('../constants');
+
+const generateKeyPairAsync = promisify(crypto.generateKeyPair);
+
+/**
+ * Ed25519 key provider. Ed25519 keys can only be used for signatures, so they should be used
+ * as write keys.
+ */
+module.exports = {
+    name: 'ed25519',
+    id: constants.crypto.algorithm.ed25519,
+    keyType: 'ed25519',
+
+    /**
+     * Generates an Ed25519 key pair.
+     * @returns {Promise<Object>} The key pair, as { publicKey (PEM), privateKey }.
+     */
+    generateKeyPair: async function generateEd25519KeyPair() {
+        return generateKeyPairAsync('ed25519', {
+            publicKeyEncoding: {
+                type: 'spki',
+                format: 'pem',
+            },
+        });
+    },
+
+    /**
+     * Signs data using Ed25519.
+     * @param {KeyObject} privateKey The private key to sign with.
+     * @param {Buffer} data The data to sign.
+     * @returns {Promise<Buffer>} The signature.
+     */
+    sign: async function signEd25519(privateKey, data) {
+        return crypto.sign(null, data, privateKey);
+    },
+
+    /**
+     * Verifies an Ed25519 signature.
+     * @param {KeyObject} publicKey The public key to verify with.
+     * @param {Buffer} sig The signature.
+     * @param {Buffer} data The signed data.
+     * @returns {Promise<boolean>} Whether or not the signature is valid.
+     */
+    verify: async function verifyEd25519(publicKey, sig, data) {
+        return crypto.verify(null, data, publicKey, sig);
+    },
+};
@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const constants = require('../constants');
+
+const generateKeyPairAsync = promisify(crypto.generateKeyPair);
+
+/**
+ * RSA key provider, using RSA-PSS (SHA-256) signatures and RSA-OAEP (SHA-256) key transport.
+ */
+module.exports = {
+    name: 'rsa',
+    id: constants.crypto.algorithm.rsa,
+    keyType: 'rsa',
+
+    /**
+     * Generates an RSA key pair.
+     * @param {number} keySize (optional) The modulus length, in bits.
+     * @returns {Promise<Object>} The key pair, as { publicKey (PEM), privateKey }.
+     */
+    generateKeyPair: async function generateRsaKeyPair({ keySize } = {}) {
+        return generateKeyPairAsync('rsa', {
+            modulusLength: keySize || constants.crypto.rsaKeySize,
+            publicKeyEncoding: {
+                type: 'pkcs1',
+                format: 'pem',
+            },
+        });
+    },
+
+    /**
+     * Signs data using RSA-PSS.
+     * @param {KeyObject} privateKey The private key to sign with.
+     * @param {Buffer} data The data to sign.
+     * @returns {Promise<Buffer>} The signature.
+     */
+    sign: async function signRsa(privateKey, data) {
+        return crypto.sign('sha256', data, {
+            key: privateKey,
+            padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+        });
+    },
+
+    /**
+     * Verifies an RSA-PSS signature.
+     * @param {KeyObject} publicKey The public key to verify with.
+     * @param {Buffer} sig The signature.
+     * @param {Buffer} data The signed data.
+     * @returns {Promise<boolean>} Whether or not the signature is valid.
+     */
+    verify: async function verifyRsa(publicKey, sig, data) {
+        return crypto.verify('sha256', data, {
+            key: publicKey,
+            padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+        }, sig);
+    },
+
+    /**
+     * Encrypts a data key using RSA-OAEP.
+     * @param {KeyObject} publicKey The public key to encrypt with.
+     * @param {Buffer} dataKey The data key.
+     * @returns {Promise<Buffer>} The encrypted data key.
+     */
+    wrapKey: async function wrapRsaKey(publicKey, dataKey) {
+        return crypto.publicEncrypt({
+            key: publicKey,
+            padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+            oaepHash: 'sha256',
+        }, dataKey);
+    },
+
+    /**
+     * Decrypts a data key using RSA-OAEP.
+     * @param {KeyObject} privateKey The private key to decrypt with.
+     * @param {Buffer} wrappedKey The encrypted data key.
+     * @returns {Promise<Buffer>} The data key.
+     */
+    unwrapKey: async function unwrapRsaKey(privateKey, wrappedKey) {
+        return crypto.privateDecrypt({
+            key: privateKey,
+            padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+            oaepHash: 'sha256',
+        }, wrappedKey);
+    },
+};
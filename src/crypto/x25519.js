@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const constants = require('../constants');
+const { fromVarBinary, toVarBinary } = require('../utils/convert');
+const aesGcm = require('./aesGcm');
+
+const generateKeyPairAsync = promisify(crypto.generateKeyPair);
+
+/**
+ * @private
+ * Derives the key used to encrypt a data key from an X25519 shared secret.
+ * @param {Buffer} sharedSecret The shared secret.
+ * @param {Buffer} ephemeralKey The ephemeral public key (DER), used as the salt.
+ * @returns {Buffer} The 256 bit key.
+ */
+function deriveKey(sharedSecret, ephemeralKey) {
+    return Buffer.from(crypto.hkdfSync(constants.crypto.kdfHash, sharedSecret, ephemeralKey,
+        constants.crypto.kdfInfo, constants.crypto.dataKeySize));
+}
+
+/**
+ * X25519 key provider. Data keys are encrypted using an ephemeral key agreement (ECDH) with
+ * the recipient's key, so X25519 keys can only be used for encryption, and should be used as
+ * read keys.
+ */
+module.exports = {
+    name: 'x25519',
+    id: constants.crypto.algorithm.x25519,
+    keyType: 'x25519',
+
+    /**
+     * Generates an X25519 key pair.
+     * @returns {Promise<Object>} The key pair, as { publicKey (PEM), privateKey }.
+     */
+    generateKeyPair: async function generateX25519KeyPair() {
+        return generateKeyPairAsync('x25519', {
+            publicKeyEncoding: {
+                type: 'spki',
+                format: 'pem',
+            },
+        });
+    },
+
+    /**
+     * Encrypts a data key for an X25519 public key.
+     * @param {KeyObject} publicKey The public key to encrypt with.
+     * @param {Buffer} dataKey The data key.
+     * @returns {Promise<Buffer>} The ephemeral public key, followed by the encrypted data key.
+     */
+    wrapKey: async function wrapX25519Key(publicKey, dataKey) {
+        const ephemeral = crypto.generateKeyPairSync('x25519');
+        const ephemeralKey = ephemeral.publicKey.export({ type: 'spki', format: 'der' });
+        const sharedSecret = crypto.diffieHellman({
+            privateKey: ephemeral.privateKey, publicKey,
+        });
+        return Buffer.concat([
+            fromVarBinary(ephemeralKey),
+            await aesGcm.encrypt(deriveKey(sharedSecret, ephemeralKey), dataKey),
+        ]);
+    },
+
+    /**
+     * Decrypts a data key using an X25519 private key.
+     * @param {KeyObject} privateKey The private key to decrypt with.
+     * @param {Buffer} wrappedKey The encrypted data key.
+     * @returns {Promise<Buffer>} The data key.
+     */
+    unwrapKey: async function unwrapX25519Key(privateKey, wrappedKey) {
+        const { result: ephemeralKey, index } = toVarBinary(wrappedKey, 0);
+        const sharedSecret = crypto.diffieHellman({
+            privateKey,
+            publicKey: crypto.createPublicKey({ key: ephemeralKey, type: 'spki', format: 'der' }),
+        });
+        return aesGcm.decrypt(deriveKey(sharedSecret, ephemeralKey), wrappedKey.slice(index));
+    },
+};
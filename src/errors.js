@@ -26,6 +26,9 @@ class BlocktreeError extends Error {
 const serializationErrorReasons = {
     invalidBlockHash: 1,
     argumentOutOfBounds: 2,
+    invalidSegment: 3,
+    unsupportedValue: 4,
+    invalidArchive: 5,
 };
 
 /**
@@ -40,10 +43,18 @@ class SerializationError extends BlocktreeError {
      */
     constructor(values, reason, layer) {
         super(constants.error.serialization, layer, (() => {
-            const { data } = values;
+            const {
+                data, file, type, detail,
+            } = values;
             switch (reason) {
             case serializationErrorReasons.invalidBlockHash:
                 return `Unexpected byte length for SHA-256 block hash: ${data.toString('hex')}`;
+            case serializationErrorReasons.invalidSegment:
+                return `Unexpected segment header in storage file: ${file}`;
+            case serializationErrorReasons.unsupportedValue:
+                return `Cannot serialize a value of type ${type}.`;
+            case serializationErrorReasons.invalidArchive:
+                return `The blocktree archive is invalid or has been tampered with: ${detail}`;
             default:
                 return 'Serialization error occurred.';
             }
@@ -63,6 +74,11 @@ const invalidBlockErrorReasons = {
     nextBlockExists: 3,
     invalidParentType: 4,
     invalidParentBlock: 5,
+    invalidBranch: 6,
+    invalidPolicy: 7,
+    invalidRole: 8,
+    invalidIdentity: 9,
+    notAnEnvelope: 10,
 };
 
 /**
@@ -77,7 +93,9 @@ class InvalidBlockError extends BlocktreeError {
      */
     constructor(values, reason, layer) {
         super(constants.error.invalidBlock, layer, (() => {
-            const { block, type, parentType } = values;
+            const {
+                block, next, type, parentType, operation, role,
+            } = values;
             switch (reason) {
             case invalidBlockErrorReasons.notFound:
                 return 'Expected block to be present.';
@@ -89,6 +107,16 @@ class InvalidBlockError extends BlocktreeError {
                 return `Cannot create block type ${type} within block type ${parentType}.`;
             case invalidBlockErrorReasons.invalidParentBlock:
                 return 'Expected parent block to be present.';
+            case invalidBlockErrorReasons.invalidBranch:
+                return `The block ${next} does not follow the block ${block}.`;
+            case invalidBlockErrorReasons.invalidPolicy:
+                return `The policy for operation ${operation} is invalid.`;
+            case invalidBlockErrorReasons.invalidRole:
+                return `The role ${role} is not defined.`;
+            case invalidBlockErrorReasons.invalidIdentity:
+                return `The block ${block} is not an identity.`;
+            case invalidBlockErrorReasons.notAnEnvelope:
+                return `The block ${block} is not encrypted using an envelope.`;
             default:
                 return 'Invalid block was found.';
             }
@@ -106,6 +134,9 @@ const invalidSignatureErrorReasons = {
     notFound: 1,
     doesNotMatch: 2,
     nonceAlreadyUsed: 3,
+    quorumNotMet: 4,
+    permissionDenied: 5,
+    signingFunctionRequired: 6,
 };
 
 /**
@@ -123,6 +154,12 @@ class InvalidSignatureError extends BlocktreeError {
                 return 'A valid signature could not be located.';
             case invalidSignatureErrorReasons.doesNotMatch:
                 return 'The signature did not match the associated key.';
+            case invalidSignatureErrorReasons.quorumNotMet:
+                return `${values.required} signatures from distinct keys are required.`;
+            case invalidSignatureErrorReasons.permissionDenied:
+                return `The key does not have permission to perform ${values.operation}.`;
+            case invalidSignatureErrorReasons.signingFunctionRequired:
+                return `A signing function is required to perform ${values.operation}.`;
             default:
                 return 'Invalid signature was found.';
             }
@@ -161,6 +198,180 @@ class InvalidRootError extends BlocktreeError {
     }
 }
 
+/**
+ * Reasons for invalid record error.
+ */
+const invalidRecordErrorReasons = {
+    notAnObject: 1,
+    missingField: 2,
+    unknownField: 3,
+    invalidType: 4,
+    maxLengthExceeded: 5,
+    invalidEnumValue: 6,
+    invalidSchema: 7,
+    invalidQuery: 8,
+};
+
+/**
+ * Invalid record error.
+ */
+class InvalidRecordError extends BlocktreeError {
+    /**
+     * Constructor.
+     * @param {Object} values Relevant data collected during the error.
+     * @param {number} reason The specific reason for the error.
+     */
+    constructor(values, reason) {
+        super(constants.error.invalidRecord, constants.layer.secureBlocktree, (() => {
+            const { field, type, maxLength } = values;
+            switch (reason) {
+            case invalidRecordErrorReasons.notAnObject:
+                return 'Expected the record to be an object.';
+            case invalidRecordErrorReasons.missingField:
+                return `The required field ${field} is missing.`;
+            case invalidRecordErrorReasons.unknownField:
+                return `The field ${field} is not defined in the schema.`;
+            case invalidRecordErrorReasons.invalidType:
+                return `Expected the field ${field} to be of type ${type}.`;
+            case invalidRecordErrorReasons.maxLengthExceeded:
+                return `The field ${field} exceeds the maximum length of ${maxLength}.`;
+            case invalidRecordErrorReasons.invalidEnumValue:
+                return `The field ${field} is not one of the allowed values.`;
+            case invalidRecordErrorReasons.invalidSchema:
+                return `The schema definition for ${field} is invalid.`;
+            case invalidRecordErrorReasons.invalidQuery:
+                return `The query condition for ${field} is invalid.`;
+            default:
+                return 'Invalid record was found.';
+            }
+        })());
+        this.values = values;
+        this.reason = reason;
+    }
+}
+InvalidRecordError.reasons = invalidRecordErrorReasons;
+
+/**
+ * Reasons for transaction error.
+ */
+const transactionErrorReasons = {
+    alreadyClosed: 1,
+};
+
+/**
+ * Transaction error.
+ */
+class TransactionError extends BlocktreeError {
+    /**
+     * Constructor.
+     * @param {Object} values Relevant data collected during the error.
+     * @param {number} reason The specific reason for the error.
+     * @param {number} layer The layer where the error occurred.
+     */
+    constructor(values, reason, layer) {
+        super(constants.error.transaction, layer, (() => {
+            switch (reason) {
+            case transactionErrorReasons.alreadyClosed:
+                return 'The transaction has already been committed or aborted.';
+            default:
+                return 'Invalid transaction.';
+            }
+        })());
+        this.values = values;
+        this.reason = reason;
+    }
+}
+TransactionError.reasons = transactionErrorReasons;
+
+/**
+ * Write conflict error.
+ */
+class WriteConflictError extends BlocktreeError {
+    /**
+     * Constructor.
+     * @param {Object} values Relevant data collected during the error.
+     * @param {number} layer The layer where the error occurred.
+     */
+    constructor(values, layer) {
+        super(constants.error.writeConflict, layer,
+            'The blockchain head block has changed since it was last read.');
+        this.values = values;
+    }
+}
+
+/**
+ * Reasons for replication error.
+ */
+const replicationErrorReasons = {
+    invalidBlock: 1,
+    divergence: 2,
+};
+
+/**
+ * Replication error.
+ */
+class ReplicationError extends BlocktreeError {
+    /**
+     * Constructor.
+     * @param {Object} values Relevant data collected during the error.
+     * @param {number} reason The specific reason for the error.
+     * @param {number} layer The layer where the error occurred.
+     */
+    constructor(values, reason, layer) {
+        super(constants.error.replication, layer, (() => {
+            const { block, chains } = values;
+            switch (reason) {
+            case replicationErrorReasons.invalidBlock:
+                return `The replicated block ${block.toString('hex')} failed validation.`;
+            case replicationErrorReasons.divergence:
+                return `${chains.length} blockchain(s) have diverged from the remote blocktree.`;
+            default:
+                return 'Replication error occurred.';
+            }
+        })());
+        this.values = values;
+        this.reason = reason;
+    }
+}
+ReplicationError.reasons = replicationErrorReasons;
+
+/**
+ * Reasons for broker error.
+ */
+const brokerErrorReasons = {
+    tokenExpired: 1,
+    tokenScope: 2,
+    rateLimitExceeded: 3,
+};
+
+/**
+ * Trusted secrets broker error.
+ */
+class BrokerError extends BlocktreeError {
+    /**
+     * Constructor.
+     * @param {Object} values Relevant data collected during the error.
+     * @param {number} reason The specific reason for the error.
+     */
+    constructor(values, reason) {
+        super(constants.error.broker, constants.layer.secureBlocktree, (() => {
+            switch (reason) {
+            case brokerErrorReasons.tokenExpired:
+                return 'The request token has expired.';
+            case brokerErrorReasons.tokenScope:
+                return 'The request token cannot be used for this block or authorized key.';
+            case brokerErrorReasons.rateLimitExceeded:
+                return 'Too many trusted reads have been requested using the authorized key.';
+            default:
+                return 'Broker error occurred.';
+            }
+        })());
+        this.values = values;
+        this.reason = reason;
+    }
+}
+BrokerError.reasons = brokerErrorReasons;
+
 module.exports = {
     BlocktreeError,
     SerializationError,
@@ -168,4 +379,9 @@ module.exports = {
     InvalidSignatureError,
     InvalidKeyError,
     InvalidRootError,
+    InvalidRecordError,
+    TransactionError,
+    WriteConflictError,
+    ReplicationError,
+    BrokerError,
 };
@@ -1,21 +1,52 @@
-/* eslint-disable no-await-in-loop */
+/* eslint-disable no-await-in-loop, no-restricted-syntax */
 const EventEmitter = require('events');
 const constants = require('../constants');
 const { SerializationError, InvalidBlockError } = require('../errors');
 const { fromInt64, toInt64 } = require('../utils/convert');
 const { generateNonce, generateHash } = require('../utils/crypto');
 const { withEvent } = require('../utils/event');
+const lockFactory = require('../utils/lock');
+const {
+    computeMerkleRoot, appendMerklePeak, computeMerkleRootFromPeaks, generateMerklePath,
+    verifyInclusionProof,
+} = require('../utils/merkle');
+const inMemoryStorageFactory = require('../storage/inMemoryStorage');
 
 /**
  * Blocktree Layer 1 - Blockchain
+ * @param {Object} checkpointStorage (optional) The storage where Merkle checkpoints are kept
+ * (defaults to in-memory storage).
  */
-module.exports = function blockchainLayerFactory({ system }) {
+module.exports = function blockchainLayerFactory({
+    system, forkResolutions, checkpointStorage,
+}) {
     /**
      * @private
      * Event capture object.
      */
     let emitter = null;
 
+    /**
+     * @private
+     * Serializes writes, keyed by the previous block ("prev:") or by the root block of the
+     * blockchain ("chain:"). A writer may hold a chain lock while acquiring a prev lock.
+     */
+    const locks = lockFactory();
+
+    /**
+     * @private
+     * The canonical next block for each resolved fork, keyed by the forked block.
+     */
+    const resolutions = forkResolutions || new Map();
+
+    /**
+     * @private
+     * The storage where Merkle checkpoints are kept, and the checkpoints which have been read
+     * from it, keyed by block.
+     */
+    const checkpointStore = checkpointStorage || inMemoryStorageFactory();
+    let checkpoints = null;
+
     /**
      * @private
      * Checks the block hash value.
@@ -122,6 +153,16 @@ module.exports = function blockchainLayerFactory({ system }) {
         return system.readStorage(checkBlockHash(block));
     }
 
+    /**
+     * Reads a list of blocks from a storage index.
+     * @param {string} name The index to read ("next" or "children").
+     * @param {Buffer} block The previous or parent block to look up.
+     * @returns {Promise<Array>} The indexed blocks, or null if the index is not available.
+     */
+    async function readIndex(name, block) {
+        return system.readIndex(name, checkBlockHash(block));
+    }
+
     /**
      * Retrieves the specified list of blocks.
      * @param {string} partial The "starts with" search to perform, or null to retrieve all blocks.
@@ -152,13 +193,81 @@ module.exports = function blockchainLayerFactory({ system }) {
     }
 
     /**
-     * Given a block, scans the blocks in the system to find the next one.
+     * Runs the function while holding the write lock for the blockchain containing the block,
+     * so that no other block can be added to the blockchain until it has finished.
+     * @param {Buffer} block Any block in the blockchain, or null.
+     * @param {Function} fn The async function to run.
+     * @returns {Promise} The result of the function.
+     */
+    async function withChainLock(block, fn) {
+        const root = block ? await getRootBlock(block, { validate: false }) : null;
+        if (!root) {
+            return fn();
+        }
+        return locks.withLock(`chain:${root.toString('hex')}`, fn);
+    }
+
+    /**
+     * @private
+     * Given a block, scans the blocks in the system to find every block which follows it.
+     * @param {Buffer} block The block to start from.
+     * @returns {Promise<Array>} The hashes of the next blocks.
+     */
+    async function scanNextBlocks(block) {
+        const result = [];
+        for await (const buf of system.iterateStorage()) {
+            const { prev } = deserializeBlockchainData(buf);
+            if (prev && Buffer.compare(prev, block) === 0) {
+                result.push(generateHash(buf));
+            }
+        }
+        return result;
+    }
+
+    /**
+     * @private
+     * Given a block and the blocks which follow it, selects the next block. If there is more
+     * than one (a fork), the canonical branch is used if the fork has been resolved, otherwise
+     * the block with the earliest timestamp (then the lowest hash) is selected.
+     * @param {Buffer} block The block to start from.
+     * @param {Array} candidates The hashes of the next blocks.
+     * @returns {Promise<string>} The hash of the next block, or null.
+     */
+    async function selectNextBlock(block, candidates) {
+        const resolved = resolutions.get(block.toString('hex'));
+        if (resolved && candidates.some((i) => Buffer.compare(i, resolved) === 0)) {
+            return resolved;
+        }
+        if (candidates.length <= 1) {
+            return candidates[0] || null;
+        }
+        const blocks = [];
+        for (let i = 0; i < candidates.length; i += 1) {
+            blocks.push(await readBlock(candidates[i]));
+        }
+        blocks.sort((a, b) => {
+            if (a.timestamp !== b.timestamp) {
+                return a.timestamp < b.timestamp ? -1 : 1;
+            }
+            return Buffer.compare(a.hash, b.hash);
+        });
+        return blocks[0].hash;
+    }
+
+    /**
+     * Given a block, locates the next one in the blockchain.
      * @param {Buffer} block The block to start from.
      * @returns {Promise<string>} The hash of the next block, or null.
      */
     async function getNextBlock(block) {
         const blockHash = checkBlockHash(block);
-        // 1) try to locate the value in cache.
+        // 1) a resolved fork always continues with the canonical branch.
+        const resolved = resolutions.get(blockHash.toString('hex'));
+        if (resolved) {
+            return resolved;
+        }
+
+        // 2) try to locate the value in cache.
         const cached = await system.readCache(blockHash, constants.cache.next);
         if (cached) {
             if (cached === 'null') {
@@ -167,22 +276,16 @@ module.exports = function blockchainLayerFactory({ system }) {
             return cached;
         }
 
-        // 2) otherwise, walk through all the blocks to find the next one.
-        const value = await system.findInStorage(
-            (buf) => {
-                const prevData = deserializeBlockchainData(buf).prev;
-                return (!blockHash && !prevData)
-                    || (blockHash && prevData && Buffer.compare(prevData, blockHash) === 0);
-            },
-        );
+        // 3) use the storage index if available, otherwise walk through all the blocks.
+        const indexed = await system.readIndex(constants.storageIndex.next, blockHash);
+        const result = await selectNextBlock(blockHash,
+            indexed || await scanNextBlocks(blockHash));
 
-        // 3) if found, cache it for next time.
-        if (value) {
-            const result = generateHash(value);
-            await system.writeCache(blockHash, constants.cache.next, result);
-            return result;
+        // 4) cache it for next time.
+        if (result || indexed) {
+            await system.writeCache(blockHash, constants.cache.next, result || 'null');
         }
-        return null;
+        return result;
     }
 
     /**
@@ -214,53 +317,255 @@ module.exports = function blockchainLayerFactory({ system }) {
         return root;
     }
 
+    /**
+     * @private
+     * Given a block, collects the hashes of all blocks in the blockchain up to and including it.
+     * @param {Buffer} block The last block to collect.
+     * @returns {Promise<Array>} The block hashes, starting from the root block.
+     */
+    async function readChainHashes(block) {
+        const result = [];
+        let next = checkBlockHash(block);
+        while (next != null) {
+            const nextBlock = await readBlock(next);
+            result.push(nextBlock.hash);
+            next = nextBlock.prev;
+        }
+        return result.reverse();
+    }
+
+    /**
+     * @private
+     * Given a Merkle checkpoint, converts it into a Buffer.
+     * @param {Buffer} block The block which the checkpoint was taken at.
+     * @param {Object} checkpoint The checkpoint, as { seq, peaks }.
+     * @returns {Buffer} The binary representation of the checkpoint.
+     */
+    function serializeCheckpoint(block, { seq, peaks }) {
+        return Buffer.concat([
+            block,
+            fromInt64(seq),
+            ...peaks,
+        ]);
+    }
+
+    /**
+     * @private
+     * Given a buffer, deserializes it into a Merkle checkpoint.
+     * @param {Buffer} data The buffer to deserialize.
+     * @returns {Object} The checkpoint, as { block, seq, peaks }.
+     */
+    function deserializeCheckpoint(data) {
+        let index = 0;
+        const block = data.slice(index, index + constants.size.hash);
+        index += constants.size.hash;
+        const seq = toInt64(data, index);
+        index += constants.size.int64;
+        const peaks = [];
+        while (index < Buffer.byteLength(data)) {
+            peaks.push(data.slice(index, index + constants.size.hash));
+            index += constants.size.hash;
+        }
+        return { block, seq, peaks };
+    }
+
+    /**
+     * @private
+     * Reads the Merkle checkpoints from checkpoint storage, the first time they are needed.
+     * @returns {Promise<Map>} The checkpoints, keyed by block.
+     */
+    async function readCheckpoints() {
+        if (!checkpoints) {
+            checkpoints = checkpointStore.mapInStorage(deserializeCheckpoint)
+                .then((items) => new Map(items.map((i) => [i.block.toString('hex'), i])));
+        }
+        return checkpoints;
+    }
+
+    /**
+     * @private
+     * Computes the peaks of the Merkle tree of the blockchain up to and including the specified
+     * block, starting from the nearest checkpoint.
+     * @param {Buffer} block The last block to include in the Merkle tree.
+     * @returns {Promise<Object>} The Merkle tree, as { seq, peaks }.
+     */
+    async function readMerklePeaks(block) {
+        const saved = await readCheckpoints();
+        const hashes = [];
+        let checkpoint = { seq: 0n, peaks: [] };
+        let next = checkBlockHash(block);
+        while (next != null) {
+            const found = saved.get(next.toString('hex'));
+            if (found) {
+                checkpoint = found;
+                break;
+            }
+            const nextBlock = await readBlock(next);
+            hashes.push(nextBlock.hash);
+            next = nextBlock.prev;
+        }
+        let { seq, peaks } = checkpoint;
+        for (let i = hashes.length - 1; i >= 0; i -= 1) {
+            peaks = appendMerklePeak(peaks, seq, hashes[i]);
+            seq += 1n;
+        }
+        return { seq, peaks };
+    }
+
+    /**
+     * @private
+     * Saves a serialized Merkle checkpoint in checkpoint storage.
+     * @param {Buffer} data The serialized checkpoint.
+     * @returns {Promise}
+     */
+    async function saveCheckpoint(data) {
+        await checkpointStore.writeStorage(generateHash(data), data);
+        const checkpoint = deserializeCheckpoint(data);
+        (await readCheckpoints()).set(checkpoint.block.toString('hex'), checkpoint);
+    }
+
+    /**
+     * @private
+     * Records a Merkle checkpoint for the specified block in checkpoint storage.
+     * @param {Buffer} block The block to record a checkpoint for.
+     * @returns {Promise<Object>} The checkpoint, as { seq, peaks }.
+     */
+    async function writeCheckpoint(block) {
+        const checkpoint = await readMerklePeaks(block);
+        await saveCheckpoint(serializeCheckpoint(block, checkpoint));
+        return checkpoint;
+    }
+
+    /**
+     * Computes the Merkle root of the blockchain up to and including the specified block.
+     * @param {Buffer} block The last block to include in the Merkle tree.
+     * @returns {Promise<Buffer>} The Merkle root.
+     */
+    async function getMerkleRoot(block) {
+        const blockHash = checkBlockHash(block);
+        const cached = await system.readCache(blockHash, constants.cache.merkleRoot);
+        if (cached) {
+            return cached;
+        }
+        const result = computeMerkleRootFromPeaks((await readMerklePeaks(blockHash)).peaks);
+        await system.writeCache(blockHash, constants.cache.merkleRoot, result);
+        return result;
+    }
+
+    /**
+     * @private
+     * Runs the function while holding the lock for the previous block, so that only one
+     * block can be added after it.
+     * @param {Buffer} prev The previous block, or null.
+     * @param {Function} fn The async function to run.
+     * @returns {Promise} The result of the function.
+     */
+    async function withPrevLock(prev, fn) {
+        if (!prev) {
+            return fn();
+        }
+        return locks.withLock(`prev:${checkBlockHash(prev).toString('hex')}`, fn);
+    }
+
     /**
      * Writes a block to storage.
      * @param {Object} bcBlockData The blockchain object.
      * @returns {Promise<string>} The hash of the newly written block.
      */
     async function writeBlock(bcBlockData, options = {}) {
-        return withEvent(emitter, 'write-block', { bcBlockData, options }, async () => {
-            const timestamp = system.generateTimestamp();
-            const prev = bcBlockData.prev ? await readBlock(bcBlockData.prev, options) : null;
-            const seq = (prev || { seq: 0n }).seq + 1n;
-            if (options.validate !== false && bcBlockData.prev) {
-                if (!prev) {
-                    throw new InvalidBlockError({
-                        block: bcBlockData.prev,
-                    }, InvalidBlockError.reasons.notFound, constants.layer.blockchain);
+        return withEvent(emitter, 'write-block', { bcBlockData, options }, async () => (
+            withPrevLock(bcBlockData.prev, async () => {
+                const timestamp = system.generateTimestamp();
+                const prev = bcBlockData.prev ? await readBlock(bcBlockData.prev, options) : null;
+                const seq = (prev || { seq: 0n }).seq + 1n;
+                if (options.validate !== false && bcBlockData.prev) {
+                    if (!prev) {
+                        throw new InvalidBlockError({
+                            block: bcBlockData.prev,
+                        }, InvalidBlockError.reasons.notFound, constants.layer.blockchain);
+                    }
+                    if (prev.timestamp > timestamp) {
+                        throw new InvalidBlockError({
+                            block: bcBlockData.prev,
+                            prevTimestamp: prev.timestamp,
+                            timestamp,
+                        }, InvalidBlockError.reasons.invalidTimestamp,
+                        constants.layer.blockchain);
+                    }
+
+                    const next = await getNextBlock(bcBlockData.prev);
+                    if (next) {
+                        throw new InvalidBlockError({
+                            block: bcBlockData.prev,
+                            next,
+                        }, InvalidBlockError.reasons.nextBlockExists,
+                        constants.layer.blockchain);
+                    }
+                }
+                const block = checkBlockHash(await system.writeStorage(
+                    serializeBlockchainData(bcBlockData, timestamp, seq),
+                    { prev: bcBlockData.prev || null, parent: bcBlockData.parent || null },
+                ));
+                if (options.cacheRoot !== false && options.validate !== false) {
+                    const root = await cacheRootBlock(block, bcBlockData);
+                    await system.writeCache(root, constants.cache.headBlock, block);
+                }
+                if (options.cacheNext !== false && bcBlockData.prev) {
+                    await system.writeCache(bcBlockData.prev, constants.cache.next, block);
                 }
-                if (prev.timestamp > timestamp) {
-                    throw new InvalidBlockError({
-                        block: bcBlockData.prev,
-                        prevTimestamp: prev.timestamp,
-                        timestamp,
-                    }, InvalidBlockError.reasons.invalidTimestamp,
-                    constants.layer.blockchain);
+                await system.writeCache(block, constants.cache.next, 'null');
+                if (options.validate !== false
+                    && seq % BigInt(constants.merkle.checkpointInterval) === 0n) {
+                    const { peaks } = await writeCheckpoint(block);
+                    await system.writeCache(block, constants.cache.merkleRoot,
+                        computeMerkleRootFromPeaks(peaks));
                 }
+                return block;
+            })));
+    }
 
-                const next = await getNextBlock(bcBlockData.prev);
-                if (next) {
-                    throw new InvalidBlockError({
-                        block: bcBlockData.prev,
-                        next,
-                    }, InvalidBlockError.reasons.nextBlockExists,
-                    constants.layer.blockchain);
+    /**
+     * Writes the raw bytes of an existing block (as returned by readRawBlock) to storage,
+     * such as when importing blocks from another system. Blocks which are already in
+     * storage are skipped.
+     * @param {Buffer} buf The raw block data to write.
+     * @param {Object} links (optional) The parent block, as { parent }.
+     * @returns {Promise<string>} The hash of the written block.
+     */
+    async function writeRawBlock(buf, { parent } = {}, options = {}) {
+        const bcBlockData = deserializeBlockchainData(buf);
+        return withEvent(emitter, 'write-raw-block', { bcBlockData, options }, async () => (
+            withPrevLock(bcBlockData.prev, async () => {
+                const block = bcBlockData.hash;
+                if (await system.readStorage(block)) {
+                    return block;
                 }
-            }
-            const block = checkBlockHash(await system.writeStorage(
-                serializeBlockchainData(bcBlockData, timestamp, seq),
-            ));
-            if (options.cacheRoot !== false && options.validate !== false) {
-                const root = await cacheRootBlock(block, bcBlockData);
-                await system.writeCache(root, constants.cache.headBlock, block);
-            }
-            if (options.cacheNext !== false && bcBlockData.prev) {
-                await system.writeCache(bcBlockData.prev, constants.cache.next, block);
-            }
-            await system.writeCache(block, constants.cache.next, 'null');
-            return block;
-        });
+                if (options.validate !== false && bcBlockData.prev) {
+                    if (!await readBlock(bcBlockData.prev, { validate: false })) {
+                        throw new InvalidBlockError({
+                            block: bcBlockData.prev,
+                        }, InvalidBlockError.reasons.notFound, constants.layer.blockchain);
+                    }
+                    const next = await getNextBlock(bcBlockData.prev);
+                    if (next) {
+                        throw new InvalidBlockError({
+                            block: bcBlockData.prev,
+                            next,
+                        }, InvalidBlockError.reasons.nextBlockExists,
+                        constants.layer.blockchain);
+                    }
+                }
+                await system.writeStorage(buf, { prev: bcBlockData.prev, parent: parent || null });
+                if (bcBlockData.prev) {
+                    await system.writeCache(bcBlockData.prev, constants.cache.next, block);
+                }
+                await system.writeCache(block, constants.cache.next, 'null');
+                if (options.validate !== false) {
+                    const root = await cacheRootBlock(block, bcBlockData);
+                    await system.writeCache(root, constants.cache.headBlock, block);
+                }
+                return block;
+            })));
     }
 
     /**
@@ -284,14 +589,29 @@ module.exports = function blockchainLayerFactory({ system }) {
         return null;
     }
 
+    /**
+     * Iterates through all blocks in the system, in the order they were written.
+     * @returns {AsyncGenerator<Object>} The blockchain objects.
+     */
+    async function* iterateBlocks() {
+        for await (const data of system.iterateStorage()) {
+            yield deserializeBlockchainData(data);
+        }
+    }
+
     /**
      * Scans through all blocks in the system and returns all matching blocks.
      * @param {Function} fn The predicate function.
      * @returns {Promise<Array>} The matching blocks.
      */
     async function findAllInBlocks(fn) {
-        return (await system.mapInStorage((data) => deserializeBlockchainData(data)))
-            .filter(fn);
+        const result = [];
+        for await (const bcBlockData of iterateBlocks()) {
+            if (fn(bcBlockData)) {
+                result.push(bcBlockData);
+            }
+        }
+        return result;
     }
 
     /**
@@ -329,6 +649,140 @@ module.exports = function blockchainLayerFactory({ system }) {
         return result;
     }
 
+    /**
+     * @private
+     * Given a block, follows the next blocks until the end of the branch is reached.
+     * @param {Buffer} block The block to start from.
+     * @returns {Promise<string>} The last block in the branch.
+     */
+    async function getBranchHead(block) {
+        let result = block;
+        let next = null;
+        do {
+            next = await getNextBlock(result);
+            result = next || result;
+        }
+        while (next != null);
+        return result;
+    }
+
+    /**
+     * Given a block, reports every fork in its blockchain (where more than one block shares
+     * the same previous block), along with the branches at each fork.
+     * @param {Buffer} block Any block in the blockchain.
+     * @returns {Promise<Object>} A fork report.
+     */
+    async function detectForks(block) {
+        const root = await getRootBlock(checkBlockHash(block));
+        const nextBlocks = {};
+        const indexed = await system.readIndex(constants.storageIndex.next, root);
+        if (!indexed) {
+            // without an index, collect every link in a single pass through storage.
+            for await (const buf of system.iterateStorage()) {
+                const { prev } = deserializeBlockchainData(buf);
+                if (prev) {
+                    const key = prev.toString('hex');
+                    nextBlocks[key] = [...(nextBlocks[key] || []), generateHash(buf)];
+                }
+            }
+        }
+
+        const forks = [];
+        const pending = [root];
+        while (pending.length > 0) {
+            const current = pending.pop();
+            const next = indexed
+                ? await system.readIndex(constants.storageIndex.next, current)
+                : nextBlocks[current.toString('hex')] || [];
+            if (next.length > 1) {
+                const canonical = await getNextBlock(current);
+                const branches = [];
+                for (let i = 0; i < next.length; i += 1) {
+                    branches.push({
+                        block: next[i],
+                        head: await getBranchHead(next[i]),
+                        isCanonical: Buffer.compare(next[i], canonical) === 0,
+                    });
+                }
+                forks.push({
+                    block: current,
+                    branches,
+                    isResolved: resolutions.has(current.toString('hex')),
+                });
+            }
+            pending.push(...next);
+        }
+        return { isForked: forks.length > 0, forks };
+    }
+
+    /**
+     * Resolves a fork by selecting the canonical branch, which getNextBlock() and
+     * getHeadBlock() will follow from then on.
+     * @param {Buffer} block The block which has been forked.
+     * @param {Buffer} next The first block of the canonical branch.
+     * @returns {Promise<string>} The head block of the canonical branch.
+     */
+    async function resolveFork({ block, next }) {
+        const blockHash = checkBlockHash(block);
+        const candidates = (await system.readIndex(constants.storageIndex.next, blockHash))
+            || await scanNextBlocks(blockHash);
+        if (!next || !candidates.some((i) => Buffer.compare(i, next) === 0)) {
+            throw new InvalidBlockError({ block, next }, InvalidBlockError.reasons.invalidBranch,
+                constants.layer.blockchain);
+        }
+        resolutions.set(blockHash.toString('hex'), next);
+        await system.writeCache(blockHash, constants.cache.next, next);
+        // the cached head block may belong to another branch.
+        await system.writeCache(await getRootBlock(blockHash), constants.cache.headBlock, null);
+        return getBranchHead(next);
+    }
+
+    /**
+     * Generates a proof that a block is included in a blockchain, which can be checked
+     * against the Merkle root of the blockchain using verifyInclusionProof().
+     * @param {Buffer} block The block to generate a proof for.
+     * @param {Buffer} head (optional) The last block to include in the Merkle tree
+     * (defaults to the head block of the blockchain).
+     * @returns {Promise<Object>} The inclusion proof.
+     */
+    async function generateInclusionProof(block, { head } = {}) {
+        const blockHash = checkBlockHash(block);
+        const headBlock = head || await getHeadBlock(blockHash);
+        const hashes = await readChainHashes(headBlock);
+        const index = hashes.findIndex((i) => Buffer.compare(i, blockHash) === 0);
+        if (index === -1) {
+            throw new InvalidBlockError({
+                block: blockHash,
+                head: headBlock,
+            }, InvalidBlockError.reasons.notFound, constants.layer.blockchain);
+        }
+        return {
+            block: blockHash,
+            head: headBlock,
+            index,
+            size: hashes.length,
+            path: generateMerklePath(hashes, index),
+            root: computeMerkleRoot(hashes),
+        };
+    }
+
+    /**
+     * Iterates through the blocks in a blockchain, starting from the specified block.
+     * @param {Buffer} block The block to start from.
+     * @param {string} direction (optional) Either "backward" (the default) to walk towards
+     * the root block, or "forward" to walk towards the head block.
+     * @returns {AsyncGenerator<Object>} The blockchain objects.
+     */
+    async function* iterateChain(block, { direction } = {}) {
+        let next = checkBlockHash(block);
+        while (next != null) {
+            const bcBlockData = await readBlock(next);
+            yield bcBlockData;
+            next = direction === constants.direction.forward
+                ? await getNextBlock(next) : bcBlockData.prev;
+        }
+    }
+
     /**
      * Given a block, validates all previous blocks in the blockchain.
      * @param {Buffer} block
@@ -385,6 +839,63 @@ module.exports = function blockchainLayerFactory({ system }) {
         return { isValid: true, blockCount };
     }
 
+    /**
+     * Begins a transaction, which stages all written blocks until it is committed.
+     * @returns {Promise<Object>} A blockchain layer for the transaction, with commit() and abort().
+     */
+    async function beginTransaction() {
+        const txSystem = await system.beginTransaction();
+        const txResolutions = new Map(resolutions);
+        // checkpoints are staged along with the blocks, and are only kept once committed.
+        const txCheckpoints = inMemoryStorageFactory();
+        return {
+            ...blockchainLayerFactory({
+                system: txSystem,
+                forkResolutions: txResolutions,
+                checkpointStorage: {
+                    ...txCheckpoints,
+                    mapInStorage: async (fn) => [
+                        ...(await checkpointStore.mapInStorage(fn)),
+                        ...(await txCheckpoints.mapInStorage(fn)),
+                    ],
+                },
+            }),
+            getStagedBlocks: async () => txSystem.getStagedBlocks().map((i) => i.hash),
+            commit: async () => {
+                // blocks added to existing blockchains must still be added to the head block.
+                const staged = txSystem.getStagedBlocks();
+                const hashes = new Set(staged.map((i) => i.hash.toString('base64')));
+                const prevBlocks = staged.map((i) => i.links.prev)
+                    .filter((prev) => prev && !hashes.has(prev.toString('base64')));
+                const roots = [];
+                for (let i = 0; i < prevBlocks.length; i += 1) {
+                    roots.push(`chain:${(await getRootBlock(prevBlocks[i])).toString('hex')}`);
+                }
+                const prevKeys = prevBlocks.map((i) => `prev:${i.toString('hex')}`);
+                return locks.withLocks(roots, async () => locks.withLocks(prevKeys, async () => {
+                    for (let i = 0; i < prevBlocks.length; i += 1) {
+                        const next = await getNextBlock(prevBlocks[i]);
+                        if (next) {
+                            throw new InvalidBlockError({
+                                block: prevBlocks[i],
+                                next,
+                            }, InvalidBlockError.reasons.nextBlockExists,
+                            constants.layer.blockchain);
+                        }
+                    }
+                    const result = await txSystem.commit();
+                    txResolutions.forEach((value, key) => resolutions.set(key, value));
+                    const stagedCheckpoints = await txCheckpoints.mapInStorage((data) => data);
+                    for (let i = 0; i < stagedCheckpoints.length; i += 1) {
+                        await saveCheckpoint(stagedCheckpoints[i]);
+                    }
+                    return result;
+                }));
+            },
+            abort: async () => txSystem.abort(),
+        };
+    }
+
     async function startEventCapture() {
         emitter = new EventEmitter();
     }
@@ -428,6 +939,18 @@ module.exports = function blockchainLayerFactory({ system }) {
             });
             return true;
         }
+        case 'get-merkle-root': {
+            await env.resolveBlock(parameters[0], listBlocks, async (block) => {
+                await env.println(await getMerkleRoot(block));
+            });
+            return true;
+        }
+        case 'generate-inclusion-proof': {
+            await env.resolveBlock(parameters[0], listBlocks, async (block) => {
+                await env.println(await generateInclusionProof(block));
+            });
+            return true;
+        }
         case 'validate-blockchain': {
             await env.resolveBlock(parameters[0], listBlocks, async (block) => {
                 await env.println(await validateBlockchain(block));
@@ -459,17 +982,28 @@ module.exports = function blockchainLayerFactory({ system }) {
     return {
         readBlock,
         readRawBlock,
+        writeRawBlock,
         readBlockBytes,
+        readIndex,
         writeBlock,
         listBlocks,
         countBlocks,
         findInBlocks,
         findAllInBlocks,
         mapInBlocks,
+        iterateBlocks,
+        iterateChain,
         getHeadBlock,
         getRootBlock,
         getNextBlock,
+        detectForks,
+        resolveFork,
+        withChainLock,
         validateBlockchain,
+        getMerkleRoot,
+        generateInclusionProof,
+        verifyInclusionProof,
+        beginTransaction,
         handleCommand,
     };
 };
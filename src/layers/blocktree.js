@@ -1,12 +1,27 @@
-/* eslint-disable no-await-in-loop, no-plusplus */
+/* eslint-disable no-await-in-loop, no-plusplus, no-restricted-syntax */
+const fs = require('fs');
 const constants = require('../constants');
 const { SerializationError, InvalidBlockError } = require('../errors');
-const { fromByte } = require('../utils/convert');
+const {
+    fromByte, fromInt32, toInt32, fromInt64, toInt64,
+} = require('../utils/convert');
+const { generateHash } = require('../utils/crypto');
+const { writeArchive, readArchive } = require('../utils/archive');
+const transactionCacheFactory = require('../cache/transactionCache');
+const inMemoryStorageFactory = require('../storage/inMemoryStorage');
 
 /**
  * Blocktree Layer 2 - Blocktree
+ * @param {Object} anchorStorage (optional) The storage where recorded tree anchors are kept
+ * (defaults to in-memory storage).
  */
-module.exports = function blocktreeLayerFactory({ blockchain, cache }) {
+module.exports = function blocktreeLayerFactory({ blockchain, cache, anchorStorage }) {
+    /**
+     * @private
+     * The storage where recorded tree anchors are kept, in the order they were recorded.
+     */
+    const anchors = anchorStorage || inMemoryStorageFactory();
+
     /**
      * @private
      * Checks the block hash value.
@@ -35,6 +50,8 @@ module.exports = function blocktreeLayerFactory({ blockchain, cache }) {
     }) {
         return {
             prev,
+            // passed through so that storage can index the child blocks.
+            parent,
             data: Buffer.concat([
                 // parent hash
                 checkBlockHash(parent),
@@ -56,11 +73,11 @@ module.exports = function blocktreeLayerFactory({ blockchain, cache }) {
             return null;
         }
         const {
-            timestamp, prev, nonce, hash, data,
+            seq, timestamp, prev, nonce, hash, data,
         } = bcBlockData;
         let index = 0;
         const result = {
-            timestamp, prev, nonce, hash,
+            seq, timestamp, prev, nonce, hash,
         };
         result.parent = data.slice(index, index + constants.size.hash);
         index += constants.size.hash;
@@ -124,12 +141,36 @@ module.exports = function blocktreeLayerFactory({ blockchain, cache }) {
             }
         }
         const result = await blockchain.writeBlock(serializeBlocktreeData(btBlockData), options);
-        if (btBlockData.parent) {
+        // only the root block of a new blockchain is a child of its parent.
+        if (btBlockData.parent && !btBlockData.prev) {
             await cache.pushCache(btBlockData.parent, constants.cache.childBlocks, result);
         }
         return result;
     }
 
+    /**
+     * Writes the raw bytes of an existing block (as returned by readRawBlock) to the blocktree.
+     * @param {Buffer} buf The raw block data to write.
+     * @returns {Promise<string>} The hash of the written block.
+     */
+    async function writeRawBlock(buf, options = {}) {
+        const btBlockData = await readBlockBytes(buf);
+        if (options.validate !== false && btBlockData.parent) {
+            if ((await listBlocks(btBlockData.parent)).length === 0) {
+                throw new InvalidBlockError({ block: btBlockData.parent },
+                    InvalidBlockError.reasons.invalidParentBlock,
+                    constants.layer.blocktree);
+            }
+        }
+        const result = await blockchain.writeRawBlock(buf, { parent: btBlockData.parent },
+            options);
+        if (btBlockData.parent && !btBlockData.prev) {
+            // the child blocks will be scanned again if they are not already cached.
+            await cache.writeCache(btBlockData.parent, constants.cache.childBlocks, null);
+        }
+        return result;
+    }
+
     /**
      * Retrieves a count of the number of blocks in the system.
      * @returns {Promise<BigInt>} The number of blocks in the system.
@@ -151,14 +192,43 @@ module.exports = function blocktreeLayerFactory({ blockchain, cache }) {
         return null;
     }
 
+    /**
+     * Iterates through all blocks in the system, in the order they were written.
+     * @returns {AsyncGenerator<Object>} The blocktree objects.
+     */
+    async function* iterateBlocks() {
+        for await (const bcBlockData of blockchain.iterateBlocks()) {
+            yield deserializeBlocktreeData(bcBlockData);
+        }
+    }
+
+    /**
+     * Iterates through the blocks in a blockchain, starting from the specified block.
+     * @param {Buffer} block The block to start from.
+     * @param {string} direction (optional) Either "backward" (the default) to walk towards
+     * the root block, or "forward" to walk towards the head block.
+     * @returns {AsyncGenerator<Object>} The blocktree objects.
+     */
+    async function* iterateChain(block, { direction } = {}) {
+        for await (const bcBlockData of blockchain.iterateChain(checkBlockHash(block),
+            { direction })) {
+            yield deserializeBlocktreeData(bcBlockData);
+        }
+    }
+
     /**
      * Scans through all blocks in the system and returns all matching blocks.
      * @param {Function} fn The predicate function.
      * @returns {Promise<Array>} The matching blocks.
      */
     async function findAllInBlocks(fn) {
-        return (await blockchain.mapInBlocks((data) => deserializeBlocktreeData(data)))
-            .filter(fn);
+        const result = [];
+        for await (const btBlockData of iterateBlocks()) {
+            if (fn(btBlockData)) {
+                result.push(btBlockData);
+            }
+        }
+        return result;
     }
 
     /**
@@ -191,20 +261,48 @@ module.exports = function blocktreeLayerFactory({ blockchain, cache }) {
     }
 
     /**
-     * Given a block, locates all child root blocks.
+     * Given a block, iterates through all child root blocks.
      * @param {Buffer} block The block to start from.
-     * @returns {Promise<Array>} Block data for all child root blocks.
+     * @returns {AsyncGenerator<Object>} Block data for all child root blocks.
      */
-    async function performChildScan(block) {
+    async function* iterateChildren(block) {
         const blockHash = checkBlockHash(block);
         const cached = await cache.readCache(blockHash, constants.cache.childBlocks);
         if (cached && Array.isArray(cached)) {
-            return Promise.all(cached.map(readBlock));
+            for (let i = 0; i < cached.length; i += 1) {
+                yield readBlock(cached[i]);
+            }
+            return;
+        }
+        const indexed = await blockchain.readIndex(constants.storageIndex.children, blockHash);
+        if (indexed) {
+            for (let i = 0; i < indexed.length; i += 1) {
+                yield readBlock(indexed[i]);
+            }
+            return;
+        }
+        const result = [];
+        for await (const btBlockData of iterateBlocks()) {
+            if (btBlockData.prev === null && btBlockData.parent
+                && Buffer.compare(btBlockData.parent, blockHash) === 0) {
+                result.push(btBlockData.hash);
+                yield btBlockData;
+            }
+        }
+        // only cache the children once every block has been scanned.
+        await cache.writeCache(blockHash, constants.cache.childBlocks, result);
+    }
+
+    /**
+     * Given a block, locates all child root blocks.
+     * @param {Buffer} block The block to start from.
+     * @returns {Promise<Array>} Block data for all child root blocks.
+     */
+    async function performChildScan(block) {
+        const result = [];
+        for await (const btBlockData of iterateChildren(block)) {
+            result.push(btBlockData);
         }
-        const result = await findAllInBlocks((b) => b.prev === null
-         && b.parent && blockHash && Buffer.compare(b.parent, blockHash) === 0);
-        await cache.writeCache(blockHash, constants.cache.childBlocks,
-            result.map((i) => i.hash));
         return result;
     }
 
@@ -217,6 +315,35 @@ module.exports = function blocktreeLayerFactory({ blockchain, cache }) {
         return blockchain.getNextBlock(checkBlockHash(block));
     }
 
+    /**
+     * Given a block, reports every fork in its blockchain, along with the branches at each fork.
+     * @param {Buffer} block Any block in the blockchain.
+     * @returns {Promise<Object>} A fork report.
+     */
+    async function detectForks(block) {
+        return blockchain.detectForks(checkBlockHash(block));
+    }
+
+    /**
+     * Resolves a fork by selecting the canonical branch.
+     * @param {Buffer} block The block which has been forked.
+     * @param {Buffer} next The first block of the canonical branch.
+     * @returns {Promise<string>} The head block of the canonical branch.
+     */
+    async function resolveFork({ block, next }) {
+        return blockchain.resolveFork({ block: checkBlockHash(block), next });
+    }
+
+    /**
+     * Runs the function while holding the write lock for the blockchain containing the block.
+     * @param {Buffer} block Any block in the blockchain, or null.
+     * @param {Function} fn The async function to run.
+     * @returns {Promise} The result of the function.
+     */
+    async function withChainLock(block, fn) {
+        return blockchain.withChainLock(block, fn);
+    }
+
     /**
      * Given a block, locates the root block of the blockchain.
      * If block is null, retries the root of the blocktree.
@@ -282,6 +409,312 @@ module.exports = function blocktreeLayerFactory({ blockchain, cache }) {
         return { isValid: true, blockCount };
     }
 
+    /**
+     * @private
+     * Computes a deterministic digest over a set of blockchains, where each blockchain is
+     * summarized by its parent, root and head blocks as well as the digests of its children.
+     * @param {Array} chains The list of { parent, root, head } for every blockchain.
+     * @returns {Buffer} The digest, or null if there are no blockchains.
+     */
+    function digestChains(chains) {
+        const byRoot = {};
+        const children = {};
+        chains.forEach((chain) => { byRoot[chain.root.toString('hex')] = chain; });
+        chains.forEach((chain) => {
+            const key = chain.parentChain && byRoot[chain.parentChain.toString('hex')]
+                ? chain.parentChain.toString('hex') : 'top';
+            children[key] = children[key] || [];
+            children[key].push(chain);
+        });
+        const sortByRoot = (list) => [...(list || [])]
+            .sort((a, b) => Buffer.compare(a.root, b.root));
+        const digestChain = (chain) => generateHash(Buffer.concat([
+            checkBlockHash(chain.parent),
+            chain.root,
+            chain.head,
+            ...sortByRoot(children[chain.root.toString('hex')]).map(digestChain),
+        ]));
+        const top = sortByRoot(children.top);
+        if (top.length === 0) {
+            return null;
+        }
+        return generateHash(Buffer.concat(top.map(digestChain)));
+    }
+
+    /**
+     * @private
+     * Given the root block of a blockchain, locates the root block of its parent blockchain.
+     * @param {Object} rootBlock The root block of the blockchain.
+     * @returns {Promise<Buffer>} The root block of the parent blockchain, or null.
+     */
+    async function getParentChain(rootBlock) {
+        if (!rootBlock.parent) {
+            return null;
+        }
+        return blockchain.getRootBlock(rootBlock.parent, { validate: false });
+    }
+
+    /**
+     * Computes an anchor hash which summarizes the current state of the entire blocktree.
+     * The anchor covers the head block of every blockchain, organized by the parent/child
+     * structure of the blocktree, so any change to an existing block changes the anchor.
+     * @returns {Promise<Object>} The anchor, as { anchor, timestamp, chains }.
+     */
+    async function computeTreeAnchor() {
+        const roots = await findAllInBlocks((b) => b.prev === null);
+        const chains = [];
+        let timestamp = constants.timestamp.zero;
+        for (let i = 0; i < roots.length; i += 1) {
+            const head = await getHeadBlock(roots[i].hash);
+            const headBlock = await readBlock(head);
+            if (headBlock.timestamp > timestamp) {
+                timestamp = headBlock.timestamp;
+            }
+            chains.push({
+                parent: roots[i].parent,
+                parentChain: await getParentChain(roots[i]),
+                root: roots[i].hash,
+                head,
+            });
+        }
+        return { anchor: digestChains(chains), timestamp, chains };
+    }
+
+    /**
+     * @private
+     * Converts a recorded tree anchor into binary data.
+     * @param {BigInt} seq The position of the anchor in the anchor history.
+     * @param {Object} record The tree anchor.
+     * @returns {Buffer} The binary data.
+     */
+    function serializeTreeAnchor(seq, { anchor, timestamp, chains }) {
+        return Buffer.concat([
+            fromInt64(seq, 'seq'),
+            fromInt64(timestamp, 'timestamp'),
+            checkBlockHash(anchor),
+            fromInt32(chains.length, 'chains'),
+            ...chains.map(({
+                parent, parentChain, root, head,
+            }) => Buffer.concat([
+                checkBlockHash(parent),
+                checkBlockHash(parentChain),
+                root,
+                head,
+            ])),
+        ]);
+    }
+
+    /**
+     * @private
+     * Converts binary data into a recorded tree anchor.
+     * @param {Buffer} data The binary data.
+     * @returns {Object} The tree anchor, as { anchor, timestamp, chains }.
+     */
+    function deserializeTreeAnchor(data) {
+        const readHash = (index) => {
+            const result = data.slice(index, index + constants.size.hash);
+            return Buffer.compare(result, constants.block.zero) === 0 ? null : result;
+        };
+        let index = constants.size.int64 * 2;
+        const timestamp = toInt64(data, constants.size.int64);
+        const anchor = readHash(index);
+        index += constants.size.hash;
+        const count = toInt32(data, index);
+        index += constants.size.int32;
+        const chains = [];
+        for (let i = 0; i < count; i += 1) {
+            chains.push({
+                parent: readHash(index),
+                parentChain: readHash(index + constants.size.hash),
+                root: readHash(index + constants.size.hash * 2),
+                head: readHash(index + constants.size.hash * 3),
+            });
+            index += constants.size.hash * 4;
+        }
+        return { anchor, timestamp, chains };
+    }
+
+    /**
+     * Computes the current tree anchor and adds it to the anchor history.
+     * @returns {Promise<Object>} The recorded anchor.
+     */
+    async function recordTreeAnchor() {
+        const result = await computeTreeAnchor();
+        // the position makes every entry distinct, even if the blocktree has not changed.
+        const seq = BigInt(await anchors.countInStorage()) + 1n;
+        const data = serializeTreeAnchor(seq, result);
+        await anchors.writeStorage(generateHash(data), data);
+        return result;
+    }
+
+    /**
+     * Retrieves all tree anchors which have been recorded.
+     * @returns {Promise<Array>} The recorded anchors, oldest first.
+     */
+    async function getTreeAnchorHistory() {
+        return anchors.mapInStorage(deserializeTreeAnchor);
+    }
+
+    /**
+     * Given a previously computed tree anchor, checks that every head block it covers is still
+     * present and unchanged in the blocktree, and that the anchor can be recomputed from them.
+     * @param {Object} record The tree anchor to verify.
+     * @returns {Promise<Object>} A validation report.
+     */
+    async function verifyTreeAnchor(record) {
+        const chains = [];
+        for (let i = 0; i < record.chains.length; i += 1) {
+            const { root, head } = record.chains[i];
+            const rootBlock = await readBlock(root, { validate: false });
+            if (!rootBlock || !(await readBlock(head, { validate: false }))) {
+                return {
+                    isValid: false,
+                    reason: constants.validation.missingBlock,
+                    block: rootBlock ? head : root,
+                };
+            }
+            const headRoot = await blockchain.getRootBlock(head, { validate: false });
+            if (rootBlock.prev || !headRoot || Buffer.compare(headRoot, root) !== 0) {
+                return {
+                    isValid: false,
+                    reason: constants.validation.invalidRootBlock,
+                    block: head,
+                };
+            }
+            chains.push({
+                parent: rootBlock.parent,
+                parentChain: await getParentChain(rootBlock),
+                root,
+                head,
+            });
+        }
+        const anchor = digestChains(chains);
+        if (!anchor || !record.anchor || Buffer.compare(anchor, record.anchor) !== 0) {
+            return { isValid: false, reason: constants.validation.anchorMismatch };
+        }
+        return { isValid: true, chainCount: chains.length };
+    }
+
+    /**
+     * Given a block, lists the root blocks of its blockchain and every blockchain which
+     * descends from it. If no block is provided, every blockchain in the blocktree is listed.
+     * @param {Buffer} block (optional) Any block in the blockchain at the top of the subtree.
+     * @returns {Promise<Array>} The root blocks, with parents always before their children.
+     */
+    async function listChains(block = null) {
+        // collect the child blockchains of every block in a single pass.
+        const children = {};
+        const pending = block ? [await getRootBlock(block)] : [];
+        for await (const btBlockData of iterateBlocks()) {
+            if (!btBlockData.prev && btBlockData.parent) {
+                const key = btBlockData.parent.toString('hex');
+                children[key] = [...(children[key] || []), btBlockData.hash];
+            } else if (!btBlockData.prev && !block) {
+                pending.push(btBlockData.hash);
+            }
+        }
+
+        const result = [];
+        while (pending.length > 0) {
+            const chain = pending.shift();
+            result.push(chain);
+            for await (const btBlockData of iterateChain(chain,
+                { direction: constants.direction.forward })) {
+                pending.push(...(children[btBlockData.hash.toString('hex')] || []));
+            }
+        }
+        return result;
+    }
+
+    /**
+     * @private
+     * Given a block, lists the root blocks of the blockchains to export: every blockchain
+     * which the block's blockchain descends from, then the block's blockchain and every
+     * blockchain which descends from it.
+     * @param {Buffer} block Any block in the subtree to export.
+     * @param {boolean} ancestors Whether or not to include the ancestor blockchains.
+     * @returns {Promise<Array>} The root blocks, with parents always before their children.
+     */
+    async function getExportChains(block, ancestors) {
+        const result = [];
+        if (ancestors) {
+            let { parent } = await readBlock(await getRootBlock(block));
+            while (parent) {
+                const parentRoot = await getRootBlock(parent);
+                result.unshift(parentRoot);
+                ({ parent } = await readBlock(parentRoot));
+            }
+        }
+        return [...result, ...(await listChains(block))];
+    }
+
+    /**
+     * Writes a subtree of the blocktree to a portable archive, which can be loaded into another
+     * blocktree using importTree(). The archive contains the raw bytes of every block in the
+     * subtree, and is checked using a digest of its contents.
+     * @param {Buffer} block Any block in the blockchain at the top of the subtree.
+     * @param {Writable} stream The stream to write the archive to, which is not closed.
+     * @param {boolean} ancestors (optional) Whether or not to include the blockchains above the
+     * subtree (default false), which are required to import the archive into an empty blocktree.
+     * @returns {Promise<Object>} The number of blocks exported and the archive digest.
+     */
+    async function exportTree(block, stream, { ancestors = false } = {}) {
+        const blocks = [];
+        const chains = await getExportChains(checkBlockHash(block), ancestors);
+        for (let i = 0; i < chains.length; i += 1) {
+            for await (const btBlockData of iterateChain(chains[i],
+                { direction: constants.direction.forward })) {
+                blocks.push(btBlockData.hash);
+            }
+        }
+        const digest = await writeArchive(stream, blocks, readRawBlock);
+        return { count: blocks.length, digest };
+    }
+
+    /**
+     * Begins a transaction, which stages all written blocks until it is committed.
+     * @returns {Promise<Object>} A blocktree layer for the transaction, with commit() and abort().
+     */
+    async function beginTransaction() {
+        const txBlockchain = await blockchain.beginTransaction();
+        const txCache = transactionCacheFactory({ cache });
+        return {
+            ...blocktreeLayerFactory({
+                blockchain: txBlockchain, cache: txCache, anchorStorage: anchors,
+            }),
+            getStagedBlocks: async () => txBlockchain.getStagedBlocks(),
+            commit: async () => {
+                const result = await txBlockchain.commit();
+                await txCache.commit();
+                return result;
+            },
+            abort: async () => {
+                await txBlockchain.abort();
+                await txCache.abort();
+            },
+        };
+    }
+
+    /**
+     * Loads the blocks from an archive created by exportTree(). Every block is checked against
+     * its hash and the archive digest, and the blocks are written in a single transaction,
+     * so nothing is written if the archive is invalid or has been tampered with.
+     * @param {Readable} stream The stream to read the archive from.
+     * @returns {Promise<Array>} The blocks which were added, excluding any already present.
+     */
+    async function importTree(stream) {
+        const transaction = await beginTransaction();
+        try {
+            for await (const { raw } of readArchive(stream)) {
+                await transaction.writeRawBlock(raw);
+            }
+            return await transaction.commit();
+        } catch (err) {
+            await transaction.abort();
+            throw err;
+        }
+    }
+
     /**
      * Handles CLI requests.
      * @param {object} env The CLI environment context.
@@ -321,6 +754,28 @@ module.exports = function blocktreeLayerFactory({ blockchain, cache }) {
             });
             return true;
         }
+        case 'compute-tree-anchor': {
+            await env.println(await recordTreeAnchor());
+            return true;
+        }
+        case 'tree-anchor-history': {
+            await env.println(await getTreeAnchorHistory());
+            return true;
+        }
+        case 'export-tree': {
+            await env.resolveBlock(parameters[0], listBlocks, async (block) => {
+                const stream = fs.createWriteStream(parameters[1]);
+                const result = await exportTree(block, stream,
+                    { ancestors: parameters[2] === 'ancestors' });
+                await new Promise((resolve) => stream.end(resolve));
+                await env.println(result);
+            });
+            return true;
+        }
+        case 'import-tree': {
+            await env.println(await importTree(fs.createReadStream(parameters[0])));
+            return true;
+        }
         default:
             return false;
         }
@@ -331,19 +786,34 @@ module.exports = function blocktreeLayerFactory({ blockchain, cache }) {
         writeBlock,
         readBlockBytes,
         readRawBlock,
+        writeRawBlock,
         listBlocks,
         countBlocks,
         findInBlocks,
         mapInBlocks,
+        iterateBlocks,
+        iterateChain,
+        iterateChildren,
         performParentScan,
         performChildScan,
         getHeadBlock,
         getRootBlock,
         getParentBlock,
         getNextBlock,
+        detectForks,
+        resolveFork,
+        withChainLock,
         validateBlocktree,
+        computeTreeAnchor,
+        recordTreeAnchor,
+        getTreeAnchorHistory,
+        verifyTreeAnchor,
+        listChains,
+        exportTree,
+        importTree,
         serializeBlocktreeData,
         deserializeBlocktreeData,
+        beginTransaction,
         handleCommand,
     };
 };
@@ -0,0 +1,266 @@
+/* eslint-disable no-await-in-loop */
+const constants = require('../../constants');
+const { deserializeSignatures, deserializeKeyFromSignature } = require('./serialization');
+
+/**
+ * Secure Blocktree Audit API.
+ */
+module.exports = function secureBlocktreeAuditFactory({ context, blocktree }) {
+    /**
+     * Validates the signature and key authorization of a single secure block, using the keys
+     * which were active when the block was written.
+     * @param {Object} secureBlock The secure block to validate.
+     * @returns {Promise<Object>} A validation report.
+     */
+    async function validateSecureBlock(secureBlock) {
+        const {
+            hash, type, sig, parent, prev, timestamp, data,
+        } = secureBlock;
+
+        // only the root block is allowed to be written without a signature.
+        if (!parent) {
+            if (prev || type !== constants.blockType.root) {
+                return {
+                    isValid: false, reason: constants.validation.invalidRootBlock, block: hash,
+                };
+            }
+            return { isValid: true };
+        }
+
+        // every signature must be valid, and signed by an authorized key.
+        const signatures = sig ? deserializeSignatures(sig) : [];
+        const operation = context.getBlockOperation(secureBlock);
+        const keys = [];
+        for (let i = 0; i < signatures.length; i += 1) {
+            const signatureKey = deserializeKeyFromSignature(signatures[i]);
+            if (!signatureKey || !(await context.verifySignedBlock({
+                sig: signatures[i], key: signatureKey, parent, prev, allowLegacy: true,
+            }))) {
+                return {
+                    isValid: false, reason: constants.validation.invalidSignature, block: hash,
+                };
+            }
+
+            const keySeek = await context.performKeySeek({
+                block: constants.prevSignedBlockTypes.includes(type) ? (prev || parent) : parent,
+                action: constants.action.write,
+                key: signatureKey,
+                asOf: timestamp,
+            });
+            if (!keySeek) {
+                return {
+                    isValid: false,
+                    reason: constants.validation.unauthorizedKey,
+                    block: hash,
+                    key: signatureKey,
+                };
+            }
+            if (!(await context.isOperationPermitted({ keySeek, operation, asOf: timestamp }))) {
+                return {
+                    isValid: false,
+                    reason: constants.validation.permissionDenied,
+                    block: hash,
+                    key: signatureKey,
+                    operation,
+                };
+            }
+            if (!keys.some((existing) => Buffer.compare(existing, signatureKey) === 0)) {
+                keys.push(signatureKey);
+            }
+        }
+        if (keys.length === 0) {
+            return { isValid: false, reason: constants.validation.invalidSignature, block: hash };
+        }
+
+        // the policy which was active when the block was written must have been satisfied.
+        const required = await context.getRequiredSignatures({
+            operation, prev, parent, asOf: timestamp,
+        });
+        if (keys.length < required) {
+            return {
+                isValid: false,
+                reason: constants.validation.quorumNotMet,
+                block: hash,
+                required,
+                count: keys.length,
+            };
+        }
+        const [key] = keys;
+
+        // keys must be signed by their parent key, which must also be authorized.
+        if (type === constants.blockType.key && (!data.parentKey
+            || Buffer.compare(data.parentKey, key) !== 0
+            || !(await context.validateParentKey({
+                block: prev, key: data.parentKey, asOf: timestamp, noThrow: false,
+            })))) {
+            return {
+                isValid: false, reason: constants.validation.invalidParentKey, block: hash, key,
+            };
+        }
+        return { isValid: true };
+    }
+
+    /**
+     * @private
+     * Reads every block in storage, reporting any block which cannot be read.
+     * @param {Array} violations The list of violations to add to.
+     * @returns {Promise<Object>} The blocks which were read, keyed by hash.
+     */
+    async function readAllBlocks(violations) {
+        const blocks = {};
+        const keys = await blocktree.listBlocks();
+        for (let i = 0; i < keys.length; i += 1) {
+            const raw = await blocktree.readRawBlock(keys[i]);
+            try {
+                const block = raw ? await blocktree.readBlockBytes(raw) : null;
+                if (!block) {
+                    throw new Error('The block hash does not match the stored data.');
+                }
+                blocks[keys[i].toString('hex')] = { block, raw };
+            } catch (err) {
+                violations.push({
+                    reason: constants.validation.invalidHash, block: keys[i], error: err.message,
+                });
+            }
+        }
+        return blocks;
+    }
+
+    /**
+     * Checks every block and blockchain in the database, including hashes, sequence numbers,
+     * timestamps, missing blocks, forks, orphan blocks, signatures and key authorization.
+     * @returns {Promise<Object>} An audit report, with a list of every violation found.
+     */
+    async function auditDatabase() {
+        const violations = [];
+        const blocks = await readAllBlocks(violations);
+        const hashes = Object.keys(blocks);
+
+        // 1) check each block against its previous and parent blocks.
+        const nextBlocks = {};
+        const roots = [];
+        hashes.forEach((hex) => {
+            const { block } = blocks[hex];
+            if (!block.prev) {
+                if (block.seq !== 1n) {
+                    violations.push({
+                        reason: constants.validation.invalidSequence, block: block.hash,
+                    });
+                }
+                if (!block.parent) {
+                    roots.push(block);
+                }
+            } else {
+                const prevHex = block.prev.toString('hex');
+                nextBlocks[prevHex] = [...(nextBlocks[prevHex] || []), block.hash];
+                const prevData = blocks[prevHex];
+                if (!prevData) {
+                    violations.push({
+                        reason: constants.validation.missingBlock,
+                        block: block.hash,
+                        prev: block.prev,
+                    });
+                } else {
+                    if (block.seq !== prevData.block.seq + 1n) {
+                        violations.push({
+                            reason: constants.validation.invalidSequence, block: block.hash,
+                        });
+                    }
+                    if (block.timestamp < prevData.block.timestamp) {
+                        violations.push({
+                            reason: constants.validation.invalidTimestamp, block: block.hash,
+                        });
+                    }
+                }
+            }
+            if (block.parent && !blocks[block.parent.toString('hex')]) {
+                violations.push({
+                    reason: constants.validation.missingParentBlock,
+                    block: block.hash,
+                    parent: block.parent,
+                });
+            }
+        });
+
+        // 2) two blocks sharing the same previous block indicates a fork.
+        Object.keys(nextBlocks).filter((hex) => nextBlocks[hex].length > 1).forEach((hex) => {
+            violations.push({
+                reason: constants.validation.fork,
+                block: Buffer.from(hex, 'hex'),
+                next: nextBlocks[hex],
+            });
+        });
+
+        // 3) there can only be one root block; the earliest one is treated as the root.
+        roots.sort((a, b) => {
+            if (a.timestamp === b.timestamp) {
+                return 0;
+            }
+            return a.timestamp < b.timestamp ? -1 : 1;
+        });
+        roots.slice(1).forEach((block) => {
+            violations.push({ reason: constants.validation.invalidRootBlock, block: block.hash });
+        });
+
+        // 4) every block must be reachable from the root block through prev and parent links.
+        const attached = {};
+        const isAttached = (start) => {
+            // follow the links until the root or a block with a known result is found.
+            const path = new Set();
+            let hex = start;
+            while (hex && attached[hex] === undefined && !path.has(hex)) {
+                path.add(hex);
+                const { block } = blocks[hex] || {};
+                const link = block && (block.prev || block.parent);
+                hex = link ? link.toString('hex') : null;
+            }
+            const last = blocks[[...path].pop()];
+            const result = hex ? attached[hex] === true : !!last && last.block === roots[0];
+            path.forEach((i) => { attached[i] = result; });
+            return attached[start];
+        };
+        hashes.filter((hex) => !isAttached(hex)).forEach((hex) => {
+            violations.push({
+                reason: constants.validation.orphanBlock, block: blocks[hex].block.hash,
+            });
+        });
+
+        // 5) check the signature and key authorization of every reachable block.
+        const reachable = hashes.filter((hex) => attached[hex]);
+        for (let i = 0; i < reachable.length; i += 1) {
+            const { block, raw } = blocks[reachable[i]];
+            try {
+                const result = await validateSecureBlock(await context.readBlockBytes(raw));
+                if (!result.isValid) {
+                    const { isValid, ...violation } = result;
+                    if (violation.key) {
+                        // report who signed the block, rather than only the key.
+                        const { signers } = await context.resolveSigner(block.hash);
+                        const signer = signers
+                            .find((j) => Buffer.compare(j.key, violation.key) === 0) || {};
+                        violation.identity = signer.identity || null;
+                        violation.signer = signer.name || null;
+                    }
+                    violations.push(violation);
+                }
+            } catch (err) {
+                violations.push({
+                    reason: constants.validation.invalidBlock,
+                    block: block.hash,
+                    error: err.message,
+                });
+            }
+        }
+
+        return {
+            isValid: violations.length === 0,
+            blockCount: hashes.length,
+            violations,
+        };
+    }
+
+    return {
+        validateSecureBlock,
+        auditDatabase,
+    };
+};
@@ -1,7 +1,8 @@
 const constants = require('../../constants');
-const { deserializeKeyFromSignature } = require('./serialization');
+const { deserializeKeyFromSignature, isEncryptedData } = require('./serialization');
+const { isKeyAllowed } = require('../../utils/crypto');
 const {
-    InvalidSignatureError, InvalidBlockError, InvalidRootError,
+    InvalidSignatureError, InvalidBlockError, InvalidKeyError, InvalidRootError, WriteConflictError,
 } = require('../../errors');
 
 /**
@@ -10,6 +11,54 @@ const {
 module.exports = function secureBlocktreeBlockTypesFactory({
     context, blocktree, secureCache,
 }) {
+    /**
+     * @private
+     * Locks the blockchain containing the block, then runs the function using its head block.
+     * @param {Buffer} block Any block in the blockchain, or null.
+     * @param {Buffer} expectedHead (optional) The head block the caller expects. If another block
+     * has been added since, a write conflict error is thrown instead of adding a block.
+     * @param {Function} fn The async function to run, which receives the head block.
+     * @returns {Promise} The result of the function.
+     */
+    async function withHeadBlock(block, expectedHead, fn) {
+        return blocktree.withChainLock(block, async () => {
+            const prev = block ? await blocktree.getHeadBlock(block) : block;
+            if (expectedHead && (!prev || Buffer.compare(prev, expectedHead) !== 0)) {
+                throw new WriteConflictError({ block, expectedHead, head: prev },
+                    constants.layer.secureBlocktree);
+            }
+            return fn(prev);
+        });
+    }
+
+    /**
+     * @private
+     * Ensures that a key is not granted any permissions which the signing key does not have.
+     * @param {Buffer} block The block the key is being added to.
+     * @param {Buffer} parent The parent block, where the signing key is found.
+     * @param {Buffer} parentKey The signing key.
+     * @param {Array<string>} roles The roles being granted to the key.
+     * @param {string} operation The operation granting the roles.
+     */
+    async function validateGrantedPermissions({
+        block, parent, parentKey, roles, operation,
+    }) {
+        const allowed = await context.getKeyPermissions({
+            keySeek: await context.performKeySeek({
+                block: parent, action: constants.action.write, key: parentKey,
+            }),
+        });
+        if (allowed === null) {
+            return;
+        }
+        const granted = await context.getKeyPermissions({ keySeek: { block, roles } });
+        if (granted === null || granted.some((permission) => !allowed.includes(permission))) {
+            throw new InvalidSignatureError({
+                block, key: parentKey, operation, roles,
+            }, InvalidSignatureError.reasons.permissionDenied);
+        }
+    }
+
     /**
      * Writes a new key to the specified blockchain.
      * @param {Buffer} sig The signature to use.
@@ -18,41 +67,61 @@ module.exports = function secureBlocktreeBlockTypesFactory({
      * @param {string} action The action to assign to the key.
      * @param {BigInt} tsInit The initializion timestamp for the key.
      * @param {BigInt} tsExp The expiration timestamp for the key.
+     * @param {Array<string>} roles (optional) The roles to grant the key, which restrict the
+     * operations it can perform. A key cannot be granted permissions that the signing key does
+     * not have.
+     * @param {Buffer} expectedHead (optional) The expected head block of the blockchain.
      * @returns {Promise<string>} The new block.
      */
     async function addKey({
-        sig, block, key, action, tsInit, tsExp,
+        sig, block, key, action, tsInit, tsExp, roles, expectedHead,
     }) {
         const type = constants.blockType.key;
         const init = tsInit !== undefined ? tsInit : constants.timestamp.zero;
         const exp = tsExp !== undefined ? tsExp : constants.timestamp.max;
-        const prev = block ? await blocktree.getHeadBlock(block) : block;
-        let parent = null;
-        let signature = null;
-        let parentKey = null;
-
-        // if attempting to initialize the root...
-        if (sig === null && prev === null && parentKey === null) {
-            // there can only be one root key in the system.
-            if (await blocktree.countBlocks() > 0n) {
-                throw new InvalidRootError();
-            }
-        } else {
-            // validate the provided signature, the key, and the parent value.
-            parent = await context.validateParentBlock({ prev, type });
-            signature = await context.validateSignature({ sig, prev, parent });
-            parentKey = deserializeKeyFromSignature(signature);
-            await context.validateParentKey({ block: prev, key: parentKey });
+        const operation = context.getBlockOperation({ type, data: { tsInit: init, tsExp: exp } });
+        // weak keys can still be revoked, but cannot be added.
+        if (operation === 'addKey' && !isKeyAllowed(key)) {
+            throw new InvalidKeyError({ key });
         }
+        return withHeadBlock(block, expectedHead, async (prev) => {
+            let parent = null;
+            let signature = null;
+            let parentKey = null;
 
-        return context.writeSecureBlock({
-            sig: signature,
-            parent,
-            prev,
-            type,
-            data: {
-                parentKey, key, action, tsInit: init, tsExp: exp,
-            },
+            // if attempting to initialize the root...
+            if (sig === null && prev === null && parentKey === null) {
+                // there can only be one root key in the system.
+                if (await blocktree.countBlocks() > 0n) {
+                    throw new InvalidRootError();
+                }
+            } else {
+                // validate the provided signature, the key, and the parent value.
+                parent = await context.validateParentBlock({ prev, type });
+                signature = await context.validateSignature({
+                    sig, prev, parent, operation,
+                });
+                parentKey = deserializeKeyFromSignature(signature);
+                await context.validateParentKey({ block: prev, key: parentKey });
+                if (roles !== undefined) {
+                    await context.validateRoles({ block: prev, roles });
+                }
+                if (operation === 'addKey') {
+                    await validateGrantedPermissions({
+                        block: prev, parent, parentKey, roles, operation,
+                    });
+                }
+            }
+
+            return context.writeSecureBlock({
+                sig: signature,
+                parent,
+                prev,
+                type,
+                data: {
+                    parentKey, key, action, tsInit: init, tsExp: exp, roles,
+                },
+            });
         });
     }
 
@@ -64,16 +133,100 @@ module.exports = function secureBlocktreeBlockTypesFactory({
      * @param {string} action The action to revoke on.
      * @param {BigInt} tsInit The initializion timestamp for the key.
      * @param {BigInt} tsExp The expiration timestamp for the key.
+     * @param {Buffer} expectedHead (optional) The expected head block of the blockchain.
      * @returns {Promise<string>} The new block.
      */
     async function revokeKey({
-        sig, block, key, action,
+        sig, block, key, action, expectedHead,
     }) {
         return addKey({
             sig,
             block,
             key,
             action,
+            expectedHead,
+            tsInit: constants.timestamp.zero,
+            tsExp: constants.timestamp.zero,
+        });
+    }
+
+    /**
+     * Grants the keys of an identity access to the specified blockchain, so that an identity
+     * can be given access to other zones without adding each of its keys. Keys are added to and
+     * revoked from the identity itself, and are only accepted while active on the identity.
+     * @param {Buffer} sig The signature to use.
+     * @param {Buffer} block The block to grant access to.
+     * @param {Buffer} identity The identity to grant access.
+     * @param {string} action The action to assign to the identity's keys.
+     * @param {BigInt} tsInit The initializion timestamp for the grant.
+     * @param {BigInt} tsExp The expiration timestamp for the grant.
+     * @param {Array<string>} roles (optional) The roles to grant the identity's keys.
+     * @param {Buffer} expectedHead (optional) The expected head block of the blockchain.
+     * @returns {Promise<string>} The new block.
+     */
+    async function grantIdentity({
+        sig, block, identity, action, tsInit, tsExp, roles, expectedHead,
+    }) {
+        const type = constants.blockType.grant;
+        const init = tsInit !== undefined ? tsInit : constants.timestamp.zero;
+        const exp = tsExp !== undefined ? tsExp : constants.timestamp.max;
+        const operation = context.getBlockOperation({ type, data: { tsInit: init, tsExp: exp } });
+        const identityBlock = identity ? await blocktree.getRootBlock(identity) : null;
+        const identityData = identityBlock
+            ? await context.readSecureBlock(identityBlock) : null;
+        if (!identityData || identityData.type !== constants.blockType.identity) {
+            throw new InvalidBlockError({ block: identity },
+                InvalidBlockError.reasons.invalidIdentity, constants.layer.secureBlocktree);
+        }
+        return withHeadBlock(block, expectedHead, async (prev) => {
+            // validate the provided signature and the parent value.
+            const parent = await context.validateParentBlock({ prev, type });
+            const signature = await context.validateSignature({
+                sig, prev, parent, operation,
+            });
+            if (roles !== undefined) {
+                await context.validateRoles({ block: prev, roles });
+            }
+            if (operation === 'grantIdentity') {
+                await validateGrantedPermissions({
+                    block: prev,
+                    parent,
+                    parentKey: deserializeKeyFromSignature(signature),
+                    roles,
+                    operation,
+                });
+            }
+
+            return context.writeSecureBlock({
+                sig: signature,
+                parent,
+                prev,
+                type,
+                data: {
+                    identity: identityBlock, action, tsInit: init, tsExp: exp, roles,
+                },
+            });
+        });
+    }
+
+    /**
+     * Revokes the access of an identity to the specified blockchain.
+     * @param {Buffer} sig The signature to use.
+     * @param {Buffer} block The block to revoke access to.
+     * @param {Buffer} identity The identity to revoke.
+     * @param {string} action The action to revoke on.
+     * @param {Buffer} expectedHead (optional) The expected head block of the blockchain.
+     * @returns {Promise<string>} The new block.
+     */
+    async function revokeIdentity({
+        sig, block, identity, action, expectedHead,
+    }) {
+        return grantIdentity({
+            sig,
+            block,
+            identity,
+            action,
+            expectedHead,
             tsInit: constants.timestamp.zero,
             tsExp: constants.timestamp.zero,
         });
@@ -84,19 +237,23 @@ module.exports = function secureBlocktreeBlockTypesFactory({
      * @param {Buffer} sig The signature to use.
      * @param {Buffer} block The block to add options to.
      * @param {Object} options The key/value pairs to set.
+     * @param {Buffer} expectedHead (optional) The expected head block of the blockchain.
      * @returns {Promise<string>} The new block.
      */
     async function addOptions({
-        sig, block, options,
+        sig, block, options, expectedHead,
     }) {
         const type = constants.blockType.options;
-        // validate the provided signature and the parent value.
-        const prev = block ? await blocktree.getHeadBlock(block) : block;
-        const parent = await context.validateParentBlock({ prev, type });
-        const signature = await context.validateSignature({ sig, prev, parent });
+        return withHeadBlock(block, expectedHead, async (prev) => {
+            // validate the provided signature and the parent value.
+            const parent = await context.validateParentBlock({ prev, type });
+            const signature = await context.validateSignature({
+                sig, prev, parent, operation: 'addOptions',
+            });
 
-        return context.writeSecureBlock({
-            sig: signature, parent, prev, type, data: options,
+            return context.writeSecureBlock({
+                sig: signature, parent, prev, type, data: options,
+            });
         });
     }
 
@@ -109,29 +266,31 @@ module.exports = function secureBlocktreeBlockTypesFactory({
      * @param {Buffer} secret The secret to store.
      * @param {BigInt} tsInit The initializion timestamp for the secret.
      * @param {BigInt} tsExp The expiration timestamp for the secret.
+     * @param {Buffer} expectedHead (optional) The expected head block of the blockchain.
      * @returns {Promise<string>} The new block.
      */
     async function addSecret({
-        sig, block, key, ref, secret, tsInit, tsExp,
+        sig, block, key, ref, secret, tsInit, tsExp, expectedHead,
     }) {
         const type = constants.blockType.secret;
         const init = tsInit !== undefined ? tsInit : constants.timestamp.zero;
         const exp = tsExp !== undefined ? tsExp : constants.timestamp.max;
-        // validate the provided signature and the parent value.
-        const prev = block ? await blocktree.getHeadBlock(block) : block;
-        const parent = await context.validateParentBlock({ prev, type });
-        const signature = await context.validateSignature({
-            sig, prev, parent, requireParent: false,
-        });
+        return withHeadBlock(block, expectedHead, async (prev) => {
+            // validate the provided signature and the parent value.
+            const parent = await context.validateParentBlock({ prev, type });
+            const signature = await context.validateSignature({
+                sig, prev, parent, requireParent: false, operation: 'addSecret',
+            });
 
-        return context.writeSecureBlock({
-            sig: signature,
-            parent,
-            prev,
-            type,
-            data: {
-                key, ref, secret, tsInit: init, tsExp: exp,
-            },
+            return context.writeSecureBlock({
+                sig: signature,
+                parent,
+                prev,
+                type,
+                data: {
+                    key, ref, secret, tsInit: init, tsExp: exp,
+                },
+            });
         });
     }
 
@@ -140,21 +299,127 @@ module.exports = function secureBlocktreeBlockTypesFactory({
      * @param {Buffer} sig The signature to use.
      * @param {Buffer} block The block to add a record to.
      * @param {Object} data The key/value pairs to set.
+     * @param {Buffer} expectedHead (optional) The expected head block of the blockchain.
      * @returns {Promise<string>} The new block.
      */
     async function addRecord({
-        sig, block, data,
+        sig, block, data, expectedHead,
     }) {
         const type = constants.blockType.record;
-        // validate the provided signature and the parent value.
-        const prev = block ? await blocktree.getHeadBlock(block) : block;
-        const parent = await context.validateParentBlock({ prev, type });
-        const signature = await context.validateSignature({
-            sig, prev, parent, requireParent: false,
+        return withHeadBlock(block, expectedHead, async (prev) => {
+            // validate the provided signature and the parent value.
+            const parent = await context.validateParentBlock({ prev, type });
+            const signature = await context.validateSignature({
+                sig, prev, parent, requireParent: false, operation: 'addRecord',
+            });
+
+            // validate the record against the schema active at the head of the collection,
+            // unless it is encrypted, since it can only be decrypted by its readers.
+            const schema = await context.getActiveSchema({ block: prev });
+            if (schema && !isEncryptedData(data)) {
+                context.validateRecord({ schema, data });
+            }
+
+            const result = await context.writeSecureBlock({
+                sig: signature, parent, prev, type, data,
+            });
+            await context.indexRecord({ block: result });
+            return result;
         });
+    }
 
-        return context.writeSecureBlock({
-            sig: signature, parent, prev, type, data,
+    /**
+     * Adds a recipient to a block which is encrypted using an envelope, by adding a key wrap
+     * block to the same blockchain. The data key is decrypted using the private key of an
+     * existing recipient and encrypted for the new recipient, unless the wrapped key is provided.
+     * @param {Buffer} sig The signature to use.
+     * @param {Buffer} block The encrypted block.
+     * @param {Buffer} key The key to add as a recipient.
+     * @param {Buffer} recipientKey (optional) The key of an existing recipient.
+     * @param {PrivateKey} privateKey The private key of an existing recipient.
+     * @param {Buffer} wrappedKey (optional) The data key, already encrypted with the new key.
+     * @param {Buffer} expectedHead (optional) The expected head block of the blockchain.
+     * @returns {Promise<string>} The new block.
+     */
+    async function addRecipient({
+        sig, block, key, recipientKey, privateKey, wrappedKey, expectedHead,
+    }) {
+        const type = constants.blockType.keyWrap;
+        let recipient = { key, wrappedKey };
+        if (!wrappedKey) {
+            recipient = await context.wrapRecipientKey({
+                block, key, recipientKey, privateKey,
+            });
+        } else {
+            // ensures that the block is encrypted using an envelope.
+            await context.getEnvelopeRecipients({ block });
+        }
+        return withHeadBlock(block, expectedHead, async (prev) => {
+            // validate the provided signature and the parent value.
+            const parent = await context.validateParentBlock({ prev, type });
+            const signature = await context.validateSignature({
+                sig, prev, parent, requireParent: false, operation: 'addRecipient',
+            });
+
+            return context.writeSecureBlock({
+                sig: signature, parent, prev, type, data: { block, ...recipient },
+            });
+        });
+    }
+
+    /**
+     * Adds a schema to a collection, which all subsequent records must conform to.
+     * @param {Buffer} sig The signature to use.
+     * @param {Buffer} block The collection block to add a schema to.
+     * @param {Object} schema The field definitions for the collection.
+     * @param {Buffer} expectedHead (optional) The expected head block of the blockchain.
+     * @returns {Promise<string>} The new block.
+     */
+    async function addSchema({
+        sig, block, schema, expectedHead,
+    }) {
+        const type = constants.blockType.schema;
+        context.validateSchema(schema);
+        return withHeadBlock(block, expectedHead, async (prev) => {
+            // validate the provided signature and the parent value.
+            const parent = await context.validateParentBlock({ prev, type });
+            const signature = await context.validateSignature({
+                sig, prev, parent, operation: 'addSchema',
+            });
+
+            return context.writeSecureBlock({
+                sig: signature, parent, prev, type, data: schema,
+            });
+        });
+    }
+
+    /**
+     * Sets the policy for a blockchain, which specifies the number of signatures from distinct
+     * keys that operations on the blockchain (or creating blockchains within it) require.
+     * Operations which are not in the policy require a single signature.
+     * @param {Buffer} sig The signature to use, or an array of signatures if the current policy
+     * requires more than one.
+     * @param {Buffer} block The block to set the policy for.
+     * @param {Object} policy The number of signatures required for each operation, such as
+     * { revokeKey: 2, createZone: 2 }.
+     * @param {Buffer} expectedHead (optional) The expected head block of the blockchain.
+     * @returns {Promise<string>} The new block.
+     */
+    async function setPolicy({
+        sig, block, policy, expectedHead,
+    }) {
+        const type = constants.blockType.policy;
+        context.validatePolicy(policy);
+        return withHeadBlock(block, expectedHead, async (prev) => {
+            // validate the provided signature and the parent value.
+            const parent = await context.validateParentBlock({ prev, type });
+            const signature = await context.validateSignature({
+                sig, prev, parent, operation: 'setPolicy',
+            });
+
+            return context.writeSecureBlock({
+                sig: signature, parent, prev, type, data: policy,
+            });
         });
     }
 
@@ -202,9 +467,9 @@ module.exports = function secureBlocktreeBlockTypesFactory({
      * @returns {Promise<string>} The new block.
      */
     async function createChildBlockInternal({
-
         sig, block, type, data,
     }) {
+        const operation = context.getBlockOperation({ type, prev: null });
         if (!sig) {
             throw new InvalidSignatureError({ results: [] },
                 InvalidSignatureError.reasons.notFound);
@@ -215,7 +480,9 @@ module.exports = function secureBlocktreeBlockTypesFactory({
         }
         // validate the provided signature and the parent value.
         const parent = await context.validateParentBlock({ parent: block, type });
-        const signature = await context.validateSignature({ sig, parent, prev: null });
+        const signature = await context.validateSignature({
+            sig, parent, prev: null, operation,
+        });
 
         // create a new blockchain for the child block.
         const childBlock = await context.writeSecureBlock({
@@ -272,20 +539,33 @@ module.exports = function secureBlocktreeBlockTypesFactory({
 
     /**
      * Creates a new collection, which represents a blockchain for storing data.
-     * @param {Buffer} sig The signature to use.
+     * @param {Buffer} sig The signature to use, which must be a signing function if a schema
+     * is provided, since the schema is added as a second block.
      * @param {Buffer} block The block to add a collection to.
      * @param {string} name The name of the collection.
+     * @param {Object} schema (optional) The schema that records must conform to.
      * @returns {Promise<string>} The new block.
      */
     async function createCollection({
-        sig, block, options,
+        sig, block, options, schema,
     }) {
-        return createChildBlockInternal({
+        if (schema) {
+            context.validateSchema(schema);
+            if (!context.isSigningFunction(sig)) {
+                throw new InvalidSignatureError({ operation: 'createCollection' },
+                    InvalidSignatureError.reasons.signingFunctionRequired);
+            }
+        }
+        const result = await createChildBlockInternal({
             sig,
             block,
             type: constants.blockType.collection,
             data: options,
         });
+        if (schema) {
+            await addSchema({ sig, block: result, schema });
+        }
+        return result;
     }
 
     return {
@@ -294,6 +574,11 @@ module.exports = function secureBlocktreeBlockTypesFactory({
         addOptions,
         addSecret,
         addRecord,
+        addSchema,
+        addRecipient,
+        setPolicy,
+        grantIdentity,
+        revokeIdentity,
         createRoot,
         createZone,
         createIdentity,
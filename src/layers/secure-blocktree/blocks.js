@@ -1,3 +1,4 @@
+/* eslint-disable no-await-in-loop, no-restricted-syntax */
 const constants = require('../../constants');
 const { InvalidRootError, InvalidBlockError, InvalidSignatureError } = require('../../errors');
 const { toInt64 } = require('../../utils/convert');
@@ -7,17 +8,24 @@ const { deserializeSecureBlock } = require('./serialization');
  * Secure Blocktree Blocks API.
  */
 module.exports = function secureBlocktreeBlocksFactory({
-    blocktree, serialization,
+    blocktree, serialization, secureCache,
 }) {
     /**
      * Reads a secure block from the blocktree.
      * @param {Buffer} block The block hash to read.
+     * @param {Object} options (optional) Read options, including "asOf" to only return the
+     * block if it had been written by the specified timestamp.
      * @returns {Promise<Object>} The requested secure data.
      */
-    async function readSecureBlock(block, options) {
-        return serialization.deserializeSecureBlock(
-            await blocktree.readBlock(block, options),
+    async function readSecureBlock(block, options = {}) {
+        const { asOf, ...readOptions } = options || {};
+        const result = serialization.deserializeSecureBlock(
+            await blocktree.readBlock(block, readOptions),
         );
+        if (result && asOf !== undefined && asOf !== null && result.timestamp > asOf) {
+            return null;
+        }
+        return result;
     }
 
     /**
@@ -75,6 +83,19 @@ module.exports = function secureBlocktreeBlocksFactory({
         return blocktree.readRawBlock(block);
     }
 
+    /**
+     * Writes a subtree of the blocktree (such as a zone and everything in it) to a portable
+     * archive.
+     * @param {Buffer} block Any block in the blockchain at the top of the subtree.
+     * @param {Writable} stream The stream to write the archive to.
+     * @param {boolean} ancestors (optional) Whether or not to include the blockchains above the
+     * subtree, which are required to import the archive into an empty secure blocktree.
+     * @returns {Promise<Object>} The number of blocks exported and the archive digest.
+     */
+    async function exportTree(block, stream, { ancestors = false } = {}) {
+        return blocktree.exportTree(block, stream, { ancestors });
+    }
+
     /**
      * Given a block, scans the blocks in the system to find the next one.
      * @param {Buffer} block The block to start from.
@@ -106,10 +127,98 @@ module.exports = function secureBlocktreeBlocksFactory({
     /**
      * Given a block, finds the head block in the blockchain.
      * @param {Buffer} block The block to start with.
+     * @param {BigInt} asOf (optional) Finds the head block as of the specified timestamp.
      * @returns {Promise<string>} The head block of the blockchain.
      */
-    async function getHeadBlock(block) {
-        return blocktree.getHeadBlock(block);
+    async function getHeadBlock(block, { asOf } = {}) {
+        const head = await blocktree.getHeadBlock(block);
+        if (asOf === undefined || asOf === null) {
+            return head;
+        }
+        // walk back from the current head until a block written by the timestamp is found.
+        let current = head;
+        while (current != null) {
+            const blockData = await blocktree.readBlock(current);
+            if (blockData.timestamp <= asOf) {
+                return current;
+            }
+            current = blockData.prev;
+        }
+        return null;
+    }
+
+    /**
+     * Given a block, finds the most recent block of the specified type at or before it in the
+     * blockchain. Since the blocks before a block never change, the result is cached for the
+     * starting block, and a later search stops at the first block with a cached result, so only
+     * the blocks added since then are read.
+     * @param {Buffer} block The block to start from (usually the head block).
+     * @param {number} type The block type to find.
+     * @returns {Promise<Buffer>} The most recent block of the type, or null.
+     */
+    async function getActiveBlock({ block, type }) {
+        const name = `${constants.secureCache.activeBlock} ${type}`;
+        let result = null;
+        let current = block;
+        while (current != null) {
+            const cached = await secureCache.readCache(current, name);
+            if (cached) {
+                result = Buffer.compare(cached, constants.block.zero) === 0 ? null : cached;
+                break;
+            }
+            const secureBlock = await readSecureBlock(current);
+            if (secureBlock.type === type) {
+                result = current;
+                break;
+            }
+            current = secureBlock.prev;
+        }
+        if (block) {
+            await secureCache.writeCache(block, name, result || constants.block.zero);
+        }
+        return result;
+    }
+
+    /**
+     * Iterates through all blocks in the system, in the order they were written.
+     * @returns {AsyncGenerator<Object>} The secure blocks.
+     */
+    async function* iterateBlocks() {
+        for await (const btBlockData of blocktree.iterateBlocks()) {
+            yield serialization.deserializeSecureBlock(btBlockData);
+        }
+    }
+
+    /**
+     * Iterates through the blocks in a blockchain, starting from the specified block.
+     * @param {Buffer} block The block to start from.
+     * @param {string} direction (optional) Either "backward" (the default) to walk towards
+     * the root block, or "forward" to walk towards the head block.
+     * @param {BigInt} asOf (optional) Skips any blocks written after the specified timestamp.
+     * @returns {AsyncGenerator<Object>} The secure blocks.
+     */
+    async function* iterateChain(block, { direction, asOf } = {}) {
+        const hasAsOf = asOf !== undefined && asOf !== null;
+        for await (const btBlockData of blocktree.iterateChain(block, { direction })) {
+            if (hasAsOf && btBlockData.timestamp > asOf) {
+                if (direction === constants.direction.forward) {
+                    return;
+                }
+            } else {
+                yield serialization.deserializeSecureBlock(btBlockData);
+            }
+        }
+    }
+
+    /**
+     * Given a block, iterates through the root blocks of all child blockchains.
+     * @param {Buffer} block The block to start from.
+     * @returns {AsyncGenerator<Object>} The secure root blocks of the child blockchains.
+     */
+    async function* iterateChildren(block) {
+        for await (const btBlockData of blocktree.iterateChildren(block)) {
+            yield serialization.deserializeSecureBlock(btBlockData);
+        }
     }
 
     /**
@@ -153,10 +262,15 @@ module.exports = function secureBlocktreeBlocksFactory({
         writeSecureBlock,
         readBlockBytes,
         readRawBlock,
+        exportTree,
         getNextBlock,
         getRootBlock,
         getParentBlock,
         getHeadBlock,
+        getActiveBlock,
+        iterateBlocks,
+        iterateChain,
+        iterateChildren,
         validateParentBlock,
     };
 };
@@ -43,6 +43,10 @@ module.exports = function secureBlockTreeCommandsFactory({
             });
             return true;
         }
+        case 'audit-database': {
+            await env.println(await context.auditDatabase());
+            return true;
+        }
         default:
             return false;
         }
@@ -1,12 +1,26 @@
+/* eslint-disable no-await-in-loop */
 const constants = require('../../constants');
-const { InvalidKeyError, InvalidSignatureError } = require('../../errors');
+const { InvalidBlockError, InvalidKeyError, InvalidSignatureError } = require('../../errors');
 const { serializeSecureBlockData, deserializeSecureBlockData } = require('./serialization');
-const { verify } = require('../../utils/crypto');
+const {
+    canEncrypt, cipher, decipher, generateDataKey, verify,
+} = require('../../utils/crypto');
+
+/**
+ * @private
+ * Determines whether or not a recipient is for the specified key.
+ * @param {Object} recipient The recipient, as { key, wrappedKey }.
+ * @param {Buffer} key The key to check.
+ * @returns {boolean}
+ */
+function isRecipient(recipient, key) {
+    return Buffer.compare(recipient.key, key) === 0;
+}
 
 /**
  * Secure Blocktree Data API.
  */
-module.exports = function secureBlocktreeDataFactory({ context }) {
+module.exports = function secureBlocktreeDataFactory({ context, secureCache }) {
     /**
      * Creates encrypted block data.
      * @param {Buffer} key The public key to use for encrypting the block.
@@ -25,9 +39,155 @@ module.exports = function secureBlocktreeDataFactory({ context }) {
         };
     }
 
+    /**
+     * Creates block data which is encrypted using an envelope: the data is encrypted once using
+     * a random data key, and the data key is encrypted for each recipient key, so that any of
+     * the recipients can decrypt the data directly.
+     * @param {Buffer} block The block which the data will be added to.
+     * @param {Array<Buffer>} keys (optional) The recipient keys, or every active read key for
+     * the block (as found by performKeyScan) which can be used for encryption if not provided.
+     * @param {number} type The block type.
+     * @param {Object} data The data to encrypt.
+     * @returns {Promise<Object>} The encrypted block object.
+     */
+    async function createEnvelope({
+        block, keys, type, data,
+    }) {
+        const recipientKeys = [];
+        // keys which can only be used for signatures are skipped.
+        const candidates = keys || (await context.performKeyScan({
+            block, isRecursive: true, isActive: true, action: constants.action.read,
+        })).map((i) => i.key).filter((key) => canEncrypt(key));
+        candidates.forEach((key) => {
+            if (!recipientKeys.some((i) => Buffer.compare(i, key) === 0)) {
+                recipientKeys.push(key);
+            }
+        });
+        if (recipientKeys.length === 0 || recipientKeys.length > constants.max.byte) {
+            throw new InvalidKeyError({ block, keys: recipientKeys });
+        }
+
+        const dataKey = generateDataKey();
+        const recipients = [];
+        for (let i = 0; i < recipientKeys.length; i += 1) {
+            recipients.push({
+                key: recipientKeys[i],
+                wrappedKey: await context.encryptData(recipientKeys[i], dataKey),
+            });
+        }
+        return {
+            isEncrypted: true,
+            isEnvelope: true,
+            key: recipientKeys[0],
+            recipients,
+            encryptedData: await cipher(dataKey, serializeSecureBlockData(type, data)),
+        };
+    }
+
+    /**
+     * @private
+     * Finds the key wrap blocks for an encrypted block, which are added to the same blockchain
+     * after the encrypted block.
+     * @param {Buffer} block The encrypted block.
+     * @param {Buffer} head The head block of the blockchain.
+     * @param {Buffer} until The block to stop at.
+     * @returns {Promise<Array>} The recipients, as { key, wrappedKey }, or null if the block to
+     * stop at was not found.
+     */
+    async function readKeyWraps(block, head, until) {
+        const result = [];
+        let current = head;
+        while (current && Buffer.compare(current, until) !== 0) {
+            const secureBlock = await context.readSecureBlock(current);
+            if (secureBlock.type === constants.blockType.keyWrap
+                && Buffer.compare(secureBlock.data.block, block) === 0) {
+                const { key, wrappedKey } = secureBlock.data;
+                result.unshift({ key, wrappedKey });
+            }
+            current = secureBlock.prev;
+        }
+        return current ? result : null;
+    }
+
+    /**
+     * Finds every recipient of a block which is encrypted using an envelope, including those
+     * added later using addRecipient().
+     * @param {Buffer} block The encrypted block.
+     * @returns {Promise<Array>} The recipients, as { key, wrappedKey }.
+     */
+    async function getEnvelopeRecipients({ block }) {
+        const { data } = await context.readSecureBlock(block);
+        if (!data || !data.isEnvelope) {
+            throw new InvalidBlockError({ block }, InvalidBlockError.reasons.notAnEnvelope,
+                constants.layer.secureBlocktree);
+        }
+        // the key wrap blocks found so far are cached, along with the head block they were
+        // found from, so that only the blocks added since then need to be read.
+        const head = await context.getHeadBlock(block);
+        const cached = await secureCache.readCache(block, constants.secureCache.keyWraps);
+        let result = cached ? await readKeyWraps(block, head, cached.head) : null;
+        result = result ? [...cached.wraps, ...result] : await readKeyWraps(block, head, block);
+        await secureCache.writeCache(block, constants.secureCache.keyWraps, {
+            head, wraps: result,
+        });
+        return [...data.recipients, ...result];
+    }
+
+    /**
+     * @private
+     * Decrypts the data key of an envelope using a recipient's private key.
+     * @param {Array} recipients The recipients of the envelope.
+     * @param {Buffer} key (optional) The recipient key. If not provided, each recipient is tried.
+     * @param {PrivateKey} privateKey The private key of the recipient.
+     * @returns {Promise<Buffer>} The data key.
+     */
+    async function unwrapDataKey({ recipients, key, privateKey }) {
+        const candidates = key ? recipients.filter((i) => isRecipient(i, key)) : recipients;
+        for (let i = 0; i < candidates.length; i += 1) {
+            try {
+                return await context.decryptData(privateKey, candidates[i].wrappedKey);
+            } catch (err) {
+                // the data key was encrypted for a different key.
+            }
+        }
+        throw new InvalidKeyError({ key });
+    }
+
+    /**
+     * Encrypts the data key of an envelope for a new recipient, using the private key of an
+     * existing recipient.
+     * @param {Buffer} block The encrypted block.
+     * @param {Buffer} key The new recipient key.
+     * @param {Buffer} recipientKey (optional) The existing recipient key.
+     * @param {PrivateKey} privateKey The private key of the existing recipient.
+     * @returns {Promise<Object>} The new recipient, as { key, wrappedKey }.
+     */
+    async function wrapRecipientKey({
+        block, key, recipientKey, privateKey,
+    }) {
+        const recipients = await getEnvelopeRecipients({ block });
+        const dataKey = await unwrapDataKey({ recipients, key: recipientKey, privateKey });
+        return { key, wrappedKey: await context.encryptData(key, dataKey) };
+    }
+
+    /**
+     * Decrypts block data.
+     * @param {*} encryptedData The encrypted data, or the block data of an envelope.
+     * @param {number} type The block type.
+     * @param {PrivateKey} privateKey The private key to decrypt with.
+     * @param {Buffer} key (optional) The recipient key, for envelopes.
+     * @returns {Promise<Object>} The decrypted block data.
+     */
     async function decryptBlockData({
-        encryptedData, type, privateKey,
+        encryptedData, type, privateKey, key,
     }) {
+        if (encryptedData && encryptedData.isEnvelope) {
+            const dataKey = await unwrapDataKey({
+                recipients: encryptedData.recipients, key, privateKey,
+            });
+            return deserializeSecureBlockData(type,
+                await decipher(dataKey, encryptedData.data));
+        }
         if (!privateKey) {
             return deserializeSecureBlockData(type, encryptedData);
         }
@@ -35,6 +195,30 @@ module.exports = function secureBlocktreeDataFactory({ context }) {
         return deserializeSecureBlockData(type, data);
     }
 
+    /**
+     * Reads and decrypts the data of a block, including blocks encrypted using an envelope
+     * where the key was added as a recipient later.
+     * @param {Buffer} block The block to read.
+     * @param {Buffer} key (optional) The public key to decrypt with.
+     * @param {PrivateKey} privateKey The private key to decrypt with.
+     * @returns {Promise<Object>} The decrypted block data.
+     */
+    async function decryptSecureBlock({ block, key, privateKey }) {
+        const { type, data } = await context.readSecureBlock(block);
+        if (!data || !data.isEncrypted) {
+            return data;
+        }
+        if (!data.isEnvelope) {
+            return decryptBlockData({ encryptedData: data.data, type, privateKey });
+        }
+        return decryptBlockData({
+            encryptedData: { ...data, recipients: await getEnvelopeRecipients({ block }) },
+            type,
+            privateKey,
+            key,
+        });
+    }
+
     /**
      * Given an encrypted block, uses privilege elevation to re-encrypt data to a trusted key.
      * @param {Buffer} block The block id.
@@ -42,7 +226,9 @@ module.exports = function secureBlocktreeDataFactory({ context }) {
      * @param {Buffer} token The token from the secrets broker.
      * @param {Buffer} sig The token, signed by the trusted key.
      * @param {Object} broker The secrets broker.
-     * @returns {Promise<Buffer>} The encrypted data, encrypted with the trusted key.
+     * @returns {Promise<Buffer>} The encrypted data, encrypted with the trusted key. For blocks
+     * encrypted using an envelope, the envelope is returned with the trusted key as its only
+     * recipient, and the broker is only used if the trusted key is not already a recipient.
      */
     async function performTrustedRead({
         block, key, token, sig, broker,
@@ -59,6 +245,18 @@ module.exports = function secureBlocktreeDataFactory({ context }) {
             : blockData.data.key;
         const trustedKey = !Buffer.isBuffer(key) ? Buffer.from(key, constants.format.key) : key;
 
+        // envelopes can be read directly by any of their recipients.
+        const recipients = blockData.data.isEnvelope
+            ? await getEnvelopeRecipients({ block }) : null;
+        const toEnvelope = (recipient) => ({
+            ...blockData.data, key: recipient.key, recipients: [recipient],
+        });
+        const trustedRecipient = recipients
+            && recipients.find((i) => isRecipient(i, trustedKey));
+        if (trustedRecipient) {
+            return toEnvelope(trustedRecipient);
+        }
+
         // if we already have the required key or there's no data,
         // then we don't need to do anything.
         if (Buffer.compare(authorizedKey, trustedKey) === 0
@@ -90,18 +288,22 @@ module.exports = function secureBlocktreeDataFactory({ context }) {
         if (!seek) {
             throw new InvalidKeyError({ key: authorizedKey });
         }
-        const secrets = [blockData.data.data];
+        const secrets = [recipients ? recipients[0].wrappedKey : blockData.data.data];
 
         // use a broker to construct a secret which can be decoded by the trusted key.
         const [result] = await broker.buildTrustedSecrets({
-            token, sig, secrets, authorizedKey, trustedKey,
+            token, sig, secrets, authorizedKey, trustedKey, block,
         });
-        return result;
+        return recipients ? toEnvelope({ key: trustedKey, wrappedKey: result }) : result;
     }
 
     return {
         encryptBlockData,
+        createEnvelope,
+        getEnvelopeRecipients,
+        wrapRecipientKey,
         decryptBlockData,
+        decryptSecureBlock,
         performTrustedRead,
     };
 };
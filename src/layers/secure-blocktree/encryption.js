@@ -73,10 +73,12 @@ module.exports = function secureBlocktreeEncryptionFactory(/* { blocktree } */)
      * @param {Buffer} key The key to validate.
      * @param {Buffer} parent The parent block to validate.
      * @param {Buffer} prev The prev block to validate.
+     * @param {boolean} allowLegacy (optional) Whether or not to accept signatures without an
+     * algorithm identifier, which is only allowed for blocks which have already been written.
      * @returns {Promise<boolean>} Whether or not the signature and key are valid for the block.
      */
     async function verifySignedBlock({
-        sig, key, parent, prev,
+        sig, key, parent, prev, allowLegacy,
     }) {
         if (!sig) {
             return false;
@@ -94,6 +96,7 @@ module.exports = function secureBlocktreeEncryptionFactory(/* { blocktree } */)
             sigKey,
             signature,
             message,
+            { allowLegacy },
         ) && (!key || Buffer.compare(key, sigKey) === 0);
         return result;
     }
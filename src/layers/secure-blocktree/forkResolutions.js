@@ -0,0 +1,93 @@
+/* eslint-disable no-await-in-loop, no-restricted-syntax */
+const constants = require('../../constants');
+const noCache = require('../../cache/noCache');
+
+/**
+ * The blocktree operations which depend on fork resolutions.
+ */
+const forkedOperations = [
+    'getNextBlock',
+    'getHeadBlock',
+    'writeBlock',
+    'detectForks',
+    'beginTransaction',
+];
+
+/**
+ * Secure Blocktree Fork Resolutions API.
+ * Re-applies the fork resolution blocks in storage the first time the blocktree is used, so
+ * that an existing blocktree follows the canonical branches as soon as it is opened.
+ */
+module.exports = function secureBlocktreeForkResolutionsFactory({
+    blocktree, time, restoreForks, secureBlocktreeLayerFactory,
+}) {
+    let restoring = restoreForks === false ? Promise.resolve([]) : null;
+
+    /**
+     * @private
+     * Reads every fork resolution block in the system and applies the valid ones, oldest first.
+     * @returns {Promise<Array>} The fork resolution blocks which were applied.
+     */
+    async function readForkResolutions() {
+        // blocks are validated without waiting for the resolutions which are being restored.
+        const layer = secureBlocktreeLayerFactory({
+            blocktree, secureCache: noCache(), time, restoreForks: false,
+        });
+        const resolutions = [];
+        for await (const secureBlock of layer.iterateBlocks()) {
+            if (secureBlock.type === constants.blockType.forkResolution) {
+                resolutions.push(secureBlock);
+            }
+        }
+        resolutions.sort((a, b) => {
+            if (a.timestamp === b.timestamp) {
+                return 0;
+            }
+            return a.timestamp < b.timestamp ? -1 : 1;
+        });
+
+        const result = [];
+        for (let i = 0; i < resolutions.length; i += 1) {
+            const { hash, data } = resolutions[i];
+            if ((await layer.validateSecureBlock(resolutions[i])).isValid) {
+                await blocktree.resolveFork(data);
+                result.push(hash);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Reads every fork resolution block in the system and applies the valid ones, oldest first.
+     * @returns {Promise<Array>} The fork resolution blocks which were applied.
+     */
+    async function restoreForkResolutions() {
+        restoring = readForkResolutions().catch((err) => {
+            restoring = null;
+            throw err;
+        });
+        return restoring;
+    }
+
+    /**
+     * @private
+     * Restores the fork resolutions if they haven't been restored yet.
+     * @returns {Promise}
+     */
+    async function ensureForkResolutions() {
+        return restoring || restoreForkResolutions();
+    }
+
+    const operations = {};
+    forkedOperations.forEach((name) => {
+        operations[name] = async (...args) => {
+            await ensureForkResolutions();
+            return blocktree[name](...args);
+        };
+    });
+
+    return {
+        blocktree: { ...blocktree, ...operations },
+        restoreForkResolutions,
+    };
+};
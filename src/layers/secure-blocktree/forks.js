@@ -0,0 +1,62 @@
+/* eslint-disable no-await-in-loop */
+const constants = require('../../constants');
+const { InvalidBlockError } = require('../../errors');
+
+/**
+ * Secure Blocktree Forks API.
+ */
+module.exports = function secureBlocktreeForksFactory({ context, blocktree, forkResolutions }) {
+    /**
+     * Given a block, reports every fork in its blockchain, along with the branches at each fork.
+     * @param {Buffer} block Any block in the blockchain.
+     * @returns {Promise<Object>} A fork report.
+     */
+    async function detectForks(block) {
+        return blocktree.detectForks(block);
+    }
+
+    /**
+     * Resolves a fork by adding a signed fork resolution block to the end of the canonical
+     * branch. From then on, getNextBlock() and getHeadBlock() follow the canonical branch.
+     * @param {Buffer} sig The signature to use.
+     * @param {Buffer} block The block which has been forked.
+     * @param {Buffer} next The first block of the canonical branch.
+     * @returns {Promise<string>} The new block.
+     */
+    async function resolveFork({ sig, block, next }) {
+        const type = constants.blockType.forkResolution;
+        return blocktree.withChainLock(block, async () => {
+            const nextBlock = next
+                ? await context.readSecureBlock(next, { validate: false }) : null;
+            if (!nextBlock || !nextBlock.prev || Buffer.compare(nextBlock.prev, block) !== 0) {
+                throw new InvalidBlockError({ block, next },
+                    InvalidBlockError.reasons.invalidBranch, constants.layer.secureBlocktree);
+            }
+
+            // the resolution is signed as the next block of the canonical branch.
+            let prev = next;
+            let following = await blocktree.getNextBlock(prev);
+            while (following) {
+                prev = following;
+                following = await blocktree.getNextBlock(prev);
+            }
+            const parent = await context.validateParentBlock({ prev, type });
+            const signature = await context.validateSignature({
+                sig, prev, parent, operation: 'resolveFork',
+            });
+
+            // the resolution is only applied once it has been written.
+            const result = await context.writeSecureBlock({
+                sig: signature, parent, prev, type, data: { block, next },
+            });
+            await blocktree.resolveFork({ block, next });
+            return result;
+        });
+    }
+
+    return {
+        detectForks,
+        resolveFork,
+        restoreForkResolutions: forkResolutions.restoreForkResolutions,
+    };
+};
@@ -0,0 +1,77 @@
+/* eslint-disable no-await-in-loop */
+const constants = require('../../constants');
+const { deserializeSignatures, deserializeKeyFromSignature } = require('./serialization');
+
+/**
+ * Secure Blocktree Identities API.
+ */
+module.exports = function secureBlocktreeIdentitiesFactory({ context }) {
+    /**
+     * @private
+     * Reads the name of an identity.
+     * @param {Buffer} identity The identity block.
+     * @returns {Promise<string>} The name of the identity, or null if it is encrypted.
+     */
+    async function getIdentityName(identity) {
+        const { data } = await context.readSecureBlock(identity);
+        return (data && !data.isEncrypted && data.name) || null;
+    }
+
+    /**
+     * Finds the identity which owns a key, as seen from a block. The key is owned by an identity
+     * if it was added to the identity's blockchain, or if the identity was granted access using
+     * grantIdentity().
+     * @param {Buffer} block The block to search from.
+     * @param {Buffer} key The key to look for.
+     * @param {BigInt} asOf (optional) Searches the keys as they existed at the timestamp.
+     * @returns {Promise<Object>} The signer, as { key, identity, name }.
+     */
+    async function resolveKeyIdentity({ block, key, asOf }) {
+        // revoked keys are included, so that blocks written before revocation are attributed.
+        const found = (await context.performKeyScan({
+            block, isRecursive: true, key, asOf,
+        })).find((i) => Buffer.compare(i.key, key) === 0);
+        let identity = null;
+        if (found && found.identity) {
+            identity = found.identity;
+        } else if (found) {
+            const root = await context.getRootBlock(found.block);
+            const { type } = await context.readSecureBlock(root);
+            identity = type === constants.blockType.identity ? root : null;
+        }
+        return { key, identity, name: identity ? await getIdentityName(identity) : null };
+    }
+
+    /**
+     * Determines who signed a block, by mapping each key used to sign it to the identity which
+     * owns the key.
+     * @param {Buffer} block The block to resolve.
+     * @returns {Promise<Object>} The first signer, as { key, identity, name }, along with
+     * every signer of the block as "signers".
+     */
+    async function resolveSigner(block) {
+        const {
+            sig, type, parent, prev, timestamp,
+        } = await context.readSecureBlock(block);
+        const signers = [];
+        const signatures = sig ? deserializeSignatures(sig) : [];
+        for (let i = 0; i < signatures.length; i += 1) {
+            const key = deserializeKeyFromSignature(signatures[i]);
+            if (key) {
+                signers.push(await resolveKeyIdentity({
+                    block: constants.prevSignedBlockTypes.includes(type)
+                        ? (prev || parent) : parent,
+                    key,
+                    asOf: timestamp,
+                }));
+            }
+        }
+        const [first] = signers;
+        return { ...(first || { key: null, identity: null, name: null }), signers };
+    }
+
+    return {
+        resolveKeyIdentity,
+        resolveSigner,
+    };
+};
@@ -4,24 +4,62 @@ const sbtEncryptionFactory = require('./encryption');
 const sbtBlocksFactory = require('./blocks');
 const sbtKeysFactory = require('./keys');
 const sbtSecretsFactory = require('./secrets');
+const sbtPoliciesFactory = require('./policies');
+const sbtRolesFactory = require('./roles');
+const sbtIdentitiesFactory = require('./identities');
 const sbtSignaturesFactory = require('./signatures');
 const sbtDataFactory = require('./data');
+const sbtSchemasFactory = require('./schemas');
+const sbtIndexesFactory = require('./indexes');
 const sbtBlockTypesFactory = require('./blockTypes');
+const sbtAuditFactory = require('./audit');
+const sbtForkResolutionsFactory = require('./forkResolutions');
+const sbtForksFactory = require('./forks');
+const sbtTransactionsFactory = require('./transactions');
+const sbtRotationFactory = require('./rotation');
+const sbtReplicationFactory = require('./replication');
 const sbtCommandsFactory = require('./commands');
 
 /**
  * Blocktree Layer 3 - Secure Blocktree
+ * @param {Object} indexStorage (optional) The storage where record index entries are kept
+ * (defaults to in-memory storage).
  */
 module.exports = function secureBlocktreeLayerFactory({
-    blocktree, secureCache, time,
+    blocktree: btLayer, secureCache, time, restoreForks, isTransaction, indexStorage,
 }) {
+    const forkResolutions = sbtForkResolutionsFactory({
+        blocktree: btLayer, time, restoreForks, secureBlocktreeLayerFactory,
+    });
+    const { blocktree } = forkResolutions;
+
     let context = sbtEncryptionFactory({ blocktree });
-    context = { ...context, ...sbtBlocksFactory({ blocktree, serialization }) };
+    context = { ...context, ...sbtBlocksFactory({ blocktree, serialization, secureCache }) };
     context = { ...context, ...sbtKeysFactory({ time, context, blocktree }) };
-    context = { ...context, ...sbtSecretsFactory({ time, context, blocktree }) };
+    context = { ...context, ...sbtSecretsFactory({ time, context }) };
+    context = { ...context, ...sbtPoliciesFactory({ context }) };
+    context = { ...context, ...sbtRolesFactory({ context }) };
+    context = { ...context, ...sbtIdentitiesFactory({ context }) };
     context = { ...context, ...sbtSignaturesFactory({ context }) };
-    context = { ...context, ...sbtDataFactory({ context }) };
+    context = { ...context, ...sbtDataFactory({ context, secureCache }) };
+    context = { ...context, ...sbtSchemasFactory({ context }) };
+    context = {
+        ...context,
+        ...sbtIndexesFactory({
+            context, blocktree, indexStorage, isTransaction,
+        }),
+    };
     context = { ...context, ...sbtBlockTypesFactory({ context, blocktree, secureCache }) };
+    context = { ...context, ...sbtAuditFactory({ context, blocktree }) };
+    context = { ...context, ...sbtForksFactory({ context, blocktree, forkResolutions }) };
+    context = {
+        ...context,
+        ...sbtTransactionsFactory({
+            context, blocktree, secureCache, time, isTransaction, secureBlocktreeLayerFactory,
+        }),
+    };
+    context = { ...context, ...sbtRotationFactory({ context }) };
+    context = { ...context, ...sbtReplicationFactory({ context, blocktree }) };
     context = { ...context, ...sbtCommandsFactory({ context, blocktree }) };
 
     return context;
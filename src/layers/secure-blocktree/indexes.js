@@ -0,0 +1,519 @@
+/* eslint-disable no-await-in-loop */
+const constants = require('../../constants');
+const { InvalidRecordError } = require('../../errors');
+const { generateHash } = require('../../utils/crypto');
+const { toJson, fromJson } = require('../../utils/encoding');
+const lockFactory = require('../../utils/lock');
+const inMemoryStorageFactory = require('../../storage/inMemoryStorage');
+
+/**
+ * The operators supported in a queryRecords() "where" condition.
+ */
+const operators = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in'];
+
+/**
+ * @private
+ * Generates a lookup key for an indexed value.
+ * @param {*} value The value to generate a key for.
+ * @returns {string} The index key.
+ */
+function getValueKey(value) {
+    if (Buffer.isBuffer(value)) {
+        return `binary:${value.toString('hex')}`;
+    }
+    // integers have the same key whether they are numbers or BigInts.
+    if (typeof value === 'bigint' || Number.isInteger(value)) {
+        return `number:${BigInt(value)}`;
+    }
+    return `${typeof value}:${value}`;
+}
+
+/**
+ * @private
+ * Compares two record values for sorting and range conditions.
+ * @param {*} a The first value.
+ * @param {*} b The second value.
+ * @returns {number} A negative number, zero, or a positive number.
+ */
+function compareValues(a, b) {
+    const aMissing = a === null || a === undefined;
+    const bMissing = b === null || b === undefined;
+    if (aMissing || bMissing) {
+        return (aMissing ? 0 : 1) - (bMissing ? 0 : 1);
+    }
+    if (Buffer.isBuffer(a) && Buffer.isBuffer(b)) {
+        return Buffer.compare(a, b);
+    }
+    if (a < b) {
+        return -1;
+    }
+    return a > b ? 1 : 0;
+}
+
+/**
+ * @private
+ * Determines whether a "where" condition is a set of operators rather than a value.
+ * @param {*} condition The condition to check.
+ * @returns {boolean} Whether or not the condition contains operators.
+ */
+function isOperatorCondition(condition) {
+    return condition !== null
+        && typeof condition === 'object'
+        && !Buffer.isBuffer(condition)
+        && !Array.isArray(condition)
+        && Object.keys(condition).length > 0
+        && Object.keys(condition).every((i) => operators.includes(i));
+}
+
+/**
+ * @private
+ * Validates the operators in a "where" condition before any records are read.
+ * @param {Object} where The field values or operators to validate.
+ */
+function validateConditions(where) {
+    Object.keys(where).forEach((field) => {
+        const condition = where[field];
+        if (condition === null || typeof condition !== 'object'
+            || Buffer.isBuffer(condition) || Array.isArray(condition)) {
+            return;
+        }
+        const keys = Object.keys(condition);
+        if (!keys.some((i) => operators.includes(i))) {
+            return;
+        }
+        // operators cannot be mixed with other keys, and "in" requires a list of values.
+        if (!isOperatorCondition(condition)
+            || (condition.in !== undefined && !Array.isArray(condition.in))) {
+            throw new InvalidRecordError({ field, condition },
+                InvalidRecordError.reasons.invalidQuery);
+        }
+    });
+}
+
+/**
+ * @private
+ * Determines whether a record value matches a "where" condition.
+ * @param {*} value The record value.
+ * @param {*} condition The value or operators to match with.
+ * @returns {boolean} Whether or not the value matches.
+ */
+function isMatch(value, condition) {
+    if (!isOperatorCondition(condition)) {
+        return compareValues(value, condition) === 0;
+    }
+    return Object.keys(condition).every((op) => {
+        const expected = condition[op];
+        switch (op) {
+        case 'eq': return compareValues(value, expected) === 0;
+        case 'ne': return compareValues(value, expected) !== 0;
+        case 'gt': return value != null && compareValues(value, expected) > 0;
+        case 'gte': return value != null && compareValues(value, expected) >= 0;
+        case 'lt': return value != null && compareValues(value, expected) < 0;
+        case 'lte': return value != null && compareValues(value, expected) <= 0;
+        case 'in': return expected.some((i) => compareValues(value, i) === 0);
+        default: return false;
+        }
+    });
+}
+
+/**
+ * @private
+ * Given a "where" condition, determines which values can be looked up in an index.
+ * @param {*} condition The condition to check.
+ * @returns {Array} The values to look up, or null if the condition is not an equality check.
+ */
+function getLookupValues(condition) {
+    if (!isOperatorCondition(condition)) {
+        return [condition];
+    }
+    if (condition.eq !== undefined) {
+        return [condition.eq];
+    }
+    if (Array.isArray(condition.in)) {
+        return condition.in;
+    }
+    return null;
+}
+
+/**
+ * Secure Blocktree Indexes API.
+ * @param {Object} indexStorage (optional) The storage where index entries are kept (defaults to
+ * in-memory storage).
+ * @param {boolean} isTransaction (optional) Whether or not the layer is for a transaction, which
+ * does not keep index entries, since records are indexed by the next query once committed.
+ */
+module.exports = function secureBlocktreeIndexesFactory({
+    context, blocktree, indexStorage, isTransaction,
+}) {
+    /**
+     * @private
+     * The loaded indexes for each collection, keyed by the collection's root block.
+     */
+    const indexes = {};
+
+    /**
+     * @private
+     * The storage where index entries are kept, in the order they were written.
+     */
+    const entryStorage = indexStorage || inMemoryStorageFactory();
+    let loading = null;
+
+    /**
+     * @private
+     * Serializes writes to index storage ("entries"), and updates to the indexes of each
+     * collection ("collection:"). A writer may hold a collection lock while writing entries.
+     */
+    const locks = lockFactory();
+
+    /**
+     * @private
+     * Creates an empty index state for a collection.
+     * @param {Buffer} root The root block of the collection.
+     * @param {Array} fields The indexed fields.
+     * @returns {Object} The index state.
+     */
+    function createIndexState(root, fields) {
+        const state = {
+            head: root, fields, records: [], entries: {}, values: {},
+        };
+        fields.forEach((field) => {
+            state.entries[field] = {};
+            state.values[field] = [];
+        });
+        return state;
+    }
+
+    /**
+     * @private
+     * Adds a record to the loaded index state for a collection.
+     * @param {Object} state The index state.
+     * @param {Object} entry The record, as { block, timestamp, values }.
+     */
+    function addToIndex(state, { block, timestamp, values }) {
+        state.records.push({ block, timestamp });
+        state.fields.forEach((field) => {
+            const value = values[field];
+            state.values[field].push(value === null ? undefined : value);
+            if (value === null || value === undefined) {
+                return;
+            }
+            const key = getValueKey(value);
+            const entries = state.entries[field];
+            entries[key] = entries[key] || [];
+            entries[key].push(state.records.length - 1);
+        });
+    }
+
+    /**
+     * @private
+     * Determines whether two index states contain the same fields and records.
+     * @param {Object} a The first index state.
+     * @param {Object} b The second index state.
+     * @returns {boolean} Whether or not the index states are the same.
+     */
+    function isSameIndex(a, b) {
+        return a.fields.join() === b.fields.join()
+            && a.records.length === b.records.length
+            && a.records.every((i, n) => Buffer.compare(i.block, b.records[n].block) === 0);
+    }
+
+    /**
+     * @private
+     * Writes an index entry to index storage.
+     * @param {Object} entry The index entry.
+     * @returns {Promise<BigInt>} The position of the entry in index storage.
+     */
+    async function writeIndexEntry(entry) {
+        if (isTransaction) {
+            return null;
+        }
+        // the position makes every entry distinct, even if the same record is indexed again.
+        return locks.withLock('entries', async () => {
+            const seq = BigInt(await entryStorage.countInStorage()) + 1n;
+            const data = Buffer.from(toJson({ seq, ...entry }), 'utf-8');
+            await entryStorage.writeStorage(generateHash(data), data);
+            return seq;
+        });
+    }
+
+    /**
+     * @private
+     * Reads the index entries from index storage, the first time the indexes are needed.
+     * @returns {Promise}
+     */
+    async function readIndexEntries() {
+        if (!loading) {
+            loading = entryStorage.mapInStorage((data) => fromJson(data.toString('utf-8')))
+                .then((entries) => entries.forEach((entry) => {
+                    const key = entry.root.toString('hex');
+                    const state = indexes[key];
+                    // each rebuild replaces the indexes, and records are only added to the
+                    // indexes of the rebuild which they were written for.
+                    if (entry.fields) {
+                        indexes[key] = createIndexState(entry.root, entry.fields);
+                        indexes[key].version = entry.seq;
+                    } else if (state && entry.version === state.version) {
+                        addToIndex(state, entry);
+                        state.head = entry.block;
+                    }
+                }));
+        }
+        return loading;
+    }
+
+    /**
+     * @private
+     * Creates the index entry for a record.
+     * @param {Object} state The index state.
+     * @param {Buffer} block The record block.
+     * @param {Object} secureBlock The deserialized record block.
+     * @returns {Object} The index entry, as { block, timestamp, values }.
+     */
+    function createIndexEntry(state, block, { timestamp, data }) {
+        const values = {};
+        if (data && typeof data === 'object' && !data.isEncrypted && !Buffer.isBuffer(data)) {
+            state.fields.forEach((field) => {
+                if (data[field] !== null && data[field] !== undefined) {
+                    values[field] = data[field];
+                }
+            });
+        }
+        return { block, timestamp, values };
+    }
+
+    /**
+     * @private
+     * Indexes a record and records it in index storage.
+     * @param {Object} state The index state.
+     * @param {Buffer} root The root block of the collection.
+     * @param {Buffer} block The record block.
+     * @param {Object} secureBlock The deserialized record block.
+     * @returns {Promise}
+     */
+    async function indexSecureBlock(state, root, block, secureBlock) {
+        const entry = createIndexEntry(state, block, secureBlock);
+        addToIndex(state, entry);
+        await writeIndexEntry({ root, version: state.version, ...entry });
+    }
+
+    /**
+     * @private
+     * Runs the function while holding the lock for a collection's indexes, so that records are
+     * only indexed once.
+     * @param {Buffer} root The root block of the collection.
+     * @param {Function} fn The async function to run.
+     * @returns {Promise} The result of the function.
+     */
+    async function withCollectionLock(root, fn) {
+        return locks.withLock(`collection:${root.toString('hex')}`, fn);
+    }
+
+    /**
+     * @private
+     * Reads the record blocks from the head of a collection back to the specified block.
+     * @param {Buffer} head The head block of the collection.
+     * @param {Buffer} until The block to stop at, or null to read the entire collection.
+     * @returns {Promise<Object>} The record blocks in order, as { blocks, isFound }.
+     */
+    async function readRecordBlocks(head, until) {
+        const blocks = [];
+        let current = head;
+        while (current != null && !(until && Buffer.compare(current, until) === 0)) {
+            const secureBlock = await context.readSecureBlock(current);
+            if (secureBlock.type === constants.blockType.record) {
+                blocks.push({ block: current, secureBlock });
+            }
+            current = secureBlock.prev;
+        }
+        return { blocks: blocks.reverse(), isFound: current != null };
+    }
+
+    /**
+     * @private
+     * Reads the index declarations for a collection from its active schema.
+     * @param {Buffer} head The head block of the collection.
+     * @returns {Promise<Array>} The list of indexed fields.
+     */
+    async function getIndexedFields(head) {
+        const schema = await context.getActiveSchema({ block: head });
+        return (schema && Array.isArray(schema.indexes)) ? schema.indexes : [];
+    }
+
+    /**
+     * @private
+     * Rebuilds the indexes for a collection while holding the lock for its indexes. The index
+     * entries are only written again if the rebuilt indexes are different, so that index
+     * storage does not grow each time the indexes are rebuilt.
+     * @param {Buffer} root The root block of the collection.
+     * @returns {Promise<Object>} The rebuilt index state.
+     */
+    async function rebuild(root) {
+        const head = await blocktree.getHeadBlock(root);
+        const state = createIndexState(root, await getIndexedFields(head));
+        const { blocks } = await readRecordBlocks(head, null);
+        const entries = blocks.map((i) => createIndexEntry(state, i.block, i.secureBlock));
+        entries.forEach((entry) => addToIndex(state, entry));
+        state.head = head;
+
+        const key = root.toString('hex');
+        const existing = indexes[key];
+        if (existing && isSameIndex(existing, state)) {
+            existing.head = head;
+            return existing;
+        }
+        state.version = await writeIndexEntry({ root, fields: state.fields });
+        for (let i = 0; i < entries.length; i += 1) {
+            await writeIndexEntry({ root, version: state.version, ...entries[i] });
+        }
+        indexes[key] = state;
+        return state;
+    }
+
+    /**
+     * Rebuilds the indexes for a collection by reading every block in the collection.
+     * @param {Buffer} collection The collection block (or any block in the collection).
+     * @returns {Promise<Object>} The rebuilt index state.
+     */
+    async function rebuildIndexes({ collection }) {
+        await readIndexEntries();
+        const root = await blocktree.getRootBlock(collection);
+        return withCollectionLock(root, async () => rebuild(root));
+    }
+
+    /**
+     * @private
+     * Loads the indexes for a collection, catching up with any blocks added since the
+     * indexes were last loaded.
+     * @param {Buffer} root The root block of the collection.
+     * @returns {Promise<Object>} The index state.
+     */
+    async function loadIndexes(root) {
+        await readIndexEntries();
+        return withCollectionLock(root, async () => {
+            const state = indexes[root.toString('hex')];
+            if (!state) {
+                return rebuild(root);
+            }
+            const head = await blocktree.getHeadBlock(root);
+            if (Buffer.compare(head, state.head) === 0) {
+                return state;
+            }
+            const fields = await getIndexedFields(head);
+            if (fields.join() !== state.fields.join()) {
+                return rebuild(root);
+            }
+
+            // walk back to the last indexed block, then index the new blocks in order.
+            const { blocks, isFound } = await readRecordBlocks(head, state.head);
+            if (!isFound) {
+                return rebuild(root);
+            }
+            for (let i = 0; i < blocks.length; i += 1) {
+                await indexSecureBlock(state, root, blocks[i].block, blocks[i].secureBlock);
+            }
+            state.head = head;
+            return state;
+        });
+    }
+
+    /**
+     * Updates the loaded indexes for a collection after a record is added.
+     * @param {Buffer} block The record block which was added.
+     * @returns {Promise}
+     */
+    async function indexRecord({ block }) {
+        if (isTransaction) {
+            return;
+        }
+        await readIndexEntries();
+        const root = await blocktree.getRootBlock(block);
+        await withCollectionLock(root, async () => {
+            const state = indexes[root.toString('hex')];
+            if (!state) {
+                return;
+            }
+            const secureBlock = await context.readSecureBlock(block);
+            // if the indexes have fallen behind, they will be caught up on the next query.
+            if (secureBlock.prev && Buffer.compare(secureBlock.prev, state.head) === 0) {
+                await indexSecureBlock(state, root, block, secureBlock);
+                state.head = block;
+            }
+        });
+    }
+
+    /**
+     * Queries the records in a collection, using indexes where available.
+     * @param {Buffer} collection The collection block (or any block in the collection).
+     * @param {Object} where (optional) Field values or operators (eq, ne, gt, gte, lt, lte, in)
+     * that records must match.
+     * @param {*} orderBy (optional) The field to sort by, or { field, direction }.
+     * @param {number} limit (optional) The maximum number of records to return.
+     * @param {BigInt} asOf (optional) Only returns records which existed at the timestamp.
+     * @returns {Promise<Array>} The matching records, as { block, timestamp, data }.
+     */
+    async function queryRecords({
+        collection, where, orderBy, limit, asOf,
+    } = {}) {
+        const conditions = where || {};
+        validateConditions(conditions);
+        if (!collection) {
+            return [];
+        }
+        const root = await blocktree.getRootBlock(collection);
+        const state = await loadIndexes(root);
+        const fields = Object.keys(conditions);
+
+        // use an index to narrow down the candidates if possible.
+        let candidates = state.records.map((i, n) => n);
+        const indexedField = fields.find((field) => state.entries[field]
+            && getLookupValues(conditions[field]) !== null);
+        if (indexedField) {
+            const positions = new Set();
+            getLookupValues(conditions[indexedField]).forEach((value) => {
+                (state.entries[indexedField][getValueKey(value)] || [])
+                    .forEach((i) => positions.add(i));
+            });
+            candidates = [...positions].sort((a, b) => a - b);
+        }
+        if (asOf !== undefined && asOf !== null) {
+            candidates = candidates.filter((i) => state.records[i].timestamp <= asOf);
+        }
+
+        // sorting by an indexed field only reads the records which are returned.
+        const sort = typeof orderBy === 'string' ? { field: orderBy } : orderBy;
+        const direction = sort && sort.direction === 'desc' ? -1 : 1;
+        const sortValues = sort ? state.values[sort.field] : null;
+        if (sortValues) {
+            candidates.sort((a, b) => direction * compareValues(sortValues[a], sortValues[b]));
+        }
+        const max = limit !== undefined && limit !== null ? limit : Infinity;
+        let result = [];
+        for (let i = 0; i < candidates.length; i += 1) {
+            if ((!sort || sortValues) && result.length >= max) {
+                break;
+            }
+            const { block, timestamp } = state.records[candidates[i]];
+            const { data } = await context.readSecureBlock(block);
+            const values = (data && typeof data === 'object' && !data.isEncrypted) ? data : {};
+            if (fields.every((field) => isMatch(values[field], conditions[field]))) {
+                result.push({ block, timestamp, data });
+            }
+        }
+
+        if (sort && !sortValues) {
+            const getValue = (record) => ((record.data && !record.data.isEncrypted)
+                ? record.data[sort.field] : undefined);
+            result.sort((a, b) => direction * compareValues(getValue(a), getValue(b)));
+        }
+        if (result.length > max) {
+            result = result.slice(0, max);
+        }
+        return result;
+    }
+
+    return {
+        rebuildIndexes,
+        indexRecord,
+        queryRecords,
+    };
+};
@@ -1,6 +1,7 @@
 /* eslint-disable no-plusplus, no-await-in-loop */
 const constants = require('../../constants');
 const { InvalidKeyError } = require('../../errors');
+const { deserializeSignatures, deserializeKeyFromSignature } = require('./serialization');
 
 /**
  * Secure Blocktree Keys API.
@@ -30,29 +31,64 @@ module.exports = function secureBlocktreeKeysFactory({
      * @param {string} action (optional) The type of action to return keys for (read, write, etc.)
      * @param {Buffer} key (optional) The key to look for.
      * @param {BigInt} timestamp The timestamp to use for checking active status, or "now" if null.
+     * @param {BigInt} asOf (optional) Scans the keys as they existed at the specified timestamp.
      * @returns {Promise<Array>} A list of keys which were collected during the scan.
      */
     async function performKeyScan({
-        block, isRecursive, isActive, action, key, timestamp,
+        block, isRecursive, isActive, action, key, timestamp, asOf,
     } = {}) {
         if (!block) {
             return [];
         }
         const result = [];
-        let current = await blocktree.getHeadBlock(block);
+        const activeAt = timestamp || asOf;
+        let current = await context.getHeadBlock(block, { asOf });
         let secureBlock = null;
         const inactiveKeys = {};
+        const inactiveGrants = {};
         while (current != null) {
             secureBlock = await context.readSecureBlock(current);
+            if (secureBlock.type === constants.blockType.grant) {
+                const {
+                    identity, action: grantAction, tsInit, tsExp, roles,
+                } = secureBlock.data;
+                const identityHex = identity.toString('hex');
+                if (action === undefined
+                    || action === grantAction || grantAction === constants.action.any) {
+                    if (isActive === true
+                        && !isKeyActive({ tsInit, tsExp, timestamp: activeAt })) {
+                        inactiveGrants[identityHex] = true;
+                    }
+                    if (!inactiveGrants[identityHex]) {
+                        // the keys must also be active on the identity, so that revoking a key
+                        // on the identity revokes it everywhere the identity has been granted.
+                        const identityKeys = await performKeyScan({
+                            block: identity, isActive, action, key, timestamp, asOf,
+                        });
+                        // the key is restricted by both the grant's roles and its own roles.
+                        const grantBlock = current;
+                        result.push(...identityKeys.map((i) => ({
+                            ...i,
+                            block: grantBlock,
+                            roles,
+                            identity,
+                            identityKey: i,
+                        })));
+                        if (key && identityKeys.some((i) => Buffer.compare(key, i.key) === 0)) {
+                            return result;
+                        }
+                    }
+                }
+            }
             if (secureBlock.type <= constants.blockType.key) {
                 const {
                     parentKey, key: currentKey,
-                    action: currentAction, tsInit, tsExp,
+                    action: currentAction, tsInit, tsExp, roles,
                 } = secureBlock.data;
                 if (action === undefined
                     || action === currentAction || currentAction === constants.action.any) {
                     if (isActive === true
-                        && !isKeyActive({ tsInit, tsExp, timestamp })) {
+                        && !isKeyActive({ tsInit, tsExp, timestamp: activeAt })) {
                         inactiveKeys[currentKey] = true;
                     }
                     if (!inactiveKeys[currentKey]) {
@@ -63,6 +99,7 @@ module.exports = function secureBlocktreeKeysFactory({
                             parentKey,
                             tsInit,
                             tsExp,
+                            roles,
                         });
                         if (key && Buffer.compare(key, currentKey) === 0) {
                             return result;
@@ -72,13 +109,13 @@ module.exports = function secureBlocktreeKeysFactory({
             }
             current = secureBlock.prev;
         }
-        if (isRecursive === true) {
+        if (isRecursive === true && secureBlock) {
             const { parent } = secureBlock;
             if (!parent) {
                 return result;
             }
             return [...result, ...await performKeyScan({
-                block: parent, isRecursive, isActive, action, key, timestamp,
+                block: parent, isRecursive, isActive, action, key, timestamp, asOf,
             })];
         }
         return result;
@@ -89,13 +126,14 @@ module.exports = function secureBlocktreeKeysFactory({
      * @param {Buffer} block The block to start scanning from.
      * @param {string} action (optional) The type of action to return keys for (read, write, etc.)
      * @param {Buffer} key The key to look for.
+     * @param {BigInt} asOf (optional) Seeks the key as it existed at the specified timestamp.
      * @returns {Promise<Object>} The key data to seek, or null.
      */
     async function performKeySeek({
-        block, action, key,
+        block, action, key, asOf,
     } = {}) {
         const [result] = (await performKeyScan({
-            block, isRecursive: true, isActive: true, action, key,
+            block, isRecursive: true, isActive: true, action, key, asOf,
         })).slice(-1);
         if (result && result.key && Buffer.compare(result.key, key) === 0) {
             return result;
@@ -108,17 +146,39 @@ module.exports = function secureBlocktreeKeysFactory({
      * @param {Buffer} block The block to start validating from.
      * @param {Buffer} key The key to validate.
      * @param {string} action The action to perform.
+     * @param {BigInt} asOf (optional) Validates the key as it existed at the specified timestamp.
      * @returns {Promise<boolean>} Whether the key is valid or not.
      */
     async function validateParentKey({
-        block, key, timestamp, isRecursive, noThrow,
+        block, key, timestamp, isRecursive, noThrow, asOf,
     }) {
         const result = await performKeySeek({
             block,
             action: constants.action.write,
             key,
+            asOf,
         });
-        if (result) {
+        if (result && result.identity && isRecursive !== false) {
+            // a key granted through an identity is only valid while the key which added it to
+            // the identity and the keys which signed the grant are also valid.
+            const { sig } = await context.readSecureBlock(result.block);
+            const grantParent = await blocktree.getParentBlock(result.block);
+            const parentKeys = [
+                { block: await blocktree.getParentBlock(result.identity), key: result.parentKey },
+                ...deserializeSignatures(sig).map((i) => ({
+                    block: grantParent, key: deserializeKeyFromSignature(i),
+                })),
+            ].filter((i) => i.block && i.key);
+            let isValid = true;
+            for (let i = 0; i < parentKeys.length && isValid; i += 1) {
+                isValid = await validateParentKey({
+                    ...parentKeys[i], timestamp, isRecursive, noThrow: false, asOf,
+                });
+            }
+            if (isValid) {
+                return true;
+            }
+        } else if (result) {
             if (!result.parentKey) {
                 return true;
             }
@@ -128,7 +188,7 @@ module.exports = function secureBlocktreeKeysFactory({
                     return true;
                 }
                 return validateParentKey({
-                    block: parent, key: result.parentKey, timestamp, isRecursive, noThrow,
+                    block: parent, key: result.parentKey, timestamp, isRecursive, noThrow, asOf,
                 });
             }
         }
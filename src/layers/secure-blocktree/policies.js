@@ -0,0 +1,110 @@
+/* eslint-disable no-await-in-loop */
+const constants = require('../../constants');
+const { InvalidBlockError } = require('../../errors');
+
+/**
+ * The operation which creates each type of child block.
+ */
+const createOperations = {
+    [constants.blockType.zone]: 'createZone',
+    [constants.blockType.identity]: 'createIdentity',
+    [constants.blockType.collection]: 'createCollection',
+};
+
+/**
+ * The operation which adds each type of block to an existing blockchain.
+ */
+const addOperations = {
+    [constants.blockType.options]: 'addOptions',
+    [constants.blockType.secret]: 'addSecret',
+    [constants.blockType.record]: 'addRecord',
+    [constants.blockType.schema]: 'addSchema',
+    [constants.blockType.policy]: 'setPolicy',
+    [constants.blockType.forkResolution]: 'resolveFork',
+    [constants.blockType.keyWrap]: 'addRecipient',
+};
+
+/**
+ * Secure Blocktree Policies API.
+ */
+module.exports = function secureBlocktreePoliciesFactory({ context }) {
+    /**
+     * Validates a policy, which maps operations to the number of signatures they require.
+     * @param {Object} policy The policy to validate.
+     * @returns {Object} The policy, or throws an exception.
+     */
+    function validatePolicy(policy) {
+        if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+            throw new InvalidBlockError({ operation: null },
+                InvalidBlockError.reasons.invalidPolicy, constants.layer.secureBlocktree);
+        }
+        Object.keys(policy).forEach((operation) => {
+            const threshold = policy[operation];
+            if (!constants.operations.includes(operation) || !Number.isInteger(threshold)
+                || threshold < 1 || threshold > constants.max.byte) {
+                throw new InvalidBlockError({ operation, threshold },
+                    InvalidBlockError.reasons.invalidPolicy, constants.layer.secureBlocktree);
+            }
+        });
+        return policy;
+    }
+
+    /**
+     * Given a block, finds the policy which was active at that block, which is the most recent
+     * policy block at or before it in the blockchain.
+     * @param {Buffer} block The block to start from (usually the head block).
+     * @returns {Promise<Object>} The active policy, or null if there isn't one.
+     */
+    async function getActivePolicy({ block }) {
+        const active = await context.getActiveBlock({ block, type: constants.blockType.policy });
+        return active ? (await context.readSecureBlock(active)).data : null;
+    }
+
+    /**
+     * Determines the number of signatures from distinct keys which an operation requires. The
+     * policy of the blockchain being added to applies, or when creating a new blockchain, the
+     * policy of the blockchain it is created within.
+     * @param {string} operation The operation being performed.
+     * @param {Buffer} prev The previous block of the block being written.
+     * @param {Buffer} parent The parent block of the block being written.
+     * @param {BigInt} asOf (optional) Uses the policy which was active at the timestamp.
+     * @returns {Promise<number>} The number of signatures required.
+     */
+    async function getRequiredSignatures({
+        operation, prev, parent, asOf,
+    }) {
+        if (!operation || (!prev && !parent)) {
+            return 1;
+        }
+        const block = prev || await context.getHeadBlock(parent, { asOf });
+        const policy = await getActivePolicy({ block });
+        return (policy && policy[operation]) || 1;
+    }
+
+    /**
+     * Determines which operation was used to write a secure block.
+     * @param {Object} secureBlock The secure block.
+     * @returns {string} The operation, or null if policies do not apply to the block.
+     */
+    function getBlockOperation({ type, prev, data }) {
+        const isRevoked = data && data.tsInit === constants.timestamp.zero
+            && data.tsExp === constants.timestamp.zero;
+        if (type === constants.blockType.key) {
+            return isRevoked ? 'revokeKey' : 'addKey';
+        }
+        if (type === constants.blockType.grant) {
+            return isRevoked ? 'revokeIdentity' : 'grantIdentity';
+        }
+        if (!prev) {
+            return createOperations[type] || null;
+        }
+        return addOperations[type] || null;
+    }
+
+    return {
+        validatePolicy,
+        getActivePolicy,
+        getRequiredSignatures,
+        getBlockOperation,
+    };
+};
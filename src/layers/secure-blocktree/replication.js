@@ -0,0 +1,122 @@
+/* eslint-disable no-await-in-loop, no-restricted-syntax */
+const constants = require('../../constants');
+const { InvalidRootError, ReplicationError } = require('../../errors');
+const { readArchive } = require('../../utils/archive');
+
+/**
+ * Secure Blocktree Replication API, which is used by replicators on both sides of a transport.
+ */
+module.exports = function secureBlocktreeReplicationFactory({ context, blocktree }) {
+    /**
+     * Lists the root and head block of every blockchain in the blocktree.
+     * @returns {Promise<Array>} The blockchains as { root, head }, with parents always before
+     * their children.
+     */
+    async function getChainHeads() {
+        const chains = await blocktree.listChains();
+        const result = [];
+        for (let i = 0; i < chains.length; i += 1) {
+            result.push({ root: chains[i], head: await blocktree.getHeadBlock(chains[i]) });
+        }
+        return result;
+    }
+
+    /**
+     * Reads the raw bytes of the blocks in a blockchain which follow the specified block.
+     * @param {Buffer} root The root block of the blockchain.
+     * @param {Buffer} after (optional) The last block which is not required, or null to read
+     * every block in the blockchain.
+     * @returns {Promise<Array>} The raw blocks in order, or null if the specified block is not
+     * part of the blockchain.
+     */
+    async function readChainBlocks({ root, after = null }) {
+        if (!await blocktree.readRawBlock(root)) {
+            return null;
+        }
+        const result = [];
+        let isFound = !after;
+        for await (const btBlockData of blocktree.iterateChain(root,
+            { direction: constants.direction.forward })) {
+            if (isFound) {
+                result.push(await blocktree.readRawBlock(btBlockData.hash));
+            } else {
+                isFound = Buffer.compare(btBlockData.hash, after) === 0;
+            }
+        }
+        return isFound ? result : null;
+    }
+
+    /**
+     * Validates the raw bytes of a block from another blocktree, and then writes it as-is.
+     * Blocks which are already present are skipped.
+     * @param {Buffer} buf The raw block data.
+     * @returns {Promise<string>} The hash of the block.
+     */
+    async function writeRawBlock(buf) {
+        const secureBlock = await context.readBlockBytes(buf);
+        if (await blocktree.readRawBlock(secureBlock.hash)) {
+            return secureBlock.hash;
+        }
+        // there can only be one root key in the system.
+        if (!secureBlock.parent && await blocktree.countBlocks() > 0n) {
+            throw new InvalidRootError();
+        }
+        const validation = await context.validateSecureBlock(secureBlock);
+        if (!validation.isValid) {
+            throw new ReplicationError({ block: secureBlock.hash, validation },
+                ReplicationError.reasons.invalidBlock, constants.layer.secureBlocktree);
+        }
+        return blocktree.writeRawBlock(buf);
+    }
+
+    /**
+     * Validates and writes the raw bytes of blocks from another blocktree in a single
+     * transaction, so that nothing is written if any of the blocks are invalid.
+     * @param {Array<Buffer>} blocks The raw blocks, with previous and parent blocks always
+     * before the blocks which depend on them.
+     * @returns {Promise<Array>} The blocks which were added, excluding any already present.
+     */
+    async function importRawBlocks(blocks) {
+        if (blocks.length === 0) {
+            return [];
+        }
+        const transaction = await context.beginTransaction();
+        try {
+            for (let i = 0; i < blocks.length; i += 1) {
+                await transaction.writeRawBlock(blocks[i]);
+            }
+        } catch (err) {
+            await transaction.abort();
+            throw err;
+        }
+        return transaction.commit();
+    }
+
+    /**
+     * Loads the blocks from an archive created by exportTree(). Every block is validated in
+     * the same way as replicated blocks (including signatures and permissions), and the blocks
+     * are written in a single transaction, so nothing is written if any of them are invalid.
+     * @param {Readable} stream The stream to read the archive from.
+     * @returns {Promise<Array>} The blocks which were added, excluding any already present.
+     */
+    async function importTree(stream) {
+        const transaction = await context.beginTransaction();
+        try {
+            for await (const { raw } of readArchive(stream)) {
+                await transaction.writeRawBlock(raw);
+            }
+        } catch (err) {
+            await transaction.abort();
+            throw err;
+        }
+        return transaction.commit();
+    }
+
+    return {
+        getChainHeads,
+        readChainBlocks,
+        writeRawBlock,
+        importRawBlocks,
+        importTree,
+    };
+};
@@ -0,0 +1,151 @@
+/* eslint-disable no-await-in-loop */
+const constants = require('../../constants');
+const { InvalidBlockError } = require('../../errors');
+
+/**
+ * @private
+ * Determines whether or not a block contains options which roles can be defined in.
+ * @param {Object} secureBlock The secure block.
+ * @returns {boolean}
+ */
+function hasRoleOptions({ type, data }) {
+    return (type === constants.blockType.options || type >= constants.blockType.zone)
+        && data && typeof data === 'object' && !data.isEncrypted && !Buffer.isBuffer(data);
+}
+
+/**
+ * @private
+ * Parses the permissions of a role from an option value.
+ * @param {string} value The option value, such as "addRecord,addSecret".
+ * @returns {Array<string>} The permissions.
+ */
+function parsePermissions(value) {
+    return value.split(constants.role.separator)
+        .map((i) => i.trim())
+        .filter((i) => i.length > 0);
+}
+
+/**
+ * Secure Blocktree Roles API.
+ */
+module.exports = function secureBlocktreeRolesFactory({ context }) {
+    /**
+     * Finds the permissions of a role. Roles are defined using options named "role.<name>" in
+     * the blockchain or any of its parents, where the value is a comma-separated list of
+     * operations (or "*" for every operation). The most recent definition in the nearest
+     * blockchain is used, and if the role is not defined in options, the built-in role of the
+     * same name is used.
+     * @param {Buffer} block The block to start searching from.
+     * @param {string} role The name of the role.
+     * @param {BigInt} asOf (optional) Uses the roles which were defined at the timestamp.
+     * @returns {Promise<Array<string>>} The permissions of the role, or null if not defined.
+     */
+    async function getRolePermissions({ block, role, asOf }) {
+        const option = `${constants.role.optionPrefix}${role}`;
+        let current = block ? await context.getHeadBlock(block, { asOf }) : null;
+        while (current != null) {
+            const secureBlock = await context.readSecureBlock(current);
+            if (hasRoleOptions(secureBlock)
+                && Object.prototype.hasOwnProperty.call(secureBlock.data, option)) {
+                return parsePermissions(secureBlock.data[option]);
+            }
+            current = secureBlock.prev || (secureBlock.parent
+                ? await context.getHeadBlock(secureBlock.parent, { asOf }) : null);
+        }
+        return Object.prototype.hasOwnProperty.call(constants.roles, role)
+            ? constants.roles[role] : null;
+    }
+
+    /**
+     * Validates the roles being granted to a key, which must be defined.
+     * @param {Buffer} block The block the key is being added to.
+     * @param {Array<string>} roles The names of the roles.
+     * @returns {Promise<Array<string>>} The roles, or throws an exception.
+     */
+    async function validateRoles({ block, roles }) {
+        if (!Array.isArray(roles)) {
+            throw new InvalidBlockError({ role: roles },
+                InvalidBlockError.reasons.invalidRole, constants.layer.secureBlocktree);
+        }
+        for (let i = 0; i < roles.length; i += 1) {
+            const role = roles[i];
+            if (typeof role !== 'string' || role.length === 0
+                || Buffer.byteLength(role) > constants.max.byte
+                || !(await getRolePermissions({ block, role }))) {
+                throw new InvalidBlockError({ role },
+                    InvalidBlockError.reasons.invalidRole, constants.layer.secureBlocktree);
+            }
+        }
+        return roles;
+    }
+
+    /**
+     * @private
+     * Determines the operations permitted by a set of roles.
+     * @param {Buffer} block The block to resolve the roles from.
+     * @param {Array<string>} roles The names of the roles.
+     * @param {BigInt} asOf (optional) Uses the roles which were defined at the timestamp.
+     * @returns {Promise<Array<string>>} The permitted operations, or null if unrestricted.
+     */
+    async function getRoleSetPermissions({ block, roles, asOf }) {
+        if (!roles || roles.length === 0) {
+            return null;
+        }
+        const result = [];
+        for (let i = 0; i < roles.length; i += 1) {
+            const permissions = await getRolePermissions({ block, role: roles[i], asOf });
+            if (permissions && permissions.includes(constants.role.all)) {
+                return null;
+            }
+            (permissions || []).forEach((permission) => {
+                if (!result.includes(permission)) {
+                    result.push(permission);
+                }
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Determines the operations a key is permitted to perform, based on its roles. Keys which
+     * were not granted any roles are permitted to perform every operation allowed by their
+     * action. For keys which were granted through an identity grant, only the operations
+     * permitted by both the grant and the key's roles on the identity are permitted.
+     * @param {Object} keySeek The key, as returned by performKeySeek.
+     * @param {BigInt} asOf (optional) Uses the roles which were defined at the timestamp.
+     * @returns {Promise<Array<string>>} The permitted operations, or null if unrestricted.
+     */
+    async function getKeyPermissions({ keySeek, asOf }) {
+        if (!keySeek) {
+            return null;
+        }
+        const permissions = await getRoleSetPermissions({
+            block: keySeek.block, roles: keySeek.roles, asOf,
+        });
+        const identityPermissions = keySeek.identityKey
+            ? await getKeyPermissions({ keySeek: keySeek.identityKey, asOf }) : null;
+        if (permissions === null || identityPermissions === null) {
+            return permissions || identityPermissions;
+        }
+        return permissions.filter((i) => identityPermissions.includes(i));
+    }
+
+    /**
+     * Determines whether or not a key is permitted to perform an operation.
+     * @param {Object} keySeek The key, as returned by performKeySeek.
+     * @param {string} operation The operation being performed.
+     * @param {BigInt} asOf (optional) Uses the roles which were defined at the timestamp.
+     * @returns {Promise<boolean>}
+     */
+    async function isOperationPermitted({ keySeek, operation, asOf }) {
+        const permissions = await getKeyPermissions({ keySeek, asOf });
+        return permissions === null || (!!operation && permissions.includes(operation));
+    }
+
+    return {
+        getRolePermissions,
+        validateRoles,
+        getKeyPermissions,
+        isOperationPermitted,
+    };
+};
@@ -0,0 +1,64 @@
+/* eslint-disable no-await-in-loop */
+const { InvalidKeyError } = require('../../errors');
+
+/**
+ * Secure Blocktree Key Rotation API.
+ */
+module.exports = function secureBlocktreeRotationFactory({ context }) {
+    /**
+     * Replaces a key in a blockchain with a new key. In a single transaction, the new key is
+     * added with the same action and roles as the old key, the old key is revoked, and every
+     * active secret in the blockchain which was encrypted with the old key is re-encrypted with
+     * the new key and added using the same reference, superseding the old secret.
+     * @param {Function} sig The signing function to use, which is called for each block.
+     * @param {Buffer} block The block containing the key to rotate.
+     * @param {Buffer} oldKey The key to replace.
+     * @param {Buffer} newKey The key to replace it with.
+     * @param {PrivateKey} privateKey The private key of the old key, for decrypting secrets.
+     * @returns {Promise<Object>} The new blocks, as { key, revokedKey, secrets }.
+     */
+    async function rotateKey({
+        sig, block, oldKey, newKey, privateKey,
+    }) {
+        const [current] = (await context.performKeyScan({
+            block, isActive: true, key: oldKey,
+        })).filter((i) => Buffer.compare(i.key, oldKey) === 0);
+        if (!current || !newKey) {
+            throw new InvalidKeyError({ block, key: oldKey });
+        }
+        const secrets = (await context.performSecretScan({ block, isActive: true }))
+            .filter((i) => i.key && Buffer.compare(i.key, oldKey) === 0);
+
+        const transaction = await context.beginTransaction();
+        const result = { secrets: [] };
+        try {
+            result.key = await transaction.addKey({
+                sig,
+                block,
+                key: newKey,
+                action: current.action,
+                roles: current.roles,
+            });
+            result.revokedKey = await transaction.revokeKey({
+                sig, block, key: oldKey, action: current.action,
+            });
+            for (let i = 0; i < secrets.length; i += 1) {
+                const { ref, tsInit, tsExp } = secrets[i];
+                const secret = await context.encryptData(newKey,
+                    await context.decryptData(privateKey, secrets[i].secret));
+                result.secrets.push(await transaction.addSecret({
+                    sig, block, key: newKey, ref, secret, tsInit, tsExp,
+                }));
+            }
+        } catch (err) {
+            await transaction.abort();
+            throw err;
+        }
+        await transaction.commit();
+        return result;
+    }
+
+    return {
+        rotateKey,
+    };
+};
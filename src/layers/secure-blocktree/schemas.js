@@ -0,0 +1,147 @@
+/* eslint-disable no-await-in-loop */
+const constants = require('../../constants');
+const { InvalidRecordError } = require('../../errors');
+
+const fieldTypes = constants.schemaFieldType;
+
+/**
+ * @private
+ * Determines the schema field type of a record value.
+ * @param {*} value The value to check.
+ * @returns {string} The schema field type.
+ */
+function getFieldType(value) {
+    if (Buffer.isBuffer(value)) {
+        return fieldTypes.binary;
+    }
+    if (Array.isArray(value)) {
+        return fieldTypes.array;
+    }
+    return typeof value;
+}
+
+/**
+ * @private
+ * Determines the length of a record value, for types which have one.
+ * @param {*} value The value to check.
+ * @returns {number} The length of the value, or null.
+ */
+function getFieldLength(value) {
+    if (typeof value === 'string' || Array.isArray(value)) {
+        return value.length;
+    }
+    if (Buffer.isBuffer(value)) {
+        return Buffer.byteLength(value);
+    }
+    return null;
+}
+
+/**
+ * @private
+ * Determines whether two record values are equal.
+ * @param {*} a The first value.
+ * @param {*} b The second value.
+ * @returns {boolean} Whether or not the values are equal.
+ */
+function isValueEqual(a, b) {
+    if (Buffer.isBuffer(a) && Buffer.isBuffer(b)) {
+        return Buffer.compare(a, b) === 0;
+    }
+    return a === b;
+}
+
+/**
+ * Secure Blocktree Schemas API.
+ */
+module.exports = function secureBlocktreeSchemasFactory({ context }) {
+    /**
+     * Validates a schema definition.
+     * @param {Object} schema The schema to validate.
+     * @returns {Object} The schema, or throws an exception.
+     */
+    function validateSchema(schema) {
+        if (!schema || typeof schema.fields !== 'object' || Array.isArray(schema.fields)) {
+            throw new InvalidRecordError({ field: 'fields', schema },
+                InvalidRecordError.reasons.invalidSchema);
+        }
+        Object.keys(schema.fields).forEach((field) => {
+            const definition = schema.fields[field];
+            if (!definition
+                || !Object.values(fieldTypes).includes(definition.type || fieldTypes.any)
+                || (definition.maxLength !== undefined
+                    && typeof definition.maxLength !== 'number')
+                || (definition.enum !== undefined && !Array.isArray(definition.enum))) {
+                throw new InvalidRecordError({ field, schema },
+                    InvalidRecordError.reasons.invalidSchema);
+            }
+        });
+        if (schema.indexes !== undefined && (!Array.isArray(schema.indexes)
+            || schema.indexes.some((field) => !schema.fields[field]))) {
+            throw new InvalidRecordError({ field: 'indexes', schema },
+                InvalidRecordError.reasons.invalidSchema);
+        }
+        return schema;
+    }
+
+    /**
+     * Validates record data against a schema.
+     * @param {Object} schema The schema to validate with.
+     * @param {Object} data The record data to validate.
+     * @returns {boolean} True, or throws an exception.
+     */
+    function validateRecord({ schema, data }) {
+        if (!data || getFieldType(data) !== fieldTypes.object) {
+            throw new InvalidRecordError({ data }, InvalidRecordError.reasons.notAnObject);
+        }
+        const { fields } = schema;
+        Object.keys(data).forEach((field) => {
+            if (!fields[field]) {
+                throw new InvalidRecordError({ field, data },
+                    InvalidRecordError.reasons.unknownField);
+            }
+        });
+        Object.keys(fields).forEach((field) => {
+            const {
+                type, required, maxLength, enum: allowed,
+            } = fields[field];
+            const value = data[field];
+            if (value === null || value === undefined) {
+                if (required === true) {
+                    throw new InvalidRecordError({ field, data },
+                        InvalidRecordError.reasons.missingField);
+                }
+                return;
+            }
+            if (type && type !== fieldTypes.any && getFieldType(value) !== type) {
+                throw new InvalidRecordError({ field, type, data },
+                    InvalidRecordError.reasons.invalidType);
+            }
+            const length = getFieldLength(value);
+            if (maxLength !== undefined && length !== null && length > maxLength) {
+                throw new InvalidRecordError({ field, maxLength, data },
+                    InvalidRecordError.reasons.maxLengthExceeded);
+            }
+            if (allowed && !allowed.some((i) => isValueEqual(i, value))) {
+                throw new InvalidRecordError({ field, allowed, data },
+                    InvalidRecordError.reasons.invalidEnumValue);
+            }
+        });
+        return true;
+    }
+
+    /**
+     * Given a block in a collection, locates the schema which is active at that position.
+     * @param {Buffer} block The block to start searching from.
+     * @returns {Promise<Object>} The active schema, or null.
+     */
+    async function getActiveSchema({ block }) {
+        const active = await context.getActiveBlock({ block, type: constants.blockType.schema });
+        return active ? (await context.readSecureBlock(active)).data : null;
+    }
+
+    return {
+        validateSchema,
+        validateRecord,
+        getActiveSchema,
+    };
+};
@@ -5,7 +5,7 @@ const constants = require('../../constants');
  * Secure Blocktree Secrets API.
  */
 module.exports = function secureBlocktreeSecretsFactory({
-    time, context, blocktree,
+    time, context,
 }) {
     /**
      * Determines whether or not a secret is active.
@@ -25,35 +25,40 @@ module.exports = function secureBlocktreeSecretsFactory({
      * Given a block, scans for all specified secrets in the blockchain.
      * @param {Buffer} block The block to start scanning from.
      * @param {boolean} isRecursive (optional) Indicates whether to scan all parent blocks as well.
-     * @param {boolean} isActive (optional) Indicates whether to only return active secrets.
+     * @param {boolean} isActive (optional) Indicates whether to only return active secrets. Only
+     * the most recent secret for each reference is active, since adding a secret with the same
+     * reference supersedes it.
      * @param {Buffer} ref (optional) The secret reference to look for.
      * @param {BigInt} timestamp The timestamp to use for checking active status, or "now" if null.
+     * @param {BigInt} asOf (optional) Scans the secrets as they existed at the specified timestamp.
      * @returns {Promise<Array>} A list of secrets which were collected during the scan.
      */
     async function performSecretScan({
-        block, isRecursive, isActive, ref, timestamp,
+        block, isRecursive, isActive, ref, timestamp, asOf,
     } = {}) {
         if (!block) {
             return [];
         }
         const result = [];
-        let current = await blocktree.getHeadBlock(block);
+        const activeAt = timestamp || asOf;
+        let current = await context.getHeadBlock(block, { asOf });
         let secureBlock = null;
         const inactiveRefs = {};
         while (current != null) {
             secureBlock = await context.readSecureBlock(current);
             if (secureBlock.type === constants.blockType.secret) {
                 const {
-                    ref: currentRef,
+                    key: currentKey, ref: currentRef,
                     secret, tsInit, tsExp,
                 } = secureBlock.data;
                 if (isActive === true
-                    && !isSecretActive({ tsInit, tsExp, timestamp })) {
+                    && !isSecretActive({ tsInit, tsExp, timestamp: activeAt })) {
                     inactiveRefs[currentRef] = true;
                 }
                 if (!inactiveRefs[currentRef]) {
                     result.push({
                         block: current,
+                        key: currentKey,
                         ref: currentRef,
                         secret,
                         tsInit,
@@ -62,17 +67,21 @@ module.exports = function secureBlocktreeSecretsFactory({
                     if (ref && Buffer.compare(ref, currentRef) === 0) {
                         return result;
                     }
+                    // older secrets with the same reference have been superseded.
+                    if (isActive === true) {
+                        inactiveRefs[currentRef] = true;
+                    }
                 }
             }
             current = secureBlock.prev;
         }
-        if (isRecursive === true) {
+        if (isRecursive === true && secureBlock) {
             const { parent } = secureBlock;
             if (!parent) {
                 return result;
             }
             return [...result, ...await performSecretScan({
-                block: parent, isRecursive, isActive, ref, timestamp,
+                block: parent, isRecursive, isActive, ref, timestamp, asOf,
             })];
         }
         return result;
@@ -82,13 +91,14 @@ module.exports = function secureBlocktreeSecretsFactory({
      * Given a block, scans for all specified secrets in the blockchain.
      * @param {Buffer} block The block to start scanning from.
      * @param {Buffer} ref The secret reference to look for.
+     * @param {BigInt} asOf (optional) Seeks the secret as it existed at the specified timestamp.
      * @returns {Promise<Object>} The secret data to seek, or null.
      */
     async function performSecretSeek({
-        block, ref,
+        block, ref, asOf,
     } = {}) {
         const [result] = (await performSecretScan({
-            block, isRecursive: true, isActive: true, ref,
+            block, isRecursive: true, isActive: true, ref, asOf,
         })).slice(-1);
         if (result && result.ref && Buffer.compare(result.ref, ref) === 0) {
             return result;
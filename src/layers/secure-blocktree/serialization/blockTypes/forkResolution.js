@@ -0,0 +1,30 @@
+const constants = require('../../../../constants');
+
+/**
+ * Serialize and deserialize functions for fork resolution blocks.
+ */
+module.exports = {
+    /**
+     * Serializes a fork resolution block.
+     * @returns {Buffer} The serialized block.
+     */
+    serialize: function serializeForkResolutionBlock({ block, next }) {
+        return Buffer.concat([
+            // the block which was forked
+            block,
+            // the first block of the canonical branch
+            next,
+        ]);
+    },
+    /**
+     * Deserializes a fork resolution block.
+     * @returns {Object} The deserialized block.
+     */
+    deserialize: function deserializeForkResolutionBlock(data, startIndex = 0) {
+        const index = startIndex + constants.size.hash;
+        return {
+            block: Buffer.from(data.slice(startIndex, index)),
+            next: Buffer.from(data.slice(index, index + constants.size.hash)),
+        };
+    },
+};
@@ -0,0 +1,69 @@
+/* eslint-disable no-plusplus */
+const constants = require('../../../../constants');
+const {
+    fromInt64, toInt64, fromByte, fromVarBinary, toVarBinary,
+} = require('../../../../utils/convert');
+
+/**
+ * Serialize and deserialize functions for identity grant blocks.
+ */
+module.exports = {
+    /**
+     * Serializes an identity grant block.
+     * @returns {Buffer} The serialized block.
+     */
+    serialize: function serializeGrantBlock({
+        identity, action, tsInit, tsExp, roles,
+    }) {
+        const roleValues = roles || [];
+        const result = [
+            // the identity to grant access to
+            fromVarBinary(identity),
+            // the action to associate
+            fromByte(action.charCodeAt(), 'action'),
+            // start and expiration timestamps for the grant
+            fromInt64(tsInit),
+            fromInt64(tsExp),
+            // roles granted to the identity's keys
+            fromByte(roleValues.length, 'roles'),
+        ];
+        roleValues.forEach((role) => {
+            const roleBytes = Buffer.from(role, 'utf-8');
+            result.push(fromByte(Buffer.byteLength(roleBytes), 'role'));
+            result.push(roleBytes);
+        });
+        return Buffer.concat(result);
+    },
+
+    /**
+     * Deserializes an identity grant block.
+     * @returns {Object} The deserialized block.
+     */
+    deserialize: function deserializeGrantBlock(data, startIndex = 0) {
+        const result = {};
+        let index = startIndex;
+
+        const res = toVarBinary(data, index);
+        result.identity = res.result;
+        index = res.index;
+
+        result.action = String.fromCharCode(data[index++]);
+
+        result.tsInit = toInt64(data, index);
+        index += constants.size.int64;
+
+        result.tsExp = toInt64(data, index);
+        index += constants.size.int64;
+
+        const roleCount = data[index++];
+        if (roleCount > 0) {
+            result.roles = [];
+        }
+        for (let i = 0; i < roleCount; i += 1) {
+            const roleSize = data[index++];
+            result.roles.push(data.slice(index, index + roleSize).toString('utf-8'));
+            index += roleSize;
+        }
+        return result;
+    },
+};
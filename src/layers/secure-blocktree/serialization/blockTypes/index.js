@@ -12,4 +12,10 @@ module.exports = {
     [constants.blockType.options]: require('./options'),
     [constants.blockType.secret]: require('./secret'),
     [constants.blockType.collection]: require('./options'),
+    [constants.blockType.record]: require('./record'),
+    [constants.blockType.schema]: require('./record'),
+    [constants.blockType.forkResolution]: require('./forkResolution'),
+    [constants.blockType.policy]: require('./policy'),
+    [constants.blockType.grant]: require('./grant'),
+    [constants.blockType.keyWrap]: require('./keyWrap'),
 };
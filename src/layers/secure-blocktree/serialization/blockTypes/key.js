@@ -13,10 +13,11 @@ module.exports = {
      * @returns {Buffer} The serialized block.
      */
     serialize: function fromVarBinaryBlock({
-        parentKey, key, action, tsInit, tsExp, data,
+        parentKey, key, action, tsInit, tsExp, roles, data,
     }) {
         const dataValue = data || Buffer.alloc(0);
-        return Buffer.concat([
+        const roleValues = roles || [];
+        const result = [
             // parent key (for validating key chain)
             fromVarBinary(parentKey),
             // key to add
@@ -26,9 +27,18 @@ module.exports = {
             // start and expiration timestamps for key
             fromInt64(tsInit),
             fromInt64(tsExp),
-            // (optional) additional data
-            dataValue,
-        ]);
+        ];
+        // (optional) roles granted to the key, followed by additional data
+        if (roleValues.length > 0 || Buffer.byteLength(dataValue) > 0) {
+            result.push(fromByte(roleValues.length, 'roles'));
+            roleValues.forEach((role) => {
+                const roleBytes = Buffer.from(role, 'utf-8');
+                result.push(fromByte(Buffer.byteLength(roleBytes), 'role'));
+                result.push(roleBytes);
+            });
+            result.push(dataValue);
+        }
+        return Buffer.concat(result);
     },
     /**
      * Deserializes a key block.
@@ -54,6 +64,18 @@ module.exports = {
         result.tsExp = toInt64(data, index);
         index += constants.size.int64;
 
+        if (index < Buffer.byteLength(data)) {
+            const roleCount = data[index++];
+            if (roleCount > 0) {
+                result.roles = [];
+            }
+            for (let i = 0; i < roleCount; i += 1) {
+                const roleSize = data[index++];
+                result.roles.push(data.slice(index, index + roleSize).toString('utf-8'));
+                index += roleSize;
+            }
+        }
+
         const additionalData = data.slice(index);
         if (Buffer.byteLength(additionalData) > 0) {
             result.data = additionalData;
@@ -0,0 +1,38 @@
+const { fromVarBinary, toVarBinary } = require('../../../../utils/convert');
+
+/**
+ * Serialize and deserialize functions for key wrap blocks.
+ */
+module.exports = {
+    /**
+     * Serializes a key wrap block.
+     * @returns {Buffer} The serialized block.
+     */
+    serialize: function serializeKeyWrapBlock({ block, key, wrappedKey }) {
+        return Buffer.concat([
+            // the encrypted block which the data key belongs to
+            fromVarBinary(block),
+            // the recipient key
+            fromVarBinary(key),
+            // the data key, encrypted with the recipient key
+            fromVarBinary(wrappedKey),
+        ]);
+    },
+
+    /**
+     * Deserializes a key wrap block.
+     * @returns {Object} The deserialized block.
+     */
+    deserialize: function deserializeKeyWrapBlock(data, startIndex = 0) {
+        const result = {};
+        let res = toVarBinary(data, startIndex);
+        result.block = res.result;
+
+        res = toVarBinary(data, res.index);
+        result.key = res.result;
+
+        res = toVarBinary(data, res.index);
+        result.wrappedKey = res.result;
+        return result;
+    },
+};
@@ -52,7 +52,9 @@ module.exports = {
             const valueSize = data[index++];
             const value = data.slice(index, index + valueSize).toString('utf-8');
             index += valueSize;
-            result[key] = value;
+            Object.defineProperty(result, key, {
+                value, enumerable: true, writable: true, configurable: true,
+            });
         }
 
         return result;
@@ -0,0 +1,44 @@
+/* eslint-disable no-plusplus */
+const { fromByte } = require('../../../../utils/convert');
+
+/**
+ * Serialize and deserialize functions for policy blocks.
+ */
+module.exports = {
+    /**
+     * Serializes a policy block.
+     * @returns {Buffer} The serialized block.
+     */
+    serialize: function serializePolicyBlock(policy) {
+        const operations = Object.keys(policy || {});
+        const result = [fromByte(operations.length, 'policy')];
+        operations.forEach((operation) => {
+            const operationBytes = Buffer.from(operation, 'utf-8');
+            // the operation name
+            result.push(fromByte(Buffer.byteLength(operationBytes), 'operation'));
+            result.push(operationBytes);
+            // the number of signatures required
+            result.push(fromByte(policy[operation], 'threshold'));
+        });
+        return Buffer.concat(result);
+    },
+
+    /**
+     * Deserializes a policy block.
+     * @returns {Object} The deserialized block.
+     */
+    deserialize: function deserializePolicyBlock(data, startIndex = 0) {
+        const result = {};
+        let index = startIndex;
+        const length = data[index++];
+
+        for (let i = 0; i < length; i += 1) {
+            const operationSize = data[index++];
+            const operation = data.slice(index, index + operationSize).toString('utf-8');
+            index += operationSize;
+            result[operation] = data[index++];
+        }
+
+        return result;
+    },
+};
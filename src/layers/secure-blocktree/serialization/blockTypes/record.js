@@ -0,0 +1,194 @@
+/* eslint-disable no-plusplus, no-use-before-define */
+const constants = require('../../../../constants');
+const { SerializationError } = require('../../../../errors');
+const {
+    fromByte, fromInt32, toInt32, fromVarBinary, toVarBinary,
+} = require('../../../../utils/convert');
+
+const types = constants.recordValueType;
+
+/**
+ * @private
+ * Serializes a buffer with a 4-byte size value.
+ * @param {Buffer} data The data to serialize.
+ * @returns {Buffer} A serialized buffer.
+ */
+function fromLargeBinary(data) {
+    return Buffer.concat([fromInt32(Buffer.byteLength(data)), data]);
+}
+
+/**
+ * @private
+ * Deserializes a buffer with a 4-byte size value.
+ * @param {Buffer} data The data to deserialize.
+ * @param {number} startIndex The index to start reading from.
+ * @returns {Object} The deserialized buffer and the next index.
+ */
+function toLargeBinary(data, startIndex) {
+    const size = toInt32(data, startIndex);
+    const index = startIndex + constants.size.int32;
+    return { result: data.slice(index, index + size), index: index + size };
+}
+
+/**
+ * @private
+ * Determines if the value is a plain object (as opposed to a class instance).
+ * @param {*} value The value to check.
+ * @returns {boolean} Whether or not the value is a plain object.
+ */
+function isPlainObject(value) {
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+}
+
+/**
+ * @private
+ * Serializes a single typed value.
+ * @param {*} value The value to serialize.
+ * @returns {Buffer} The serialized value.
+ */
+function serializeValue(value) {
+    if (value === null || value === undefined) {
+        return fromByte(types.null);
+    }
+    if (Buffer.isBuffer(value)) {
+        return Buffer.concat([fromByte(types.binary), fromLargeBinary(value)]);
+    }
+    switch (typeof value) {
+    case 'string':
+        return Buffer.concat([
+            fromByte(types.string),
+            fromLargeBinary(Buffer.from(value, 'utf-8')),
+        ]);
+    case 'number': {
+        const buf = Buffer.allocUnsafe(constants.size.int64);
+        buf.writeDoubleBE(value);
+        return Buffer.concat([fromByte(types.number), buf]);
+    }
+    case 'bigint': {
+        const magnitude = value < 0n ? -value : value;
+        const hex = magnitude.toString(16);
+        return Buffer.concat([
+            fromByte(types.bigint),
+            fromByte(value < 0n ? 1 : 0),
+            fromVarBinary(Buffer.from(hex.length % 2 ? `0${hex}` : hex, 'hex')),
+        ]);
+    }
+    case 'boolean':
+        return Buffer.concat([fromByte(types.boolean), fromByte(value ? 1 : 0)]);
+    case 'object':
+        if (Array.isArray(value)) {
+            return Buffer.concat([
+                fromByte(types.array),
+                fromInt32(value.length),
+                ...value.map(serializeValue),
+            ]);
+        }
+        if (isPlainObject(value)) {
+            return serializeObject(value);
+        }
+        break;
+    default:
+        break;
+    }
+    throw new SerializationError({
+        type: value.constructor ? value.constructor.name : typeof value,
+    }, SerializationError.reasons.unsupportedValue, constants.layer.secureBlocktree);
+}
+
+/**
+ * @private
+ * Serializes an object as a set of named, typed fields.
+ * @param {Object} value The object to serialize.
+ * @returns {Buffer} The serialized object.
+ */
+function serializeObject(value) {
+    const keys = Object.keys(value).filter((key) => value[key] !== undefined);
+    const result = [fromByte(types.object), fromInt32(keys.length)];
+    keys.forEach((key) => {
+        result.push(fromVarBinary(Buffer.from(key, 'utf-8')));
+        result.push(serializeValue(value[key]));
+    });
+    return Buffer.concat(result);
+}
+
+/**
+ * @private
+ * Deserializes a single typed value.
+ * @param {Buffer} data The data to deserialize.
+ * @param {number} startIndex The index to start reading from.
+ * @returns {Object} The deserialized value and the next index.
+ */
+function deserializeValue(data, startIndex) {
+    let index = startIndex;
+    const type = data[index++];
+    switch (type) {
+    case types.string: {
+        const res = toLargeBinary(data, index);
+        return { result: res.result.toString('utf-8'), index: res.index };
+    }
+    case types.number:
+        return { result: data.readDoubleBE(index), index: index + constants.size.int64 };
+    case types.bigint: {
+        const isNegative = data[index++] === 1;
+        const res = toVarBinary(data, index);
+        const magnitude = res.result ? BigInt(`0x${res.result.toString('hex')}`) : 0n;
+        return { result: isNegative ? -magnitude : magnitude, index: res.index };
+    }
+    case types.boolean:
+        return { result: data[index] === 1, index: index + constants.size.byte };
+    case types.binary: {
+        const res = toLargeBinary(data, index);
+        return { result: Buffer.from(res.result), index: res.index };
+    }
+    case types.array: {
+        const length = toInt32(data, index);
+        index += constants.size.int32;
+        const result = new Array(length);
+        for (let i = 0; i < length; i += 1) {
+            const res = deserializeValue(data, index);
+            result[i] = res.result;
+            index = res.index;
+        }
+        return { result, index };
+    }
+    case types.object: {
+        const length = toInt32(data, index);
+        index += constants.size.int32;
+        const result = {};
+        for (let i = 0; i < length; i += 1) {
+            const key = toVarBinary(data, index);
+            const res = deserializeValue(data, key.index);
+            // keys such as "__proto__" are defined as properties rather than assigned.
+            Object.defineProperty(result, key.result ? key.result.toString('utf-8') : '', {
+                value: res.result, enumerable: true, writable: true, configurable: true,
+            });
+            index = res.index;
+        }
+        return { result, index };
+    }
+    default:
+        return { result: null, index };
+    }
+}
+
+/**
+ * Serialize and deserialize functions for record blocks.
+ */
+module.exports = {
+    /**
+     * Serializes a record block.
+     * @returns {Buffer} The serialized block.
+     */
+    serialize: function serializeRecordBlock(data) {
+        return serializeValue(data);
+    },
+
+    /**
+     * Deserializes a record block.
+     * @returns {Object} The deserialized block.
+     */
+    deserialize: function deserializeRecordBlock(data, startIndex = 0) {
+        return deserializeValue(data, startIndex).result;
+    },
+};
@@ -1,10 +1,32 @@
 /* eslint-disable no-plusplus */
 const constants = require('../../../constants');
 const {
-    fromByte, fromVarBinary, toVarBinary,
+    fromByte, toByte, fromVarBinary, toVarBinary,
 } = require('../../../utils/convert');
 const blockTypes = require('./blockTypes');
 
+/**
+ * @private
+ * Determines whether or not block data is encrypted using an envelope.
+ * @param {*} data The block data.
+ * @returns {boolean}
+ */
+function isEnvelopeData(data) {
+    return !!(data && data.isEnvelope && Array.isArray(data.recipients)
+        && Buffer.isBuffer(data.encryptedData));
+}
+
+/**
+ * Determines whether or not block data is encrypted, and will be written as encrypted data
+ * rather than serialized as the block type.
+ * @param {*} data The block data.
+ * @returns {boolean}
+ */
+function isEncryptedData(data) {
+    return isEnvelopeData(data)
+        || !!(data && data.isEncrypted && data.key && Buffer.isBuffer(data.encryptedData));
+}
+
 /**
  * Serializes secure block data to be written to the block.
  * @param {*} type The type of secure block to serialize.
@@ -12,14 +34,26 @@ const blockTypes = require('./blockTypes');
  * @returns {Buffer} A binary representation of the secure data.
  */
 function serializeSecureBlockData(type, data) {
-    if (data && data.isEncrypted && data.key && Buffer.isBuffer(data.encryptedData)) {
+    if (isEnvelopeData(data)) {
+        // the data key, encrypted for each recipient, followed by the encrypted data.
+        return Buffer.concat([
+            fromByte(constants.secureBlockData.envelope),
+            fromByte(data.recipients.length, 'recipients'),
+            ...data.recipients.map(({ key, wrappedKey }) => Buffer.concat([
+                fromVarBinary(key),
+                fromVarBinary(wrappedKey),
+            ])),
+            data.encryptedData,
+        ]);
+    }
+    if (isEncryptedData(data)) {
         return Buffer.concat([
             fromByte(constants.secureBlockData.encrypted),
             fromVarBinary(data.key),
             data.encryptedData,
         ]);
     }
-    if (data && blockTypes[type]) {
+    if (data !== null && data !== undefined && blockTypes[type]) {
         return Buffer.concat([
             fromByte(constants.secureBlockData.unencrypted),
             blockTypes[type].serialize(data),
@@ -80,6 +114,23 @@ function deserializeSecureBlockData(type, data) {
             data: data.slice(key.index),
         };
     }
+    case constants.secureBlockData.envelope: {
+        const recipients = [];
+        let index = 2;
+        for (let i = 0; i < data[1]; i += 1) {
+            const key = toVarBinary(data, index);
+            const wrappedKey = toVarBinary(data, key.index);
+            recipients.push({ key: key.result, wrappedKey: wrappedKey.result });
+            index = wrappedKey.index;
+        }
+        return {
+            isEncrypted: true,
+            isEnvelope: true,
+            key: recipients.length > 0 ? recipients[0].key : null,
+            recipients,
+            data: data.slice(index),
+        };
+    }
     default:
         return null;
     }
@@ -118,20 +169,82 @@ function deserializeSecureBlock(btBlockData) {
 }
 
 /**
- * Given a signature, deserializes the public key from it.
+ * Determines whether or not a signature can be used to sign more than one block, which
+ * requires every signature to be produced by a signing function.
+ * @param {*} sig The signature, signing function, or an array of either.
+ * @returns {boolean}
+ */
+function isSigningFunction(sig) {
+    return Array.isArray(sig)
+        ? sig.length > 0 && sig.every((i) => typeof i === 'function')
+        : typeof sig === 'function';
+}
+
+/**
+ * Combines several signatures for the same block into one. The combined signature starts with
+ * the nonce of the first signature and an empty key, followed by the number of signatures and
+ * each of the signatures.
+ * @param {Array<Buffer>} signatures The signatures to combine.
+ * @returns {Buffer} The combined signature.
+ */
+function serializeSignatures(signatures) {
+    if (signatures.length === 1) {
+        return signatures[0];
+    }
+    return Buffer.concat([
+        signatures[0].slice(0, constants.size.int64),
+        fromVarBinary(constants.key.zero),
+        fromByte(signatures.length, 'signatures'),
+        ...signatures.map((i) => fromVarBinary(i)),
+    ]);
+}
+
+/**
+ * Splits a signature into the signatures it was combined from (see serializeSignatures()).
+ * @param {Buffer} signature The signature to split.
+ * @returns {Array<Buffer>} The signatures, or just the signature if it was not combined.
+ */
+function deserializeSignatures(signature) {
+    const data = Buffer.from(signature, constants.format.signature);
+    const key = toVarBinary(data, constants.size.int64);
+    if (key.result) {
+        return [data];
+    }
+    const result = [];
+    const count = toByte(data, key.index);
+    let index = key.index + constants.size.byte;
+    for (let i = 0; i < count; i++) {
+        const item = toVarBinary(data, index);
+        result.push(item.result);
+        index = item.index;
+    }
+    return result;
+}
+
+/**
+ * Given a signature, deserializes the public key from it. For a combined signature, the key
+ * of the first signature is returned.
  * @param {Buffer} signature The signature to extract the public key from.
  * @returns {Buffer} The public key associated with the signature.
  */
 function deserializeKeyFromSignature(signature) {
     const { result } = toVarBinary(Buffer.from(signature, constants.format.signature),
         constants.size.int64);
+    if (!result) {
+        const [first] = deserializeSignatures(signature);
+        return first ? deserializeKeyFromSignature(first) : null;
+    }
     return result;
 }
 
 module.exports = {
+    isEncryptedData,
     serializeSecureBlock,
     deserializeSecureBlock,
     serializeSecureBlockData,
     deserializeSecureBlockData,
+    isSigningFunction,
+    serializeSignatures,
+    deserializeSignatures,
     deserializeKeyFromSignature,
 };
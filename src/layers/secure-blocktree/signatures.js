@@ -1,50 +1,113 @@
+/* eslint-disable no-await-in-loop */
 const constants = require('../../constants');
 const { InvalidSignatureError } = require('../../errors');
-const { deserializeKeyFromSignature } = require('./serialization');
+const {
+    isSigningFunction, serializeSignatures, deserializeSignatures, deserializeKeyFromSignature,
+} = require('./serialization');
 
 /**
  * Secure Blockchain Signatures API.
  */
 module.exports = function secureBlocktreeSignaturesFactory({ context }) {
     /**
-     * Validates a signature based on the provided block and action to perform.
+     * @private
+     * Produces the signature for a block. An array of signatures (or signing functions) is
+     * combined into a single signature.
+     * @param {*} sig The signature, signing function, or an array of either.
+     * @param {Buffer} parent The parent block.
+     * @param {Buffer} prev The previous block.
+     * @returns {Promise<Buffer>} The signature.
+     */
+    async function resolveSignature(sig, { parent, prev }) {
+        if (Array.isArray(sig)) {
+            const signatures = await Promise.all(sig.map((i) => resolveSignature(i, {
+                parent, prev,
+            })));
+            return signatures.length > 0 ? serializeSignatures(signatures) : null;
+        }
+        return typeof sig === 'function' ? sig({ prev, parent }) : sig;
+    }
+
+    /**
+     * Validates a signature based on the provided block and action to perform. If a policy
+     * requires the operation to be signed by multiple keys, an array of signatures (or signing
+     * functions) must be provided, which are combined into a single signature. Keys which have
+     * been granted roles must also be permitted to perform the operation.
      * @param {Buffer} sig The signature to validate.
      * @param {Buffer} parent The parent block.
      * @param {Buffer} prev The previous block.
      * @param {string} action The action to validate.
      * @param {boolean} noThrow Whether or not to throw an exception if validation fails.
+     * @param {string} operation (optional) The operation being performed, for applying policies.
      * @returns {Promise<string>} The valid signature, or null.
      */
     async function validateSignature({
-        sig, parent, prev, action, noThrow, requireParent,
+        sig, parent, prev, action, noThrow, requireParent, operation,
     }) {
         const block = requireParent !== false ? parent : (prev || parent);
-        const signature = typeof sig === 'function' ? await sig({ prev, parent }) : sig;
-        const key = deserializeKeyFromSignature(signature);
-
-        // perform a "key seek" to verify that the key is registered.
-        const keySeek = await context.performKeySeek({
-            block,
-            action: action || constants.action.write,
-            key,
-        });
-
-        const result = keySeek
-            && (await context.verifySignedBlock({
-                key, sig: signature, parent, prev,
-            }));
-        if (!result && noThrow !== true) {
-            if (!keySeek) {
-                throw new InvalidSignatureError({ block, key },
-                    InvalidSignatureError.reasons.notFound);
+        const signature = await resolveSignature(sig, { parent, prev });
+        const signatures = signature ? deserializeSignatures(signature) : [];
+        if (signatures.length === 0) {
+            if (noThrow === true) {
+                return null;
+            }
+            throw new InvalidSignatureError({ block }, InvalidSignatureError.reasons.notFound);
+        }
+
+        const keys = [];
+        for (let i = 0; i < signatures.length; i += 1) {
+            const key = deserializeKeyFromSignature(signatures[i]);
+
+            // perform a "key seek" to verify that the key is registered.
+            const keySeek = key && await context.performKeySeek({
+                block,
+                action: action || constants.action.write,
+                key,
+            });
+
+            const result = keySeek
+                && (await context.verifySignedBlock({
+                    key, sig: signatures[i], parent, prev,
+                }));
+            if (!result) {
+                if (noThrow === true) {
+                    return null;
+                }
+                if (!keySeek) {
+                    throw new InvalidSignatureError({ block, key },
+                        InvalidSignatureError.reasons.notFound);
+                }
+                throw new InvalidSignatureError({ block, key, sig: signatures[i] },
+                    InvalidSignatureError.reasons.doesNotMatch);
+            }
+
+            // the roles granted to the key must permit the operation.
+            if (!(await context.isOperationPermitted({ keySeek, operation }))) {
+                if (noThrow === true) {
+                    return null;
+                }
+                throw new InvalidSignatureError({ block, key, operation },
+                    InvalidSignatureError.reasons.permissionDenied);
+            }
+            if (!keys.some((existing) => Buffer.compare(existing, key) === 0)) {
+                keys.push(key);
+            }
+        }
+
+        // check that the policy for the operation has been satisfied.
+        const required = await context.getRequiredSignatures({ operation, prev, parent });
+        if (keys.length < required) {
+            if (noThrow === true) {
+                return null;
             }
-            throw new InvalidSignatureError({ block, key, sig: signature },
-                InvalidSignatureError.reasons.doesNotMatch);
+            throw new InvalidSignatureError({ block, required, count: keys.length },
+                InvalidSignatureError.reasons.quorumNotMet);
         }
-        return result ? signature : null;
+        return signature;
     }
 
     return {
+        isSigningFunction,
         validateSignature,
     };
 };
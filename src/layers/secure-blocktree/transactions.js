@@ -0,0 +1,157 @@
+const constants = require('../../constants');
+const { TransactionError } = require('../../errors');
+const transactionCacheFactory = require('../../cache/transactionCache');
+
+/**
+ * The operations which stage new blocks within a transaction.
+ */
+const stagedOperations = [
+    'createZone',
+    'createIdentity',
+    'createCollection',
+    'addKey',
+    'revokeKey',
+    'addOptions',
+    'addSecret',
+    'addRecord',
+    'addSchema',
+    'setPolicy',
+    'grantIdentity',
+    'revokeIdentity',
+    'addRecipient',
+    'createRoot',
+    'writeSecureBlock',
+    'writeRawBlock',
+];
+
+/**
+ * The operations which cannot be performed within a transaction, either because they manage
+ * their own transactions or because they change state which is not staged.
+ */
+const unsupportedOperations = [
+    'beginTransaction',
+    'resolveFork',
+    'restoreForkResolutions',
+    'rotateKey',
+    'importRawBlocks',
+    'importTree',
+    'handleCommand',
+];
+
+/**
+ * Secure Blocktree Transactions API.
+ */
+module.exports = function secureBlocktreeTransactionsFactory({
+    context, blocktree, secureCache, time, isTransaction, secureBlocktreeLayerFactory,
+}) {
+    /**
+     * Begins a transaction. Blocks written using the transaction are fully validated as they
+     * are staged, but are not visible outside of the transaction until it is committed.
+     * @returns {Promise<Object>} A secure blocktree for the transaction, with additional
+     * commit(), abort() and getStagedBlocks() functions.
+     */
+    async function beginTransaction() {
+        const txBlocktree = await blocktree.beginTransaction();
+        const txSecureCache = transactionCacheFactory({ cache: secureCache });
+        const txContext = secureBlocktreeLayerFactory({
+            blocktree: txBlocktree,
+            secureCache: txSecureCache,
+            time,
+            restoreForks: false,
+            isTransaction: true,
+        });
+        let isClosed = false;
+
+        /**
+         * @private
+         * Ensures that the transaction has not been committed or aborted.
+         */
+        function checkTransaction() {
+            if (isClosed) {
+                throw new TransactionError({}, TransactionError.reasons.alreadyClosed,
+                    constants.layer.secureBlocktree);
+            }
+        }
+
+        const operations = { ...txContext };
+        stagedOperations.forEach((name) => {
+            operations[name] = async (...args) => {
+                checkTransaction();
+                return txContext[name](...args);
+            };
+        });
+        unsupportedOperations.forEach((name) => {
+            delete operations[name];
+        });
+
+        return {
+            ...operations,
+            /**
+             * Retrieves the blocks which have been staged by the transaction.
+             * @returns {Promise<Array>} The staged blocks, in the order they were written.
+             */
+            getStagedBlocks: async () => txBlocktree.getStagedBlocks(),
+            /**
+             * Makes all staged blocks visible. If any blockchain which the transaction added
+             * blocks to was changed in the meantime, nothing is written.
+             * @returns {Promise<Array>} The committed blocks, in the order they were written.
+             */
+            commit: async () => {
+                checkTransaction();
+                isClosed = true;
+                try {
+                    const result = await txBlocktree.commit();
+                    await txSecureCache.commit();
+                    return result;
+                } catch (err) {
+                    await txBlocktree.abort();
+                    await txSecureCache.abort();
+                    throw err;
+                }
+            },
+            /**
+             * Discards all staged blocks.
+             * @returns {Promise}
+             */
+            abort: async () => {
+                checkTransaction();
+                isClosed = true;
+                await txBlocktree.abort();
+                await txSecureCache.abort();
+            },
+        };
+    }
+
+    /**
+     * Creates a new collection. If a schema is provided, the collection and its schema are
+     * written in a single transaction, so that the collection is never visible without it.
+     * @param {Object} parameters The createCollection() parameters.
+     * @returns {Promise<string>} The new block.
+     */
+    async function createCollection(parameters) {
+        if (!parameters.schema) {
+            return context.createCollection(parameters);
+        }
+        const transaction = await beginTransaction();
+        let result;
+        try {
+            result = await transaction.createCollection(parameters);
+        } catch (err) {
+            await transaction.abort();
+            throw err;
+        }
+        await transaction.commit();
+        return result;
+    }
+
+    // blocks written within a transaction are already committed together.
+    if (isTransaction) {
+        return {
+            beginTransaction,
+        };
+    }
+    return {
+        beginTransaction,
+        createCollection,
+    };
+};
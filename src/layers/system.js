@@ -1,4 +1,6 @@
 const { generateHash } = require('../utils/crypto');
+const transactionStorageFactory = require('../storage/transactionStorage');
+const transactionCacheFactory = require('../cache/transactionCache');
 
 /**
  * Blocktree Level 0 - System
@@ -28,11 +30,26 @@ module.exports = function systemLayerFactory({ cache, storage, time }) {
     /**
      * Writes a block to storage.
      * @param {string} value The value to write to storage.
+     * @param {Object} links (optional) The previous and parent blocks, as { prev, parent },
+     * which are used to maintain the next block and child block indexes.
      * @returns {Promise<string>} The hash of the written block.
      */
-    async function writeStorage(value) {
+    async function writeStorage(value, links = {}) {
         const hash = generateHash(value);
-        return storage.writeStorage(hash, value);
+        return storage.writeStorage(hash, value, links);
+    }
+
+    /**
+     * Reads a list of blocks from a storage index.
+     * @param {string} name The index to read ("next" or "children").
+     * @param {Buffer} key The previous or parent block to look up.
+     * @returns {Promise<Array>} The indexed blocks, or null if the storage has no index.
+     */
+    async function readIndex(name, key) {
+        if (!storage.readIndex) {
+            return null;
+        }
+        return storage.readIndex(name, key);
     }
 
     /**
@@ -57,6 +74,22 @@ module.exports = function systemLayerFactory({ cache, storage, time }) {
         return storage.mapInStorage(fn);
     }
 
+    /**
+     * Iterates through all blocks in the system, in the order they were written.
+     * Storage which does not support iteration is read one key at a time.
+     * @returns {AsyncGenerator<Buffer>} The stored blocks.
+     */
+    async function* iterateStorage() {
+        if (storage.iterateStorage) {
+            yield* storage.iterateStorage();
+            return;
+        }
+        const keys = await storage.readKeys();
+        for (let i = 0; i < keys.length; i += 1) {
+            yield storage.readStorage(keys[i]);
+        }
+    }
+
     /**
      * Iterates through all blocks in the system using the find() function.
      * @param {Function} fn The find() callback function.
@@ -96,6 +129,28 @@ module.exports = function systemLayerFactory({ cache, storage, time }) {
         return cache.writeCache(scope, name, value);
     }
 
+    /**
+     * Begins a transaction, which stages all storage and cache writes until it is committed.
+     * @returns {Promise<Object>} A system layer for the transaction, with commit() and abort().
+     */
+    async function beginTransaction() {
+        const txStorage = transactionStorageFactory({ storage });
+        const txCache = transactionCacheFactory({ cache });
+        return {
+            ...systemLayerFactory({ cache: txCache, storage: txStorage, time }),
+            getStagedBlocks: () => txStorage.getStagedEntries(),
+            commit: async () => {
+                const result = await txStorage.commit();
+                await txCache.commit();
+                return result;
+            },
+            abort: async () => {
+                await txStorage.abort();
+                await txCache.abort();
+            },
+        };
+    }
+
     /**
      * Handles CLI requests.
      * @param {object} env The CLI environment context.
@@ -117,12 +172,15 @@ module.exports = function systemLayerFactory({ cache, storage, time }) {
         readStorage,
         writeStorage,
         readKeys,
+        readIndex,
         mapInStorage,
+        iterateStorage,
         findInStorage,
         countInStorage,
         readCache,
         writeCache,
         generateTimestamp,
+        beginTransaction,
         handleCommand,
     };
 };
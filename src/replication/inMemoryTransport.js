@@ -0,0 +1,59 @@
+/**
+ * @private
+ * Copies a value, so that no buffers are shared between the two sides of the transport.
+ * @param {*} value The value to copy.
+ * @returns {*} The copied value.
+ */
+function copyValue(value) {
+    if (Buffer.isBuffer(value)) {
+        return Buffer.from(value);
+    }
+    if (Array.isArray(value)) {
+        return value.map(copyValue);
+    }
+    if (value && typeof value === 'object') {
+        return Object.keys(value).reduce((result, key) => ({
+            ...result, [key]: copyValue(value[key]),
+        }), {});
+    }
+    return value;
+}
+
+/**
+ * Creates an in-process replication transport, which connects directly to a secure blocktree.
+ * @param {Object} secureBlocktree The remote secure blocktree.
+ */
+module.exports = function inMemoryTransportFactory({ secureBlocktree }) {
+    /**
+     * Lists the root and head block of every blockchain in the remote blocktree.
+     * @returns {Promise<Array>} The blockchains as { root, head }.
+     */
+    async function getChainHeads() {
+        return copyValue(await secureBlocktree.getChainHeads());
+    }
+
+    /**
+     * Reads the raw bytes of the blocks in a remote blockchain which follow the specified block.
+     * @param {Buffer} root The root block of the blockchain.
+     * @param {Buffer} after (optional) The last block which is not required.
+     * @returns {Promise<Array>} The raw blocks in order, or null.
+     */
+    async function readChainBlocks({ root, after }) {
+        return copyValue(await secureBlocktree.readChainBlocks(copyValue({ root, after })));
+    }
+
+    /**
+     * Validates and writes raw blocks to the remote blocktree.
+     * @param {Array<Buffer>} blocks The raw blocks to write.
+     * @returns {Promise<Array>} The blocks which were added.
+     */
+    async function importRawBlocks(blocks) {
+        return copyValue(await secureBlocktree.importRawBlocks(copyValue(blocks)));
+    }
+
+    return {
+        getChainHeads,
+        readChainBlocks,
+        importRawBlocks,
+    };
+};
@@ -0,0 +1,84 @@
+/* eslint-disable no-await-in-loop */
+const constants = require('../constants');
+const { ReplicationError } = require('../errors');
+
+/**
+ * Creates a replicator, which exchanges blocks between a local secure blocktree and a remote
+ * secure blocktree that is reached using a transport.
+ * @param {Object} local The local secure blocktree.
+ * @param {Object} transport The transport for the remote secure blocktree.
+ */
+module.exports = function replicationFactory({ local, transport }) {
+    /**
+     * @private
+     * Determines which blocks the target is missing from the source. Blockchains which the
+     * target does not have the head block of are compared, and if neither side's head block
+     * is part of the other side's blockchain then the blockchain has diverged (forked).
+     * @param {Object} source The side to copy blocks from.
+     * @param {Object} target The side to copy blocks to.
+     * @returns {Promise<Array>} The missing raw blocks, in dependency order.
+     */
+    async function findMissingBlocks(source, target) {
+        const targetHeads = {};
+        (await target.getChainHeads()).forEach(({ root, head }) => {
+            targetHeads[root.toString('hex')] = head;
+        });
+
+        const result = [];
+        const diverged = [];
+        const sourceHeads = await source.getChainHeads();
+        for (let i = 0; i < sourceHeads.length; i += 1) {
+            const { root, head } = sourceHeads[i];
+            const targetHead = targetHeads[root.toString('hex')] || null;
+            if (!targetHead || Buffer.compare(targetHead, head) !== 0) {
+                const missing = await source.readChainBlocks({ root, after: targetHead });
+                if (missing) {
+                    result.push(...missing);
+                } else if (!await target.readChainBlocks({ root, after: head })) {
+                    // the target is not simply ahead of the source.
+                    diverged.push({ root, head, targetHead });
+                }
+            }
+        }
+        if (diverged.length > 0) {
+            throw new ReplicationError({ chains: diverged },
+                ReplicationError.reasons.divergence, constants.layer.secureBlocktree);
+        }
+        return result;
+    }
+
+    /**
+     * Copies every block which is missing from the local blocktree from the remote blocktree.
+     * Nothing is copied if any blockchain has diverged, or if any block fails validation.
+     * @returns {Promise<Array>} The blocks which were added to the local blocktree.
+     */
+    async function pull() {
+        return local.importRawBlocks(await findMissingBlocks(transport, local));
+    }
+
+    /**
+     * Copies every block which is missing from the remote blocktree from the local blocktree.
+     * Nothing is copied if any blockchain has diverged, or if any block fails validation.
+     * @returns {Promise<Array>} The blocks which were added to the remote blocktree.
+     */
+    async function push() {
+        return transport.importRawBlocks(await findMissingBlocks(local, transport));
+    }
+
+    /**
+     * Pulls from and then pushes to the remote blocktree, so that both have the same blocks.
+     * @returns {Promise<Object>} The blocks which were added to each side, as
+     * { pulled, pushed }.
+     */
+    async function sync() {
+        const pulled = await pull();
+        const pushed = await push();
+        return { pulled, pushed };
+    }
+
+    return {
+        pull,
+        push,
+        sync,
+    };
+};
@@ -0,0 +1,306 @@
+const crypto = require('crypto');
+const constants = require('../constants');
+const { BlocktreeError, BrokerError } = require('../errors');
+const { decrypt, verify } = require('../utils/crypto');
+const { toInt16, toInt64 } = require('../utils/convert');
+const { RequestError, readBody, httpListenerFactory } = require('../utils/http');
+
+/**
+ * The HTTP status for each error code.
+ */
+const errorStatus = {
+    [constants.error.invalidSignature]: 403,
+    [constants.error.invalidKey]: 403,
+    [constants.error.broker]: 403,
+};
+
+/**
+ * @private
+ * Restores the buffers within a request, which are serialized by JSON.stringify() as
+ * { type: 'Buffer', data: [<bytes>] }.
+ */
+function reviveBuffers(key, value) {
+    if (value && value.type === 'Buffer' && Array.isArray(value.data)) {
+        return Buffer.from(value.data);
+    }
+    return value;
+}
+
+/**
+ * @private
+ * Ensures that the specified request parameters are buffers.
+ * @param {Object} parameters The request parameters.
+ * @param {Array<string>} names The names of the parameters to check.
+ * @param {boolean} isOptional (optional) Whether or not the parameters may be omitted.
+ */
+function requireBuffers(parameters, names, isOptional = false) {
+    names.forEach((name) => {
+        const value = parameters[name];
+        if (isOptional && (value === undefined || value === null)) {
+            return;
+        }
+        const values = Array.isArray(value) ? value : [value];
+        if (!values.every((i) => Buffer.isBuffer(i))) {
+            throw new RequestError(400, `Invalid or missing parameter: ${name}`);
+        }
+    });
+}
+
+/**
+ * Creates an HTTP server for a trusted secrets broker, which can be used with httpBroker.
+ * Requests must include the client secret in the X-API-Key header. The request body is a
+ * base64 encoded envelope of nonce, client signature and JSON data, which is encrypted with
+ * the server's public key if a server private key is provided.
+ * @param {Object} broker The broker which performs the operations (see inMemoryBroker).
+ * @param {string} clientSecret The client secret (base64) which clients authenticate with.
+ * @param {Buffer} clientPublicKey (optional) If provided, requests must be signed by the
+ * client's private key.
+ * @param {KeyObject} serverPrivateKey (optional) If provided, requests must be encrypted with
+ * the server's public key.
+ * @param {number} maxBodySize (optional) The maximum size of a request body, in bytes.
+ * @param {number} requestWindow (optional) The number of milliseconds that a request is
+ * accepted for, before or after its timestamp.
+ * @param {Object} time (optional) The time provider, with a generateTimestamp() function.
+ */
+module.exports = function brokerServerFactory({
+    broker, clientSecret, clientPublicKey, serverPrivateKey, maxBodySize, requestWindow, time,
+}) {
+    const bodyLimit = maxBodySize || constants.broker.maxBodySize;
+    const window = BigInt(requestWindow || constants.broker.requestWindow);
+    const secretBytes = Buffer.from(clientSecret, 'base64');
+
+    /**
+     * @private
+     * The nonces of the requests which have been accepted within the request window, along with
+     * their timestamps, so that requests cannot be replayed.
+     */
+    const nonces = new Map();
+
+    /**
+     * @private
+     * Generates a 64 bit integer representing UTC epoch time.
+     * @returns {BigInt} A UTC epoch timestamp.
+     */
+    function generateTimestamp() {
+        return time ? time.generateTimestamp() : BigInt(Date.now());
+    }
+
+    /**
+     * @private
+     * Removes the nonces of requests which are outside of the request window, since those
+     * requests are rejected anyway.
+     * @param {BigInt} timestamp The current timestamp.
+     */
+    function removeExpiredNonces(timestamp) {
+        nonces.forEach((value, key) => {
+            if (value < timestamp - window) {
+                nonces.delete(key);
+            }
+        });
+    }
+
+    /**
+     * The available operations, using the paths which httpBroker posts to.
+     */
+    const operations = {
+        requestTokens: async (parameters) => {
+            requireBuffers(parameters, ['trustedKey']);
+            requireBuffers(parameters, ['block', 'authorizedKey'], true);
+            const {
+                trustedKey, block, authorizedKey, ttl,
+            } = parameters;
+            if (ttl !== undefined && ttl !== null && !(Number.isInteger(ttl) && ttl > 0)) {
+                throw new RequestError(400, 'Invalid or missing parameter: ttl');
+            }
+            return (await broker.generateRequestToken({
+                trustedKey, block, authorizedKey, ttl,
+            })).toString('base64');
+        },
+        authorizedKeys: async (parameters) => {
+            requireBuffers(parameters, ['publicKey']);
+            const { publicKey } = parameters;
+            let privateKey = null;
+            try {
+                privateKey = crypto.createPrivateKey(parameters.privateKey);
+            } catch (err) {
+                throw new RequestError(400, 'Invalid or missing parameter: privateKey');
+            }
+            await broker.addAuthorizedKey({ publicKey, privateKey });
+        },
+        revokedKeys: async (parameters) => {
+            requireBuffers(parameters, ['publicKey']);
+            const { publicKey } = parameters;
+            await broker.revokeAuthorizedKey({ publicKey });
+        },
+        trustedSecrets: async (parameters) => {
+            requireBuffers(parameters, ['token', 'sig', 'secrets', 'authorizedKey', 'trustedKey']);
+            requireBuffers(parameters, ['block'], true);
+            if (!Array.isArray(parameters.secrets)) {
+                throw new RequestError(400, 'Invalid or missing parameter: secrets');
+            }
+            const {
+                token, sig, secrets, authorizedKey, trustedKey, block,
+            } = parameters;
+            const result = await broker.buildTrustedSecrets({
+                token, sig, secrets, authorizedKey, trustedKey, block,
+            });
+            return result.map((i) => i.toString('base64'));
+        },
+    };
+
+    /**
+     * @private
+     * Ensures that the request includes the client secret.
+     * @param {IncomingMessage} req The request.
+     */
+    function authenticate(req) {
+        const apiKey = Buffer.from(req.headers[constants.broker.apiKeyHeader] || '', 'utf-8');
+        const expected = Buffer.from(clientSecret, 'utf-8');
+        if (Buffer.byteLength(apiKey) !== Buffer.byteLength(expected)
+            || !crypto.timingSafeEqual(apiKey, expected)) {
+            throw new RequestError(401, 'The API key is invalid.');
+        }
+    }
+
+    /**
+     * @private
+     * Decodes the envelope constructed by httpBroker, verifying the client signature and
+     * ensuring that the request has not already been used.
+     * @param {Buffer} body The request body.
+     * @returns {Promise<Object>} The request parameters.
+     */
+    async function decodeRequest(body) {
+        let envelope = Buffer.from(body.toString('utf-8'), 'base64');
+        if (serverPrivateKey) {
+            try {
+                envelope = await decrypt(serverPrivateKey, envelope);
+            } catch (err) {
+                throw new RequestError(400, 'The request could not be decrypted.');
+            }
+        }
+        const headerSize = constants.size.int64 * 2 + constants.size.int16;
+        if (Buffer.byteLength(envelope) < headerSize) {
+            throw new RequestError(400, 'The request is invalid.');
+        }
+        const header = envelope.slice(0, constants.size.int64 * 2);
+        const timestamp = toInt64(envelope, 0);
+        const sigSize = toInt16(envelope, constants.size.int64 * 2);
+        const sig = envelope.slice(headerSize, headerSize + sigSize);
+        const data = envelope.slice(headerSize + sigSize);
+
+        if (clientPublicKey && (sigSize === 0
+            || !(await verify(clientPublicKey, sig, Buffer.concat([header, secretBytes]))))) {
+            throw new RequestError(401, 'The request signature is invalid.');
+        }
+        const now = generateTimestamp();
+        if (timestamp < now - window || timestamp > now + window) {
+            throw new RequestError(401, 'The request has expired.');
+        }
+        removeExpiredNonces(now);
+        const nonceKey = header.toString('base64');
+        if (nonces.has(nonceKey)) {
+            throw new RequestError(401, 'The request has already been used.');
+        }
+        nonces.set(nonceKey, timestamp);
+
+        let parameters = null;
+        try {
+            parameters = JSON.parse(data.toString('utf-8'), reviveBuffers);
+        } catch (err) {
+            throw new RequestError(400, 'The request data is not valid JSON.');
+        }
+        if (!parameters || typeof parameters !== 'object' || Array.isArray(parameters)) {
+            throw new RequestError(400, 'The request data must be a JSON object.');
+        }
+        return parameters;
+    }
+
+    /**
+     * @private
+     * Parses the operation and parameters from a request.
+     * @param {IncomingMessage} req The request.
+     * @returns {Promise<Object>} The request, as { operation, parameters }.
+     */
+    async function parseRequest(req) {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        const name = pathname.startsWith(constants.broker.basePath)
+            ? pathname.slice(constants.broker.basePath.length) : null;
+        if (!name || !Object.prototype.hasOwnProperty.call(operations, name)) {
+            throw new RequestError(404, `Unknown operation: ${pathname}`);
+        }
+        if (req.method !== 'POST') {
+            throw new RequestError(405, 'Operations must be called using POST.');
+        }
+        authenticate(req);
+        const parameters = await decodeRequest(await readBody(req, bodyLimit));
+        return { operation: operations[name], parameters };
+    }
+
+    /**
+     * @private
+     * Converts an error into an HTTP status and response body. The details of broker errors
+     * are not returned, since they may refer to keys or secrets.
+     * @param {Error} err The error to convert.
+     * @returns {Object} The response, as { status, body }.
+     */
+    function getErrorResponse(err) {
+        if (err instanceof RequestError) {
+            const { status, name, message } = err;
+            return { status, body: { error: { name, message } } };
+        }
+        if (err instanceof BlocktreeError) {
+            const {
+                name, code, reason, layer, message,
+            } = err;
+            const isRateLimited = err instanceof BrokerError
+                && reason === BrokerError.reasons.rateLimitExceeded;
+            return {
+                status: isRateLimited ? 429 : (errorStatus[code] || 500),
+                body: {
+                    error: {
+                        name, code, reason, layer, message,
+                    },
+                },
+            };
+        }
+        return { status: 500, body: { error: { name: 'Error', message: 'Internal server error.' } } };
+    }
+
+    /**
+     * Handles an HTTP request. This can be used with an existing HTTP server.
+     * @param {IncomingMessage} req The request.
+     * @param {ServerResponse} res The response.
+     * @returns {Promise}
+     */
+    async function handleRequest(req, res) {
+        let status = 200;
+        let body = null;
+        try {
+            const { operation, parameters } = await parseRequest(req);
+            body = await operation(parameters);
+        } catch (err) {
+            ({ status, body } = getErrorResponse(err));
+        }
+        if (body === undefined) {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+        const text = JSON.stringify(body);
+        res.writeHead(status, {
+            'Content-Type': constants.server.contentType,
+            'Content-Length': Buffer.byteLength(text),
+            // the rest of a request body which was too large has not been read.
+            ...(status === 413 ? { Connection: 'close' } : {}),
+        });
+        res.end(text);
+    }
+
+    const { listen, close } = httpListenerFactory(handleRequest);
+
+    return {
+        handleRequest,
+        listen,
+        close,
+    };
+};
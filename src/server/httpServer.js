@@ -0,0 +1,454 @@
+/* eslint-disable no-await-in-loop, no-restricted-syntax */
+const constants = require('../constants');
+const { BlocktreeError, InvalidBlockError } = require('../errors');
+const { toJson, fromJson } = require('../utils/encoding');
+const { toInt64 } = require('../utils/convert');
+const { generateNonce } = require('../utils/crypto');
+const {
+    RequestError, readBody, generateRequestDigest, httpListenerFactory,
+} = require('../utils/http');
+const {
+    deserializeSignatures, deserializeKeyFromSignature,
+} = require('../layers/secure-blocktree/serialization');
+
+/**
+ * The HTTP status for each error code.
+ */
+const errorStatus = {
+    [constants.error.serialization]: 400,
+    [constants.error.invalidBlock]: 400,
+    [constants.error.invalidSignature]: 403,
+    [constants.error.invalidKey]: 403,
+    [constants.error.invalidRoot]: 409,
+    [constants.error.invalidRecord]: 422,
+    [constants.error.transaction]: 409,
+    [constants.error.writeConflict]: 409,
+    [constants.error.replication]: 409,
+};
+
+/**
+ * The operations which create a new blockchain, rather than adding to an existing one.
+ */
+const createOperations = ['createZone', 'createIdentity', 'createCollection'];
+
+/**
+ * The operations which write a signed block, and must include a request signature.
+ */
+const writeOperations = [
+    ...createOperations,
+    'addKey',
+    'revokeKey',
+    'addOptions',
+    'addSecret',
+    'addRecord',
+    'addSchema',
+    'setPolicy',
+    'addRecipient',
+    'grantIdentity',
+    'revokeIdentity',
+    'signPending',
+];
+
+/**
+ * Creates an HTTP server which exposes a secure blocktree. Every operation is called using a
+ * POST request to /api/<operation>, with the parameters as a JSON object in the request body.
+ * Buffers and BigInts are encoded as { $buffer: <base64> } and { $bigint: <string> }.
+ * @param {Object} secureBlocktree The secure blocktree to expose.
+ * @param {number} maxBodySize (optional) The maximum size of a request body, in bytes.
+ * @param {Function} authorizeRequest (optional) Called with { operation, parameters, headers }
+ * before every operation, which is rejected unless it resolves to true.
+ * @param {number} requestWindow (optional) The number of milliseconds that a write request is
+ * accepted for, before or after its timestamp.
+ * @param {Object} time (optional) The time provider, with a generateTimestamp() function.
+ */
+module.exports = function httpServerFactory({
+    secureBlocktree, maxBodySize, authorizeRequest, requestWindow, time,
+}) {
+    const bodyLimit = maxBodySize || constants.server.maxBodySize;
+    const window = BigInt(requestWindow || constants.server.requestWindow);
+
+    /**
+     * @private
+     * The nonces of the write requests which have been accepted within the request window,
+     * along with their timestamps, so that requests cannot be replayed.
+     */
+    const nonces = new Map();
+
+    /**
+     * @private
+     * Generates a 64 bit integer representing UTC epoch time.
+     * @returns {BigInt} A UTC epoch timestamp.
+     */
+    function generateTimestamp() {
+        return time ? time.generateTimestamp() : BigInt(Date.now());
+    }
+
+    /**
+     * @private
+     * Removes the nonces of requests which are outside of the request window, since those
+     * requests are rejected anyway.
+     * @param {BigInt} timestamp The current timestamp.
+     */
+    function removeExpiredNonces(timestamp) {
+        nonces.forEach((value, key) => {
+            if (value < timestamp - window) {
+                nonces.delete(key);
+            }
+        });
+    }
+
+    /**
+     * @private
+     * The writes which are waiting for the caller to sign another block, by token.
+     */
+    const pendingWrites = new Map();
+
+    /**
+     * @private
+     * Aborts the writes which have waited for a signature for longer than the request window.
+     * @param {BigInt} timestamp The current timestamp.
+     */
+    function removeExpiredWrites(timestamp) {
+        pendingWrites.forEach((value, key) => {
+            if (value.timestamp < timestamp - window) {
+                pendingWrites.delete(key);
+                value.reject(new RequestError(408, 'The block was not signed in time.'));
+            }
+        });
+    }
+
+    /**
+     * @private
+     * Performs a write which signs more than one block, such as creating a collection with a
+     * schema. The first block is signed using the signature in the request, but the next blocks
+     * can only be signed once the blocks before them have been staged. For each of these, the
+     * response is { pending: { token, parent, prev } }, and the write continues once the caller
+     * signs the block and calls signPending with the token.
+     * @param {Buffer} sig The signature of the first block.
+     * @param {Function} write Performs the write, given a signing function.
+     * @returns {Promise} The result of the write, or the block to sign.
+     */
+    function writeWithPendingSignatures(sig, write) {
+        return new Promise((resolve, reject) => {
+            let response = { resolve, reject };
+            let isSigned = false;
+            const signer = async ({ parent, prev }) => {
+                if (!isSigned) {
+                    isSigned = true;
+                    return sig;
+                }
+                return new Promise((resolveSig, rejectSig) => {
+                    const timestamp = generateTimestamp();
+                    removeExpiredWrites(timestamp);
+                    const token = generateNonce().toString('base64');
+                    pendingWrites.set(token, {
+                        timestamp,
+                        resolve: (signature, next) => {
+                            response = next;
+                            resolveSig(signature);
+                        },
+                        reject: rejectSig,
+                    });
+                    response.resolve({ pending: { token, parent, prev } });
+                });
+            };
+            write(signer).then((result) => response.resolve(result),
+                (err) => response.reject(err));
+        });
+    }
+
+    /**
+     * The available operations. Write operations must be signed by the caller, using the
+     * previous and parent blocks returned by getSigningData.
+     */
+    const operations = {
+        readSecureBlock: async ({ block, asOf }) => secureBlocktree
+            .readSecureBlock(block, { asOf }),
+        performKeyScan: async ({
+            block, isRecursive, isActive, action, key, timestamp, asOf,
+        }) => secureBlocktree.performKeyScan({
+            block, isRecursive, isActive, action, key, timestamp, asOf,
+        }),
+        performKeySeek: async ({
+            block, action, key, asOf,
+        }) => secureBlocktree.performKeySeek({
+            block, action, key, asOf,
+        }),
+        performSecretScan: async ({
+            block, isRecursive, isActive, ref, timestamp, asOf,
+        }) => secureBlocktree.performSecretScan({
+            block, isRecursive, isActive, ref, timestamp, asOf,
+        }),
+        performSecretSeek: async ({
+            block, ref, asOf,
+        }) => secureBlocktree.performSecretSeek({
+            block, ref, asOf,
+        }),
+        queryRecords: async ({
+            collection, where, orderBy, limit, asOf,
+        }) => secureBlocktree.queryRecords({
+            collection, where, orderBy, limit, asOf,
+        }),
+        performChildScan: async ({ block }) => {
+            const result = [];
+            for await (const secureBlock of secureBlocktree.iterateChildren(block)) {
+                result.push(secureBlock);
+            }
+            return result;
+        },
+        getHeadBlock: async ({ block, asOf }) => secureBlocktree.getHeadBlock(block, { asOf }),
+        getRootBlock: async ({ block }) => secureBlocktree.getRootBlock(block),
+        getParentBlock: async ({ block }) => secureBlocktree.getParentBlock(block),
+        getNextBlock: async ({ block }) => secureBlocktree.getNextBlock(block),
+        getActiveBlock: async ({ block, type }) => secureBlocktree
+            .getActiveBlock({ block, type }),
+        resolveSigner: async ({ block }) => secureBlocktree.resolveSigner(block),
+        getSigningData: async ({ block, operation }) => {
+            if (createOperations.includes(operation)) {
+                return { parent: await secureBlocktree.getRootBlock(block), prev: null };
+            }
+            const prev = await secureBlocktree.getHeadBlock(block);
+            return { parent: await secureBlocktree.getParentBlock(prev), prev };
+        },
+        createZone: async ({ sig, block, options }) => secureBlocktree
+            .createZone({ sig, block, options }),
+        createIdentity: async ({ sig, block, options }) => secureBlocktree
+            .createIdentity({ sig, block, options }),
+        createCollection: async ({
+            sig, block, options, schema,
+        }) => {
+            if (!schema) {
+                return secureBlocktree.createCollection({ sig, block, options });
+            }
+            // the collection and its schema are committed together once both are signed.
+            return writeWithPendingSignatures(sig, (signer) => secureBlocktree
+                .createCollection({
+                    sig: signer, block, options, schema,
+                }));
+        },
+        signPending: async ({ token, sig }) => {
+            const pending = typeof token === 'string' ? pendingWrites.get(token) : null;
+            if (!pending) {
+                throw new RequestError(404, 'The pending write was not found.');
+            }
+            pendingWrites.delete(token);
+            return new Promise((resolve, reject) => pending.resolve(sig, { resolve, reject }));
+        },
+        addKey: async ({
+            sig, block, key, action, tsInit, tsExp, roles, expectedHead,
+        }) => secureBlocktree.addKey({
+            sig, block, key, action, tsInit, tsExp, roles, expectedHead,
+        }),
+        revokeKey: async ({
+            sig, block, key, action, expectedHead,
+        }) => secureBlocktree.revokeKey({
+            sig, block, key, action, expectedHead,
+        }),
+        addOptions: async ({
+            sig, block, options, expectedHead,
+        }) => secureBlocktree.addOptions({
+            sig, block, options, expectedHead,
+        }),
+        addSecret: async ({
+            sig, block, key, ref, secret, tsInit, tsExp, expectedHead,
+        }) => secureBlocktree.addSecret({
+            sig, block, key, ref, secret, tsInit, tsExp, expectedHead,
+        }),
+        addRecord: async ({
+            sig, block, data, expectedHead,
+        }) => secureBlocktree.addRecord({
+            sig, block, data, expectedHead,
+        }),
+        addSchema: async ({
+            sig, block, schema, expectedHead,
+        }) => secureBlocktree.addSchema({
+            sig, block, schema, expectedHead,
+        }),
+        setPolicy: async ({
+            sig, block, policy, expectedHead,
+        }) => secureBlocktree.setPolicy({
+            sig, block, policy, expectedHead,
+        }),
+        addRecipient: async ({
+            sig, block, key, wrappedKey, expectedHead,
+        }) => secureBlocktree.addRecipient({
+            sig, block, key, wrappedKey, expectedHead,
+        }),
+        grantIdentity: async ({
+            sig, block, identity, action, tsInit, tsExp, roles, expectedHead,
+        }) => secureBlocktree.grantIdentity({
+            sig, block, identity, action, tsInit, tsExp, roles, expectedHead,
+        }),
+        revokeIdentity: async ({
+            sig, block, identity, action, expectedHead,
+        }) => secureBlocktree.revokeIdentity({
+            sig, block, identity, action, expectedHead,
+        }),
+    };
+
+    /**
+     * @private
+     * Ensures that a write request was signed by every key which signed the block, so that
+     * the rest of the request (which the block signature does not cover) cannot be changed,
+     * and that the request is recent and has not been used before.
+     * @param {string} name The name of the operation.
+     * @param {Buffer} body The request body.
+     * @param {Object} parameters The request parameters.
+     * @param {IncomingMessage} req The request.
+     */
+    async function verifyRequestSignature(name, body, { sig }, req) {
+        const signatureHeader = req.headers[constants.server.signatureHeader];
+        const nonceHeader = req.headers[constants.server.nonceHeader];
+        if (!signatureHeader || !nonceHeader) {
+            throw new RequestError(401, 'The request signature is missing.');
+        }
+        const header = Buffer.from(nonceHeader, 'base64');
+        if (Buffer.byteLength(header) !== constants.size.int64 * 2) {
+            throw new RequestError(401, 'The request signature is invalid.');
+        }
+        const digest = generateRequestDigest(name, body, header);
+        const requestSigs = deserializeSignatures(Buffer.from(signatureHeader, 'base64'));
+        const blockSigs = (Array.isArray(sig) ? sig : [sig])
+            .filter((i) => Buffer.isBuffer(i))
+            .reduce((result, i) => [...result, ...deserializeSignatures(i)], []);
+        if (blockSigs.length === 0) {
+            throw new RequestError(401, 'The request signature is invalid.');
+        }
+        for (let i = 0; i < blockSigs.length; i += 1) {
+            const key = deserializeKeyFromSignature(blockSigs[i]);
+            const requestSig = key && requestSigs.find((j) => {
+                const requestKey = deserializeKeyFromSignature(j);
+                return requestKey && Buffer.compare(requestKey, key) === 0;
+            });
+            if (!requestSig || !(await secureBlocktree.verifySignedBlock({
+                sig: requestSig, key, parent: digest, prev: null,
+            }))) {
+                throw new RequestError(401, 'The request signature is invalid.');
+            }
+        }
+
+        const timestamp = toInt64(header, 0);
+        const now = generateTimestamp();
+        if (timestamp < now - window || timestamp > now + window) {
+            throw new RequestError(401, 'The request has expired.');
+        }
+        removeExpiredNonces(now);
+        const nonceKey = header.toString('base64');
+        if (nonces.has(nonceKey)) {
+            throw new RequestError(401, 'The request has already been used.');
+        }
+        nonces.set(nonceKey, timestamp);
+    }
+
+    /**
+     * @private
+     * Parses the operation name and parameters from a request, and ensures that the request
+     * is authorized.
+     * @param {IncomingMessage} req The request.
+     * @returns {Promise<Object>} The request, as { operation, parameters }.
+     */
+    async function parseRequest(req) {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        const name = pathname.startsWith(constants.server.basePath)
+            ? pathname.slice(constants.server.basePath.length) : null;
+        if (!name || !Object.prototype.hasOwnProperty.call(operations, name)) {
+            throw new RequestError(404, `Unknown operation: ${pathname}`);
+        }
+        if (req.method !== 'POST') {
+            throw new RequestError(405, 'Operations must be called using POST.');
+        }
+        const body = await readBody(req, bodyLimit);
+        let parameters = null;
+        try {
+            parameters = Buffer.byteLength(body) > 0 ? fromJson(body.toString('utf-8')) : {};
+        } catch (err) {
+            throw new RequestError(400, 'The request body is not valid JSON.');
+        }
+        if (!parameters || typeof parameters !== 'object' || Array.isArray(parameters)) {
+            throw new RequestError(400, 'The request body must be a JSON object.');
+        }
+        if (writeOperations.includes(name)) {
+            await verifyRequestSignature(name, body, parameters, req);
+        }
+        if (authorizeRequest && (await authorizeRequest({
+            operation: name, parameters, headers: req.headers,
+        })) !== true) {
+            throw new RequestError(403, 'The request is not authorized.');
+        }
+        return { operation: operations[name], parameters };
+    }
+
+    /**
+     * @private
+     * Converts an error into an HTTP status and response body.
+     * @param {Error} err The error to convert.
+     * @returns {Object} The response, as { status, body }.
+     */
+    function getErrorResponse(err) {
+        if (err instanceof RequestError) {
+            const { status, name, message } = err;
+            return { status, body: { error: { name, message } } };
+        }
+        if (err instanceof BlocktreeError) {
+            const isNotFound = err instanceof InvalidBlockError
+                && err.reason === InvalidBlockError.reasons.notFound;
+            // the error values are not returned, since they can include block data.
+            const {
+                name, code, reason, layer, message,
+            } = err;
+            return {
+                status: isNotFound ? 404 : (errorStatus[code] || 500),
+                body: {
+                    error: {
+                        name, code, reason, layer, message,
+                    },
+                },
+            };
+        }
+        return { status: 500, body: { error: { name: 'Error', message: 'Internal server error.' } } };
+    }
+
+    /**
+     * Handles an HTTP request. This can be used with an existing HTTP server.
+     * @param {IncomingMessage} req The request.
+     * @param {ServerResponse} res The response.
+     * @returns {Promise}
+     */
+    async function handleRequest(req, res) {
+        let status = 200;
+        let body = null;
+        try {
+            const { operation, parameters } = await parseRequest(req);
+            body = await operation(parameters);
+        } catch (err) {
+            ({ status, body } = getErrorResponse(err));
+        }
+        const text = toJson(body);
+        res.writeHead(status, {
+            'Content-Type': constants.server.contentType,
+            'Content-Length': Buffer.byteLength(text),
+            // the rest of a request body which was too large has not been read.
+            ...(status === 413 ? { Connection: 'close' } : {}),
+        });
+        res.end(text);
+    }
+
+    const { listen, close } = httpListenerFactory(handleRequest);
+
+    return {
+        handleRequest,
+        listen,
+        /**
+         * Stops listening for HTTP requests, and aborts any writes which are still waiting for
+         * a signature.
+         * @returns {Promise}
+         */
+        close: async () => {
+            pendingWrites.forEach((value) => {
+                value.reject(new RequestError(503, 'The server was stopped.'));
+            });
+            pendingWrites.clear();
+            await close();
+        },
+    };
+};
@@ -0,0 +1,503 @@
+/* eslint-disable no-await-in-loop */
+const fs = require('fs');
+const path = require('path');
+const constants = require('../constants');
+const { SerializationError } = require('../errors');
+const { fromInt32, toInt32 } = require('../utils/convert');
+const { generateHash } = require('../utils/crypto');
+const { storageIndexesFactory } = require('./storageHelpers');
+
+/**
+ * The size of the header written at the start of every segment file.
+ */
+const segmentHeaderSize = Buffer.byteLength(constants.fileStorage.magic) + constants.size.byte;
+
+/**
+ * The size of the header written before every record (value size and hash, followed by the
+ * previous and parent block hashes in version 2 segments).
+ */
+const recordHeaderSize = {
+    1: constants.size.int32 + constants.size.hash,
+    2: constants.size.int32 + constants.size.hash * 3,
+};
+
+/**
+ * The offsets of the previous and parent block hashes within a block (after the sequence, and
+ * after the previous hash, nonce and timestamp respectively).
+ */
+const blockLinkOffsets = {
+    prev: constants.size.int64,
+    parent: constants.size.int64 * 3 + constants.size.hash,
+};
+
+/**
+ * File storage factory (using an append-only segment log)
+ * @param {string} directory The directory where segment files are stored.
+ * @param {number} segmentSize (optional) The size in bytes at which a new segment is started.
+ * @param {boolean} sync (optional) Whether or not to flush every write to disk (default true).
+ */
+module.exports = function fileStorageFactory({ directory, segmentSize, sync }) {
+    const maxSegmentSize = segmentSize || constants.fileStorage.segmentSize;
+
+    /**
+     * @private
+     * The open segment files, in the order they were written.
+     */
+    const segments = [];
+
+    /**
+     * @private
+     * Maps a block hash to the segment and offset where its value is stored.
+     */
+    const index = {};
+    const keys = [];
+
+    /**
+     * @private
+     * Maps a previous block to its next blocks, and a parent block to its child blocks.
+     * Segments written before version 2 do not record these links, so they are read from the
+     * stored blocks instead.
+     */
+    const { addToIndexes, readIndex } = storageIndexesFactory();
+
+    /**
+     * @private
+     * The number to assign to the next segment file.
+     */
+    let nextSegmentId = 0;
+
+    /**
+     * @private
+     * Generates the file name for the specified segment number.
+     * @param {number} id The segment number.
+     * @returns {string} The full path of the segment file.
+     */
+    function getSegmentFile(id) {
+        return path.join(directory,
+            `${String(id).padStart(8, '0')}${constants.fileStorage.segmentExtension}`);
+    }
+
+    /**
+     * @private
+     * Generates the header written at the start of every segment file.
+     * @returns {Buffer} The segment header.
+     */
+    function serializeSegmentHeader(version = constants.fileStorage.version) {
+        return Buffer.concat([
+            Buffer.from(constants.fileStorage.magic, 'utf-8'),
+            Buffer.from([version]),
+        ]);
+    }
+
+    /**
+     * @private
+     * Reads a link stored in a record, where an empty hash represents no link.
+     * @param {Buffer} data The segment data.
+     * @param {number} offset The offset of the link.
+     * @returns {Buffer} The linked block, or null.
+     */
+    function readLink(data, offset) {
+        const result = data.slice(offset, offset + constants.size.hash);
+        return Buffer.compare(result, constants.block.zero) === 0 ? null : Buffer.from(result);
+    }
+
+    /**
+     * @private
+     * Reads the previous and parent blocks from a stored block, for records which were written
+     * without them.
+     * @param {Buffer} data The segment data.
+     * @param {number} offset The offset of the block.
+     * @param {number} size The size of the block.
+     * @returns {Object} The previous and parent blocks, as { prev, parent }.
+     */
+    function readBlockLinks(data, offset, size) {
+        const hasLink = (linkOffset) => linkOffset + constants.size.hash <= size;
+        return {
+            prev: hasLink(blockLinkOffsets.prev)
+                ? readLink(data, offset + blockLinkOffsets.prev) : null,
+            parent: hasLink(blockLinkOffsets.parent)
+                ? readLink(data, offset + blockLinkOffsets.parent) : null,
+        };
+    }
+
+    /**
+     * @private
+     * Creates a new, empty segment file and makes it the active segment.
+     * @returns {Object} The new segment.
+     */
+    function createSegment() {
+        const file = getSegmentFile(nextSegmentId);
+        nextSegmentId += 1;
+        const fd = fs.openSync(file, 'w+');
+        const header = serializeSegmentHeader();
+        fs.writeSync(fd, header, 0, segmentHeaderSize, 0);
+        const segment = {
+            file, fd, size: segmentHeaderSize, version: constants.fileStorage.version,
+        };
+        segments.push(segment);
+        return segment;
+    }
+
+    /**
+     * @private
+     * Reads an existing segment file, adding every intact record to the index.
+     * A torn or corrupted record marks the end of the segment and is truncated.
+     * @param {string} file The segment file to load.
+     */
+    function loadSegment(file) {
+        nextSegmentId = Math.max(nextSegmentId, parseInt(path.basename(file), 10) + 1);
+        const fd = fs.openSync(file, 'r+');
+        const data = fs.readFileSync(file);
+        const segment = {
+            file, fd, size: segmentHeaderSize, version: constants.fileStorage.version,
+        };
+        const header = serializeSegmentHeader();
+
+        // a segment which was created but never fully initialized can be reset.
+        if (Buffer.byteLength(data) < segmentHeaderSize) {
+            fs.ftruncateSync(fd, 0);
+            fs.writeSync(fd, header, 0, segmentHeaderSize, 0);
+            segments.push(segment);
+            return;
+        }
+        segment.version = data[segmentHeaderSize - constants.size.byte];
+        if (Buffer.compare(data.slice(0, segmentHeaderSize),
+            serializeSegmentHeader(segment.version)) !== 0
+            || segment.version < constants.fileStorage.minVersion
+            || segment.version > constants.fileStorage.version) {
+            fs.closeSync(fd);
+            throw new SerializationError({ file },
+                SerializationError.reasons.invalidSegment,
+                constants.layer.system);
+        }
+
+        const headerSize = recordHeaderSize[segment.version];
+        const hashOffset = constants.size.int32;
+        const linkOffset = hashOffset + constants.size.hash;
+        let offset = segmentHeaderSize;
+        while (offset + headerSize <= Buffer.byteLength(data)) {
+            const size = toInt32(data, offset);
+            const hash = data.slice(offset + hashOffset, offset + hashOffset + constants.size.hash);
+            const valueOffset = offset + headerSize;
+            if (valueOffset + size > Buffer.byteLength(data)
+                || Buffer.compare(generateHash(data.slice(valueOffset, valueOffset + size)),
+                    hash) !== 0) {
+                break;
+            }
+            const key = hash.toString('base64');
+            if (!index[key]) {
+                index[key] = { segment, offset: valueOffset, size };
+                keys.push(Buffer.from(hash));
+                const { prev, parent } = segment.version >= 2 ? {
+                    prev: readLink(data, offset + linkOffset),
+                    parent: readLink(data, offset + linkOffset + constants.size.hash),
+                } : readBlockLinks(data, valueOffset, size);
+                addToIndexes(Buffer.from(hash), { prev, parent });
+            }
+            offset = valueOffset + size;
+        }
+
+        // discard any partially written record at the end of the segment.
+        if (offset < Buffer.byteLength(data)) {
+            fs.ftruncateSync(fd, offset);
+        }
+        segment.size = offset;
+        segments.push(segment);
+    }
+
+    /**
+     * Reads a block from storage.
+     * @param {string} hash The hash of the block to read.
+     * @returns {Promise<Buffer>} The binary data being stored.
+     */
+    async function readStorage(hash) {
+        if (!hash) {
+            return null;
+        }
+        const location = index[hash.toString('base64')];
+        if (!location) {
+            return null;
+        }
+        const result = Buffer.alloc(location.size);
+        fs.readSync(location.segment.fd, result, 0, location.size, location.offset);
+        return result;
+    }
+
+    /**
+     * @private
+     * Serializes a block into a record, as it is stored in segment and journal files.
+     * @param {Buffer} hash The hash of the block.
+     * @param {Buffer} value The value to store.
+     * @param {Object} links (optional) The previous and parent blocks, as { prev, parent }.
+     * @returns {Buffer} The serialized record.
+     */
+    function serializeRecord(hash, value, { prev, parent } = {}) {
+        return Buffer.concat([
+            fromInt32(Buffer.byteLength(value)),
+            hash,
+            prev || constants.block.zero,
+            parent || constants.block.zero,
+            value,
+        ]);
+    }
+
+    /**
+     * @private
+     * Appends a record to the active segment and adds it to the indexes.
+     * @param {Buffer} hash The hash of the block.
+     * @param {Buffer} record The serialized record.
+     * @param {number} size The size of the stored value.
+     * @param {Buffer} prev The previous block, or null.
+     * @param {Buffer} parent The parent block, or null.
+     * @returns {Object} The segment which the record was written to.
+     */
+    function appendRecord(hash, record, size, prev, parent) {
+        let segment = segments[segments.length - 1];
+        if (segment.size > segmentHeaderSize
+            && segment.size + Buffer.byteLength(record) > maxSegmentSize) {
+            segment = createSegment();
+        }
+        const offset = segment.size;
+        fs.writeSync(segment.fd, record, 0, Buffer.byteLength(record), offset);
+        segment.size += Buffer.byteLength(record);
+        index[hash.toString('base64')] = {
+            segment, offset: offset + recordHeaderSize[segment.version], size,
+        };
+        keys.push(hash);
+        addToIndexes(hash, { prev, parent });
+        return segment;
+    }
+
+    /**
+     * @private
+     * Reads the records from a journal file, if the journal was completely written.
+     * @param {Buffer} data The contents of the journal file.
+     * @returns {Array} The journaled blocks, as { hash, value, links }, or null.
+     */
+    function readJournal(data) {
+        const magic = Buffer.from(constants.fileStorage.journalMagic, 'utf-8');
+        const commitMagic = Buffer.from(constants.fileStorage.commitMagic, 'utf-8');
+        const trailerSize = Buffer.byteLength(commitMagic) + constants.size.int32
+            + constants.size.hash;
+        const end = Buffer.byteLength(data) - trailerSize;
+        if (end < segmentHeaderSize
+            || Buffer.compare(data.slice(0, Buffer.byteLength(magic)), magic) !== 0
+            || data[segmentHeaderSize - constants.size.byte] !== constants.fileStorage.version
+            || Buffer.compare(data.slice(end, end + Buffer.byteLength(commitMagic)),
+                commitMagic) !== 0) {
+            return null;
+        }
+        const records = data.slice(segmentHeaderSize, end);
+        const count = toInt32(data, end + Buffer.byteLength(commitMagic));
+        const checksum = data.slice(Buffer.byteLength(data) - constants.size.hash);
+        if (Buffer.compare(generateHash(records), checksum) !== 0) {
+            return null;
+        }
+
+        const headerSize = recordHeaderSize[constants.fileStorage.version];
+        const linkOffset = constants.size.int32 + constants.size.hash;
+        const result = [];
+        let offset = 0;
+        while (offset + headerSize <= Buffer.byteLength(records)) {
+            const size = toInt32(records, offset);
+            const hash = Buffer.from(records.slice(offset + constants.size.int32,
+                offset + linkOffset));
+            const valueOffset = offset + headerSize;
+            result.push({
+                hash,
+                value: Buffer.from(records.slice(valueOffset, valueOffset + size)),
+                links: {
+                    prev: readLink(records, offset + linkOffset),
+                    parent: readLink(records, offset + linkOffset + constants.size.hash),
+                },
+            });
+            offset = valueOffset + size;
+        }
+        return result.length === count ? result : null;
+    }
+
+    /**
+     * @private
+     * Appends the blocks from a journal to the segments, skipping any which were already
+     * written, and flushes the segments to disk.
+     * @param {Array} entries The journaled blocks, as { hash, value, links }.
+     */
+    function applyJournal(entries) {
+        const written = new Set();
+        entries.forEach(({ hash, value, links }) => {
+            if (!index[hash.toString('base64')]) {
+                const { prev, parent } = links || {};
+                written.add(appendRecord(hash, serializeRecord(hash, value, links),
+                    Buffer.byteLength(value), prev || null, parent || null));
+            }
+        });
+        if (sync !== false) {
+            written.forEach((segment) => fs.fsyncSync(segment.fd));
+        }
+    }
+
+    /**
+     * @private
+     * Replays the journal left behind by an interrupted batch write. A journal which was not
+     * completely written is discarded, since none of its blocks were written to a segment.
+     */
+    function recoverJournal() {
+        const file = path.join(directory, constants.fileStorage.journalFile);
+        if (!fs.existsSync(file)) {
+            return;
+        }
+        const entries = readJournal(fs.readFileSync(file));
+        if (entries) {
+            applyJournal(entries);
+        }
+        fs.unlinkSync(file);
+    }
+
+    /**
+     * @private
+     * Loads all segment files and rebuilds the hash index.
+     */
+    function initialize() {
+        fs.mkdirSync(directory, { recursive: true });
+        const files = fs.readdirSync(directory)
+            .filter((i) => i.endsWith(constants.fileStorage.segmentExtension))
+            .sort();
+        files.forEach((file) => loadSegment(path.join(directory, file)));
+        // new records are always written to a segment using the current version.
+        if (segments.length === 0
+            || segments[segments.length - 1].version !== constants.fileStorage.version) {
+            createSegment();
+        }
+        recoverJournal();
+    }
+
+    /**
+     * Writes a block to storage.
+     * @param {string} value The value to write to storage.
+     * @param {Object} links (optional) The previous and parent blocks, as { prev, parent }.
+     * @returns {Promise<string>} The hash of the written block.
+     */
+    async function writeStorage(hash, value, { prev, parent } = {}) {
+        if (index[hash.toString('base64')]) {
+            return hash;
+        }
+        const segment = appendRecord(hash, serializeRecord(hash, value, { prev, parent }),
+            Buffer.byteLength(value), prev || null, parent || null);
+        if (sync !== false) {
+            fs.fsyncSync(segment.fd);
+        }
+        return hash;
+    }
+
+    /**
+     * Writes a batch of blocks to storage atomically. The blocks are first written to a
+     * journal file, which is replayed on startup if the batch was interrupted.
+     * @param {Array} entries The blocks to write, as { hash, value, links }.
+     * @returns {Promise<Array>} The hashes of the written blocks.
+     */
+    async function writeStorageBatch(entries) {
+        const seen = new Set();
+        const pending = entries.filter(({ hash }) => {
+            const key = hash.toString('base64');
+            const isNew = !index[key] && !seen.has(key);
+            seen.add(key);
+            return isNew;
+        });
+        if (pending.length > 0) {
+            const file = path.join(directory, constants.fileStorage.journalFile);
+            const records = Buffer.concat(pending.map(({ hash, value, links }) => (
+                serializeRecord(hash, value, links))));
+            const journal = Buffer.concat([
+                Buffer.from(constants.fileStorage.journalMagic, 'utf-8'),
+                Buffer.from([constants.fileStorage.version]),
+                records,
+                Buffer.from(constants.fileStorage.commitMagic, 'utf-8'),
+                fromInt32(pending.length),
+                generateHash(records),
+            ]);
+            const fd = fs.openSync(file, 'w');
+            fs.writeSync(fd, journal, 0, Buffer.byteLength(journal), 0);
+            fs.fsyncSync(fd);
+            fs.closeSync(fd);
+            applyJournal(pending);
+            fs.unlinkSync(file);
+        }
+        return entries.map((i) => i.hash);
+    }
+
+    async function readKeys() {
+        return keys;
+    }
+
+    /**
+     * Iterates through all blocks in storage using the map() function.
+     * @param {Function} fn The map() callback function.
+     * @returns {Promise<Array>} the result of the map() call.
+     */
+    async function mapInStorage(fn) {
+        const result = new Array(keys.length);
+        for (let i = 0; i < keys.length; i += 1) {
+            const value = await readStorage(keys[i]);
+            result[i] = fn(value);
+        }
+        return result;
+    }
+
+    /**
+     * Iterates through all blocks in storage, in the order they were written.
+     * @returns {AsyncGenerator<Buffer>} The stored blocks.
+     */
+    async function* iterateStorage() {
+        for (let i = 0; i < keys.length; i += 1) {
+            yield readStorage(keys[i]);
+        }
+    }
+
+    /**
+     * Iterates through all blocks in storage using the find() function.
+     * @param {Function} fn The find() callback function.
+     * @returns {Promise} The result of the find() call.
+     */
+    async function findInStorage(fn) {
+        for (let i = 0; i < keys.length; i += 1) {
+            const value = await readStorage(keys[i]);
+            if (fn(value)) {
+                return value;
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Retrieves a count of the number of blocks in storage.
+     * @returns {Promise<number>} The number of blocks in storage.
+     */
+    async function countInStorage() {
+        return BigInt(keys.length);
+    }
+
+    /**
+     * Closes all open segment files.
+     * @returns {Promise}
+     */
+    async function closeStorage() {
+        while (segments.length > 0) {
+            fs.closeSync(segments.pop().fd);
+        }
+    }
+
+    initialize();
+
+    return {
+        readStorage,
+        writeStorage,
+        writeStorageBatch,
+        readKeys,
+        readIndex,
+        mapInStorage,
+        iterateStorage,
+        findInStorage,
+        countInStorage,
+        closeStorage,
+    };
+};
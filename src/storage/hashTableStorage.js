@@ -1,5 +1,6 @@
 /* eslint-disable no-await-in-loop */
 const HashTable = require('@ronomon/hash-table');
+const { storageIndexesFactory, writeStorageBatchFactory } = require('./storageHelpers');
 
 module.exports = function storageFactory({
     keySize, valueSize, min, max,
@@ -8,6 +9,7 @@ module.exports = function storageFactory({
         keySize || 32, valueSize || 2 ** 16, min || 1024, max || 65535,
     );
     const keys = [];
+    const { addToIndexes, readIndex } = storageIndexesFactory();
 
     /**
      * Reads a block from storage.
@@ -29,9 +31,13 @@ module.exports = function storageFactory({
     /**
      * Writes a block to storage.
      * @param {string} value The value to write to storage.
+     * @param {Object} links (optional) The previous and parent blocks, as { prev, parent }.
      * @returns {Promise<string>} The hash of the written block.
      */
-    async function writeStorage(hash, value) {
+    async function writeStorage(hash, value, links) {
+        if (!hashTable.exist(hash, 0)) {
+            addToIndexes(hash, links);
+        }
         const size = Buffer.allocUnsafe(2);
         size.writeUInt16BE(Buffer.byteLength(value), 0);
         hashTable.set(hash, 0, Buffer.concat([size, value]), 0);
@@ -39,6 +45,8 @@ module.exports = function storageFactory({
         return hash;
     }
 
+    const writeStorageBatch = writeStorageBatchFactory(writeStorage);
+
     async function readKeys() {
         return keys;
     }
@@ -57,6 +65,16 @@ module.exports = function storageFactory({
         return result;
     }
 
+    /**
+     * Iterates through all blocks in storage, in the order they were written.
+     * @returns {AsyncGenerator<Buffer>} The stored blocks.
+     */
+    async function* iterateStorage() {
+        for (let i = 0; i < keys.length; i += 1) {
+            yield readStorage(keys[i]);
+        }
+    }
+
     /**
      * Iterates through all blocks in storage using the find() function.
      * @param {Function} fn The find() callback function.
@@ -83,8 +101,11 @@ module.exports = function storageFactory({
     return {
         readStorage,
         writeStorage,
+        writeStorageBatch,
         readKeys,
+        readIndex,
         mapInStorage,
+        iterateStorage,
         findInStorage,
         countInStorage,
     };
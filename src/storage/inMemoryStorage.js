@@ -1,4 +1,5 @@
 /* eslint-disable no-await-in-loop */
+const { storageIndexesFactory, writeStorageBatchFactory } = require('./storageHelpers');
 
 /**
  * In-memory storage factory (using a vanilla JS object)
@@ -6,6 +7,7 @@
 module.exports = function inMemoryStorageFactory() {
     const data = {};
     const keys = [];
+    const { addToIndexes, readIndex } = storageIndexesFactory();
 
     /**
      * Reads a block from storage.
@@ -22,14 +24,21 @@ module.exports = function inMemoryStorageFactory() {
     /**
      * Writes a block to storage.
      * @param {string} value The value to write to storage.
+     * @param {Object} links (optional) The previous and parent blocks, as { prev, parent }.
      * @returns {Promise<string>} The hash of the written block.
      */
-    async function writeStorage(hash, value) {
-        data[hash.toString('base64')] = value;
+    async function writeStorage(hash, value, links) {
+        const key = hash.toString('base64');
+        if (!data[key]) {
+            addToIndexes(hash, links);
+        }
+        data[key] = value;
         keys.push(hash);
         return hash;
     }
 
+    const writeStorageBatch = writeStorageBatchFactory(writeStorage);
+
     async function readKeys() {
         return keys;
     }
@@ -48,6 +57,16 @@ module.exports = function inMemoryStorageFactory() {
         return result;
     }
 
+    /**
+     * Iterates through all blocks in storage, in the order they were written.
+     * @returns {AsyncGenerator<Buffer>} The stored blocks.
+     */
+    async function* iterateStorage() {
+        for (let i = 0; i < keys.length; i += 1) {
+            yield readStorage(keys[i]);
+        }
+    }
+
     /**
      * Iterates through all blocks in storage using the find() function.
      * @param {Function} fn The find() callback function.
@@ -74,8 +93,11 @@ module.exports = function inMemoryStorageFactory() {
     return {
         readStorage,
         writeStorage,
+        writeStorageBatch,
         readKeys,
+        readIndex,
         mapInStorage,
+        iterateStorage,
         findInStorage,
         countInStorage,
     };
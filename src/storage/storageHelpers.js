@@ -0,0 +1,75 @@
+/* eslint-disable no-await-in-loop */
+const constants = require('../constants');
+
+/**
+ * Creates the next block and child block indexes used by a storage backend, which map a
+ * previous block to its next blocks and a parent block to its child blocks.
+ * @returns {Object} The addToIndexes() and readIndex() functions.
+ */
+function storageIndexesFactory() {
+    const indexes = {
+        [constants.storageIndex.next]: {},
+        [constants.storageIndex.children]: {},
+    };
+
+    /**
+     * Adds a block to the next block and child block indexes.
+     * @param {Buffer} hash The hash of the block.
+     * @param {Object} links (optional) The previous and parent blocks, as { prev, parent }.
+     */
+    function addToIndexes(hash, { prev, parent } = {}) {
+        const [name, key] = prev
+            ? [constants.storageIndex.next, prev]
+            : [constants.storageIndex.children, parent];
+        if (key) {
+            const list = indexes[name][key.toString('base64')] || [];
+            list.push(hash);
+            indexes[name][key.toString('base64')] = list;
+        }
+    }
+
+    /**
+     * Reads a list of blocks from an index.
+     * @param {string} name The index to read ("next" or "children").
+     * @param {Buffer} key The previous or parent block to look up.
+     * @returns {Promise<Array>} The indexed blocks, or null if the index is not available.
+     */
+    async function readIndex(name, key) {
+        if (!indexes[name]) {
+            return null;
+        }
+        return [...(indexes[name][key.toString('base64')] || [])];
+    }
+
+    return {
+        addToIndexes,
+        readIndex,
+    };
+}
+
+/**
+ * Creates a writeStorageBatch() function which writes each block in turn, for storage backends
+ * which do not need a journal to write a batch.
+ * @param {Function} writeStorage The writeStorage() function of the storage backend.
+ * @returns {Function} The writeStorageBatch() function.
+ */
+function writeStorageBatchFactory(writeStorage) {
+    /**
+     * Writes a batch of blocks to storage.
+     * @param {Array} entries The blocks to write, as { hash, value, links }.
+     * @returns {Promise<Array>} The hashes of the written blocks.
+     */
+    return async function writeStorageBatch(entries) {
+        const result = [];
+        for (let i = 0; i < entries.length; i += 1) {
+            const { hash, value, links } = entries[i];
+            result.push(await writeStorage(hash, value, links));
+        }
+        return result;
+    };
+}
+
+module.exports = {
+    storageIndexesFactory,
+    writeStorageBatchFactory,
+};
@@ -0,0 +1,172 @@
+/* eslint-disable no-await-in-loop, no-restricted-syntax */
+const constants = require('../constants');
+
+/**
+ * Transaction storage factory (stages writes on top of another storage until committed)
+ * @param {Object} storage The storage which staged blocks are committed to.
+ */
+module.exports = function transactionStorageFactory({ storage }) {
+    /**
+     * @private
+     * The staged blocks, in the order they were written.
+     */
+    const staged = [];
+    const stagedIndex = new Map();
+
+    /**
+     * Reads a block from the staged blocks, or from the underlying storage.
+     * @param {string} hash The hash of the block to read.
+     * @returns {Promise<Buffer>} The binary data being stored.
+     */
+    async function readStorage(hash) {
+        if (!hash) {
+            return null;
+        }
+        const entry = stagedIndex.get(hash.toString('base64'));
+        if (entry) {
+            return entry.value;
+        }
+        return storage.readStorage(hash);
+    }
+
+    /**
+     * Stages a block to be written to storage.
+     * @param {string} value The value to write to storage.
+     * @param {Object} links (optional) The previous and parent blocks, as { prev, parent }.
+     * @returns {Promise<string>} The hash of the written block.
+     */
+    async function writeStorage(hash, value, links = {}) {
+        const key = hash.toString('base64');
+        if (stagedIndex.has(key) || await storage.readStorage(hash)) {
+            return hash;
+        }
+        const entry = { hash, value, links };
+        staged.push(entry);
+        stagedIndex.set(key, entry);
+        return hash;
+    }
+
+    async function readKeys() {
+        return [...(await storage.readKeys()), ...staged.map((i) => i.hash)];
+    }
+
+    /**
+     * Reads a list of blocks from an index, including any staged blocks.
+     * @param {string} name The index to read ("next" or "children").
+     * @param {Buffer} key The previous or parent block to look up.
+     * @returns {Promise<Array>} The indexed blocks, or null if the index is not available.
+     */
+    async function readIndex(name, key) {
+        const indexed = storage.readIndex ? await storage.readIndex(name, key) : null;
+        if (!indexed) {
+            return null;
+        }
+        const result = [...indexed];
+        staged.forEach(({ hash, links: { prev, parent } }) => {
+            const link = name === constants.storageIndex.next ? prev : !prev && parent;
+            if (link && Buffer.compare(link, key) === 0) {
+                result.push(hash);
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Iterates through all blocks in storage using the map() function.
+     * @param {Function} fn The map() callback function.
+     * @returns {Promise<Array>} the result of the map() call.
+     */
+    async function mapInStorage(fn) {
+        return [...(await storage.mapInStorage(fn)), ...staged.map((i) => fn(i.value))];
+    }
+
+    /**
+     * Iterates through all blocks in storage, followed by the staged blocks.
+     * @returns {AsyncGenerator<Buffer>} The stored blocks.
+     */
+    async function* iterateStorage() {
+        if (storage.iterateStorage) {
+            yield* storage.iterateStorage();
+        } else {
+            const keys = await storage.readKeys();
+            for (let i = 0; i < keys.length; i += 1) {
+                yield storage.readStorage(keys[i]);
+            }
+        }
+        for (let i = 0; i < staged.length; i += 1) {
+            yield staged[i].value;
+        }
+    }
+
+    /**
+     * Iterates through all blocks in storage using the find() function.
+     * @param {Function} fn The find() callback function.
+     * @returns {Promise} The result of the find() call.
+     */
+    async function findInStorage(fn) {
+        const result = await storage.findInStorage(fn);
+        if (result) {
+            return result;
+        }
+        const entry = staged.find((i) => fn(i.value));
+        return entry ? entry.value : undefined;
+    }
+
+    /**
+     * Retrieves a count of the number of blocks in storage, including any staged blocks.
+     * @returns {Promise<number>} The number of blocks in storage.
+     */
+    async function countInStorage() {
+        return (await storage.countInStorage()) + BigInt(staged.length);
+    }
+
+    /**
+     * Retrieves the staged blocks, in the order they were written.
+     * @returns {Array} The staged blocks, as { hash, value, links }.
+     */
+    function getStagedEntries() {
+        return [...staged];
+    }
+
+    /**
+     * Writes all staged blocks to the underlying storage, as a single batch if supported.
+     * @returns {Promise<Array>} The hashes of the written blocks.
+     */
+    async function commit() {
+        const entries = getStagedEntries();
+        staged.length = 0;
+        stagedIndex.clear();
+        if (storage.writeStorageBatch) {
+            await storage.writeStorageBatch(entries);
+        } else {
+            for (let i = 0; i < entries.length; i += 1) {
+                const { hash, value, links } = entries[i];
+                await storage.writeStorage(hash, value, links);
+            }
+        }
+        return entries.map((i) => i.hash);
+    }
+
+    /**
+     * Discards all staged blocks.
+     * @returns {Promise}
+     */
+    async function abort() {
+        staged.length = 0;
+        stagedIndex.clear();
+    }
+
+    return {
+        readStorage,
+        writeStorage,
+        readKeys,
+        readIndex,
+        mapInStorage,
+        iterateStorage,
+        findInStorage,
+        countInStorage,
+        getStagedEntries,
+        commit,
+        abort,
+    };
+};
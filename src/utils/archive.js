@@ -0,0 +1,115 @@
+/* eslint-disable no-await-in-loop */
+const crypto = require('crypto');
+const { once } = require('events');
+const constants = require('../constants');
+const { SerializationError } = require('../errors');
+const {
+    fromByte, toByte, fromInt32, toInt32, fromInt64, toInt64,
+} = require('./convert');
+const { generateHash } = require('./crypto');
+
+/**
+ * @private
+ * Generates an error for an archive which cannot be read.
+ * @param {string} detail A description of the problem.
+ * @returns {SerializationError} The error to throw.
+ */
+function invalidArchive(detail) {
+    return new SerializationError({ detail }, SerializationError.reasons.invalidArchive,
+        constants.layer.blocktree);
+}
+
+/**
+ * Writes a blocktree archive to a stream. The archive consists of a header (magic value,
+ * version and block count), followed by each block hash and its raw bytes, followed by a
+ * SHA-256 digest of everything before it. The stream is not closed.
+ * @param {Writable} stream The stream to write to.
+ * @param {Array<Buffer>} blocks The hashes of the blocks to write, in order.
+ * @param {Function} readRawBlock Reads the raw bytes of a block.
+ * @returns {Promise<Buffer>} The digest of the archive.
+ */
+async function writeArchive(stream, blocks, readRawBlock) {
+    const digest = crypto.createHash(constants.block.hash);
+    const write = async (buf) => {
+        digest.update(buf);
+        if (!stream.write(buf)) {
+            await once(stream, 'drain');
+        }
+    };
+    await write(Buffer.concat([
+        Buffer.from(constants.archive.magic, 'utf-8'),
+        fromByte(constants.archive.version),
+        fromInt64(BigInt(blocks.length)),
+    ]));
+    for (let i = 0; i < blocks.length; i += 1) {
+        const raw = await readRawBlock(blocks[i]);
+        await write(Buffer.concat([blocks[i], fromInt32(raw.length), raw]));
+    }
+    const result = digest.digest();
+    if (!stream.write(result)) {
+        await once(stream, 'drain');
+    }
+    return result;
+}
+
+/**
+ * Reads a blocktree archive from a stream, checking that every block matches its hash.
+ * The digest is only checked once every block has been read, so blocks should not be
+ * committed until the iterator has finished.
+ * @param {Readable} stream The stream to read from.
+ * @returns {AsyncGenerator<Object>} The blocks in the archive, as { hash, raw }.
+ */
+async function* readArchive(stream) {
+    const digest = crypto.createHash(constants.block.hash);
+    const chunks = stream[Symbol.asyncIterator]();
+    let buffer = Buffer.alloc(0);
+
+    /**
+     * @private
+     * Reads the specified number of bytes from the stream.
+     */
+    async function read(size, isDigest = false) {
+        while (buffer.length < size) {
+            const { value, done } = await chunks.next();
+            if (done) {
+                throw invalidArchive('unexpected end of archive');
+            }
+            buffer = Buffer.concat([buffer, Buffer.from(value)]);
+        }
+        const result = buffer.slice(0, size);
+        buffer = buffer.slice(size);
+        if (!isDigest) {
+            digest.update(result);
+        }
+        return result;
+    }
+
+    const magic = await read(constants.archive.magic.length);
+    if (magic.toString('utf-8') !== constants.archive.magic) {
+        throw invalidArchive('not a blocktree archive');
+    }
+    const version = toByte(await read(constants.size.byte), 0);
+    if (version > constants.archive.version) {
+        throw invalidArchive(`unsupported version ${version}`);
+    }
+    const count = toInt64(await read(constants.size.int64), 0);
+    for (let i = 0n; i < count; i += 1n) {
+        const hash = await read(constants.size.hash);
+        const raw = await read(toInt32(await read(constants.size.int32), 0));
+        if (Buffer.compare(generateHash(raw), hash) !== 0) {
+            throw invalidArchive(`block ${hash.toString('hex')} does not match its hash`);
+        }
+        yield { hash, raw };
+    }
+    if (Buffer.compare(digest.digest(), await read(constants.size.hash, true)) !== 0) {
+        throw invalidArchive('digest mismatch');
+    }
+    if (buffer.length > 0 || !(await chunks.next()).done) {
+        throw invalidArchive('unexpected data after the end of the archive');
+    }
+}
+
+module.exports = {
+    writeArchive,
+    readArchive,
+};
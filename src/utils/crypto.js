@@ -1,97 +1,276 @@
 const crypto = require('crypto');
-const { promisify } = require('util');
 const constants = require('../constants');
-const { fromInt16, toInt16 } = require('./convert');
+const { InvalidKeyError } = require('../errors');
+const {
+    fromByte, toInt16, fromVarBinary, toVarBinary,
+} = require('./convert');
+const rsa = require('../crypto/rsa');
+const ed25519 = require('../crypto/ed25519');
+const x25519 = require('../crypto/x25519');
+const aesCbc = require('../crypto/aesCbc');
+const aesGcm = require('../crypto/aesGcm');
 
-const generateKeyPairRSA = promisify(crypto.generateKeyPair);
+const providers = {};
 
-async function generateKeyPair() {
-    return generateKeyPairRSA('rsa', {
-        modulusLength: constants.crypto.rsaKeySize,
-        publicKeyEncoding: {
-            type: 'pkcs1',
-            format: 'pem',
-        },
-    });
+/**
+ * Registers a crypto provider, so that it can be selected by name, or by the algorithm
+ * identifier recorded in signatures and encrypted data. Key providers have a *keyType*
+ * (as reported by KeyObject.asymmetricKeyType) and implement *generateKeyPair*, along with
+ * *sign* and *verify* and/or *wrapKey* and *unwrapKey*. Cipher providers implement *encrypt*
+ * and *decrypt*, and legacy cipher providers (*isLegacy*) are never selected by identifier.
+ * @param {Object} provider The provider, with a unique *name* and *id* (1 - 255).
+ */
+function registerCryptoProvider(provider) {
+    providers[provider.name] = provider;
+    providers[provider.id] = provider;
+}
+
+[rsa, ed25519, x25519, aesCbc, aesGcm].forEach(registerCryptoProvider);
+
+/**
+ * Finds a registered crypto provider.
+ * @param {string|number} algorithm The name or identifier of the algorithm.
+ * @returns {Object} The provider, or null if it is not registered.
+ */
+function getCryptoProvider(algorithm) {
+    return providers[algorithm] || null;
+}
+
+/**
+ * @private
+ * Finds the key provider for a key.
+ * @param {KeyObject} keyObject The key.
+ * @returns {Object} The provider, or null if the key type is not supported.
+ */
+function getKeyProvider(keyObject) {
+    return Object.values(providers)
+        .find((i) => i.keyType && i.keyType === keyObject.asymmetricKeyType) || null;
+}
+
+/**
+ * @private
+ * Converts a public key (PEM) to a key object.
+ */
+function toPublicKey(publicKey) {
+    return publicKey instanceof crypto.KeyObject ? publicKey : crypto.createPublicKey(publicKey);
+}
+
+/**
+ * @private
+ * Converts a private key (PEM) to a key object.
+ */
+function toPrivateKey(privateKey) {
+    return privateKey instanceof crypto.KeyObject
+        ? privateKey : crypto.createPrivateKey(privateKey);
 }
 
-async function cipher(key, data) {
-    const iv = crypto.randomBytes(constants.crypto.ivSize);
-    const theCipher = crypto.createCipheriv(constants.crypto.aesType, key, iv);
+/**
+ * @private
+ * Determines whether or not data starts with the header used to record the algorithm.
+ * @param {Buffer} data The data to check.
+ * @returns {boolean}
+ */
+function hasHeader(data) {
+    const header = Buffer.from(constants.crypto.header, 'utf-8');
+    return Buffer.byteLength(data) > Buffer.byteLength(header)
+        && Buffer.compare(data.slice(0, Buffer.byteLength(header)), header) === 0;
+}
+
+/**
+ * @private
+ * Determines whether or not a key is strong enough to be used for new signatures and keys.
+ * @param {KeyObject} keyObject The key.
+ * @returns {boolean}
+ */
+function isStrongKey(keyObject) {
+    return keyObject.asymmetricKeyType !== rsa.keyType
+        || keyObject.asymmetricKeyDetails.modulusLength >= constants.crypto.minRsaKeySize;
+}
+
+/**
+ * Determines whether or not a public key can be added to a secure blocktree: the key algorithm
+ * must be supported, and RSA keys must be at least 2048 bits.
+ * @param {Buffer} publicKey The public key (PEM).
+ * @returns {boolean}
+ */
+function isKeyAllowed(publicKey) {
+    let keyObject = null;
+    try {
+        keyObject = toPublicKey(publicKey);
+    } catch (err) {
+        return false;
+    }
+    return !!getKeyProvider(keyObject) && isStrongKey(keyObject);
+}
+
+/**
+ * Determines whether or not data can be encrypted for a public key, since some key
+ * algorithms (such as Ed25519) can only be used for signatures.
+ * @param {Buffer} publicKey The public key (PEM).
+ * @returns {boolean}
+ */
+function canEncrypt(publicKey) {
+    const provider = getKeyProvider(toPublicKey(publicKey));
+    return !!provider && !!provider.wrapKey;
+}
+
+/**
+ * Generates a key pair.
+ * @param {string} algorithm (optional) The name of the key algorithm: "rsa" (the default),
+ * "ed25519" (signatures only) or "x25519" (encryption only).
+ * @param {Object} options (optional) Options for the key provider.
+ * @returns {Promise<Object>} The key pair, as { publicKey (PEM), privateKey }.
+ */
+async function generateKeyPair(algorithm = constants.crypto.defaultKeyAlgorithm, options = {}) {
+    const provider = getCryptoProvider(algorithm);
+    if (!provider || !provider.generateKeyPair) {
+        throw new InvalidKeyError({ algorithm });
+    }
+    return provider.generateKeyPair(options);
+}
+
+/**
+ * Encrypts data using a symmetric key.
+ * @param {Buffer} key The 256 bit key to encrypt with.
+ * @param {Buffer} data The data to encrypt.
+ * @param {string} algorithm (optional) The name of the cipher, "aes-256-gcm" by default.
+ * Legacy ciphers cannot be used.
+ * @returns {Promise<Buffer>} The encrypted data, prefixed with the cipher identifier.
+ */
+async function cipher(key, data, algorithm = constants.crypto.defaultCipher) {
+    const provider = getCryptoProvider(algorithm);
+    if (!provider || !provider.encrypt || provider.isLegacy) {
+        throw new InvalidKeyError({ algorithm });
+    }
     return Buffer.concat([
-        iv,
-        theCipher.update(data),
-        theCipher.final(),
+        Buffer.from(constants.crypto.header, 'utf-8'),
+        fromByte(provider.id, 'algorithm'),
+        await provider.encrypt(key, data),
     ]);
 }
 
+/**
+ * Decrypts data which was encrypted using cipher(). Data without a header was encrypted
+ * using AES-256-CBC, and data with a header which names an unknown cipher is rejected.
+ * @param {Buffer} key The 256 bit key to decrypt with.
+ * @param {Buffer} encryptedData The encrypted data.
+ * @returns {Promise<Buffer>} The decrypted data.
+ */
 async function decipher(key, encryptedData) {
     if (!encryptedData) {
         return null;
     }
-    const iv = encryptedData.slice(0, constants.crypto.aesKeySize);
-    const data = encryptedData.slice(constants.crypto.aesKeySize);
-    const theDecipher = crypto.createDecipheriv(constants.crypto.aesType, key, iv);
-    return Buffer.concat([
-        theDecipher.update(data),
-        theDecipher.final(),
-    ]);
-}
-
-async function publicEncrypt(publicKey, data) {
-    return crypto.publicEncrypt({
-        key: publicKey,
-        padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
-        oaepHash: 'sha256',
-    }, data);
+    if (!hasHeader(encryptedData)) {
+        return aesCbc.decrypt(key, encryptedData);
+    }
+    // the unauthenticated legacy cipher is never selected by the header, so that changing
+    // the cipher identifier cannot downgrade authenticated data.
+    const index = Buffer.byteLength(constants.crypto.header);
+    const provider = getCryptoProvider(encryptedData[index]);
+    if (!provider || !provider.decrypt || provider.isLegacy) {
+        throw new InvalidKeyError({ algorithm: encryptedData[index] });
+    }
+    return provider.decrypt(key, encryptedData.slice(index + 1));
 }
 
-async function privateDecrypt(privateKey, encryptedData) {
-    return crypto.privateDecrypt({
-        key: privateKey,
-        padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
-        oaepHash: 'sha256',
-    }, encryptedData);
+/**
+ * Generates a random key for encrypting data using cipher().
+ * @returns {Buffer} A random 256 bit key.
+ */
+function generateDataKey() {
+    return crypto.randomBytes(constants.crypto.dataKeySize);
 }
 
-async function encrypt(publicKey, data) {
-    const key = crypto.randomBytes(32);
-    const encryptedKey = await publicEncrypt(publicKey, key);
-    const encryptedData = await cipher(key, data);
+/**
+ * Encrypts data using a public key. The data is encrypted with a random data key, which is
+ * encrypted using the public key's provider.
+ * @param {Buffer} publicKey The public key (PEM) to encrypt with.
+ * @param {Buffer} data The data to encrypt.
+ * @param {string} algorithm (optional) The name of the cipher to encrypt the data with.
+ * @returns {Promise<Buffer>} The encrypted data, prefixed with the key algorithm identifier.
+ */
+async function encrypt(publicKey, data, algorithm) {
+    const keyObject = toPublicKey(publicKey);
+    const provider = getKeyProvider(keyObject);
+    if (!provider || !provider.wrapKey) {
+        throw new InvalidKeyError({ key: publicKey });
+    }
+    const key = generateDataKey();
     return Buffer.concat([
-        fromInt16(Buffer.byteLength(encryptedKey)),
-        encryptedKey,
-        encryptedData,
+        Buffer.from(constants.crypto.header, 'utf-8'),
+        fromByte(provider.id, 'algorithm'),
+        fromVarBinary(await provider.wrapKey(keyObject, key)),
+        await cipher(key, data, algorithm),
     ]);
 }
 
+/**
+ * Decrypts data which was encrypted using encrypt(). Data without an algorithm identifier
+ * was encrypted using RSA-OAEP and AES-256-CBC.
+ * @param {KeyObject} privateKey The private key to decrypt with.
+ * @param {Buffer} encrypted The encrypted data.
+ * @returns {Promise<Buffer>} The decrypted data.
+ */
 async function decrypt(privateKey, encrypted) {
-    let index = 0;
-    const keyLength = toInt16(encrypted, 0);
-    index += constants.size.int16;
-
-    const encryptedKey = encrypted.slice(index, index + keyLength);
-    index += keyLength;
-
-    const encryptedData = encrypted.slice(index);
-
-    const key = await privateDecrypt(privateKey, encryptedKey);
-    const data = await decipher(key, encryptedData);
-    return data;
+    const keyObject = toPrivateKey(privateKey);
+    if (!hasHeader(encrypted)) {
+        // the size of an RSA encrypted key is never large enough to be mistaken for the header.
+        const keyLength = toInt16(encrypted, 0);
+        const index = constants.size.int16;
+        const key = await rsa.unwrapKey(keyObject, encrypted.slice(index, index + keyLength));
+        return aesCbc.decrypt(key, encrypted.slice(index + keyLength));
+    }
+    const index = Buffer.byteLength(constants.crypto.header);
+    const provider = getCryptoProvider(encrypted[index]);
+    if (!provider || !provider.unwrapKey || provider !== getKeyProvider(keyObject)) {
+        throw new InvalidKeyError({ algorithm: encrypted[index] });
+    }
+    const wrappedKey = toVarBinary(encrypted, index + 1);
+    const key = await provider.unwrapKey(keyObject, wrappedKey.result);
+    return decipher(key, encrypted.slice(wrappedKey.index));
 }
 
+/**
+ * Signs data using a private key.
+ * @param {KeyObject} privateKey The private key to sign with.
+ * @param {Buffer} data The data to sign.
+ * @returns {Promise<Buffer>} The signature, prefixed with the key algorithm identifier.
+ */
 async function sign(privateKey, data) {
-    return crypto.sign('sha256', data, {
-        key: privateKey,
-        padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
-    });
+    const keyObject = toPrivateKey(privateKey);
+    const provider = getKeyProvider(keyObject);
+    if (!provider || !provider.sign || !isStrongKey(keyObject)) {
+        throw new InvalidKeyError({ algorithm: keyObject.asymmetricKeyType });
+    }
+    return Buffer.concat([
+        fromByte(provider.id, 'algorithm'),
+        await provider.sign(keyObject, data),
+    ]);
 }
 
-async function verify(publicKey, sig, data) {
-    return crypto.verify('sha256', data, {
-        key: publicKey,
-        padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
-    }, sig);
+/**
+ * Verifies a signature created using sign(). Signatures from RSA keys smaller than 2048 bits
+ * are rejected, unless they are legacy signatures without an algorithm identifier (RSA-PSS
+ * signatures, which are the same size as the key) and *allowLegacy* is true.
+ * @param {Buffer} publicKey The public key (PEM) to verify with.
+ * @param {Buffer} sig The signature.
+ * @param {Buffer} data The signed data.
+ * @param {boolean} allowLegacy (optional) Whether or not to accept legacy signatures, which
+ * should only be used for verifying blocks which already exist.
+ * @returns {Promise<boolean>} Whether or not the signature is valid.
+ */
+async function verify(publicKey, sig, data, { allowLegacy = false } = {}) {
+    const keyObject = toPublicKey(publicKey);
+    const keyProvider = getKeyProvider(keyObject);
+    if (keyProvider === rsa && Buffer.byteLength(sig)
+        === keyObject.asymmetricKeyDetails.modulusLength / 8) {
+        return allowLegacy && rsa.verify(keyObject, sig, data);
+    }
+    const provider = Buffer.byteLength(sig) > 0 ? getCryptoProvider(sig[0]) : null;
+    if (!provider || provider !== keyProvider || !provider.verify || !isStrongKey(keyObject)) {
+        return false;
+    }
+    return provider.verify(keyObject, sig.slice(1), data);
 }
 
 /**
@@ -111,9 +290,14 @@ function generateNonce() {
 }
 
 module.exports = {
+    registerCryptoProvider,
+    getCryptoProvider,
+    isKeyAllowed,
+    canEncrypt,
     generateKeyPair,
     cipher,
     decipher,
+    generateDataKey,
     encrypt,
     decrypt,
     sign,
@@ -0,0 +1,95 @@
+/**
+ * @private
+ * Adds a property to an object. Keys such as "__proto__" are defined as properties rather than
+ * assigned, so that they cannot change the prototype of the object.
+ * @param {Object} target The object to add the property to.
+ * @param {string} key The property name.
+ * @param {*} value The property value.
+ */
+function defineValue(target, key, value) {
+    Object.defineProperty(target, key, {
+        value, enumerable: true, writable: true, configurable: true,
+    });
+}
+
+/**
+ * Converts a value into one which can be represented as JSON. Buffers are encoded as
+ * { $buffer: <base64> } and BigInts as { $bigint: <decimal string> }. Object keys which start
+ * with "$" are escaped with another "$", so that objects cannot be mistaken for tagged values.
+ * @param {*} value The value to encode.
+ * @returns {*} The encoded value.
+ */
+function encodeValue(value) {
+    if (Buffer.isBuffer(value)) {
+        return { $buffer: value.toString('base64') };
+    }
+    if (typeof value === 'bigint') {
+        return { $bigint: value.toString() };
+    }
+    if (Array.isArray(value)) {
+        return value.map(encodeValue);
+    }
+    if (value && typeof value === 'object') {
+        const result = {};
+        Object.keys(value).forEach((key) => {
+            if (value[key] !== undefined && typeof value[key] !== 'function') {
+                defineValue(result, key.startsWith('$') ? `$${key}` : key,
+                    encodeValue(value[key]));
+            }
+        });
+        return result;
+    }
+    return value;
+}
+
+/**
+ * Converts a value produced by encodeValue() back into its original form.
+ * @param {*} value The value to decode.
+ * @returns {*} The decoded value.
+ */
+function decodeValue(value) {
+    if (Array.isArray(value)) {
+        return value.map(decodeValue);
+    }
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value);
+        if (keys.length === 1 && typeof value.$buffer === 'string') {
+            return Buffer.from(value.$buffer, 'base64');
+        }
+        if (keys.length === 1 && typeof value.$bigint === 'string') {
+            return BigInt(value.$bigint);
+        }
+        const result = {};
+        keys.forEach((key) => {
+            defineValue(result, key.startsWith('$$') ? key.slice(1) : key,
+                decodeValue(value[key]));
+        });
+        return result;
+    }
+    return value;
+}
+
+/**
+ * Serializes a value as JSON, including any Buffers and BigInts.
+ * @param {*} value The value to serialize.
+ * @returns {string} The JSON text.
+ */
+function toJson(value) {
+    return JSON.stringify(encodeValue(value === undefined ? null : value));
+}
+
+/**
+ * Deserializes JSON text created by toJson().
+ * @param {string} text The JSON text.
+ * @returns {*} The deserialized value.
+ */
+function fromJson(text) {
+    return decodeValue(JSON.parse(text));
+}
+
+module.exports = {
+    encodeValue,
+    decodeValue,
+    toJson,
+    fromJson,
+};
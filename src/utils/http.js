@@ -0,0 +1,98 @@
+/* eslint-disable no-restricted-syntax */
+const http = require('http');
+const { generateHash } = require('./crypto');
+
+/**
+ * An error in an HTTP request itself, rather than in the requested operation.
+ */
+class RequestError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+        this.name = this.constructor.name;
+    }
+}
+
+/**
+ * Reads the body of a request, up to the maximum body size.
+ * @param {IncomingMessage} req The request.
+ * @param {number} maxBodySize The maximum size of the request body, in bytes.
+ * @returns {Promise<Buffer>} The request body.
+ */
+async function readBody(req, maxBodySize) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > maxBodySize) {
+            throw new RequestError(413, 'The request body is too large.');
+        }
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Generates the digest which a request signature signs, covering the request timestamp and
+ * nonce, the operation and the entire request body.
+ * @param {string} operation The name of the operation.
+ * @param {Buffer} body The request body.
+ * @param {Buffer} header The request timestamp and nonce, as [timestamp int64][nonce int64].
+ * @returns {Buffer} The digest.
+ */
+function generateRequestDigest(operation, body, header) {
+    return generateHash(Buffer.concat([header, Buffer.from(operation, 'utf-8'), body]));
+}
+
+/**
+ * Creates an HTTP listener which passes every request to the request handler.
+ * @param {Function} handleRequest The request handler, as (req, res) => Promise.
+ * @returns {Object} The listener, with listen() and close() functions.
+ */
+function httpListenerFactory(handleRequest) {
+    /**
+     * @private
+     * The HTTP server, once it has been started.
+     */
+    let server = null;
+
+    /**
+     * Starts listening for HTTP requests.
+     * @param {number} port The port to listen on, or 0 to use any available port.
+     * @param {string} host (optional) The host name to listen on.
+     * @returns {Promise<Object>} The address the server is listening on.
+     */
+    async function listen(port, host) {
+        server = http.createServer((req, res) => { handleRequest(req, res); });
+        await new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port, host, resolve);
+        });
+        return server.address();
+    }
+
+    /**
+     * Stops listening for HTTP requests.
+     * @returns {Promise}
+     */
+    async function close() {
+        if (server) {
+            const closed = new Promise((resolve) => server.close(resolve));
+            server.closeAllConnections();
+            await closed;
+            server = null;
+        }
+    }
+
+    return {
+        listen,
+        close,
+    };
+}
+
+module.exports = {
+    RequestError,
+    readBody,
+    generateRequestDigest,
+    httpListenerFactory,
+};
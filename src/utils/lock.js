@@ -0,0 +1,51 @@
+/**
+ * Keyed lock factory, which runs async functions one at a time for each key.
+ * Locks are not re-entrant, so a function holding a lock must not acquire it again.
+ */
+module.exports = function lockFactory() {
+    /**
+     * @private
+     * The last queued function for each key.
+     */
+    const queues = new Map();
+
+    /**
+     * Runs the function once every function previously queued with the same key has finished.
+     * @param {string} key The key to lock on.
+     * @param {Function} fn The async function to run.
+     * @returns {Promise} The result of the function.
+     */
+    async function withLock(key, fn) {
+        const previous = queues.get(key) || Promise.resolve();
+        let release = null;
+        const released = new Promise((resolve) => { release = resolve; });
+        const current = previous.then(() => released);
+        queues.set(key, current);
+        await previous;
+        try {
+            return await fn();
+        } finally {
+            release();
+            if (queues.get(key) === current) {
+                queues.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Runs the function once all of the specified locks have been acquired.
+     * Keys are always acquired in the same order to avoid deadlocks.
+     * @param {Array} keys The keys to lock on.
+     * @param {Function} fn The async function to run.
+     * @returns {Promise} The result of the function.
+     */
+    async function withLocks(keys, fn) {
+        return [...new Set(keys)].sort()
+            .reduceRight((next, key) => () => withLock(key, next), fn)();
+    }
+
+    return {
+        withLock,
+        withLocks,
+    };
+};
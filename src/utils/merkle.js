@@ -0,0 +1,137 @@
+const constants = require('../constants');
+const { generateHash } = require('./crypto');
+
+/**
+ * Generates the hash of a leaf node in a Merkle tree.
+ * @param {Buffer} value The leaf value (usually a block hash).
+ * @returns {Buffer} The leaf hash.
+ */
+function hashLeaf(value) {
+    return generateHash(Buffer.concat([Buffer.from([constants.merkle.leafPrefix]), value]));
+}
+
+/**
+ * Generates the hash of an internal node in a Merkle tree.
+ * @param {Buffer} left The left child hash.
+ * @param {Buffer} right The right child hash.
+ * @returns {Buffer} The node hash.
+ */
+function hashNode(left, right) {
+    return generateHash(Buffer.concat([Buffer.from([constants.merkle.nodePrefix]), left, right]));
+}
+
+/**
+ * @private
+ * Builds every level of a Merkle tree, starting with the leaves.
+ * An unpaired node at the end of a level is promoted to the next level unchanged.
+ * @param {Array<Buffer>} values The leaf values.
+ * @returns {Array<Array<Buffer>>} The levels of the tree.
+ */
+function buildLevels(values) {
+    const levels = [values.map(hashLeaf)];
+    while (levels[levels.length - 1].length > 1) {
+        const level = levels[levels.length - 1];
+        const next = [];
+        for (let i = 0; i < level.length; i += 2) {
+            next.push(i + 1 < level.length ? hashNode(level[i], level[i + 1]) : level[i]);
+        }
+        levels.push(next);
+    }
+    return levels;
+}
+
+/**
+ * Computes the Merkle root of a list of values.
+ * @param {Array<Buffer>} values The leaf values, in order.
+ * @returns {Buffer} The Merkle root, or null if there are no values.
+ */
+function computeMerkleRoot(values) {
+    if (!values || values.length === 0) {
+        return null;
+    }
+    const levels = buildLevels(values);
+    return levels[levels.length - 1][0];
+}
+
+/**
+ * Adds a value to the peaks of a Merkle tree (the roots of its largest perfect subtrees, in
+ * order), so that the Merkle root can be computed incrementally as values are added.
+ * @param {Array<Buffer>} peaks The peaks of the Merkle tree.
+ * @param {BigInt} count The number of values in the Merkle tree.
+ * @param {Buffer} value The leaf value to add.
+ * @returns {Array<Buffer>} The peaks of the Merkle tree, including the new value.
+ */
+function appendMerklePeak(peaks, count, value) {
+    const result = [...peaks];
+    let hash = hashLeaf(value);
+    // each perfect subtree which the new value completes is merged into a larger one.
+    for (let i = BigInt(count); i % 2n === 1n; i /= 2n) {
+        hash = hashNode(result.pop(), hash);
+    }
+    result.push(hash);
+    return result;
+}
+
+/**
+ * Computes the Merkle root from the peaks of a Merkle tree.
+ * @param {Array<Buffer>} peaks The peaks of the Merkle tree.
+ * @returns {Buffer} The Merkle root, or null if there are no values.
+ */
+function computeMerkleRootFromPeaks(peaks) {
+    if (!peaks || peaks.length === 0) {
+        return null;
+    }
+    return peaks.slice(0, -1).reduceRight((hash, peak) => hashNode(peak, hash),
+        peaks[peaks.length - 1]);
+}
+
+/**
+ * Generates the path of sibling hashes needed to prove that a value is in a Merkle tree.
+ * @param {Array<Buffer>} values The leaf values, in order.
+ * @param {number} index The index of the value to prove.
+ * @returns {Array<Object>} The proof path, as a list of { position, hash }.
+ */
+function generateMerklePath(values, index) {
+    const levels = buildLevels(values);
+    const path = [];
+    let position = index;
+    for (let i = 0; i < levels.length - 1; i += 1) {
+        const level = levels[i];
+        const sibling = position % 2 === 0 ? position + 1 : position - 1;
+        if (sibling < level.length) {
+            path.push({
+                position: sibling > position ? 'right' : 'left',
+                hash: level[sibling],
+            });
+        }
+        position = Math.floor(position / 2);
+    }
+    return path;
+}
+
+/**
+ * Verifies an inclusion proof against a trusted Merkle root.
+ * This function does not require access to the database.
+ * @param {Object} proof The proof generated by generateInclusionProof().
+ * @param {Buffer} root The trusted Merkle root to verify against.
+ * @returns {boolean} Whether or not the proof is valid.
+ */
+function verifyInclusionProof(proof, root) {
+    if (!proof || !proof.block || !Array.isArray(proof.path) || !root) {
+        return false;
+    }
+    const result = proof.path.reduce((hash, step) => (step.position === 'left'
+        ? hashNode(step.hash, hash)
+        : hashNode(hash, step.hash)), hashLeaf(proof.block));
+    return Buffer.compare(result, root) === 0;
+}
+
+module.exports = {
+    hashLeaf,
+    hashNode,
+    computeMerkleRoot,
+    appendMerklePeak,
+    computeMerkleRootFromPeaks,
+    generateMerklePath,
+    verifyInclusionProof,
+};
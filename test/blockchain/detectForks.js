@@ -0,0 +1,102 @@
+/* eslint-disable no-await-in-loop */
+const assert = require('assert');
+const constants = require('../../src/constants');
+const { InvalidBlockError } = require('../../src/errors');
+
+module.exports = (context) => {
+    /**
+     * Writes a blockchain of three blocks, with a second branch off of the first block.
+     */
+    async function writeForkedChain() {
+        const { blockchain } = context;
+        const data = Buffer.from("I'm a string!", 'utf-8');
+        blockchain.mocks.time.setNextTimestamp(1000n);
+        blockchain.mocks.time.setNextTimestamp(3000n);
+        blockchain.mocks.time.setNextTimestamp(4000n);
+        blockchain.mocks.time.setNextTimestamp(2000n);
+        const block1 = await blockchain.writeBlock({ prev: null, data });
+        const block2 = await blockchain.writeBlock({ prev: block1, data });
+        const block3 = await blockchain.writeBlock({ prev: block2, data });
+        const fork = await blockchain.writeBlock({ prev: block1, data },
+            { validate: false, cacheNext: false });
+        return {
+            block1, block2, block3, fork,
+        };
+    }
+
+    return {
+        'should report no forks for a linear blockchain': async () => {
+            const { blockchain } = context;
+            const data = Buffer.from("I'm a string!", 'utf-8');
+            let block = null;
+            for (let i = 0; i < 5; i += 1) {
+                block = await blockchain.writeBlock({ prev: block, data });
+            }
+            const result = await blockchain.detectForks(block);
+            assert.strictEqual(result.isForked, false);
+            assert.strictEqual(result.forks.length, 0);
+        },
+        'should report every branch of a forked blockchain': async () => {
+            const { blockchain } = context;
+            const {
+                block1, block3, fork,
+            } = await writeForkedChain();
+            const result = await blockchain.detectForks(block3);
+            assert.strictEqual(result.isForked, true);
+            assert.strictEqual(result.forks.length, 1);
+            const [{ block, branches, isResolved }] = result.forks;
+            assert.ok(Buffer.compare(block, block1) === 0);
+            assert.strictEqual(isResolved, false);
+            assert.strictEqual(branches.length, 2);
+            const heads = branches.map((i) => i.head.toString('hex')).sort();
+            assert.deepStrictEqual(heads, [block3, fork].map((i) => i.toString('hex')).sort());
+        },
+        'should report forks when the storage has no index': async () => {
+            const { blockchain } = context;
+            const { block1, block3 } = await writeForkedChain();
+            delete blockchain.mocks.storage.readIndex;
+            const result = await blockchain.detectForks(block3);
+            assert.strictEqual(result.forks.length, 1);
+            assert.ok(Buffer.compare(result.forks[0].block, block1) === 0);
+            assert.strictEqual(result.forks[0].branches.length, 2);
+        },
+        'should select the earliest block as the next block of an unresolved fork': async () => {
+            const { blockchain } = context;
+            const { block1, fork } = await writeForkedChain();
+            await blockchain.mocks.cache.writeCache(block1, constants.cache.next, null);
+            await blockchain.mocks.cache.writeCache(block1, constants.cache.headBlock, null);
+            assert.ok(Buffer.compare(await blockchain.getNextBlock(block1), fork) === 0);
+            assert.ok(Buffer.compare(await blockchain.getHeadBlock(block1), fork) === 0);
+        },
+        'should follow the canonical branch once the fork is resolved': async () => {
+            const { blockchain } = context;
+            const {
+                block1, block2, block3, fork,
+            } = await writeForkedChain();
+            await blockchain.mocks.cache.writeCache(block1, constants.cache.next, null);
+            const head = await blockchain.resolveFork({ block: block1, next: block2 });
+
+            assert.ok(Buffer.compare(head, block3) === 0);
+            assert.ok(Buffer.compare(await blockchain.getNextBlock(block1), block2) === 0);
+            assert.ok(Buffer.compare(await blockchain.getHeadBlock(block1), block3) === 0);
+            const { forks: [{ branches, isResolved }] } = await blockchain.detectForks(fork);
+            assert.strictEqual(isResolved, true);
+            const canonical = branches.find((i) => i.isCanonical);
+            assert.ok(Buffer.compare(canonical.block, block2) === 0);
+        },
+        'should fail to resolve a fork with a block which does not follow it': async () => {
+            const { blockchain } = context;
+            const { block1, block3 } = await writeForkedChain();
+            let isExecuted = false;
+            try {
+                await blockchain.resolveFork({ block: block1, next: block3 });
+                isExecuted = true;
+            } catch (err) {
+                assert.ok(err instanceof InvalidBlockError);
+                assert.strictEqual(err.layer, constants.layer.blockchain);
+                assert.strictEqual(err.reason, InvalidBlockError.reasons.invalidBranch);
+            }
+            assert.strictEqual(isExecuted, false, 'Expected an exception to be thrown.');
+        },
+    };
+};
@@ -0,0 +1,144 @@
+/* eslint-disable no-await-in-loop */
+const assert = require('assert');
+const constants = require('../../src/constants');
+const { InvalidBlockError } = require('../../src/errors');
+const { verifyInclusionProof } = require('../../src/utils/merkle');
+const systemLayerFactory = require('../../src/layers/system');
+const blockchainLayerFactory = require('../../src/layers/blockchain');
+const inMemoryStorage = require('../../src/storage/inMemoryStorage');
+const noCache = require('../../src/cache/noCache');
+const timeMock = require('../mocks/time');
+const { writeChain } = require('../test-helper');
+
+module.exports = (context) => ({
+    'should generate a proof for every block which verifies against the merkle root': async () => {
+        const { blockchain } = context;
+        const blocks = await writeChain(blockchain, 7);
+        const root = await blockchain.getMerkleRoot(blocks[blocks.length - 1]);
+        for (let i = 0; i < blocks.length; i += 1) {
+            const proof = await blockchain.generateInclusionProof(blocks[i]);
+            assert.strictEqual(proof.index, i);
+            assert.strictEqual(proof.size, blocks.length);
+            assert.ok(Buffer.compare(proof.root, root) === 0);
+            assert.ok(verifyInclusionProof(proof, root));
+            assert.ok(blockchain.verifyInclusionProof(proof, root));
+        }
+    },
+    'should generate a proof against an earlier head block': async () => {
+        const { blockchain } = context;
+        const blocks = await writeChain(blockchain, 5);
+        const root = await blockchain.getMerkleRoot(blocks[2]);
+        const proof = await blockchain.generateInclusionProof(blocks[1], { head: blocks[2] });
+        assert.strictEqual(proof.size, 3);
+        assert.ok(verifyInclusionProof(proof, root));
+        assert.ok(!verifyInclusionProof(proof, await blockchain.getMerkleRoot(blocks[4])));
+    },
+    'should generate a proof for a blockchain with a single block': async () => {
+        const { blockchain } = context;
+        const [block] = await writeChain(blockchain, 1);
+        const proof = await blockchain.generateInclusionProof(block);
+        assert.strictEqual(proof.path.length, 0);
+        assert.ok(verifyInclusionProof(proof, await blockchain.getMerkleRoot(block)));
+    },
+    'should not verify a proof which has been tampered with': async () => {
+        const { blockchain } = context;
+        const blocks = await writeChain(blockchain, 6);
+        const root = await blockchain.getMerkleRoot(blocks[5]);
+        const proof = await blockchain.generateInclusionProof(blocks[3]);
+
+        const otherBlock = { ...proof, block: blocks[2] };
+        assert.ok(!verifyInclusionProof(otherBlock, root));
+
+        const tamperedHash = Buffer.from(proof.path[0].hash);
+        tamperedHash[0] = (tamperedHash[0] + 1) % 256;
+        const tamperedPath = {
+            ...proof,
+            path: [{ ...proof.path[0], hash: tamperedHash }, ...proof.path.slice(1)],
+        };
+        assert.ok(!verifyInclusionProof(tamperedPath, root));
+        assert.ok(!verifyInclusionProof(proof, null));
+        assert.ok(!verifyInclusionProof(null, root));
+    },
+    'should not verify a proof from a different blockchain': async () => {
+        const { blockchain } = context;
+        const chain1 = await writeChain(blockchain, 4);
+        const chain2 = await writeChain(blockchain, 4);
+        const proof = await blockchain.generateInclusionProof(chain2[1]);
+        assert.ok(!verifyInclusionProof(proof, await blockchain.getMerkleRoot(chain1[3])));
+    },
+    'should checkpoint the merkle root periodically': async () => {
+        const { blockchain } = context;
+        const blocks = await writeChain(blockchain, constants.merkle.checkpointInterval);
+        const block = blocks[blocks.length - 1];
+        const cached = await blockchain.mocks.cache.readCache(block, constants.cache.merkleRoot);
+        await blockchain.mocks.cache.writeCache(block, constants.cache.merkleRoot, null);
+        const root = await blockchain.getMerkleRoot(block);
+        assert.ok(cached === null || Buffer.compare(cached, root) === 0);
+        const proof = await blockchain.generateInclusionProof(blocks[10]);
+        assert.ok(verifyInclusionProof(proof, root));
+    },
+    'should compute the merkle root from the nearest persisted checkpoint': async () => {
+        const storage = inMemoryStorage();
+        let reads = 0;
+        const system = systemLayerFactory({
+            cache: noCache(),
+            storage: {
+                ...storage,
+                readStorage: async (hash) => {
+                    reads += 1;
+                    return storage.readStorage(hash);
+                },
+            },
+            time: timeMock(),
+        });
+        const checkpointStorage = inMemoryStorage();
+        const blockchain = blockchainLayerFactory({ system, checkpointStorage });
+        const blocks = await writeChain(blockchain, constants.merkle.checkpointInterval + 2);
+        assert.strictEqual(await checkpointStorage.countInStorage(), 1n);
+
+        const reopened = blockchainLayerFactory({ system, checkpointStorage });
+        reads = 0;
+        const root = await reopened.getMerkleRoot(blocks[blocks.length - 1]);
+        assert.strictEqual(reads, 2);
+        const proof = await reopened.generateInclusionProof(blocks[10]);
+        assert.ok(Buffer.compare(proof.root, root) === 0);
+        assert.ok(verifyInclusionProof(proof, root));
+    },
+    'should only keep the checkpoints written in a transaction once it is committed': async () => {
+        const system = systemLayerFactory({
+            cache: noCache(), storage: inMemoryStorage(), time: timeMock(),
+        });
+        const checkpointStorage = inMemoryStorage();
+        const blockchain = blockchainLayerFactory({ system, checkpointStorage });
+
+        const aborted = await blockchain.beginTransaction();
+        await writeChain(aborted, constants.merkle.checkpointInterval);
+        await aborted.abort();
+        assert.strictEqual(await checkpointStorage.countInStorage(), 0n);
+
+        const transaction = await blockchain.beginTransaction();
+        const blocks = await writeChain(transaction, constants.merkle.checkpointInterval);
+        assert.strictEqual(await checkpointStorage.countInStorage(), 0n);
+        await transaction.commit();
+        assert.strictEqual(await checkpointStorage.countInStorage(), 1n);
+
+        const head = blocks[blocks.length - 1];
+        const reopened = blockchainLayerFactory({ system, checkpointStorage });
+        const root = await reopened.getMerkleRoot(head);
+        assert.ok(Buffer.compare(root, await transaction.getMerkleRoot(head)) === 0);
+    },
+    'should fail if the block is not in the blockchain': async () => {
+        const { blockchain } = context;
+        const chain1 = await writeChain(blockchain, 3);
+        const chain2 = await writeChain(blockchain, 3);
+        let isExecuted = false;
+        try {
+            await blockchain.generateInclusionProof(chain1[1], { head: chain2[2] });
+            isExecuted = true;
+        } catch (err) {
+            assert.ok(err instanceof InvalidBlockError);
+            assert.strictEqual(err.reason, InvalidBlockError.reasons.notFound);
+        }
+        assert.strictEqual(isExecuted, false, 'Expected an exception to be thrown.');
+    },
+});
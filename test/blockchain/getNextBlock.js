@@ -24,6 +24,34 @@ module.exports = (context) => ({
         assert.ok(result.nonce, 'Expected valid nonce value.');
         assert.ok(prev.nonce, 'Expected valid nonce value.');
     },
+    'should use the storage index instead of scanning the blocks': async () => {
+        const { blockchain } = context;
+        const data = Buffer.from("I'm a string!", 'utf-8');
+        const blocks = [];
+        for (let i = 0; i < 10; i += 1) {
+            blocks.push(await blockchain.writeBlock({ prev: blocks[i - 1] || null, data }));
+        }
+        blockchain.mocks.storage.findInStorage = async () => {
+            throw new Error('Expected the storage index to be used.');
+        };
+        blockchain.mocks.storage.iterateStorage = () => {
+            throw new Error('Expected the storage index to be used.');
+        };
+
+        assert.ok(Buffer.compare(await blockchain.getNextBlock(blocks[4]), blocks[5]) === 0);
+        assert.ok(Buffer.compare(await blockchain.getHeadBlock(blocks[0]), blocks[9]) === 0);
+        assert.strictEqual(await blockchain.getNextBlock(blocks[9]), null);
+    },
+    'should scan the blocks if the storage has no index': async () => {
+        const { blockchain } = context;
+        const data = Buffer.from("I'm a string!", 'utf-8');
+        const block1 = await blockchain.writeBlock({ prev: null, data });
+        const block2 = await blockchain.writeBlock({ prev: block1, data });
+        delete blockchain.mocks.storage.readIndex;
+        await blockchain.mocks.cache.writeCache(block1, constants.cache.next, null);
+
+        assert.ok(Buffer.compare(await blockchain.getNextBlock(block1), block2) === 0);
+    },
     'should return null if there are no more blocks in the chain': async () => {
         const { blockchain } = context;
         const data = Buffer.from("I'm a string!", 'utf-8');
@@ -0,0 +1,63 @@
+/* eslint-disable no-await-in-loop, no-restricted-syntax */
+const assert = require('assert');
+const constants = require('../../src/constants');
+const { InvalidBlockError } = require('../../src/errors');
+const { writeChain } = require('../test-helper');
+
+/**
+ * Collects the hashes of the iterated blocks.
+ */
+async function collect(iterator, max = Infinity) {
+    const result = [];
+    for await (const bcBlockData of iterator) {
+        result.push(bcBlockData.hash);
+        if (result.length >= max) {
+            break;
+        }
+    }
+    return result;
+}
+
+module.exports = (context) => ({
+    'should iterate backward from a block to the root block by default': async () => {
+        const { blockchain } = context;
+        const blocks = await writeChain(blockchain, 5);
+        const result = await collect(blockchain.iterateChain(blocks[3]));
+        assert.deepStrictEqual(result, blocks.slice(0, 4).reverse());
+    },
+    'should iterate forward from a block to the head block': async () => {
+        const { blockchain } = context;
+        const blocks = await writeChain(blockchain, 5);
+        const result = await collect(blockchain.iterateChain(blocks[1], {
+            direction: constants.direction.forward,
+        }));
+        assert.deepStrictEqual(result, blocks.slice(1));
+    },
+    'should stop iterating early': async () => {
+        const { blockchain } = context;
+        const blocks = await writeChain(blockchain, 5);
+        const result = await collect(blockchain.iterateChain(blocks[0], {
+            direction: constants.direction.forward,
+        }), 2);
+        assert.deepStrictEqual(result, blocks.slice(0, 2));
+    },
+    'should iterate through all blocks in the order they were written': async () => {
+        const { blockchain } = context;
+        const chain1 = await writeChain(blockchain, 3);
+        const chain2 = await writeChain(blockchain, 2);
+        const result = await collect(blockchain.iterateBlocks());
+        assert.deepStrictEqual(result, [...chain1, ...chain2]);
+    },
+    'should fail if the block does not exist': async () => {
+        const { blockchain } = context;
+        let isExecuted = false;
+        try {
+            await collect(blockchain.iterateChain(Buffer.alloc(constants.size.hash, 1)));
+            isExecuted = true;
+        } catch (err) {
+            assert.ok(err instanceof InvalidBlockError);
+            assert.strictEqual(err.reason, InvalidBlockError.reasons.notFound);
+        }
+        assert.strictEqual(isExecuted, false, 'Expected an exception to be thrown.');
+    },
+});
@@ -92,4 +92,22 @@ module.exports = (context) => ({
 
         assert.strictEqual(isExecuted, false, 'Expected an exception to be thrown.');
     },
+    'should not fork a blockchain when blocks are written concurrently': async () => {
+        const { blockchain } = context;
+        const data = Buffer.from("I'm a string!", 'utf-8');
+        const block1 = await blockchain.writeBlock({ prev: null, data });
+        const results = await Promise.allSettled([1, 2, 3].map((i) => blockchain.writeBlock({
+            prev: block1, data: Buffer.from(`I'm string ${i}!`, 'utf-8'),
+        })));
+
+        const written = results.filter((i) => i.status === 'fulfilled');
+        const failed = results.filter((i) => i.status === 'rejected');
+        assert.strictEqual(written.length, 1);
+        failed.forEach(({ reason }) => {
+            assert.ok(reason instanceof InvalidBlockError);
+            assert.strictEqual(reason.reason, InvalidBlockError.reasons.nextBlockExists);
+        });
+        assert.strictEqual(await blockchain.countBlocks(), 2n);
+        assert.ok(Buffer.compare(await blockchain.getNextBlock(block1), written[0].value) === 0);
+    },
 });
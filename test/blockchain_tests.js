@@ -9,6 +9,10 @@ function loadBlockchainTests(context) {
     describe('getNextBlock()', loadTests(require('./blockchain/getNextBlock'), context));
     describe('getHeadBlock()', loadTests(require('./blockchain/getHeadBlock'), context));
     describe('getRootBlock()', loadTests(require('./blockchain/getRootBlock'), context));
+    describe('detectForks()', loadTests(require('./blockchain/detectForks'), context));
+    describe('iterateChain()', loadTests(require('./blockchain/iterateChain'), context));
+    describe('generateInclusionProof()',
+        loadTests(require('./blockchain/generateInclusionProof'), context));
     describe('validateBlockchain()',
         loadTests(require('./blockchain/validateBlockchain'), context));
 }
@@ -0,0 +1,126 @@
+const assert = require('assert');
+const constants = require('../../src/constants');
+const inMemoryStorage = require('../../src/storage/inMemoryStorage');
+const systemLayerFactory = require('../../src/layers/system');
+const blockchainLayerFactory = require('../../src/layers/blockchain');
+const blocktreeLayerFactory = require('../../src/layers/blocktree');
+
+/**
+ * Writes a small blocktree: a root chain with two child chains.
+ */
+async function writeTree(blocktree) {
+    const data = Buffer.from("I'm a string!", 'utf-8');
+    const root1 = await blocktree.writeBlock({ prev: null, parent: null, data });
+    const root2 = await blocktree.writeBlock({ prev: root1, parent: null, data });
+    const child1 = await blocktree.writeBlock({ prev: null, parent: root1, data });
+    const child2 = await blocktree.writeBlock({ prev: null, parent: root2, data });
+    return {
+        data, root1, root2, child1, child2,
+    };
+}
+
+module.exports = (context) => ({
+    'should return a null anchor for an empty blocktree': async () => {
+        const { blocktree } = context;
+        const result = await blocktree.computeTreeAnchor();
+        assert.strictEqual(result.anchor, null);
+        assert.strictEqual(result.chains.length, 0);
+    },
+    'should compute the same anchor if the blocktree has not changed': async () => {
+        const { blocktree } = context;
+        await writeTree(blocktree);
+        const result1 = await blocktree.computeTreeAnchor();
+        const result2 = await blocktree.computeTreeAnchor();
+        assert.strictEqual(Buffer.byteLength(result1.anchor), constants.size.hash);
+        assert.strictEqual(result1.chains.length, 3);
+        assert.ok(Buffer.compare(result1.anchor, result2.anchor) === 0);
+    },
+    'should compute a different anchor when a block is added to any blockchain': async () => {
+        const { blocktree } = context;
+        const { data, child2 } = await writeTree(blocktree);
+        const result1 = await blocktree.computeTreeAnchor();
+        const block = await blocktree.writeBlock({ prev: child2, parent: null, data });
+        const result2 = await blocktree.computeTreeAnchor();
+        assert.ok(Buffer.compare(result1.anchor, result2.anchor) !== 0);
+        const chain = result2.chains.find((i) => Buffer.compare(i.root, child2) === 0);
+        assert.ok(Buffer.compare(chain.head, block) === 0);
+        assert.strictEqual(result2.timestamp, (await blocktree.readBlock(block)).timestamp);
+    },
+    'should record the anchor history': async () => {
+        const { blocktree } = context;
+        const { data, child1 } = await writeTree(blocktree);
+        const anchor1 = await blocktree.recordTreeAnchor();
+        await blocktree.writeBlock({ prev: child1, parent: null, data });
+        const anchor2 = await blocktree.recordTreeAnchor();
+        const history = await blocktree.getTreeAnchorHistory();
+        assert.strictEqual(history.length, 2);
+        assert.ok(Buffer.compare(history[0].anchor, anchor1.anchor) === 0);
+        assert.ok(Buffer.compare(history[1].anchor, anchor2.anchor) === 0);
+    },
+    'should read back the anchor history using the same anchor storage': async () => {
+        const { blocktree } = context;
+        const { cache, storage, time } = blocktree.mocks;
+        const system = systemLayerFactory({ cache, storage, time });
+        const blockchain = blockchainLayerFactory({ system, cache, time });
+        const anchorStorage = inMemoryStorage();
+        const blocktree1 = blocktreeLayerFactory({ blockchain, cache, anchorStorage });
+        const { data, root1, child1 } = await writeTree(blocktree1);
+        const anchor1 = await blocktree1.recordTreeAnchor();
+        await blocktree1.writeBlock({ prev: child1, parent: null, data });
+        const anchor2 = await blocktree1.recordTreeAnchor();
+
+        // open the anchor storage again from another blocktree.
+        const blocktree2 = blocktreeLayerFactory({ blockchain, cache, anchorStorage });
+        const history = await blocktree2.getTreeAnchorHistory();
+        assert.strictEqual(history.length, 2);
+        assert.ok(Buffer.compare(history[0].anchor, anchor1.anchor) === 0);
+        assert.strictEqual(history[1].timestamp, anchor2.timestamp);
+        assert.deepStrictEqual(history[1].chains, anchor2.chains);
+        const top = history[0].chains.find((i) => Buffer.compare(i.root, root1) === 0);
+        assert.strictEqual(top.parent, null);
+        assert.strictEqual((await blocktree2.verifyTreeAnchor(history[0])).isValid, true);
+    },
+    'should verify earlier anchors after the blocktree has grown': async () => {
+        const { blocktree } = context;
+        const { data, root2, child1 } = await writeTree(blocktree);
+        const anchor = await blocktree.recordTreeAnchor();
+        await blocktree.writeBlock({ prev: child1, parent: null, data });
+        await blocktree.writeBlock({ prev: null, parent: root2, data });
+        const result = await blocktree.verifyTreeAnchor(anchor);
+        assert.strictEqual(result.isValid, true);
+        assert.strictEqual(result.chainCount, 3);
+    },
+    'should not verify an anchor with a missing head block': async () => {
+        const { blocktree } = context;
+        await writeTree(blocktree);
+        const anchor = await blocktree.computeTreeAnchor();
+        const invalidBlock = Buffer.alloc(constants.size.hash, 1);
+        const result = await blocktree.verifyTreeAnchor({
+            ...anchor,
+            chains: [{ ...anchor.chains[0], head: invalidBlock }, ...anchor.chains.slice(1)],
+        });
+        assert.strictEqual(result.isValid, false);
+        assert.strictEqual(result.reason, constants.validation.missingBlock);
+        assert.ok(Buffer.compare(result.block, invalidBlock) === 0);
+    },
+    'should not verify an anchor with a head block from another blockchain': async () => {
+        const { blocktree } = context;
+        const { child1, child2 } = await writeTree(blocktree);
+        const anchor = await blocktree.computeTreeAnchor();
+        const chains = anchor.chains.map((i) => (Buffer.compare(i.root, child1) === 0
+            ? { ...i, head: child2 } : i));
+        const result = await blocktree.verifyTreeAnchor({ ...anchor, chains });
+        assert.strictEqual(result.isValid, false);
+        assert.strictEqual(result.reason, constants.validation.invalidRootBlock);
+    },
+    'should not verify an anchor which does not match': async () => {
+        const { blocktree } = context;
+        await writeTree(blocktree);
+        const anchor = await blocktree.computeTreeAnchor();
+        const tampered = Buffer.from(anchor.anchor);
+        tampered[0] = (tampered[0] + 1) % 256;
+        const result = await blocktree.verifyTreeAnchor({ ...anchor, anchor: tampered });
+        assert.strictEqual(result.isValid, false);
+        assert.strictEqual(result.reason, constants.validation.anchorMismatch);
+    },
+});
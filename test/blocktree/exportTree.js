@@ -0,0 +1,133 @@
+/* eslint-disable no-await-in-loop */
+const assert = require('assert');
+const { Readable, Writable } = require('stream');
+const constants = require('../../src/constants');
+const { InvalidBlockError, SerializationError } = require('../../src/errors');
+const { initBlocktree } = require('../test-helper');
+
+/**
+ * Exports a subtree to an in-memory archive.
+ */
+async function exportToBuffer(blocktree, block, options) {
+    const chunks = [];
+    const stream = new Writable({
+        write(chunk, encoding, callback) {
+            chunks.push(chunk);
+            callback();
+        },
+    });
+    const result = await blocktree.exportTree(block, stream, options);
+    return { ...result, archive: Buffer.concat(chunks) };
+}
+
+/**
+ * Asserts that importing the archive fails with the specified error.
+ */
+async function assertImportFails(blocktree, archive, errorType, reason) {
+    let isExecuted = false;
+    try {
+        await blocktree.importTree(Readable.from([archive]));
+        isExecuted = true;
+    } catch (err) {
+        assert.ok(err instanceof errorType);
+        assert.strictEqual(err.reason, reason);
+    }
+    assert.strictEqual(isExecuted, false, 'Expected an exception to be thrown.');
+    assert.strictEqual(await blocktree.countBlocks(), 0n);
+}
+
+module.exports = (context) => {
+    /**
+     * Writes a blocktree with a root blockchain, two child blockchains and a grandchild.
+     */
+    async function writeTree() {
+        const { blocktree } = context;
+        const data = Buffer.from("I'm a string!", 'utf-8');
+        const root1 = await blocktree.writeBlock({ prev: null, parent: null, data });
+        const root2 = await blocktree.writeBlock({ prev: root1, parent: null, data });
+        const a1 = await blocktree.writeBlock({ prev: null, parent: root2, data });
+        const b1 = await blocktree.writeBlock({ prev: null, parent: root1, data });
+        const a2 = await blocktree.writeBlock({ prev: a1, parent: root2, data });
+        const c1 = await blocktree.writeBlock({ prev: null, parent: a2, data });
+        return {
+            root1, root2, a1, a2, b1, c1,
+        };
+    }
+
+    return {
+        'should export and import the entire blocktree': async () => {
+            const { blocktree } = context;
+            const { root1, a1, a2 } = await writeTree();
+            const { count, archive } = await exportToBuffer(blocktree, root1);
+            assert.strictEqual(count, 6);
+            assert.strictEqual(archive.slice(0, 4).toString('utf-8'), constants.archive.magic);
+
+            const target = initBlocktree(false);
+            const result = await target.importTree(Readable.from([archive]));
+            assert.strictEqual(result.length, 6);
+            assert.strictEqual(await target.countBlocks(), 6n);
+            assert.ok(Buffer.compare(await target.getHeadBlock(a1), a2) === 0);
+            const blocks = await blocktree.listBlocks();
+            for (let i = 0; i < blocks.length; i += 1) {
+                assert.ok(Buffer.compare(await target.readRawBlock(blocks[i]),
+                    await blocktree.readRawBlock(blocks[i])) === 0);
+            }
+            assert.strictEqual((await target.validateBlocktree(a2)).isValid, true);
+        },
+        'should export a subtree along with the blockchains above it': async () => {
+            const { blocktree } = context;
+            const {
+                root1, a1, b1, c1,
+            } = await writeTree();
+            const { count, archive } = await exportToBuffer(blocktree, a1, { ancestors: true });
+            assert.strictEqual(count, 5);
+
+            const target = initBlocktree(true);
+            await target.importTree(Readable.from([archive]));
+            assert.strictEqual((await target.listBlocks(b1)).length, 0);
+            assert.ok(Buffer.compare(await target.getParentBlock(c1), await blocktree
+                .getParentBlock(c1)) === 0);
+            assert.deepStrictEqual((await target.performChildScan(root1)).map((i) => i.hash),
+                []);
+        },
+        'should skip blocks which have already been imported': async () => {
+            const { blocktree } = context;
+            const { root1 } = await writeTree();
+            const { archive } = await exportToBuffer(blocktree, root1);
+            const result = await blocktree.importTree(Readable.from([archive]));
+            assert.deepStrictEqual(result, []);
+            assert.strictEqual(await blocktree.countBlocks(), 6n);
+        },
+        'should not import a subtree without the blockchains above it': async () => {
+            const { blocktree } = context;
+            const { a1 } = await writeTree();
+            const { count, archive } = await exportToBuffer(blocktree, a1);
+            assert.strictEqual(count, 3);
+            await assertImportFails(initBlocktree(false), archive, InvalidBlockError,
+                InvalidBlockError.reasons.invalidParentBlock);
+        },
+        'should not import an archive which has been tampered with': async () => {
+            const { blocktree } = context;
+            const { root1 } = await writeTree();
+            const { archive } = await exportToBuffer(blocktree, root1);
+            const tampered = Buffer.from(archive);
+            tampered[tampered.length - 40] = (tampered[tampered.length - 40] + 1) % 256;
+            await assertImportFails(initBlocktree(false), tampered, SerializationError,
+                SerializationError.reasons.invalidArchive);
+
+            const digest = Buffer.from(archive);
+            digest[digest.length - 1] = (digest[digest.length - 1] + 1) % 256;
+            await assertImportFails(initBlocktree(false), digest, SerializationError,
+                SerializationError.reasons.invalidArchive);
+        },
+        'should not import an incomplete archive': async () => {
+            const { blocktree } = context;
+            const { root1 } = await writeTree();
+            const { archive } = await exportToBuffer(blocktree, root1);
+            await assertImportFails(initBlocktree(false), archive.slice(0, archive.length - 10),
+                SerializationError, SerializationError.reasons.invalidArchive);
+            await assertImportFails(initBlocktree(false), Buffer.from('not an archive'),
+                SerializationError, SerializationError.reasons.invalidArchive);
+        },
+    };
+};
@@ -0,0 +1,35 @@
+/* eslint-disable no-restricted-syntax */
+const assert = require('assert');
+
+module.exports = (context) => ({
+    'should iterate through all child root blocks': async () => {
+        const { blocktree } = context;
+        const data = Buffer.from("I'm a string!", 'utf-8');
+        const block1 = await blocktree.writeBlock({ prev: null, parent: null, data });
+        const block2 = await blocktree.writeBlock({ prev: null, parent: block1, data });
+        await blocktree.writeBlock({ prev: block2, parent: block1, data });
+        const block3 = await blocktree.writeBlock({ prev: null, parent: block1, data });
+        await blocktree.writeBlock({ prev: null, parent: block3, data });
+
+        const result = [];
+        for await (const btBlockData of blocktree.iterateChildren(block1)) {
+            result.push(btBlockData.hash);
+        }
+        assert.deepStrictEqual(result, [block2, block3]);
+        assert.strictEqual((await blocktree.performChildScan(block1)).length, 2);
+    },
+    'should iterate through a blockchain in the blocktree': async () => {
+        const { blocktree } = context;
+        const data = Buffer.from("I'm a string!", 'utf-8');
+        const block1 = await blocktree.writeBlock({ prev: null, parent: null, data });
+        const block2 = await blocktree.writeBlock({ prev: null, parent: block1, data });
+        const block3 = await blocktree.writeBlock({ prev: block2, parent: block1, data });
+
+        const result = [];
+        for await (const btBlockData of blocktree.iterateChain(block3)) {
+            assert.ok(Buffer.compare(btBlockData.parent, block1) === 0);
+            result.push(btBlockData.hash);
+        }
+        assert.deepStrictEqual(result, [block3, block2]);
+    },
+});
@@ -1,6 +1,17 @@
 const assert = require('assert');
 
 module.exports = (context) => ({
+    'should not return blocks added to a child blockchain': async () => {
+        const { blocktree } = context;
+        const data = Buffer.from("I'm a string!", 'utf-8');
+        const block1 = await blocktree.writeBlock({ prev: null, parent: null, data });
+        const block2 = await blocktree.writeBlock({ prev: null, parent: block1, data });
+        await blocktree.writeBlock({ prev: block2, parent: block1, data });
+        const result = await blocktree.performChildScan(block1);
+
+        assert.strictEqual(result.length, 1);
+        assert.ok(Buffer.compare(result[0].hash, block2) === 0);
+    },
     'should return an empty array if no children are found': async () => {
         const { blocktree } = context;
         const data = Buffer.from("I'm a string!", 'utf-8');
@@ -26,4 +37,18 @@ module.exports = (context) => ({
         assert.ok(Buffer.compare(result[1].hash, block3) === 0);
         assert.ok(Buffer.compare(result[2].hash, block4) === 0);
     },
+    'should use the storage index instead of scanning the blocks': async () => {
+        const { blocktree } = context;
+        const data = Buffer.from("I'm a string!", 'utf-8');
+        const block1 = await blocktree.writeBlock({ prev: null, parent: null, data });
+        const block2 = await blocktree.writeBlock({ prev: null, parent: block1, data });
+        await blocktree.writeBlock({ prev: block2, parent: block1, data });
+        const block3 = await blocktree.writeBlock({ prev: null, parent: block1, data });
+        blocktree.mocks.storage.iterateStorage = () => {
+            throw new Error('Expected the storage index to be used.');
+        };
+        const result = await blocktree.performChildScan(block1);
+
+        assert.deepStrictEqual(result.map((i) => i.hash), [block2, block3]);
+    },
 });
@@ -6,7 +6,12 @@ function loadBlocktreeTests(context) {
     describe('writeBlock()', loadTests(require('./blocktree/writeBlock'), context));
     describe('performParentScan()', loadTests(require('./blocktree/performParentScan'), context));
     describe('performChildScan()', loadTests(require('./blocktree/performChildScan'), context));
+    describe('iterateChildren()', loadTests(require('./blocktree/iterateChildren'), context));
     describe('getParentBlock()', loadTests(require('./blocktree/getParentBlock'), context));
+    describe('exportTree() and importTree()',
+        loadTests(require('./blocktree/exportTree'), context));
+    describe('computeTreeAnchor()',
+        loadTests(require('./blocktree/computeTreeAnchor'), context));
     describe('validateBlocktree()',
         loadTests(require('./blocktree/validateBlocktree'), context));
 }
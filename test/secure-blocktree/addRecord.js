@@ -0,0 +1,187 @@
+const assert = require('assert');
+const constants = require('../../src/constants');
+const { SerializationError, WriteConflictError } = require('../../src/errors');
+const { getPrivateKey } = require('../test-helper');
+
+module.exports = (context) => ({
+    'should store typed record fields': async () => {
+        const { secureBlocktree, secureRoot, rootZoneKey } = context;
+        const { rootZone } = secureRoot;
+        const collection = await secureBlocktree.createCollection({
+            block: rootZone,
+            sig: context.signAs(rootZoneKey),
+        });
+        const data = {
+            name: 'Widget',
+            price: 12.5,
+            quantity: -3,
+            serial: 12345678901234567890n,
+            debt: -42n,
+            inStock: true,
+            discontinued: false,
+            thumbnail: Buffer.from('0102030405', 'hex'),
+            tags: ['blue', 7, null, [1n]],
+            manufacturer: { name: 'ACME', address: { city: 'Springfield' } },
+            notes: null,
+        };
+        const record = await secureBlocktree.addRecord({
+            block: collection,
+            sig: context.signAs(rootZoneKey),
+            data,
+        });
+        const result = await secureBlocktree.readSecureBlock(record);
+
+        assert.strictEqual(result.type, constants.blockType.record);
+        assert.deepStrictEqual(result.data, data);
+    },
+    'should store records with a "__proto__" field': async () => {
+        const { secureBlocktree, secureRoot, rootZoneKey } = context;
+        const collection = await secureBlocktree.createCollection({
+            block: secureRoot.rootZone,
+            sig: context.signAs(rootZoneKey),
+        });
+        const data = JSON.parse('{ "name": "Widget", "__proto__": { "isAdmin": true } }');
+        const record = await secureBlocktree.addRecord({
+            block: collection,
+            sig: context.signAs(rootZoneKey),
+            data,
+        });
+        const result = await secureBlocktree.readSecureBlock(record);
+
+        assert.strictEqual(Object.getPrototypeOf(result.data), Object.prototype);
+        assert.strictEqual(result.data.isAdmin, undefined);
+        assert.deepStrictEqual(Object.keys(result.data), ['name', '__proto__']);
+        assert.deepStrictEqual(Object.getOwnPropertyDescriptor(result.data, '__proto__').value,
+            { isAdmin: true });
+    },
+    'should store binary records': async () => {
+        const { secureBlocktree, secureRoot, rootZoneKey } = context;
+        const { rootZone } = secureRoot;
+        const collection = await secureBlocktree.createCollection({
+            block: rootZone,
+            sig: context.signAs(rootZoneKey),
+        });
+        const data = Buffer.from('this is a string!', 'utf-8');
+        const record = await secureBlocktree.addRecord({
+            block: collection,
+            sig: context.signAs(rootZoneKey),
+            data,
+        });
+        const result = await secureBlocktree.readSecureBlock(record);
+
+        assert.ok(Buffer.compare(result.data, data) === 0, 'Expected data to match.');
+    },
+    'should store encrypted records': async () => {
+        const { secureBlocktree, secureRoot, rootZoneKey } = context;
+        const { rootZone } = secureRoot;
+        const collection = await secureBlocktree.createCollection({
+            block: rootZone,
+            sig: context.signAs(rootZoneKey),
+        });
+        const data = { account: 'secret account', balance: 100n };
+        const record = await secureBlocktree.addRecord({
+            block: collection,
+            sig: context.signAs(rootZoneKey),
+            data: await secureBlocktree.encryptBlockData({
+                key: rootZoneKey,
+                type: constants.blockType.record,
+                data,
+            }),
+        });
+        const result = await secureBlocktree.readSecureBlock(record);
+        const decrypted = await secureBlocktree.decryptBlockData({
+            encryptedData: result.data.data,
+            type: result.type,
+            privateKey: getPrivateKey(rootZoneKey),
+        });
+
+        assert.strictEqual(result.data.isEncrypted, true);
+        assert.deepStrictEqual(decrypted, data);
+    },
+    'should fail with an unsupported value': async () => {
+        const { secureBlocktree, secureRoot, rootZoneKey } = context;
+        const { rootZone } = secureRoot;
+        const collection = await secureBlocktree.createCollection({
+            block: rootZone,
+            sig: context.signAs(rootZoneKey),
+        });
+        let isExecuted = false;
+        try {
+            await secureBlocktree.addRecord({
+                block: collection,
+                sig: context.signAs(rootZoneKey),
+                data: { createdAt: new Date() },
+            });
+            isExecuted = true;
+        } catch (err) {
+            assert.ok(err instanceof SerializationError);
+            assert.strictEqual(err.reason, SerializationError.reasons.unsupportedValue);
+        }
+
+        assert.strictEqual(isExecuted, false, 'Expected an exception to be thrown.');
+    },
+    'should append concurrent records to the same collection in order': async () => {
+        const { secureBlocktree, secureRoot, rootZoneKey } = context;
+        const collection = await secureBlocktree.createCollection({
+            block: secureRoot.rootZone,
+            sig: context.signAs(rootZoneKey),
+        });
+        const blocks = await Promise.all([0, 1, 2, 3, 4].map((i) => secureBlocktree.addRecord({
+            block: collection,
+            sig: context.signAs(rootZoneKey),
+            data: { index: i },
+        })));
+
+        const records = await secureBlocktree.queryRecords({ collection });
+        assert.strictEqual(records.length, 5);
+        const head = await secureBlocktree.getHeadBlock(collection);
+        assert.ok(blocks.some((i) => Buffer.compare(i, head) === 0));
+        const report = await secureBlocktree.auditDatabase();
+        assert.deepStrictEqual(report.violations, []);
+    },
+    'should succeed if the expected head block is current': async () => {
+        const { secureBlocktree, secureRoot, rootZoneKey } = context;
+        const collection = await secureBlocktree.createCollection({
+            block: secureRoot.rootZone,
+            sig: context.signAs(rootZoneKey),
+        });
+        const record = await secureBlocktree.addRecord({
+            block: collection,
+            sig: context.signAs(rootZoneKey),
+            data: { name: 'first' },
+            expectedHead: collection,
+        });
+        const result = await secureBlocktree.readSecureBlock(record);
+
+        assert.ok(Buffer.compare(result.prev, collection) === 0);
+    },
+    'should fail with a write conflict if the expected head block is out of date': async () => {
+        const { secureBlocktree, secureRoot, rootZoneKey } = context;
+        const collection = await secureBlocktree.createCollection({
+            block: secureRoot.rootZone,
+            sig: context.signAs(rootZoneKey),
+        });
+        const head = await secureBlocktree.addRecord({
+            block: collection,
+            sig: context.signAs(rootZoneKey),
+            data: { name: 'first' },
+        });
+        let isExecuted = false;
+        try {
+            await secureBlocktree.addRecord({
+                block: collection,
+                sig: context.signAs(rootZoneKey),
+                data: { name: 'second' },
+                expectedHead: collection,
+            });
+            isExecuted = true;
+        } catch (err) {
+            assert.ok(err instanceof WriteConflictError);
+            assert.strictEqual(err.code, constants.error.writeConflict);
+            assert.ok(Buffer.compare(err.values.head, head) === 0);
+        }
+
+        assert.strictEqual(isExecuted, false, 'Expected an exception to be thrown.');
+        assert.ok(Buffer.compare(await secureBlocktree.getHeadBlock(collection), head) === 0);
+    },
+});
@@ -0,0 +1,251 @@
+/* eslint-disable no-restricted-syntax */
+const assert = require('assert');
+const constants = require('../../src/constants');
+const { InvalidRecordError, InvalidSignatureError } = require('../../src/errors');
+
+const customerSchema = {
+    fields: {
+        customerId: { type: 'string', required: true, maxLength: 8 },
+        status: { type: 'string', enum: ['active', 'closed'] },
+        balance: { type: 'bigint' },
+    },
+};
+
+module.exports = (context) => {
+    async function expectInvalidRecord(fn, reason) {
+        let isExecuted = false;
+        try {
+            await fn();
+            isExecuted = true;
+        } catch (err) {
+            assert.ok(err instanceof InvalidRecordError);
+            assert.strictEqual(err.layer, constants.layer.secureBlocktree);
+            assert.strictEqual(err.reason, reason);
+        }
+        assert.strictEqual(isExecuted, false, 'Expected an exception to be thrown.');
+    }
+
+    return {
+        'should store the schema as a block in the collection': async () => {
+            const { secureBlocktree, secureRoot, rootZoneKey } = context;
+            const { rootZone } = secureRoot;
+            const collection = await secureBlocktree.createCollection({
+                block: rootZone,
+                sig: context.signAs(rootZoneKey),
+                schema: customerSchema,
+            });
+            const head = await secureBlocktree.getHeadBlock(collection);
+            const result = await secureBlocktree.readSecureBlock(head);
+
+            assert.strictEqual(result.type, constants.blockType.schema);
+            assert.deepStrictEqual(result.data, customerSchema);
+        },
+        'should allow records which conform to the schema': async () => {
+            const { secureBlocktree, secureRoot, rootZoneKey } = context;
+            const { rootZone } = secureRoot;
+            const collection = await secureBlocktree.createCollection({
+                block: rootZone,
+                sig: context.signAs(rootZoneKey),
+                schema: customerSchema,
+            });
+            const result = await secureBlocktree.addRecord({
+                block: collection,
+                sig: context.signAs(rootZoneKey),
+                data: { customerId: 'C-1', status: 'active', balance: 10n },
+            });
+
+            assert.ok(result !== null, 'Expected a valid block to be returned.');
+        },
+        'should reject records with missing required fields': async () => {
+            const { secureBlocktree, secureRoot, rootZoneKey } = context;
+            const { rootZone } = secureRoot;
+            const collection = await secureBlocktree.createCollection({
+                block: rootZone,
+                sig: context.signAs(rootZoneKey),
+                schema: customerSchema,
+            });
+            await expectInvalidRecord(() => secureBlocktree.addRecord({
+                block: collection,
+                sig: context.signAs(rootZoneKey),
+                data: { status: 'active' },
+            }), InvalidRecordError.reasons.missingField);
+        },
+        'should reject records which are only marked as encrypted': async () => {
+            const { secureBlocktree, secureRoot, rootZoneKey } = context;
+            const { rootZone } = secureRoot;
+            const collection = await secureBlocktree.createCollection({
+                block: rootZone,
+                sig: context.signAs(rootZoneKey),
+                schema: customerSchema,
+            });
+            await expectInvalidRecord(() => secureBlocktree.addRecord({
+                block: collection,
+                sig: context.signAs(rootZoneKey),
+                data: { isEncrypted: true, customerId: 'C-1' },
+            }), InvalidRecordError.reasons.unknownField);
+        },
+        'should allow encrypted records': async () => {
+            const { secureBlocktree, secureRoot, rootZoneKey } = context;
+            const { rootZone } = secureRoot;
+            const collection = await secureBlocktree.createCollection({
+                block: rootZone,
+                sig: context.signAs(rootZoneKey),
+                schema: customerSchema,
+            });
+            const record = await secureBlocktree.addRecord({
+                block: collection,
+                sig: context.signAs(rootZoneKey),
+                data: await secureBlocktree.encryptBlockData({
+                    key: rootZoneKey,
+                    type: constants.blockType.record,
+                    data: { status: 'active' },
+                }),
+            });
+
+            assert.strictEqual((await secureBlocktree.readSecureBlock(record)).data.isEncrypted,
+                true);
+        },
+        'should reject records with invalid field values': async () => {
+            const { secureBlocktree, secureRoot, rootZoneKey } = context;
+            const { rootZone } = secureRoot;
+            const collection = await secureBlocktree.createCollection({
+                block: rootZone,
+                sig: context.signAs(rootZoneKey),
+                schema: customerSchema,
+            });
+            const addRecord = (data) => secureBlocktree.addRecord({
+                block: collection,
+                sig: context.signAs(rootZoneKey),
+                data,
+            });
+            await expectInvalidRecord(() => addRecord({ customerId: 1 }),
+                InvalidRecordError.reasons.invalidType);
+            await expectInvalidRecord(() => addRecord({ customerId: 'C-123456789' }),
+                InvalidRecordError.reasons.maxLengthExceeded);
+            await expectInvalidRecord(() => addRecord({ customerId: 'C-1', status: 'open' }),
+                InvalidRecordError.reasons.invalidEnumValue);
+            await expectInvalidRecord(() => addRecord({ customerId: 'C-1', region: 'west' }),
+                InvalidRecordError.reasons.unknownField);
+            await expectInvalidRecord(() => addRecord(Buffer.from('C-1')),
+                InvalidRecordError.reasons.notAnObject);
+        },
+        'should validate records against the most recent schema': async () => {
+            const { secureBlocktree, secureRoot, rootZoneKey } = context;
+            const { rootZone } = secureRoot;
+            const collection = await secureBlocktree.createCollection({
+                block: rootZone,
+                sig: context.signAs(rootZoneKey),
+                schema: customerSchema,
+            });
+            await secureBlocktree.addRecord({
+                block: collection,
+                sig: context.signAs(rootZoneKey),
+                data: { customerId: 'C-1' },
+            });
+            await secureBlocktree.addSchema({
+                block: collection,
+                sig: context.signAs(rootZoneKey),
+                schema: {
+                    fields: {
+                        ...customerSchema.fields,
+                        region: { type: 'string', required: true },
+                    },
+                },
+            });
+            await expectInvalidRecord(() => secureBlocktree.addRecord({
+                block: collection,
+                sig: context.signAs(rootZoneKey),
+                data: { customerId: 'C-2' },
+            }), InvalidRecordError.reasons.missingField);
+            const result = await secureBlocktree.addRecord({
+                block: collection,
+                sig: context.signAs(rootZoneKey),
+                data: { customerId: 'C-2', region: 'west' },
+            });
+
+            assert.ok(result !== null, 'Expected a valid block to be returned.');
+        },
+        'should fail with an invalid schema definition': async () => {
+            const { secureBlocktree, secureRoot, rootZoneKey } = context;
+            const { rootZone } = secureRoot;
+            await expectInvalidRecord(() => secureBlocktree.createCollection({
+                block: rootZone,
+                sig: context.signAs(rootZoneKey),
+                schema: { fields: { customerId: { type: 'uuid' } } },
+            }), InvalidRecordError.reasons.invalidSchema);
+        },
+        'should not create a collection if its schema cannot be added': async () => {
+            const { secureBlocktree, secureRoot, rootZoneKey } = context;
+            const zone = await secureBlocktree.createZone({
+                block: secureRoot.rootZone,
+                sig: context.signAs(rootZoneKey),
+                options: { 'role.collection-creator': 'createCollection' },
+            });
+            const key = await context.generateTestKey();
+            await secureBlocktree.addKey({
+                block: zone,
+                sig: context.signAs(rootZoneKey),
+                key,
+                action: constants.action.write,
+                roles: ['collection-creator'],
+            });
+            let isExecuted = false;
+            try {
+                await secureBlocktree.createCollection({
+                    block: zone, sig: context.signAs(key), schema: customerSchema,
+                });
+                isExecuted = true;
+            } catch (err) {
+                assert.ok(err instanceof InvalidSignatureError);
+                assert.strictEqual(err.reason, InvalidSignatureError.reasons.permissionDenied);
+            }
+            assert.strictEqual(isExecuted, false, 'Expected an exception to be thrown.');
+            const children = [];
+            for await (const secureBlock of secureBlocktree.iterateChildren(zone)) {
+                children.push(secureBlock);
+            }
+            assert.strictEqual(children.length, 0);
+        },
+        'should require a signing function to create a collection with a schema': async () => {
+            const { secureBlocktree, secureRoot, rootZoneKey } = context;
+            const { rootZone } = secureRoot;
+            const sig = await context.signAs(rootZoneKey)({
+                parent: await secureBlocktree.getRootBlock(rootZone), prev: null,
+            });
+            let isExecuted = false;
+            try {
+                await secureBlocktree.createCollection({
+                    block: rootZone, sig, schema: customerSchema,
+                });
+                isExecuted = true;
+            } catch (err) {
+                assert.ok(err instanceof InvalidSignatureError);
+                assert.strictEqual(err.reason,
+                    InvalidSignatureError.reasons.signingFunctionRequired);
+            }
+            assert.strictEqual(isExecuted, false, 'Expected an exception to be thrown.');
+        },
+        'should fail without a known signature': async () => {
+            const { secureBlocktree, secureRoot, rootZoneKey } = context;
+            const { rootZone } = secureRoot;
+            const invalidKey = await context.generateTestKey();
+            const collection = await secureBlocktree.createCollection({
+                block: rootZone,
+                sig: context.signAs(rootZoneKey),
+            });
+            let isExecuted = false;
+            try {
+                await secureBlocktree.addSchema({
+                    block: collection,
+                    sig: context.signAs(invalidKey),
+                    schema: customerSchema,
+                });
+                isExecuted = true;
+            } catch (err) {
+                assert.ok(err instanceof InvalidSignatureError);
+            }
+
+            assert.strictEqual(isExecuted, false, 'Expected an exception to be thrown.');
+        },
+    };
+};
@@ -0,0 +1,133 @@
+const assert = require('assert');
+const constants = require('../../src/constants');
+const { scheduleTimestamps } = require('../test-helper');
+
+module.exports = (context) => ({
+    'should find the head block as of a timestamp': async () => {
+        const { secureBlocktree, secureRoot, rootZoneKey } = context;
+        const { rootZone } = secureRoot;
+        const [t1, t2, t3] = scheduleTimestamps(context.secureBlocktree, 3);
+        const collection = await secureBlocktree.createCollection({
+            block: rootZone,
+            sig: context.signAs(rootZoneKey),
+        });
+        const record1 = await secureBlocktree.addRecord({
+            block: collection, sig: context.signAs(rootZoneKey), data: { n: 1 },
+        });
+        const record2 = await secureBlocktree.addRecord({
+            block: collection, sig: context.signAs(rootZoneKey), data: { n: 2 },
+        });
+
+        assert.strictEqual(await secureBlocktree.getHeadBlock(collection, { asOf: t1 - 1n }),
+            null);
+        assert.ok(Buffer.compare(
+            await secureBlocktree.getHeadBlock(collection, { asOf: t1 }), collection,
+        ) === 0);
+        assert.ok(Buffer.compare(
+            await secureBlocktree.getHeadBlock(collection, { asOf: t2 + 500n }), record1,
+        ) === 0);
+        assert.ok(Buffer.compare(
+            await secureBlocktree.getHeadBlock(collection, { asOf: t3 }), record2,
+        ) === 0);
+    },
+    'should only read blocks which existed as of a timestamp': async () => {
+        const { secureBlocktree, secureRoot, rootZoneKey } = context;
+        const { rootZone } = secureRoot;
+        const [, t2] = scheduleTimestamps(context.secureBlocktree, 2);
+        const collection = await secureBlocktree.createCollection({
+            block: rootZone,
+            sig: context.signAs(rootZoneKey),
+        });
+        const record = await secureBlocktree.addRecord({
+            block: collection, sig: context.signAs(rootZoneKey), data: { n: 1 },
+        });
+
+        assert.strictEqual(await secureBlocktree.readSecureBlock(record, { asOf: t2 - 1n }),
+            null);
+        assert.deepStrictEqual(
+            (await secureBlocktree.readSecureBlock(record, { asOf: t2 })).data, { n: 1 },
+        );
+    },
+    'should scan keys as of a timestamp': async () => {
+        const { secureBlocktree, secureRoot, rootZoneKey } = context;
+        const { rootZone } = secureRoot;
+        const newKey = await context.generateTestKey();
+        const [, t2, t3] = scheduleTimestamps(context.secureBlocktree, 3);
+        const newZone = await secureBlocktree.createZone({
+            block: rootZone,
+            sig: context.signAs(rootZoneKey),
+        });
+        await secureBlocktree.addKey({
+            block: newZone,
+            sig: context.signAs(rootZoneKey),
+            key: newKey,
+            action: constants.action.write,
+        });
+        await secureBlocktree.revokeKey({
+            block: newZone,
+            sig: context.signAs(rootZoneKey),
+            key: newKey,
+            action: constants.action.write,
+        });
+        const scan = (asOf) => secureBlocktree.performKeyScan({
+            block: newZone, isActive: true, asOf,
+        });
+
+        assert.strictEqual((await scan(t2 - 1n)).length, 0);
+        assert.strictEqual((await scan(t2)).length, 1);
+        assert.strictEqual((await scan(t3)).length, 0);
+        assert.strictEqual((await scan()).length, 0);
+        assert.ok(await secureBlocktree.performKeySeek({
+            block: newZone, key: newKey, asOf: t2,
+        }));
+    },
+    'should scan secrets as of a timestamp': async () => {
+        const { secureBlocktree, secureRoot, rootZoneKey } = context;
+        const { rootZone } = secureRoot;
+        const [, t2, t3] = scheduleTimestamps(context.secureBlocktree, 3);
+        const newZone = await secureBlocktree.createZone({
+            block: rootZone,
+            sig: context.signAs(rootZoneKey),
+        });
+        const ref = Buffer.from('ref', 'utf-8');
+        await secureBlocktree.addSecret({
+            block: newZone,
+            sig: context.signAs(rootZoneKey),
+            key: rootZoneKey,
+            ref,
+            secret: Buffer.from('first', 'utf-8'),
+        });
+        await secureBlocktree.addSecret({
+            block: newZone,
+            sig: context.signAs(rootZoneKey),
+            key: rootZoneKey,
+            ref,
+            secret: Buffer.from('second', 'utf-8'),
+        });
+        const seek = (asOf) => secureBlocktree.performSecretSeek({
+            block: newZone, ref, asOf,
+        });
+
+        assert.strictEqual(await seek(t2 - 1n), null);
+        assert.strictEqual((await seek(t2)).secret.toString('utf-8'), 'first');
+        assert.strictEqual((await seek(t3)).secret.toString('utf-8'), 'second');
+    },
+    'should query records as of a timestamp': async () => {
+        const { secureBlocktree, secureRoot, rootZoneKey } = context;
+        const { rootZone } = secureRoot;
+        const [, t2] = scheduleTimestamps(context.secureBlocktree, 4);
+        const collection = await secureBlocktree.createCollection({
+            block: rootZone,
+            sig: context.signAs(rootZoneKey),
+        });
+        for (let i = 1; i <= 3; i += 1) {
+            // eslint-disable-next-line no-await-in-loop
+            await secureBlocktree.addRecord({
+                block: collection, sig: context.signAs(rootZoneKey), data: { n: i },
+            });
+        }
+        const result = await secureBlocktree.queryRecords({ collection, asOf: t2 + 1000n });
+
+        assert.deepStrictEqual(result.map((i) => i.data.n), [1, 2]);
+    },
+});
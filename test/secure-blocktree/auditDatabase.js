@@ -0,0 +1,179 @@
+const assert = require('assert');
+const constants = require('../../src/constants');
+const { generateHash } = require('../../src/utils/crypto');
+const { getRandomHash, scheduleTimestamps } = require('../test-helper');
+
+/**
+ * Byte offsets of fields within a raw block.
+ */
+const prevOffset = constants.size.int64;
+const nonceOffset = prevOffset + constants.size.hash;
+const sigOffset = nonceOffset + constants.size.int64 * 2
+    + constants.size.hash + constants.size.byte * 2 + constants.size.int16;
+
+module.exports = (context) => {
+    /**
+     * Creates a collection with a record, returning the record block.
+     */
+    async function writeRecord() {
+        const { secureBlocktree, secureRoot, rootZoneKey } = context;
+        const collection = await secureBlocktree.createCollection({
+            block: secureRoot.rootZone,
+            sig: context.signAs(rootZoneKey),
+        });
+        return secureBlocktree.addRecord({
+            block: collection, sig: context.signAs(rootZoneKey), data: { name: 'test' },
+        });
+    }
+
+    /**
+     * Copies a block with the specified bytes modified, and writes it directly to storage.
+     */
+    async function writeModifiedBlock(block, offset, bytes) {
+        const { secureBlocktree } = context;
+        const raw = Buffer.from(await secureBlocktree.readRawBlock(block));
+        bytes.copy(raw, offset);
+        const hash = generateHash(raw);
+        await secureBlocktree.mocks.storage.writeStorage(hash, raw);
+        return hash;
+    }
+
+    function findViolations(report, reason) {
+        return report.violations.filter((i) => i.reason === reason);
+    }
+
+    return {
+        'should report no violations for a valid database': async () => {
+            const { secureBlocktree, secureRoot, rootZoneKey } = context;
+            const key = await context.generateTestKey();
+            const identity = await secureBlocktree.createIdentity({
+                block: secureRoot.rootZone, sig: context.signAs(rootZoneKey),
+            });
+            await secureBlocktree.addKey({
+                block: identity, sig: context.signAs(rootZoneKey), key, action: 'write',
+            });
+            await secureBlocktree.addSecret({
+                block: identity,
+                sig: context.signAs(key),
+                key,
+                ref: Buffer.from('ref', 'utf-8'),
+                secret: Buffer.from('secret', 'utf-8'),
+            });
+            await writeRecord();
+
+            const report = await secureBlocktree.auditDatabase();
+            assert.deepStrictEqual(report.violations, []);
+            assert.strictEqual(report.isValid, true);
+            assert.strictEqual(report.blockCount, 8);
+        },
+        'should validate blocks against the keys active when they were written': async () => {
+            const {
+                secureBlocktree, secureRoot, rootKey,
+            } = context;
+            const key = await context.generateTestKey();
+            scheduleTimestamps(context.secureBlocktree, 4);
+            await secureBlocktree.addKey({
+                block: secureRoot.rootZone, sig: context.signAs(rootKey), key, action: 'write',
+            });
+            const collection = await secureBlocktree.createCollection({
+                block: secureRoot.rootZone, sig: context.signAs(key),
+            });
+            await secureBlocktree.addRecord({
+                block: collection, sig: context.signAs(key), data: { name: 'test' },
+            });
+            await secureBlocktree.revokeKey({
+                block: secureRoot.rootZone, sig: context.signAs(rootKey), key, action: 'write',
+            });
+
+            const report = await secureBlocktree.auditDatabase();
+            assert.deepStrictEqual(report.violations, []);
+        },
+        'should report blocks which do not match their hash': async () => {
+            const { secureBlocktree } = context;
+            const record = await writeRecord();
+            const raw = await secureBlocktree.readRawBlock(record);
+            const invalidBlock = getRandomHash();
+            await secureBlocktree.mocks.storage.writeStorage(invalidBlock, raw);
+
+            const report = await secureBlocktree.auditDatabase();
+            const [violation] = findViolations(report, constants.validation.invalidHash);
+            assert.strictEqual(report.isValid, false);
+            assert.ok(Buffer.compare(violation.block, invalidBlock) === 0);
+        },
+        'should report forks': async () => {
+            const { secureBlocktree } = context;
+            const record = await writeRecord();
+            const fork = await writeModifiedBlock(record, nonceOffset,
+                getRandomHash().slice(0, constants.size.int64));
+            const { prev } = await secureBlocktree.readSecureBlock(record);
+
+            const report = await secureBlocktree.auditDatabase();
+            const [violation] = findViolations(report, constants.validation.fork);
+            assert.strictEqual(report.isValid, false);
+            assert.ok(Buffer.compare(violation.block, prev) === 0);
+            assert.strictEqual(violation.next.length, 2);
+            assert.ok(violation.next.some((i) => Buffer.compare(i, fork) === 0));
+        },
+        'should report missing and orphan blocks': async () => {
+            const { secureBlocktree } = context;
+            const record = await writeRecord();
+            const orphan = await writeModifiedBlock(record, prevOffset, getRandomHash());
+
+            const report = await secureBlocktree.auditDatabase();
+            const [missing] = findViolations(report, constants.validation.missingBlock);
+            const [orphaned] = findViolations(report, constants.validation.orphanBlock);
+            assert.strictEqual(report.isValid, false);
+            assert.ok(Buffer.compare(missing.block, orphan) === 0);
+            assert.ok(Buffer.compare(orphaned.block, orphan) === 0);
+        },
+        'should report additional root blocks': async () => {
+            const { secureBlocktree, secureRoot } = context;
+            const root = await writeModifiedBlock(secureRoot.rootBlock, nonceOffset,
+                getRandomHash().slice(0, constants.size.int64));
+
+            const report = await secureBlocktree.auditDatabase();
+            const [violation] = findViolations(report, constants.validation.invalidRootBlock);
+            assert.strictEqual(report.isValid, false);
+            assert.ok(Buffer.compare(violation.block, root) === 0);
+        },
+        'should report invalid signatures': async () => {
+            const { secureBlocktree } = context;
+            const record = await writeRecord();
+            const block = await writeModifiedBlock(record, sigOffset,
+                getRandomHash().slice(0, constants.size.int64));
+
+            const report = await secureBlocktree.auditDatabase();
+            const [violation] = findViolations(report, constants.validation.invalidSignature);
+            assert.strictEqual(report.isValid, false);
+            assert.ok(Buffer.compare(violation.block, block) === 0);
+        },
+        'should report blocks signed by an unauthorized key': async () => {
+            const { secureBlocktree } = context;
+            const record = await writeRecord();
+            const secureBlock = await secureBlocktree.readSecureBlock(record);
+            const key = await context.generateTestKey();
+            const sig = await context.signAs(key)(secureBlock);
+
+            const result = await secureBlocktree.validateSecureBlock({ ...secureBlock, sig });
+            assert.strictEqual(result.isValid, false);
+            assert.strictEqual(result.reason, constants.validation.unauthorizedKey);
+            assert.ok(Buffer.compare(result.key, key) === 0);
+        },
+        'should report key blocks which were not signed by their parent key': async () => {
+            const {
+                secureBlocktree, secureRoot, rootKey, rootZoneKey,
+            } = context;
+            const key = await context.generateTestKey();
+            const block = await secureBlocktree.addKey({
+                block: secureRoot.rootZone, sig: context.signAs(rootKey), key, action: 'write',
+            });
+            const secureBlock = await secureBlocktree.readSecureBlock(block);
+
+            const result = await secureBlocktree.validateSecureBlock({
+                ...secureBlock, data: { ...secureBlock.data, parentKey: rootZoneKey },
+            });
+            assert.strictEqual(result.isValid, false);
+            assert.strictEqual(result.reason, constants.validation.invalidParentKey);
+        },
+    };
+};
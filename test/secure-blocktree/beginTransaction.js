@@ -0,0 +1,214 @@
+/* eslint-disable no-restricted-syntax */
+const assert = require('assert');
+const constants = require('../../src/constants');
+const {
+    InvalidBlockError, InvalidSignatureError, TransactionError,
+} = require('../../src/errors');
+
+/**
+ * Counts the blocks which are visible to the secure blocktree (or transaction).
+ */
+async function countBlocks(secureBlocktree) {
+    const result = [];
+    for await (const secureBlock of secureBlocktree.iterateBlocks()) {
+        result.push(secureBlock.hash);
+    }
+    return BigInt(result.length);
+}
+
+/**
+ * Collects the child blocks which are visible to the secure blocktree (or transaction).
+ */
+async function collectChildren(secureBlocktree, block) {
+    const result = [];
+    for await (const secureBlock of secureBlocktree.iterateChildren(block)) {
+        result.push(secureBlock.hash);
+    }
+    return result;
+}
+
+module.exports = (context) => {
+    /**
+     * Provisions a collection with a key and a record within the transaction.
+     */
+    async function provisionCollection(transaction) {
+        const { secureRoot, rootZoneKey } = context;
+        const key = await context.generateTestKey();
+        const collection = await transaction.createCollection({
+            block: secureRoot.rootZone, sig: context.signAs(rootZoneKey),
+        });
+        await transaction.addKey({
+            block: collection, sig: context.signAs(rootZoneKey), key, action: 'write',
+        });
+        const record = await transaction.addRecord({
+            block: collection, sig: context.signAs(key), data: { name: 'test' },
+        });
+        return { key, collection, record };
+    }
+
+    /**
+     * Asserts that the specified function throws a transaction error.
+     */
+    async function assertClosed(fn) {
+        let isExecuted = false;
+        try {
+            await fn();
+            isExecuted = true;
+        } catch (err) {
+            assert.ok(err instanceof TransactionError);
+            assert.strictEqual(err.reason, TransactionError.reasons.alreadyClosed);
+        }
+        assert.strictEqual(isExecuted, false, 'Expected an exception to be thrown.');
+    }
+
+    return {
+        'should not make staged blocks visible until the transaction is committed': async () => {
+            const { secureBlocktree } = context;
+            const count = await countBlocks(secureBlocktree);
+            const transaction = await secureBlocktree.beginTransaction();
+            const { collection, record } = await provisionCollection(transaction);
+
+            assert.strictEqual(await countBlocks(transaction), count + 3n);
+            assert.strictEqual((await transaction.readSecureBlock(record)).data.name, 'test');
+            assert.strictEqual(await countBlocks(secureBlocktree), count);
+            assert.strictEqual(await secureBlocktree.readSecureBlock(collection,
+                { validate: false }), null);
+
+            const result = await transaction.commit();
+            assert.strictEqual(result.length, 3);
+            assert.ok(Buffer.compare(result[0], collection) === 0);
+            assert.strictEqual(await countBlocks(secureBlocktree), count + 3n);
+            const records = await secureBlocktree.queryRecords({ collection });
+            assert.strictEqual(records.length, 1);
+            assert.ok(Buffer.compare(records[0].block, record) === 0);
+        },
+        'should allow blocks to be added after the transaction is committed': async () => {
+            const { secureBlocktree } = context;
+            const transaction = await secureBlocktree.beginTransaction();
+            const { key, collection, record } = await provisionCollection(transaction);
+            await transaction.commit();
+
+            const block = await secureBlocktree.addRecord({
+                block: collection, sig: context.signAs(key), data: { name: 'test 2' },
+            });
+            const { prev } = await secureBlocktree.readSecureBlock(block);
+            assert.ok(Buffer.compare(prev, record) === 0);
+            assert.ok(Buffer.compare(await secureBlocktree.getHeadBlock(collection), block) === 0);
+        },
+        'should discard all staged blocks when the transaction is aborted': async () => {
+            const { secureBlocktree, secureRoot } = context;
+            const count = await countBlocks(secureBlocktree);
+            const transaction = await secureBlocktree.beginTransaction();
+            const { collection } = await provisionCollection(transaction);
+            await transaction.abort();
+
+            assert.strictEqual(await countBlocks(secureBlocktree), count);
+            assert.strictEqual(await secureBlocktree.readSecureBlock(collection,
+                { validate: false }), null);
+            assert.strictEqual((await collectChildren(secureBlocktree, secureRoot.rootZone))
+                .length, 0);
+            await assertClosed(() => provisionCollection(transaction));
+            await assertClosed(() => transaction.commit());
+        },
+        'should not write blocks outside of the transaction': async () => {
+            const { secureBlocktree, secureRoot, rootZoneKey } = context;
+            const transaction = await secureBlocktree.beginTransaction();
+            ['beginTransaction', 'resolveFork', 'rotateKey', 'importTree'].forEach((name) => {
+                assert.strictEqual(transaction[name], undefined);
+            });
+            await transaction.commit();
+            await assertClosed(() => transaction.writeSecureBlock({
+                sig: Buffer.alloc(0),
+                parent: secureRoot.rootZone,
+                prev: null,
+                type: constants.blockType.collection,
+            }));
+            await assertClosed(() => transaction.createRoot({
+                rootKeys: [rootZoneKey], rootZoneKeys: [rootZoneKey],
+            }));
+        },
+        'should leave no blocks behind if a staged operation fails': async () => {
+            const { secureBlocktree, secureRoot, rootZoneKey } = context;
+            const count = await countBlocks(secureBlocktree);
+            const invalidKey = await context.generateTestKey();
+            const transaction = await secureBlocktree.beginTransaction();
+            const collection = await transaction.createCollection({
+                block: secureRoot.rootZone, sig: context.signAs(rootZoneKey),
+            });
+            let isExecuted = false;
+            try {
+                await transaction.addRecord({
+                    block: collection, sig: context.signAs(invalidKey), data: { name: 'test' },
+                });
+                isExecuted = true;
+            } catch (err) {
+                assert.ok(err instanceof InvalidSignatureError);
+            }
+            assert.strictEqual(isExecuted, false, 'Expected an exception to be thrown.');
+            await transaction.abort();
+
+            assert.strictEqual(await countBlocks(secureBlocktree), count);
+            const report = await secureBlocktree.auditDatabase();
+            assert.strictEqual(report.isValid, true);
+        },
+        'should not commit if a blockchain was changed outside of the transaction': async () => {
+            const { secureBlocktree, secureRoot, rootZoneKey } = context;
+            const collection = await secureBlocktree.createCollection({
+                block: secureRoot.rootZone, sig: context.signAs(rootZoneKey),
+            });
+            const count = await countBlocks(secureBlocktree);
+            const transaction = await secureBlocktree.beginTransaction();
+            await transaction.addRecord({
+                block: collection, sig: context.signAs(rootZoneKey), data: { name: 'test' },
+            });
+            await secureBlocktree.addRecord({
+                block: collection, sig: context.signAs(rootZoneKey), data: { name: 'other' },
+            });
+
+            let isExecuted = false;
+            try {
+                await transaction.commit();
+                isExecuted = true;
+            } catch (err) {
+                assert.ok(err instanceof InvalidBlockError);
+                assert.strictEqual(err.reason, InvalidBlockError.reasons.nextBlockExists);
+            }
+            assert.strictEqual(isExecuted, false, 'Expected an exception to be thrown.');
+            assert.strictEqual(await countBlocks(secureBlocktree), count + 1n);
+            const records = await secureBlocktree.queryRecords({ collection });
+            assert.deepStrictEqual(records.map((i) => i.data.name), ['other']);
+            await assertClosed(() => transaction.abort());
+        },
+        'should keep child blocks which were added outside of the transaction': async () => {
+            const { secureBlocktree, secureRoot, rootZoneKey } = context;
+            const transaction = await secureBlocktree.beginTransaction();
+            const staged = await transaction.createCollection({
+                block: secureRoot.rootZone, sig: context.signAs(rootZoneKey),
+            });
+            const other = await secureBlocktree.createCollection({
+                block: secureRoot.rootZone, sig: context.signAs(rootZoneKey),
+            });
+            await transaction.commit();
+
+            const children = await collectChildren(secureBlocktree, secureRoot.rootZone);
+            assert.strictEqual(children.length, 2);
+            assert.ok(children.some((i) => Buffer.compare(i, staged) === 0));
+            assert.ok(children.some((i) => Buffer.compare(i, other) === 0));
+        },
+        'should read staged blocks from within the transaction': async () => {
+            const { secureBlocktree, secureRoot } = context;
+            const transaction = await secureBlocktree.beginTransaction();
+            const { collection, record } = await provisionCollection(transaction);
+            const staged = await transaction.getStagedBlocks();
+            assert.strictEqual(staged.length, 3);
+            assert.ok(Buffer.compare(staged[0], collection) === 0);
+
+            const children = await collectChildren(transaction, secureRoot.rootZone);
+            assert.ok(children.some((i) => Buffer.compare(i, collection) === 0));
+            assert.ok(Buffer.compare(await transaction.getHeadBlock(collection), record) === 0);
+            const { type } = await transaction.readSecureBlock(collection);
+            assert.strictEqual(type, constants.blockType.collection);
+            await transaction.abort();
+        },
+    };
+};
@@ -0,0 +1,161 @@
+/* eslint-disable no-await-in-loop */
+const assert = require('assert');
+const constants = require('../../src/constants');
+const { InvalidBlockError, InvalidKeyError } = require('../../src/errors');
+const inMemoryBroker = require('../../src/brokers/inMemoryBroker');
+const { getPrivateKey } = require('../test-helper');
+
+module.exports = (context) => {
+    /**
+     * Creates a collection with the specified number of read keys.
+     */
+    async function createCollection(count) {
+        const { secureBlocktree, secureRoot: { rootZone }, rootZoneKey } = context;
+        const collection = await secureBlocktree.createCollection({
+            block: rootZone, sig: context.signAs(rootZoneKey),
+        });
+        const keys = [];
+        for (let i = 0; i < count; i += 1) {
+            const key = await context.generateTestKey();
+            await secureBlocktree.addKey({
+                block: collection,
+                sig: context.signAs(rootZoneKey),
+                key,
+                action: constants.action.read,
+            });
+            keys.push(key);
+        }
+        return { collection, keys };
+    }
+
+    /**
+     * Adds a record to the collection, encrypted using an envelope.
+     */
+    async function addEnvelopeRecord(collection, keys) {
+        const { secureBlocktree, rootZoneKey } = context;
+        return secureBlocktree.addRecord({
+            block: collection,
+            sig: context.signAs(rootZoneKey),
+            data: await secureBlocktree.createEnvelope({
+                block: collection,
+                keys,
+                type: constants.blockType.record,
+                data: { name: 'THE SECRET VALUE' },
+            }),
+        });
+    }
+
+    return {
+        'should encrypt the data for every active read key': async () => {
+            const { secureBlocktree } = context;
+            const { collection, keys } = await createCollection(2);
+            const record = await addEnvelopeRecord(collection);
+
+            const { type, data } = await secureBlocktree.readSecureBlock(record);
+            assert.strictEqual(data.isEnvelope, true);
+            for (let i = 0; i < keys.length; i += 1) {
+                assert.ok(data.recipients.some((r) => Buffer.compare(r.key, keys[i]) === 0));
+                const result = await secureBlocktree.decryptBlockData({
+                    encryptedData: data, type, privateKey: getPrivateKey(keys[i]),
+                });
+                assert.strictEqual(result.name, 'THE SECRET VALUE');
+            }
+        },
+        'should add recipients using key wrap blocks': async () => {
+            const { secureBlocktree, rootZoneKey } = context;
+            const { collection, keys: [key, newKey] } = await createCollection(2);
+            const record = await addEnvelopeRecord(collection, [key]);
+            const decrypt = () => secureBlocktree.decryptSecureBlock({
+                block: record, key: newKey, privateKey: getPrivateKey(newKey),
+            });
+            let isExecuted = false;
+            try {
+                await decrypt();
+                isExecuted = true;
+            } catch (err) {
+                assert.ok(err instanceof InvalidKeyError);
+            }
+            assert.strictEqual(isExecuted, false, 'Expected an exception to be thrown.');
+
+            await secureBlocktree.addRecipient({
+                sig: context.signAs(rootZoneKey),
+                block: record,
+                key: newKey,
+                privateKey: getPrivateKey(key),
+            });
+            assert.strictEqual((await decrypt()).name, 'THE SECRET VALUE');
+            const recipients = await secureBlocktree.getEnvelopeRecipients({ block: record });
+            assert.strictEqual(recipients.length, 2);
+            assert.ok(Buffer.compare(recipients[1].key, newKey) === 0);
+        },
+        'should find recipients which are added after the recipients are read': async () => {
+            const { secureBlocktree, rootZoneKey } = context;
+            const { collection, keys: [key, ...newKeys] } = await createCollection(3);
+            const record = await addEnvelopeRecord(collection, [key]);
+            assert.strictEqual(
+                (await secureBlocktree.getEnvelopeRecipients({ block: record })).length, 1,
+            );
+            for (let i = 0; i < newKeys.length; i += 1) {
+                await addEnvelopeRecord(collection, [key]);
+                await secureBlocktree.addRecipient({
+                    sig: context.signAs(rootZoneKey),
+                    block: record,
+                    key: newKeys[i],
+                    privateKey: getPrivateKey(key),
+                });
+                const recipients = await secureBlocktree.getEnvelopeRecipients({ block: record });
+                assert.deepStrictEqual(recipients.map((r) => r.key),
+                    [key, ...newKeys.slice(0, i + 1)]);
+            }
+        },
+        'should fail to add recipients to blocks which are not envelopes': async () => {
+            const { secureBlocktree, rootZoneKey } = context;
+            const { collection, keys: [key, newKey] } = await createCollection(2);
+            const record = await secureBlocktree.addRecord({
+                block: collection, sig: context.signAs(rootZoneKey), data: { name: 'test' },
+            });
+            let isExecuted = false;
+            try {
+                await secureBlocktree.addRecipient({
+                    sig: context.signAs(rootZoneKey),
+                    block: record,
+                    key: newKey,
+                    privateKey: getPrivateKey(key),
+                });
+                isExecuted = true;
+            } catch (err) {
+                assert.ok(err instanceof InvalidBlockError);
+                assert.strictEqual(err.reason, InvalidBlockError.reasons.notAnEnvelope);
+            }
+            assert.strictEqual(isExecuted, false, 'Expected an exception to be thrown.');
+        },
+        'should only use the broker for trusted reads by keys which are not recipients': async () => {
+            const { secureBlocktree } = context;
+            const { collection, keys: [key, trustedKey] } = await createCollection(2);
+            const record = await addEnvelopeRecord(collection, [key]);
+            const { type } = await secureBlocktree.readSecureBlock(record);
+
+            // recipients can read the envelope without a broker.
+            const envelope = await secureBlocktree.performTrustedRead({ block: record, key });
+            assert.strictEqual((await secureBlocktree.decryptBlockData({
+                encryptedData: envelope, type, privateKey: getPrivateKey(key),
+            })).name, 'THE SECRET VALUE');
+
+            const broker = inMemoryBroker();
+            await broker.addAuthorizedKey({ publicKey: key, privateKey: getPrivateKey(key) });
+            const token = await broker.generateRequestToken({ trustedKey });
+            const result = await secureBlocktree.performTrustedRead({
+                block: record,
+                key: trustedKey,
+                token,
+                sig: await context.signAs(trustedKey)({ token }),
+                broker,
+            });
+            assert.strictEqual(result.recipients.length, 1);
+            assert.ok(Buffer.compare(result.key, trustedKey) === 0);
+            assert.strictEqual((await secureBlocktree.decryptBlockData({
+                encryptedData: result, type, privateKey: getPrivateKey(trustedKey),
+            })).name, 'THE SECRET VALUE');
+        },
+    };
+};
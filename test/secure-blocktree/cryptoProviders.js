@@ -0,0 +1,195 @@
+/* eslint-disable no-await-in-loop */
+const assert = require('assert');
+const crypto = require('crypto');
+const constants = require('../../src/constants');
+const { fromInt16, fromVarBinary } = require('../../src/utils/convert');
+const aesCbc = require('../../src/crypto/aesCbc');
+const { InvalidKeyError, InvalidSignatureError } = require('../../src/errors');
+const { cipher, decipher, generateNonce } = require('../../src/utils/crypto');
+const { getPrivateKey, assertThrows } = require('../test-helper');
+
+module.exports = (context) => {
+    /**
+     * Signs blocks the way they were signed before algorithm identifiers were recorded.
+     */
+    function signAsLegacy(key) {
+        return async ({ parent, prev }) => {
+            const nonce = generateNonce();
+            const message = Buffer.concat([
+                nonce, parent || Buffer.alloc(0), prev || Buffer.alloc(0),
+            ]);
+            return Buffer.concat([
+                nonce,
+                fromVarBinary(key),
+                crypto.sign('sha256', message, {
+                    key: getPrivateKey(key),
+                    padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+                }),
+            ]);
+        };
+    }
+
+    /**
+     * Creates a zone with the specified key.
+     */
+    async function createZoneWithKey(key, action) {
+        const { secureBlocktree, secureRoot: { rootZone }, rootZoneKey } = context;
+        const zone = await secureBlocktree.createZone({
+            block: rootZone, sig: context.signAs(rootZoneKey),
+        });
+        await secureBlocktree.addKey({
+            block: zone, sig: context.signAs(rootZoneKey), key, action,
+        });
+        return zone;
+    }
+
+    return {
+        'should sign blocks using Ed25519 keys': async () => {
+            const { secureBlocktree } = context;
+            const key = await context.generateTestKey('ed25519');
+            const zone = await createZoneWithKey(key, constants.action.write);
+            const collection = await secureBlocktree.createCollection({
+                block: zone, sig: context.signAs(key),
+            });
+            const { sig, parent } = await secureBlocktree.readSecureBlock(collection);
+            assert.ok(await secureBlocktree.verifySignedBlock({ sig, key, parent }));
+            assert.strictEqual((await secureBlocktree.auditDatabase()).violations.length, 0);
+        },
+        'should encrypt data using X25519 keys': async () => {
+            const { secureBlocktree, rootZoneKey } = context;
+            const key = await context.generateTestKey('x25519');
+            const zone = await createZoneWithKey(key, constants.action.read);
+            const collection = await secureBlocktree.createCollection({
+                block: zone, sig: context.signAs(rootZoneKey),
+            });
+            const record = await secureBlocktree.addRecord({
+                block: collection,
+                sig: context.signAs(rootZoneKey),
+                data: await secureBlocktree.createEnvelope({
+                    block: collection,
+                    keys: [key],
+                    type: constants.blockType.record,
+                    data: { name: 'THE SECRET VALUE' },
+                }),
+            });
+            const result = await secureBlocktree.decryptSecureBlock({
+                block: record, privateKey: getPrivateKey(key),
+            });
+            assert.strictEqual(result.name, 'THE SECRET VALUE');
+        },
+        'should not use signature keys as envelope recipients': async () => {
+            const { secureBlocktree, rootZoneKey } = context;
+            const key = await context.generateTestKey('ed25519');
+            const zone = await createZoneWithKey(key, constants.action.any);
+            const collection = await secureBlocktree.createCollection({
+                block: zone, sig: context.signAs(rootZoneKey),
+            });
+            const envelope = await secureBlocktree.createEnvelope({
+                block: collection,
+                type: constants.blockType.record,
+                data: { name: 'THE SECRET VALUE' },
+            });
+            assert.ok(envelope.recipients.length > 0);
+            assert.ok(envelope.recipients.every((i) => Buffer.compare(i.key, key) !== 0));
+        },
+        'should only accept signatures without an algorithm identifier for existing blocks':
+        async () => {
+            const { secureBlocktree, secureRoot: { rootZone }, rootZoneKey } = context;
+            const key = await context.generateTestKey('rsa', { keySize: 1024 });
+            const zone = await secureBlocktree.createZone({
+                block: rootZone, sig: context.signAs(rootZoneKey),
+            });
+            await assertThrows(() => secureBlocktree.addKey({
+                block: zone, sig: context.signAs(rootZoneKey), key, action: constants.action.write,
+            }), InvalidKeyError);
+
+            // write the key and a block signed by it, as they would have been written before.
+            const prev = await secureBlocktree.getHeadBlock(zone);
+            const parent = await secureBlocktree.getParentBlock(prev);
+            await secureBlocktree.writeSecureBlock({
+                sig: await context.signAs(rootZoneKey)({ parent, prev }),
+                parent,
+                prev,
+                type: constants.blockType.key,
+                data: {
+                    parentKey: rootZoneKey,
+                    key,
+                    action: constants.action.write,
+                    tsInit: constants.timestamp.zero,
+                    tsExp: constants.timestamp.max,
+                },
+            });
+            const collection = await secureBlocktree.writeSecureBlock({
+                sig: await signAsLegacy(key)({ parent: zone, prev: null }),
+                parent: zone,
+                prev: null,
+                type: constants.blockType.collection,
+            });
+            const { sig } = await secureBlocktree.readSecureBlock(collection);
+            assert.ok(await secureBlocktree.verifySignedBlock({
+                sig, key, parent: zone, allowLegacy: true,
+            }));
+            assert.strictEqual((await secureBlocktree.auditDatabase()).violations.length, 0);
+
+            // new blocks cannot be signed using the key.
+            await assertThrows(() => secureBlocktree.createCollection({
+                block: zone, sig: signAsLegacy(key),
+            }), InvalidSignatureError);
+            await assertThrows(() => secureBlocktree.createCollection({
+                block: zone, sig: context.signAs(key),
+            }), InvalidKeyError);
+        },
+        'should decrypt data without an algorithm identifier': async () => {
+            const { secureBlocktree, rootZoneKey } = context;
+            const secret = Buffer.from('THE SECRET VALUE', 'utf-8');
+            const dataKey = crypto.randomBytes(constants.crypto.dataKeySize);
+            const encryptedKey = crypto.publicEncrypt({
+                key: rootZoneKey,
+                padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+                oaepHash: 'sha256',
+            }, dataKey);
+            const encrypted = Buffer.concat([
+                fromInt16(Buffer.byteLength(encryptedKey)),
+                encryptedKey,
+                await aesCbc.encrypt(dataKey, secret),
+            ]);
+            const result = await secureBlocktree.decryptData(getPrivateKey(rootZoneKey),
+                encrypted);
+            assert.ok(Buffer.compare(result, secret) === 0);
+        },
+        'should fail to decrypt data which has been modified': async () => {
+            const { secureBlocktree, rootZoneKey } = context;
+            const encrypted = await secureBlocktree.encryptData(rootZoneKey, 'THE SECRET VALUE');
+            const index = Buffer.byteLength(encrypted) - 1;
+            encrypted[index] = encrypted[index] === 0 ? 1 : 0;
+            let isExecuted = false;
+            try {
+                await secureBlocktree.decryptData(getPrivateKey(rootZoneKey), encrypted);
+                isExecuted = true;
+            } catch (err) {
+                assert.ok(err);
+            }
+            assert.strictEqual(isExecuted, false, 'Expected an exception to be thrown.');
+        },
+        'should not decrypt data using a cipher which is unknown or legacy': async () => {
+            const key = crypto.randomBytes(constants.crypto.dataKeySize);
+            const encrypted = await cipher(key, Buffer.from('THE SECRET VALUE', 'utf-8'));
+            const index = Buffer.byteLength(constants.crypto.header);
+            const algorithms = [
+                constants.crypto.algorithm.aes256Cbc, constants.crypto.algorithm.rsa, 250,
+            ];
+            for (let i = 0; i < algorithms.length; i += 1) {
+                const modified = Buffer.from(encrypted);
+                modified[index] = algorithms[i];
+                let isExecuted = false;
+                try {
+                    await decipher(key, modified);
+                    isExecuted = true;
+                } catch (err) {
+                    assert.ok(err instanceof InvalidKeyError);
+                }
+                assert.strictEqual(isExecuted, false, 'Expected an exception to be thrown.');
+            }
+        },
+    };
+};
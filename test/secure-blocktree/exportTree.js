@@ -0,0 +1,96 @@
+const assert = require('assert');
+const { Readable, Writable } = require('stream');
+const constants = require('../../src/constants');
+const { ReplicationError } = require('../../src/errors');
+const { initSecureBlocktree } = require('../test-helper');
+
+/**
+ * Exports a subtree to an in-memory archive.
+ */
+async function exportToChunks(secureBlocktree, block, options) {
+    const chunks = [];
+    const stream = new Writable({
+        write(chunk, encoding, callback) {
+            chunks.push(chunk);
+            callback();
+        },
+    });
+    const result = await secureBlocktree.exportTree(block, stream, options);
+    return { ...result, chunks };
+}
+
+module.exports = (context) => ({
+    'should export a zone to another secure blocktree': async () => {
+        const { secureBlocktree, secureRoot, rootZoneKey } = context;
+        const zone = await secureBlocktree.createZone({
+            block: secureRoot.rootZone, sig: context.signAs(rootZoneKey),
+        });
+        const otherZone = await secureBlocktree.createZone({
+            block: secureRoot.rootZone, sig: context.signAs(rootZoneKey),
+        });
+        const collection = await secureBlocktree.createCollection({
+            block: zone, sig: context.signAs(rootZoneKey),
+        });
+        await secureBlocktree.addRecord({
+            block: collection, sig: context.signAs(rootZoneKey), data: { name: 'tenant' },
+        });
+
+        const { count, chunks } = await exportToChunks(secureBlocktree, zone,
+            { ancestors: true });
+
+        const target = initSecureBlocktree(false);
+        const result = await target.importTree(Readable.from(chunks));
+        assert.strictEqual(result.length, count);
+        const records = await target.queryRecords({ collection });
+        assert.deepStrictEqual(records.map((i) => i.data.name), ['tenant']);
+        assert.strictEqual(await target.readSecureBlock(otherZone, { validate: false }), null);
+        assert.strictEqual((await target.validateSecureBlock(
+            await target.readSecureBlock(collection),
+        )).isValid, true);
+    },
+    'should not include the blockchains above the subtree by default': async () => {
+        const { secureBlocktree, secureRoot, rootZoneKey } = context;
+        const zone = await secureBlocktree.createZone({
+            block: secureRoot.rootZone, sig: context.signAs(rootZoneKey),
+        });
+        const { count } = await exportToChunks(secureBlocktree, zone);
+        assert.strictEqual(count, 1);
+    },
+    'should not import blocks with invalid signatures': async () => {
+        const { secureBlocktree, secureRoot, rootZoneKey } = context;
+        const zone = await secureBlocktree.createZone({
+            block: secureRoot.rootZone, sig: context.signAs(rootZoneKey),
+        });
+
+        // write a key block signed by a key which has no access, bypassing validation.
+        const key = await context.generateTestKey();
+        const prev = await secureBlocktree.getHeadBlock(zone);
+        const parent = await secureBlocktree.getParentBlock(prev);
+        await secureBlocktree.writeSecureBlock({
+            sig: await context.signAs(key)({ parent, prev }),
+            parent,
+            prev,
+            type: constants.blockType.key,
+            data: {
+                parentKey: null,
+                key,
+                action: constants.action.any,
+                tsInit: constants.timestamp.zero,
+                tsExp: constants.timestamp.max,
+            },
+        });
+        const { chunks } = await exportToChunks(secureBlocktree, zone, { ancestors: true });
+
+        const target = initSecureBlocktree(false);
+        let isExecuted = false;
+        try {
+            await target.importTree(Readable.from(chunks));
+            isExecuted = true;
+        } catch (err) {
+            assert.ok(err instanceof ReplicationError);
+            assert.strictEqual(err.reason, ReplicationError.reasons.invalidBlock);
+        }
+        assert.strictEqual(isExecuted, false, 'Expected an exception to be thrown.');
+        assert.strictEqual(await target.readSecureBlock(zone, { validate: false }), null);
+    },
+});
@@ -0,0 +1,252 @@
+const assert = require('assert');
+const constants = require('../../src/constants');
+const {
+    InvalidBlockError, InvalidKeyError, InvalidSignatureError,
+} = require('../../src/errors');
+const { assertThrows } = require('../test-helper');
+
+module.exports = (context) => {
+    /**
+     * Creates an identity with a key, and a zone containing a collection.
+     */
+    async function createIdentityAndZone() {
+        const { secureBlocktree, secureRoot: { rootZone }, rootZoneKey } = context;
+        const identity = await secureBlocktree.createIdentity({
+            block: rootZone, sig: context.signAs(rootZoneKey), options: { name: 'Alice' },
+        });
+        const key = await context.generateTestKey();
+        await secureBlocktree.addKey({
+            block: identity,
+            sig: context.signAs(rootZoneKey),
+            key,
+            action: constants.action.write,
+        });
+        const zone = await secureBlocktree.createZone({
+            block: rootZone, sig: context.signAs(rootZoneKey),
+        });
+        const collection = await secureBlocktree.createCollection({
+            block: zone, sig: context.signAs(rootZoneKey),
+        });
+        return {
+            identity, key, zone, collection,
+        };
+    }
+
+    return {
+        'should allow the keys of a granted identity to be used': async () => {
+            const { secureBlocktree, rootZoneKey } = context;
+            const {
+                identity, key, zone, collection,
+            } = await createIdentityAndZone();
+            const addRecord = () => secureBlocktree.addRecord({
+                block: collection, sig: context.signAs(key), data: { name: 'test' },
+            });
+            await assertThrows(addRecord, InvalidSignatureError,
+                InvalidSignatureError.reasons.notFound);
+
+            await secureBlocktree.grantIdentity({
+                block: zone,
+                sig: context.signAs(rootZoneKey),
+                identity,
+                action: constants.action.write,
+                roles: ['record-writer'],
+            });
+            assert.ok(await addRecord());
+            await assertThrows(async () => secureBlocktree.addKey({
+                block: collection,
+                sig: context.signAs(key),
+                key: await context.generateTestKey(),
+                action: constants.action.write,
+            }), InvalidSignatureError, InvalidSignatureError.reasons.permissionDenied);
+
+            await secureBlocktree.revokeIdentity({
+                block: zone,
+                sig: context.signAs(rootZoneKey),
+                identity,
+                action: constants.action.write,
+            });
+            await assertThrows(addRecord, InvalidSignatureError,
+                InvalidSignatureError.reasons.notFound);
+        },
+        'should restrict granted keys by their roles on the identity': async () => {
+            const { secureBlocktree, rootZoneKey } = context;
+            const {
+                identity, zone, collection,
+            } = await createIdentityAndZone();
+            const auditorKey = await context.generateTestKey();
+            await secureBlocktree.addKey({
+                block: identity,
+                sig: context.signAs(rootZoneKey),
+                key: auditorKey,
+                action: constants.action.write,
+                roles: ['auditor'],
+            });
+            await secureBlocktree.grantIdentity({
+                block: zone,
+                sig: context.signAs(rootZoneKey),
+                identity,
+                action: constants.action.write,
+            });
+            await assertThrows(() => secureBlocktree.addRecord({
+                block: collection, sig: context.signAs(auditorKey), data: { name: 'test' },
+            }), InvalidSignatureError, InvalidSignatureError.reasons.permissionDenied);
+
+            // only the operations permitted by both the grant and the identity are permitted.
+            const writerKey = await context.generateTestKey();
+            await secureBlocktree.addKey({
+                block: identity,
+                sig: context.signAs(rootZoneKey),
+                key: writerKey,
+                action: constants.action.write,
+                roles: ['record-writer', 'key-manager'],
+            });
+            const otherZone = await secureBlocktree.createZone({
+                block: context.secureRoot.rootZone, sig: context.signAs(rootZoneKey),
+            });
+            await secureBlocktree.grantIdentity({
+                block: otherZone,
+                sig: context.signAs(rootZoneKey),
+                identity,
+                action: constants.action.write,
+                roles: ['key-manager'],
+            });
+            await assertThrows(async () => secureBlocktree.addRecord({
+                block: await secureBlocktree.createCollection({
+                    block: otherZone, sig: context.signAs(rootZoneKey),
+                }),
+                sig: context.signAs(writerKey),
+                data: { name: 'test' },
+            }), InvalidSignatureError, InvalidSignatureError.reasons.permissionDenied);
+            assert.ok(await secureBlocktree.addRecord({
+                block: collection, sig: context.signAs(writerKey), data: { name: 'test' },
+            }));
+        },
+        'should not accept keys which were revoked on the identity': async () => {
+            const { secureBlocktree, rootZoneKey } = context;
+            const {
+                identity, key, zone, collection,
+            } = await createIdentityAndZone();
+            await secureBlocktree.grantIdentity({
+                block: zone,
+                sig: context.signAs(rootZoneKey),
+                identity,
+                action: constants.action.write,
+            });
+            await secureBlocktree.revokeKey({
+                block: identity,
+                sig: context.signAs(rootZoneKey),
+                key,
+                action: constants.action.write,
+            });
+            await assertThrows(() => secureBlocktree.addRecord({
+                block: collection, sig: context.signAs(key), data: { name: 'test' },
+            }), InvalidSignatureError, InvalidSignatureError.reasons.notFound);
+        },
+        'should not accept keys which were granted by a revoked key': async () => {
+            const { secureBlocktree, secureRoot: { rootZone }, rootKey } = context;
+            const {
+                identity, key, zone, collection,
+            } = await createIdentityAndZone();
+            const grantingKey = await context.generateTestKey();
+            await secureBlocktree.addKey({
+                block: rootZone,
+                sig: context.signAs(rootKey),
+                key: grantingKey,
+                action: constants.action.write,
+            });
+            await secureBlocktree.grantIdentity({
+                block: zone,
+                sig: context.signAs(grantingKey),
+                identity,
+                action: constants.action.write,
+            });
+            const addKey = async () => secureBlocktree.addKey({
+                block: collection,
+                sig: context.signAs(key),
+                key: await context.generateTestKey(),
+                action: constants.action.write,
+            });
+            assert.ok(await addKey());
+
+            await secureBlocktree.revokeKey({
+                block: rootZone,
+                sig: context.signAs(rootKey),
+                key: grantingKey,
+                action: constants.action.write,
+            });
+            await assertThrows(addKey, InvalidKeyError);
+        },
+        'should only grant access to identities': async () => {
+            const { secureBlocktree, rootZoneKey } = context;
+            const { zone, collection } = await createIdentityAndZone();
+            await assertThrows(() => secureBlocktree.grantIdentity({
+                block: zone,
+                sig: context.signAs(rootZoneKey),
+                identity: collection,
+                action: constants.action.write,
+            }), InvalidBlockError, InvalidBlockError.reasons.invalidIdentity);
+        },
+        'should resolve the identity which signed a block': async () => {
+            const { secureBlocktree, rootZoneKey } = context;
+            const {
+                identity, key, zone, collection,
+            } = await createIdentityAndZone();
+            await secureBlocktree.grantIdentity({
+                block: zone,
+                sig: context.signAs(rootZoneKey),
+                identity,
+                action: constants.action.write,
+            });
+            const record = await secureBlocktree.addRecord({
+                block: collection, sig: context.signAs(key), data: { name: 'test' },
+            });
+            const signer = await secureBlocktree.resolveSigner(record);
+            assert.strictEqual(signer.name, 'Alice');
+            assert.ok(Buffer.compare(signer.identity, identity) === 0);
+            assert.ok(Buffer.compare(signer.key, key) === 0);
+            assert.strictEqual(signer.signers.length, 1);
+
+            // keys added directly to the identity's blockchain are also attributed.
+            const personal = await secureBlocktree.createCollection({
+                block: identity, sig: context.signAs(key),
+            });
+            assert.strictEqual((await secureBlocktree.resolveSigner(personal)).name, 'Alice');
+
+            // keys which do not belong to an identity are not attributed.
+            const unattributed = await secureBlocktree.resolveSigner(collection);
+            assert.strictEqual(unattributed.identity, null);
+            assert.strictEqual(unattributed.name, null);
+        },
+        'should report the signer of blocks in the audit': async () => {
+            const { secureBlocktree, rootZoneKey } = context;
+            const {
+                identity, key, zone, collection,
+            } = await createIdentityAndZone();
+            await secureBlocktree.grantIdentity({
+                block: zone,
+                sig: context.signAs(rootZoneKey),
+                identity,
+                action: constants.action.write,
+                roles: ['record-writer'],
+            });
+
+            // write the block directly, bypassing the permission check.
+            const prev = await secureBlocktree.getHeadBlock(collection);
+            const parent = await secureBlocktree.getParentBlock(prev);
+            await secureBlocktree.writeSecureBlock({
+                sig: await context.signAs(key)({ parent, prev }),
+                parent,
+                prev,
+                type: constants.blockType.options,
+                data: { name: 'test' },
+            });
+
+            const report = await secureBlocktree.auditDatabase();
+            assert.strictEqual(report.violations.length, 1);
+            const [violation] = report.violations;
+            assert.strictEqual(violation.reason, constants.validation.permissionDenied);
+            assert.strictEqual(violation.signer, 'Alice');
+            assert.ok(Buffer.compare(violation.identity, identity) === 0);
+        },
+    };
+};
@@ -0,0 +1,86 @@
+/* eslint-disable no-restricted-syntax */
+const assert = require('assert');
+const constants = require('../../src/constants');
+
+module.exports = (context) => {
+    /**
+     * Collects the iterated secure blocks.
+     */
+    async function collect(iterator) {
+        const result = [];
+        for await (const secureBlock of iterator) {
+            result.push(secureBlock);
+        }
+        return result;
+    }
+
+    return {
+        'should iterate through all secure blocks': async () => {
+            const { secureBlocktree, secureRoot } = context;
+            const result = await collect(secureBlocktree.iterateBlocks());
+            assert.strictEqual(result.length, 3);
+            assert.ok(Buffer.compare(result[0].hash, secureRoot.rootBlock) === 0);
+            assert.strictEqual(result[0].type, constants.blockType.root);
+            assert.strictEqual(result[1].type, constants.blockType.zone);
+            assert.strictEqual(result[2].type, constants.blockType.key);
+        },
+        'should iterate through a collection in either direction': async () => {
+            const { secureBlocktree, secureRoot, rootZoneKey } = context;
+            const collection = await secureBlocktree.createCollection({
+                block: secureRoot.rootZone, sig: context.signAs(rootZoneKey),
+            });
+            for (let i = 0; i < 3; i += 1) {
+                // eslint-disable-next-line no-await-in-loop
+                await secureBlocktree.addRecord({
+                    block: collection, sig: context.signAs(rootZoneKey), data: { n: i },
+                });
+            }
+            const forward = await collect(secureBlocktree.iterateChain(collection, {
+                direction: constants.direction.forward,
+            }));
+            assert.deepStrictEqual(forward.slice(1).map((i) => i.data.n), [0, 1, 2]);
+
+            const head = await secureBlocktree.getHeadBlock(collection);
+            const backward = await collect(secureBlocktree.iterateChain(head));
+            assert.deepStrictEqual(backward.slice(0, 3).map((i) => i.data.n), [2, 1, 0]);
+            assert.ok(Buffer.compare(backward[3].hash, collection) === 0);
+        },
+        'should only iterate through blocks written by the asOf timestamp': async () => {
+            const { secureBlocktree, secureRoot, rootZoneKey } = context;
+            const { time } = secureBlocktree.mocks;
+            const start = time.generateTimestamp() + 1000n;
+            [0n, 1000n, 2000n].forEach((i) => time.setNextTimestamp(start + i));
+            const collection = await secureBlocktree.createCollection({
+                block: secureRoot.rootZone, sig: context.signAs(rootZoneKey),
+            });
+            await secureBlocktree.addRecord({
+                block: collection, sig: context.signAs(rootZoneKey), data: { n: 0 },
+            });
+            const head = await secureBlocktree.addRecord({
+                block: collection, sig: context.signAs(rootZoneKey), data: { n: 1 },
+            });
+
+            const asOf = start + 1000n;
+            const forward = await collect(secureBlocktree.iterateChain(collection, {
+                direction: constants.direction.forward, asOf,
+            }));
+            const backward = await collect(secureBlocktree.iterateChain(head, { asOf }));
+            assert.strictEqual(forward.length, 2);
+            assert.strictEqual(backward.length, 2);
+            assert.strictEqual(backward[0].data.n, 0);
+        },
+        'should iterate through child blocks': async () => {
+            const { secureBlocktree, secureRoot, rootZoneKey } = context;
+            const collection = await secureBlocktree.createCollection({
+                block: secureRoot.rootZone, sig: context.signAs(rootZoneKey),
+            });
+            const identity = await secureBlocktree.createIdentity({
+                block: secureRoot.rootZone, sig: context.signAs(rootZoneKey),
+            });
+            const result = await collect(secureBlocktree.iterateChildren(secureRoot.rootZone));
+            assert.deepStrictEqual(result.map((i) => i.hash), [collection, identity]);
+            assert.strictEqual(result[0].type, constants.blockType.collection);
+            assert.strictEqual(result[1].type, constants.blockType.identity);
+        },
+    };
+};
@@ -1,9 +1,68 @@
 /* eslint-disable no-await-in-loop */
 const assert = require('assert');
 const constants = require('../../src/constants');
-const { InvalidKeyError, InvalidSignatureError } = require('../../src/errors');
+const { BrokerError, InvalidKeyError, InvalidSignatureError } = require('../../src/errors');
 const inMemoryBroker = require('../../src/brokers/inMemoryBroker');
-const { getPrivateKey, generateTestKey } = require('../test-helper');
+const collectionAuditLogFactory = require('../../src/brokers/collectionAuditLog');
+const { generateHash } = require('../../src/utils/crypto');
+const timeMock = require('../mocks/time');
+const { getPrivateKey, generateTestKey, getRandomHash } = require('../test-helper');
+
+/**
+ * Provisions a zone with a key, containing a zone whose data is encrypted with that key, and
+ * returns a function which performs a trusted read of it using the root zone key.
+ */
+async function provisionSecretZone(context, broker) {
+    const { secureBlocktree, secureRoot, rootZoneKey } = context;
+    const newZoneKey = await generateTestKey();
+    const newZone = await secureBlocktree.createZone({
+        block: secureRoot.rootZone,
+        sig: context.signAs(rootZoneKey),
+        options: { name: 'NEW ZONE 1' },
+    });
+    await secureBlocktree.addKey({
+        sig: context.signAs(rootZoneKey),
+        block: newZone,
+        key: newZoneKey,
+        action: constants.action.any,
+    });
+    const secretZone = await secureBlocktree.createZone({
+        block: newZone,
+        sig: context.signAs(newZoneKey),
+        options: await secureBlocktree.encryptBlockData({
+            key: newZoneKey,
+            type: constants.blockType.zone,
+            data: { name: 'THE SECRET VALUE' },
+        }),
+    });
+    await broker.addAuthorizedKey({
+        publicKey: newZoneKey,
+        privateKey: getPrivateKey(newZoneKey),
+    });
+    const read = async (token) => secureBlocktree.performTrustedRead({
+        block: secretZone,
+        key: rootZoneKey,
+        token,
+        sig: await context.signAs(rootZoneKey)({ token }),
+        broker,
+    });
+    return { newZoneKey, secretZone, read };
+}
+
+/**
+ * Asserts that the function throws a broker error with the specified reason.
+ */
+async function assertBrokerError(fn, reason) {
+    let isExecuted = false;
+    try {
+        await fn();
+        isExecuted = true;
+    } catch (err) {
+        assert.ok(err instanceof BrokerError);
+        assert.strictEqual(err.reason, reason);
+    }
+    assert.strictEqual(isExecuted, false, 'Expected an exception to be thrown.');
+}
 
 module.exports = (context) => ({
     'should succeed with trusted read on an encrypted zone with the same key': async () => {
@@ -403,4 +462,108 @@ module.exports = (context) => ({
         }
         assert.strictEqual(isExecuted, false, 'Expected an exception to be thrown.');
     },
+    'should fail with trusted read using an expired request token': async () => {
+        const { rootZoneKey } = context;
+        const time = timeMock();
+        const broker = inMemoryBroker({ time });
+        const { read } = await provisionSecretZone(context, broker);
+
+        time.setNextTimestamp(1000n);
+        const token = await broker.generateRequestToken({ trustedKey: rootZoneKey, ttl: 100 });
+        time.setNextTimestamp(1100n);
+        await assertBrokerError(() => read(token), BrokerError.reasons.tokenExpired);
+
+        time.setNextTimestamp(2000n);
+        const newToken = await broker.generateRequestToken({ trustedKey: rootZoneKey, ttl: 100 });
+        time.setNextTimestamp(2099n);
+        assert.ok(await read(newToken));
+    },
+    'should fail with trusted read using a request token for another block or key': async () => {
+        const { rootZoneKey } = context;
+        const broker = inMemoryBroker();
+        const { newZoneKey, secretZone, read } = await provisionSecretZone(context, broker);
+
+        await assertBrokerError(async () => read(await broker.generateRequestToken({
+            trustedKey: rootZoneKey, block: getRandomHash(),
+        })), BrokerError.reasons.tokenScope);
+        await assertBrokerError(async () => read(await broker.generateRequestToken({
+            trustedKey: rootZoneKey, authorizedKey: rootZoneKey,
+        })), BrokerError.reasons.tokenScope);
+        assert.ok(await read(await broker.generateRequestToken({
+            trustedKey: rootZoneKey, block: secretZone, authorizedKey: newZoneKey,
+        })));
+    },
+    'should only re-encrypt secrets which belong to the block being read': async () => {
+        const { secureBlocktree, rootZoneKey } = context;
+        const broker = inMemoryBroker({ secureBlocktree });
+        const { newZoneKey, secretZone, read } = await provisionSecretZone(context, broker);
+        assert.ok(await read(await broker.generateRequestToken({
+            trustedKey: rootZoneKey, block: secretZone,
+        })));
+
+        const token = await broker.generateRequestToken({
+            trustedKey: rootZoneKey, block: secretZone,
+        });
+        await assertBrokerError(async () => broker.buildTrustedSecrets({
+            token,
+            sig: await context.signAs(rootZoneKey)({ token }),
+            secrets: [await secureBlocktree.encryptData(newZoneKey, 'ANOTHER SECRET')],
+            authorizedKey: newZoneKey,
+            trustedKey: rootZoneKey,
+            block: secretZone,
+        }), BrokerError.reasons.tokenScope);
+    },
+    'should fail with trusted read once the rate limit for the authorized key is reached': async () => {
+        const { rootZoneKey } = context;
+        const time = timeMock();
+        const broker = inMemoryBroker({ time, rateLimit: 2, rateLimitInterval: 1000 });
+        const { read } = await provisionSecretZone(context, broker);
+        const readAt = async (timestamp) => {
+            time.setNextTimestamp(timestamp);
+            const token = await broker.generateRequestToken({ trustedKey: rootZoneKey });
+            time.setNextTimestamp(timestamp);
+            return read(token);
+        };
+
+        assert.ok(await readAt(1000n));
+        assert.ok(await readAt(1500n));
+        await assertBrokerError(() => readAt(1999n), BrokerError.reasons.rateLimitExceeded);
+        assert.ok(await readAt(2000n));
+    },
+    'should record every re-encryption in the audit log': async () => {
+        const { secureBlocktree, secureRoot, rootZoneKey } = context;
+        const collection = await secureBlocktree.createCollection({
+            block: secureRoot.rootZone, sig: context.signAs(rootZoneKey),
+        });
+        const auditLog = collectionAuditLogFactory({
+            secureBlocktree, collection, sig: context.signAs(rootZoneKey),
+        });
+        const broker = inMemoryBroker({ auditLog });
+        const { newZoneKey, secretZone, read } = await provisionSecretZone(context, broker);
+
+        const token = await broker.generateRequestToken({ trustedKey: rootZoneKey });
+        await read(token);
+        let isExecuted = false;
+        try {
+            await read(token);
+            isExecuted = true;
+        } catch (err) {
+            assert.ok(err instanceof InvalidSignatureError);
+        }
+        assert.strictEqual(isExecuted, false, 'Expected an exception to be thrown.');
+
+        const entries = await auditLog.readEntries();
+        assert.strictEqual(entries.length, 1);
+        const [entry] = entries;
+        const { data } = await secureBlocktree.readSecureBlock(secretZone);
+        assert.ok(Buffer.compare(entry.token, token) === 0);
+        assert.ok(Buffer.compare(entry.block, secretZone) === 0);
+        assert.ok(Buffer.compare(entry.authorizedKey, newZoneKey) === 0);
+        assert.ok(Buffer.compare(entry.trustedKey, rootZoneKey) === 0);
+        assert.deepStrictEqual(entry.secrets, [generateHash(data.data)]);
+        assert.strictEqual(typeof entry.timestamp, 'bigint');
+        assert.strictEqual((await auditLog.readEntries({
+            where: { authorizedKey: rootZoneKey },
+        })).length, 0);
+    },
 });
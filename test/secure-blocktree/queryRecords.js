@@ -0,0 +1,271 @@
+/* eslint-disable no-await-in-loop */
+const assert = require('assert');
+const systemLayerFactory = require('../../src/layers/system');
+const blockchainLayerFactory = require('../../src/layers/blockchain');
+const blocktreeLayerFactory = require('../../src/layers/blocktree');
+const secureBlocktreeLayerFactory = require('../../src/layers/secure-blocktree');
+const inMemoryStorage = require('../../src/storage/inMemoryStorage');
+const noCache = require('../../src/cache/noCache');
+const { InvalidRecordError } = require('../../src/errors');
+const { assertThrows } = require('../test-helper');
+
+const orderSchema = {
+    fields: {
+        customerId: { type: 'string', required: true },
+        total: { type: 'number' },
+        placedAt: { type: 'bigint' },
+    },
+    indexes: ['customerId', 'placedAt'],
+};
+
+module.exports = (context) => {
+    async function createOrders(orders, schema = orderSchema) {
+        const { secureBlocktree, secureRoot, rootZoneKey } = context;
+        const { rootZone } = secureRoot;
+        const collection = await secureBlocktree.createCollection({
+            block: rootZone,
+            sig: context.signAs(rootZoneKey),
+            schema,
+        });
+        for (let i = 0; i < orders.length; i += 1) {
+            await secureBlocktree.addRecord({
+                block: collection,
+                sig: context.signAs(rootZoneKey),
+                data: orders[i],
+            });
+        }
+        return collection;
+    }
+
+    /**
+     * Opens another secure blocktree using the same storage as the test context.
+     */
+    function openSecureBlocktree({ storage, indexStorage } = {}) {
+        const { mocks } = context.secureBlocktree;
+        const { cache, time } = mocks;
+        const system = systemLayerFactory({ cache, storage: storage || mocks.storage, time });
+        const blockchain = blockchainLayerFactory({ system, cache, time });
+        const blocktree = blocktreeLayerFactory({ blockchain, cache });
+        return secureBlocktreeLayerFactory({
+            blocktree, secureCache: noCache(), time, indexStorage,
+        });
+    }
+
+    const orders = [
+        { customerId: 'C-1', total: 10, placedAt: 3n },
+        { customerId: 'C-2', total: 25, placedAt: 1n },
+        { customerId: 'C-1', total: 5, placedAt: 2n },
+        { customerId: 'C-3', total: 40, placedAt: 5n },
+        { customerId: 'C-1', total: 15, placedAt: 4n },
+    ];
+
+    return {
+        'should return all records in the order they were added': async () => {
+            const { secureBlocktree } = context;
+            const collection = await createOrders(orders);
+            const result = await secureBlocktree.queryRecords({ collection });
+
+            assert.deepStrictEqual(result.map((i) => i.data), orders);
+            assert.ok(result.every((i) => i.block && i.timestamp > 0n));
+        },
+        'should find records by an indexed field': async () => {
+            const { secureBlocktree } = context;
+            const collection = await createOrders(orders);
+            const result = await secureBlocktree.queryRecords({
+                collection, where: { customerId: 'C-1' },
+            });
+
+            assert.deepStrictEqual(result.map((i) => i.data.total), [10, 5, 15]);
+        },
+        'should find records using operators': async () => {
+            const { secureBlocktree } = context;
+            const collection = await createOrders(orders);
+            const result = await secureBlocktree.queryRecords({
+                collection,
+                where: { customerId: { in: ['C-1', 'C-3'] }, total: { gte: 10, lt: 40 } },
+            });
+
+            assert.deepStrictEqual(result.map((i) => i.data.total), [10, 15]);
+        },
+        'should sort and limit the results': async () => {
+            const { secureBlocktree } = context;
+            const collection = await createOrders(orders);
+            const result = await secureBlocktree.queryRecords({
+                collection,
+                orderBy: { field: 'placedAt', direction: 'desc' },
+                limit: 2,
+            });
+            const ascending = await secureBlocktree.queryRecords({
+                collection, where: { customerId: 'C-1' }, orderBy: 'total',
+            });
+
+            assert.deepStrictEqual(result.map((i) => i.data.placedAt), [5n, 4n]);
+            assert.deepStrictEqual(ascending.map((i) => i.data.total), [5, 10, 15]);
+        },
+        'should include records added after the indexes were loaded': async () => {
+            const { secureBlocktree, rootZoneKey } = context;
+            const collection = await createOrders(orders);
+            await secureBlocktree.queryRecords({ collection, where: { customerId: 'C-2' } });
+            await secureBlocktree.addRecord({
+                block: collection,
+                sig: context.signAs(rootZoneKey),
+                data: { customerId: 'C-2', total: 99, placedAt: 6n },
+            });
+            const result = await secureBlocktree.queryRecords({
+                collection, where: { customerId: 'C-2' },
+            });
+
+            assert.deepStrictEqual(result.map((i) => i.data.total), [25, 99]);
+        },
+        'should rebuild the indexes when the declared indexes change': async () => {
+            const { secureBlocktree, rootZoneKey } = context;
+            const collection = await createOrders(orders, { fields: orderSchema.fields });
+            await secureBlocktree.queryRecords({ collection });
+            await secureBlocktree.addSchema({
+                block: collection,
+                sig: context.signAs(rootZoneKey),
+                schema: orderSchema,
+            });
+            const state = await secureBlocktree.rebuildIndexes({ collection });
+            const result = await secureBlocktree.queryRecords({
+                collection, where: { customerId: 'C-3' },
+            });
+
+            assert.deepStrictEqual(state.fields, orderSchema.indexes);
+            assert.deepStrictEqual(result.map((i) => i.data.total), [40]);
+        },
+        'should reject invalid operators before reading any records': async () => {
+            const { secureBlocktree } = context;
+            const collection = await createOrders(orders);
+            await assertThrows(() => secureBlocktree.queryRecords({
+                collection, where: { customerId: { in: 'C-1' } },
+            }), InvalidRecordError, InvalidRecordError.reasons.invalidQuery);
+            await assertThrows(() => secureBlocktree.queryRecords({
+                collection, where: { total: { gte: 10, below: 40 } },
+            }), InvalidRecordError, InvalidRecordError.reasons.invalidQuery);
+        },
+        'should find integer values using either numbers or BigInts': async () => {
+            const { secureBlocktree } = context;
+            const collection = await createOrders(orders);
+            const result = await secureBlocktree.queryRecords({
+                collection, where: { placedAt: { in: [2, 4n] } },
+            });
+
+            assert.deepStrictEqual(result.map((i) => i.data.total), [5, 15]);
+        },
+        'should only read the returned records when sorting by an indexed field': async () => {
+            const collection = await createOrders(orders);
+            let reads = 0;
+            const secureBlocktree = openSecureBlocktree({
+                storage: {
+                    ...context.secureBlocktree.mocks.storage,
+                    readStorage: async (hash) => {
+                        reads += 1;
+                        return context.secureBlocktree.mocks.storage.readStorage(hash);
+                    },
+                },
+            });
+            await secureBlocktree.queryRecords({ collection });
+
+            const countReads = async (field) => {
+                reads = 0;
+                const result = await secureBlocktree.queryRecords({
+                    collection, orderBy: { field, direction: 'desc' }, limit: 2,
+                });
+                return { result, count: reads };
+            };
+            const indexed = await countReads('placedAt');
+            const unindexed = await countReads('total');
+            assert.deepStrictEqual(indexed.result.map((i) => i.data.placedAt), [5n, 4n]);
+            assert.deepStrictEqual(unindexed.result.map((i) => i.data.total), [40, 25]);
+            assert.ok(indexed.count < unindexed.count);
+        },
+        'should reuse the indexes kept in index storage': async () => {
+            const collection = await createOrders(orders);
+            const indexStorage = inMemoryStorage();
+            const first = await openSecureBlocktree({ indexStorage }).queryRecords({
+                collection, where: { customerId: 'C-1' },
+            });
+            const count = await indexStorage.countInStorage();
+
+            const reopened = openSecureBlocktree({ indexStorage });
+            const result = await reopened.queryRecords({
+                collection, where: { customerId: 'C-1' },
+            });
+            assert.deepStrictEqual(result.map((i) => i.data), first.map((i) => i.data));
+            assert.strictEqual(await indexStorage.countInStorage(), count);
+        },
+        'should not grow index storage when the indexes are rebuilt': async () => {
+            const collection = await createOrders(orders);
+            const indexStorage = inMemoryStorage();
+            const secureBlocktree = openSecureBlocktree({ indexStorage });
+            await Promise.all([
+                secureBlocktree.queryRecords({ collection }),
+                secureBlocktree.queryRecords({ collection, where: { customerId: 'C-1' } }),
+            ]);
+            const count = await indexStorage.countInStorage();
+            assert.strictEqual(count, BigInt(orders.length + 1));
+
+            await secureBlocktree.rebuildIndexes({ collection });
+            await openSecureBlocktree({ indexStorage }).rebuildIndexes({ collection });
+            assert.strictEqual(await indexStorage.countInStorage(), count);
+            const result = await openSecureBlocktree({ indexStorage }).queryRecords({
+                collection, where: { customerId: 'C-1' },
+            });
+            assert.deepStrictEqual(result.map((i) => i.data.total), [10, 5, 15]);
+        },
+        'should only reuse the index entries of the latest rebuild': async () => {
+            const { rootZoneKey } = context;
+            const collection = await createOrders(orders, { fields: orderSchema.fields });
+            const indexStorage = inMemoryStorage();
+            const secureBlocktree = openSecureBlocktree({ indexStorage });
+            await secureBlocktree.queryRecords({ collection });
+            await secureBlocktree.addSchema({
+                block: collection,
+                sig: context.signAs(rootZoneKey),
+                schema: orderSchema,
+            });
+            await secureBlocktree.rebuildIndexes({ collection });
+
+            const reopened = openSecureBlocktree({ indexStorage });
+            const state = await reopened.rebuildIndexes({ collection });
+            assert.deepStrictEqual(state.fields, orderSchema.indexes);
+            assert.strictEqual(state.records.length, orders.length);
+            const result = await reopened.queryRecords({
+                collection, where: { customerId: 'C-1' },
+            });
+            assert.deepStrictEqual(result.map((i) => i.data.total), [10, 5, 15]);
+        },
+        'should index records added within a transaction once they are committed': async () => {
+            const { rootZoneKey } = context;
+            const collection = await createOrders(orders);
+            const indexStorage = inMemoryStorage();
+            const secureBlocktree = openSecureBlocktree({ indexStorage });
+            await secureBlocktree.queryRecords({ collection });
+            const count = await indexStorage.countInStorage();
+
+            const transaction = await secureBlocktree.beginTransaction();
+            await transaction.addRecord({
+                block: collection,
+                sig: context.signAs(rootZoneKey),
+                data: { customerId: 'C-1', total: 20, placedAt: 6n },
+            });
+            const staged = await transaction.queryRecords({
+                collection, where: { customerId: 'C-1' },
+            });
+            assert.strictEqual(staged.length, 4);
+            assert.strictEqual(await indexStorage.countInStorage(), count);
+            await transaction.commit();
+
+            const result = await secureBlocktree.queryRecords({
+                collection, where: { customerId: 'C-1' },
+            });
+            assert.deepStrictEqual(result.map((i) => i.data.total), [10, 5, 15, 20]);
+            assert.strictEqual(await indexStorage.countInStorage(), count + 1n);
+        },
+        'should return an empty list without a collection': async () => {
+            const { secureBlocktree } = context;
+            assert.deepStrictEqual(await secureBlocktree.queryRecords({}), []);
+        },
+    };
+};
@@ -0,0 +1,156 @@
+/* eslint-disable no-restricted-syntax */
+const assert = require('assert');
+const constants = require('../../src/constants');
+const { ReplicationError } = require('../../src/errors');
+const { initSecureBlocktree } = require('../test-helper');
+const replicationFactory = require('../../src/replication');
+const inMemoryTransport = require('../../src/replication/inMemoryTransport');
+
+/**
+ * Lists the hashes of every block in the secure blocktree.
+ */
+async function listBlocks(secureBlocktree) {
+    const result = [];
+    for await (const secureBlock of secureBlocktree.iterateBlocks()) {
+        result.push(secureBlock.hash.toString('hex'));
+    }
+    return result.sort();
+}
+
+module.exports = (context) => {
+    /**
+     * Creates a remote secure blocktree with the same blocks as the local one.
+     */
+    async function createRemote() {
+        const { secureBlocktree } = context;
+        const remote = initSecureBlocktree(true);
+        const replicator = replicationFactory({
+            local: secureBlocktree, transport: inMemoryTransport({ secureBlocktree: remote }),
+        });
+        await replicator.push();
+        return { remote, replicator };
+    }
+
+    /**
+     * Creates a collection which records can be added to.
+     */
+    async function createCollection() {
+        const { secureBlocktree, secureRoot, rootZoneKey } = context;
+        return secureBlocktree.createCollection({
+            block: secureRoot.rootZone, sig: context.signAs(rootZoneKey),
+        });
+    }
+
+    /**
+     * Asserts that the function throws the specified replication error.
+     */
+    async function assertReplicationError(fn, reason) {
+        let isExecuted = false;
+        try {
+            await fn();
+            isExecuted = true;
+        } catch (err) {
+            assert.ok(err instanceof ReplicationError);
+            assert.strictEqual(err.reason, reason);
+        }
+        assert.strictEqual(isExecuted, false, 'Expected an exception to be thrown.');
+    }
+
+    return {
+        'should push every block to an empty blocktree': async () => {
+            const { secureBlocktree, rootZoneKey } = context;
+            const collection = await createCollection();
+            await secureBlocktree.addRecord({
+                block: collection, sig: context.signAs(rootZoneKey), data: { name: 'test' },
+            });
+            const { remote, replicator } = await createRemote();
+
+            assert.deepStrictEqual(await listBlocks(remote), await listBlocks(secureBlocktree));
+            const records = await remote.queryRecords({ collection });
+            assert.deepStrictEqual(records.map((i) => i.data.name), ['test']);
+            assert.strictEqual((await remote.auditDatabase()).isValid, true);
+            assert.deepStrictEqual(await replicator.sync(), { pulled: [], pushed: [] });
+        },
+        'should only pull the blocks which are missing': async () => {
+            const { secureBlocktree, rootZoneKey } = context;
+            const collection = await createCollection();
+            const { remote, replicator } = await createRemote();
+            const record1 = await remote.addRecord({
+                block: collection, sig: context.signAs(rootZoneKey), data: { name: 'first' },
+            });
+            const record2 = await remote.addRecord({
+                block: collection, sig: context.signAs(rootZoneKey), data: { name: 'second' },
+            });
+
+            const result = await replicator.pull();
+            assert.deepStrictEqual(result, [record1, record2]);
+            const records = await secureBlocktree.queryRecords({ collection });
+            assert.deepStrictEqual(records.map((i) => i.data.name), ['first', 'second']);
+            assert.ok(Buffer.compare(await secureBlocktree.getHeadBlock(collection),
+                record2) === 0);
+        },
+        'should exchange new blockchains and blocks in both directions': async () => {
+            const { secureBlocktree, secureRoot, rootZoneKey } = context;
+            const collection = await createCollection();
+            const { remote, replicator } = await createRemote();
+            const localRecord = await secureBlocktree.addRecord({
+                block: collection, sig: context.signAs(rootZoneKey), data: { name: 'local' },
+            });
+            const zone = await remote.createZone({
+                block: secureRoot.rootZone, sig: context.signAs(rootZoneKey),
+            });
+            const remoteCollection = await remote.createCollection({
+                block: zone, sig: context.signAs(rootZoneKey),
+            });
+
+            const { pulled, pushed } = await replicator.sync();
+            assert.deepStrictEqual(pulled, [zone, remoteCollection]);
+            assert.deepStrictEqual(pushed, [localRecord]);
+            assert.deepStrictEqual(await listBlocks(remote), await listBlocks(secureBlocktree));
+        },
+        'should detect blockchains which have diverged': async () => {
+            const { secureBlocktree, rootZoneKey } = context;
+            const collection = await createCollection();
+            const { remote, replicator } = await createRemote();
+            await secureBlocktree.addRecord({
+                block: collection, sig: context.signAs(rootZoneKey), data: { name: 'local' },
+            });
+            await remote.addRecord({
+                block: collection, sig: context.signAs(rootZoneKey), data: { name: 'remote' },
+            });
+            const localBlocks = await listBlocks(secureBlocktree);
+            const remoteBlocks = await listBlocks(remote);
+
+            await assertReplicationError(() => replicator.pull(),
+                ReplicationError.reasons.divergence);
+            await assertReplicationError(() => replicator.push(),
+                ReplicationError.reasons.divergence);
+            assert.deepStrictEqual(await listBlocks(secureBlocktree), localBlocks);
+            assert.deepStrictEqual(await listBlocks(remote), remoteBlocks);
+        },
+        'should not pull blocks which fail validation': async () => {
+            const { secureBlocktree, rootZoneKey } = context;
+            const collection = await createCollection();
+            const { remote, replicator } = await createRemote();
+            await remote.addRecord({
+                block: collection, sig: context.signAs(rootZoneKey), data: { name: 'valid' },
+            });
+            // write a record which is signed by a key without access to the collection.
+            const invalidKey = await context.generateTestKey();
+            const prev = await remote.getHeadBlock(collection);
+            const parent = await remote.getParentBlock(collection);
+            await remote.writeSecureBlock({
+                sig: await context.signAs(invalidKey)({ parent, prev }),
+                parent,
+                prev,
+                type: constants.blockType.record,
+                data: { name: 'invalid' },
+            });
+            const localBlocks = await listBlocks(secureBlocktree);
+
+            await assertReplicationError(() => replicator.pull(),
+                ReplicationError.reasons.invalidBlock);
+            assert.deepStrictEqual(await listBlocks(secureBlocktree), localBlocks);
+        },
+    };
+};
@@ -0,0 +1,130 @@
+const assert = require('assert');
+const constants = require('../../src/constants');
+const { InvalidBlockError, InvalidSignatureError } = require('../../src/errors');
+const { fromInt64, toInt64 } = require('../../src/utils/convert');
+const { generateHash } = require('../../src/utils/crypto');
+const noCache = require('../../src/cache/noCache');
+const systemLayerFactory = require('../../src/layers/system');
+const blockchainLayerFactory = require('../../src/layers/blockchain');
+const blocktreeLayerFactory = require('../../src/layers/blocktree');
+const secureBlocktreeLayerFactory = require('../../src/layers/secure-blocktree');
+
+/**
+ * The position of the timestamp within a stored block.
+ */
+const timestampIndex = constants.size.int64 * 2 + constants.size.hash;
+
+module.exports = (context) => {
+    /**
+     * Creates a collection with two records, and then forks the collection by storing a copy
+     * of the second record with an earlier timestamp.
+     */
+    async function createForkedCollection() {
+        const { secureBlocktree, secureRoot, rootZoneKey } = context;
+        const { storage, cache } = secureBlocktree.mocks;
+        const collection = await secureBlocktree.createCollection({
+            block: secureRoot.rootZone, sig: context.signAs(rootZoneKey),
+        });
+        const record1 = await secureBlocktree.addRecord({
+            block: collection, sig: context.signAs(rootZoneKey), data: { name: 'first' },
+        });
+        const record2 = await secureBlocktree.addRecord({
+            block: collection, sig: context.signAs(rootZoneKey), data: { name: 'second' },
+        });
+
+        const buf = Buffer.from(await storage.readStorage(record2));
+        const timestamp = toInt64(buf, timestampIndex) - 1n;
+        fromInt64(timestamp).copy(buf, timestampIndex);
+        const fork = await storage.writeStorage(generateHash(buf), buf, { prev: record1 });
+        await cache.writeCache(record1, constants.cache.next, null);
+        await cache.writeCache(collection, constants.cache.headBlock, null);
+        return {
+            collection, record1, record2, fork,
+        };
+    }
+
+    return {
+        'should report the branches of a forked blockchain': async () => {
+            const { secureBlocktree } = context;
+            const { collection, record1, fork } = await createForkedCollection();
+            const result = await secureBlocktree.detectForks(collection);
+
+            assert.strictEqual(result.isForked, true);
+            assert.ok(Buffer.compare(result.forks[0].block, record1) === 0);
+            assert.strictEqual(result.forks[0].branches.length, 2);
+            assert.ok(Buffer.compare(await secureBlocktree.getHeadBlock(collection), fork) === 0);
+        },
+        'should add a signed block to the canonical branch': async () => {
+            const { secureBlocktree, rootZoneKey } = context;
+            const {
+                collection, record1, record2, fork,
+            } = await createForkedCollection();
+            const block = await secureBlocktree.resolveFork({
+                block: record1, next: record2, sig: context.signAs(rootZoneKey),
+            });
+            const result = await secureBlocktree.readSecureBlock(block);
+
+            assert.strictEqual(result.type, constants.blockType.forkResolution);
+            assert.ok(Buffer.compare(result.prev, record2) === 0);
+            assert.ok(Buffer.compare(result.data.block, record1) === 0);
+            assert.ok(Buffer.compare(result.data.next, record2) === 0);
+            assert.ok(Buffer.compare(await secureBlocktree.getHeadBlock(collection), block) === 0);
+            assert.ok(Buffer.compare(await secureBlocktree.getNextBlock(record1), record2) === 0);
+            const { forks: [{ isResolved }] } = await secureBlocktree.detectForks(fork);
+            assert.strictEqual(isResolved, true);
+        },
+        'should restore fork resolutions from the stored blocks': async () => {
+            const { secureBlocktree, rootZoneKey } = context;
+            const { collection, record1, record2 } = await createForkedCollection();
+            const block = await secureBlocktree.resolveFork({
+                block: record1, next: record2, sig: context.signAs(rootZoneKey),
+            });
+
+            // open the same storage again, without any of the cached values.
+            const { storage, time } = secureBlocktree.mocks;
+            const cache = noCache();
+            const system = systemLayerFactory({ cache, storage, time });
+            const blockchain = blockchainLayerFactory({ system });
+            const blocktree = blocktreeLayerFactory({ blockchain, cache });
+            const reopened = secureBlocktreeLayerFactory({ blocktree, secureCache: cache, time });
+            assert.ok(Buffer.compare(await reopened.getHeadBlock(collection), block) === 0);
+            assert.ok(Buffer.compare(await reopened.getNextBlock(record1), record2) === 0);
+            const result = await reopened.restoreForkResolutions();
+
+            assert.strictEqual(result.length, 1);
+            assert.ok(Buffer.compare(result[0], block) === 0);
+            assert.ok(Buffer.compare(await reopened.getHeadBlock(collection), block) === 0);
+        },
+        'should fail to resolve a fork with a block which does not follow it': async () => {
+            const { secureBlocktree, rootZoneKey } = context;
+            const { collection, record2 } = await createForkedCollection();
+            let isExecuted = false;
+            try {
+                await secureBlocktree.resolveFork({
+                    block: collection, next: record2, sig: context.signAs(rootZoneKey),
+                });
+                isExecuted = true;
+            } catch (err) {
+                assert.ok(err instanceof InvalidBlockError);
+                assert.strictEqual(err.layer, constants.layer.secureBlocktree);
+                assert.strictEqual(err.reason, InvalidBlockError.reasons.invalidBranch);
+            }
+            assert.strictEqual(isExecuted, false, 'Expected an exception to be thrown.');
+        },
+        'should fail to resolve a fork without a valid signature': async () => {
+            const { secureBlocktree } = context;
+            const { record1, record2 } = await createForkedCollection();
+            const invalidKey = await context.generateTestKey();
+            let isExecuted = false;
+            try {
+                await secureBlocktree.resolveFork({
+                    block: record1, next: record2, sig: context.signAs(invalidKey),
+                });
+                isExecuted = true;
+            } catch (err) {
+                assert.ok(err instanceof InvalidSignatureError);
+            }
+            assert.strictEqual(isExecuted, false, 'Expected an exception to be thrown.');
+        },
+    };
+};
@@ -0,0 +1,140 @@
+const assert = require('assert');
+const constants = require('../../src/constants');
+const { InvalidBlockError, InvalidSignatureError } = require('../../src/errors');
+const { assertThrows } = require('../test-helper');
+
+module.exports = (context) => {
+    /**
+     * Creates a zone containing a collection, and adds a key to the zone with the roles.
+     */
+    async function createZoneWithKey(roles, options) {
+        const { secureBlocktree, secureRoot, rootZoneKey } = context;
+        const zone = await secureBlocktree.createZone({
+            block: secureRoot.rootZone, sig: context.signAs(rootZoneKey), options,
+        });
+        const collection = await secureBlocktree.createCollection({
+            block: zone, sig: context.signAs(rootZoneKey),
+        });
+        const key = await context.generateTestKey();
+        await secureBlocktree.addKey({
+            block: zone,
+            sig: context.signAs(rootZoneKey),
+            key,
+            action: constants.action.write,
+            roles,
+        });
+        return { zone, collection, key };
+    }
+
+    return {
+        'should only permit the operations granted by the roles of the key': async () => {
+            const { secureBlocktree } = context;
+            const { zone, collection, key } = await createZoneWithKey(['record-writer']);
+
+            assert.ok(await secureBlocktree.addRecord({
+                block: collection, sig: context.signAs(key), data: { name: 'test' },
+            }));
+            await assertThrows(async () => secureBlocktree.addKey({
+                block: collection,
+                sig: context.signAs(key),
+                key: await context.generateTestKey(),
+                action: constants.action.write,
+            }), InvalidSignatureError, InvalidSignatureError.reasons.permissionDenied);
+            await assertThrows(() => secureBlocktree.createCollection({
+                block: zone, sig: context.signAs(key),
+            }), InvalidSignatureError, InvalidSignatureError.reasons.permissionDenied);
+
+            const { roles } = await secureBlocktree.performKeySeek({
+                block: collection, action: constants.action.write, key,
+            });
+            assert.deepStrictEqual(roles, ['record-writer']);
+        },
+        'should use the roles defined in zone options': async () => {
+            const { secureBlocktree, rootZoneKey } = context;
+            const { zone, key } = await createZoneWithKey(['collection-manager'], {
+                'role.collection-manager': 'createCollection,addSchema',
+            });
+            const collection = await secureBlocktree.createCollection({
+                block: zone,
+                sig: context.signAs(key),
+                schema: { fields: { name: { type: 'string' } } },
+            });
+            await assertThrows(() => secureBlocktree.addRecord({
+                block: collection, sig: context.signAs(key), data: { name: 'test' },
+            }), InvalidSignatureError, InvalidSignatureError.reasons.permissionDenied);
+
+            // roles can be redefined, which applies to keys which already have the role.
+            await secureBlocktree.addOptions({
+                block: zone,
+                sig: context.signAs(rootZoneKey),
+                options: { 'role.collection-manager': 'addRecord' },
+            });
+            assert.ok(await secureBlocktree.addRecord({
+                block: collection, sig: context.signAs(key), data: { name: 'test' },
+            }));
+        },
+        'should reject roles which are not defined': async () => {
+            const { secureBlocktree, secureRoot, rootKey } = context;
+            await assertThrows(async () => secureBlocktree.addKey({
+                block: secureRoot.rootZone,
+                sig: context.signAs(rootKey),
+                key: await context.generateTestKey(),
+                action: constants.action.write,
+                roles: ['unknown'],
+            }), InvalidBlockError, InvalidBlockError.reasons.invalidRole);
+        },
+        'should not grant permissions which the signing key does not have': async () => {
+            const { secureBlocktree } = context;
+            const { collection, key } = await createZoneWithKey(['key-manager']);
+            const newKey = await context.generateTestKey();
+            await secureBlocktree.addKey({
+                block: collection,
+                sig: context.signAs(key),
+                key: newKey,
+                action: constants.action.write,
+                roles: ['key-manager'],
+            });
+
+            await assertThrows(async () => secureBlocktree.addKey({
+                block: collection,
+                sig: context.signAs(key),
+                key: await context.generateTestKey(),
+                action: constants.action.write,
+                roles: ['admin'],
+            }), InvalidSignatureError, InvalidSignatureError.reasons.permissionDenied);
+            await assertThrows(async () => secureBlocktree.addKey({
+                block: collection,
+                sig: context.signAs(key),
+                key: await context.generateTestKey(),
+                action: constants.action.write,
+            }), InvalidSignatureError, InvalidSignatureError.reasons.permissionDenied);
+
+            assert.ok(await secureBlocktree.revokeKey({
+                block: collection,
+                sig: context.signAs(key),
+                key: newKey,
+                action: constants.action.write,
+            }));
+        },
+        'should report blocks which were written without permission': async () => {
+            const { secureBlocktree } = context;
+            const { collection, key } = await createZoneWithKey(['auditor']);
+
+            // write the block directly, bypassing the permission check.
+            const prev = await secureBlocktree.getHeadBlock(collection);
+            const parent = await secureBlocktree.getParentBlock(prev);
+            await secureBlocktree.writeSecureBlock({
+                sig: await context.signAs(key)({ parent, prev }),
+                parent,
+                prev,
+                type: constants.blockType.options,
+                data: { name: 'test' },
+            });
+
+            const report = await secureBlocktree.auditDatabase();
+            assert.deepStrictEqual(report.violations.map((i) => i.reason),
+                [constants.validation.permissionDenied]);
+            assert.strictEqual(report.violations[0].operation, 'addOptions');
+        },
+    };
+};
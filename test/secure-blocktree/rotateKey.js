@@ -0,0 +1,115 @@
+const assert = require('assert');
+const constants = require('../../src/constants');
+const { InvalidKeyError } = require('../../src/errors');
+const { encrypt, decrypt } = require('../../src/utils/crypto');
+const { getPrivateKey } = require('../test-helper');
+
+module.exports = (context) => {
+    /**
+     * Creates a zone with a key, and secrets encrypted with the key and the root zone key.
+     */
+    async function provisionZone() {
+        const { secureBlocktree, secureRoot: { rootZone }, rootZoneKey } = context;
+        const zone = await secureBlocktree.createZone({
+            block: rootZone, sig: context.signAs(rootZoneKey),
+        });
+        const key = await context.generateTestKey();
+        await secureBlocktree.addKey({
+            block: zone, sig: context.signAs(rootZoneKey), key, action: constants.action.any,
+        });
+        const secret = Buffer.from('THE SECRET VALUE', 'utf-8');
+        await secureBlocktree.addSecret({
+            block: zone,
+            sig: context.signAs(rootZoneKey),
+            key,
+            ref: Buffer.from('rotated', 'utf-8'),
+            secret: await encrypt(key, secret),
+        });
+        await secureBlocktree.addSecret({
+            block: zone,
+            sig: context.signAs(rootZoneKey),
+            key: rootZoneKey,
+            ref: Buffer.from('unchanged', 'utf-8'),
+            secret: await encrypt(rootZoneKey, secret),
+        });
+        return { zone, key, secret };
+    }
+
+    return {
+        'should replace the key and re-encrypt its secrets': async () => {
+            const { secureBlocktree, rootZoneKey } = context;
+            const { zone, key, secret } = await provisionZone();
+            const newKey = await context.generateTestKey();
+            const result = await secureBlocktree.rotateKey({
+                sig: context.signAs(rootZoneKey),
+                block: zone,
+                oldKey: key,
+                newKey,
+                privateKey: getPrivateKey(key),
+            });
+            assert.strictEqual(result.secrets.length, 1);
+
+            assert.strictEqual(await secureBlocktree.performKeySeek({
+                block: zone, key, action: constants.action.any,
+            }), null);
+            const seek = await secureBlocktree.performKeySeek({
+                block: zone, key: newKey, action: constants.action.any,
+            });
+            assert.strictEqual(seek.action, constants.action.any);
+
+            // only the re-encrypted secret is active for the reference.
+            const secrets = await secureBlocktree.performSecretScan({
+                block: zone, isActive: true,
+            });
+            assert.deepStrictEqual(secrets.map((i) => i.ref.toString('utf-8')),
+                ['rotated', 'unchanged']);
+            assert.ok(Buffer.compare(secrets[0].key, newKey) === 0);
+            assert.ok(Buffer.compare(secrets[0].block, result.secrets[0]) === 0);
+            assert.ok(Buffer.compare(await decrypt(getPrivateKey(newKey), secrets[0].secret),
+                secret) === 0);
+            assert.ok(Buffer.compare(secrets[1].key, rootZoneKey) === 0);
+        },
+        'should not write anything if the secrets cannot be re-encrypted': async () => {
+            const { secureBlocktree, rootZoneKey } = context;
+            const { zone, key } = await provisionZone();
+            const head = await secureBlocktree.getHeadBlock(zone);
+            let isExecuted = false;
+            try {
+                await secureBlocktree.rotateKey({
+                    sig: context.signAs(rootZoneKey),
+                    block: zone,
+                    oldKey: key,
+                    newKey: await context.generateTestKey(),
+                    privateKey: getPrivateKey(rootZoneKey),
+                });
+                isExecuted = true;
+            } catch (err) {
+                assert.ok(err);
+            }
+            assert.strictEqual(isExecuted, false, 'Expected an exception to be thrown.');
+            assert.ok(Buffer.compare(await secureBlocktree.getHeadBlock(zone), head) === 0);
+            assert.ok(await secureBlocktree.performKeySeek({
+                block: zone, key, action: constants.action.any,
+            }));
+        },
+        'should fail if the key is not active in the blockchain': async () => {
+            const { secureBlocktree, rootZoneKey } = context;
+            const { zone } = await provisionZone();
+            const oldKey = await context.generateTestKey();
+            let isExecuted = false;
+            try {
+                await secureBlocktree.rotateKey({
+                    sig: context.signAs(rootZoneKey),
+                    block: zone,
+                    oldKey,
+                    newKey: await context.generateTestKey(),
+                    privateKey: getPrivateKey(oldKey),
+                });
+                isExecuted = true;
+            } catch (err) {
+                assert.ok(err instanceof InvalidKeyError);
+            }
+            assert.strictEqual(isExecuted, false, 'Expected an exception to be thrown.');
+        },
+    };
+};
@@ -0,0 +1,150 @@
+const assert = require('assert');
+const constants = require('../../src/constants');
+const { InvalidBlockError, InvalidSignatureError } = require('../../src/errors');
+const { deserializeSignatures } = require('../../src/layers/secure-blocktree/serialization');
+const { assertThrows } = require('../test-helper');
+
+module.exports = (context) => {
+    /**
+     * Adds a second key to the root zone, which can be used alongside the root zone key.
+     */
+    async function addSecondKey() {
+        const { secureBlocktree, secureRoot, rootKey } = context;
+        const key = await context.generateTestKey();
+        await secureBlocktree.addKey({
+            block: secureRoot.rootZone,
+            sig: context.signAs(rootKey),
+            key,
+            action: constants.action.write,
+        });
+        return key;
+    }
+
+    return {
+        'should require the number of signatures specified by the policy': async () => {
+            const {
+                secureBlocktree, secureRoot, rootZoneKey, rootKey,
+            } = context;
+            const { rootZone } = secureRoot;
+            const secondKey = await addSecondKey();
+            await secureBlocktree.setPolicy({
+                block: rootZone, sig: context.signAs(rootKey), policy: { createZone: 2 },
+            });
+
+            await assertThrows(() => secureBlocktree.createZone({
+                block: rootZone, sig: context.signAs(rootZoneKey),
+            }), InvalidSignatureError, InvalidSignatureError.reasons.quorumNotMet);
+
+            const zone = await secureBlocktree.createZone({
+                block: rootZone, sig: [context.signAs(rootZoneKey), context.signAs(secondKey)],
+            });
+            const { sig } = await secureBlocktree.readSecureBlock(zone);
+            assert.strictEqual(deserializeSignatures(sig).length, 2);
+
+            // operations which are not in the policy only require one signature.
+            assert.ok(await secureBlocktree.createIdentity({
+                block: rootZone, sig: context.signAs(rootZoneKey),
+            }));
+            const report = await secureBlocktree.auditDatabase();
+            assert.strictEqual(report.isValid, true);
+        },
+        'should only count each key once': async () => {
+            const {
+                secureBlocktree, secureRoot, rootZoneKey, rootKey,
+            } = context;
+            await secureBlocktree.setPolicy({
+                block: secureRoot.rootZone, sig: context.signAs(rootKey), policy: { createZone: 2 },
+            });
+            await assertThrows(() => secureBlocktree.createZone({
+                block: secureRoot.rootZone,
+                sig: [context.signAs(rootZoneKey), context.signAs(rootZoneKey)],
+            }), InvalidSignatureError, InvalidSignatureError.reasons.quorumNotMet);
+        },
+        'should reject a set of signatures if any signature is invalid': async () => {
+            const {
+                secureBlocktree, secureRoot, rootZoneKey, rootKey,
+            } = context;
+            const invalidKey = await context.generateTestKey();
+            await secureBlocktree.setPolicy({
+                block: secureRoot.rootZone, sig: context.signAs(rootKey), policy: { createZone: 2 },
+            });
+            await assertThrows(() => secureBlocktree.createZone({
+                block: secureRoot.rootZone,
+                sig: [context.signAs(rootZoneKey), context.signAs(invalidKey)],
+            }), InvalidSignatureError, InvalidSignatureError.reasons.notFound);
+        },
+        'should apply the policy to changes to the policy itself': async () => {
+            const { secureBlocktree, secureRoot, rootZoneKey } = context;
+            const secondKey = await addSecondKey();
+            const zone = await secureBlocktree.createZone({
+                block: secureRoot.rootZone, sig: context.signAs(rootZoneKey),
+            });
+            await secureBlocktree.setPolicy({
+                block: zone,
+                sig: context.signAs(rootZoneKey),
+                policy: { setPolicy: 2, addOptions: 2, revokeKey: 2 },
+            });
+
+            await assertThrows(() => secureBlocktree.addOptions({
+                block: zone, sig: context.signAs(rootZoneKey), options: { name: 'test' },
+            }), InvalidSignatureError, InvalidSignatureError.reasons.quorumNotMet);
+            await assertThrows(() => secureBlocktree.setPolicy({
+                block: zone, sig: context.signAs(rootZoneKey), policy: {},
+            }), InvalidSignatureError, InvalidSignatureError.reasons.quorumNotMet);
+
+            const previous = await secureBlocktree.getHeadBlock(zone);
+            assert.deepStrictEqual(await secureBlocktree.getActivePolicy({ block: previous }),
+                { setPolicy: 2, addOptions: 2, revokeKey: 2 });
+            await secureBlocktree.setPolicy({
+                block: zone,
+                sig: [context.signAs(rootZoneKey), context.signAs(secondKey)],
+                policy: { revokeKey: 2 },
+            });
+            const policy = await secureBlocktree.getActivePolicy({
+                block: await secureBlocktree.getHeadBlock(zone),
+            });
+            assert.deepStrictEqual(policy, { revokeKey: 2 });
+            assert.deepStrictEqual(await secureBlocktree.getActivePolicy({ block: previous }),
+                { setPolicy: 2, addOptions: 2, revokeKey: 2 });
+            assert.ok(await secureBlocktree.addOptions({
+                block: zone, sig: context.signAs(rootZoneKey), options: { name: 'test' },
+            }));
+        },
+        'should reject invalid policies': async () => {
+            const { secureBlocktree, secureRoot, rootKey } = context;
+            await assertThrows(() => secureBlocktree.setPolicy({
+                block: secureRoot.rootZone, sig: context.signAs(rootKey), policy: { unknown: 2 },
+            }), InvalidBlockError, InvalidBlockError.reasons.invalidPolicy);
+            await assertThrows(() => secureBlocktree.setPolicy({
+                block: secureRoot.rootZone, sig: context.signAs(rootKey), policy: { addKey: 0 },
+            }), InvalidBlockError, InvalidBlockError.reasons.invalidPolicy);
+        },
+        'should report blocks which were written without enough signatures': async () => {
+            const { secureBlocktree, secureRoot, rootKey } = context;
+            await secureBlocktree.setPolicy({
+                block: secureRoot.rootZone, sig: context.signAs(rootKey), policy: { addOptions: 2 },
+            });
+
+            // write the block directly, bypassing the policy.
+            const prev = await secureBlocktree.getHeadBlock(secureRoot.rootZone);
+            const parent = await secureBlocktree.getParentBlock(prev);
+            const block = await secureBlocktree.writeSecureBlock({
+                sig: await context.signAs(rootKey)({ parent, prev }),
+                parent,
+                prev,
+                type: constants.blockType.options,
+                data: { name: 'test' },
+            });
+
+            const result = await secureBlocktree.validateSecureBlock(
+                await secureBlocktree.readSecureBlock(block),
+            );
+            assert.strictEqual(result.isValid, false);
+            assert.strictEqual(result.reason, constants.validation.quorumNotMet);
+            assert.strictEqual(result.required, 2);
+            const report = await secureBlocktree.auditDatabase();
+            assert.deepStrictEqual(report.violations.map((i) => i.reason),
+                [constants.validation.quorumNotMet]);
+        },
+    };
+};
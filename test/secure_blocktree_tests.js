@@ -20,6 +20,38 @@ function loadSecureBlocktreeTests(context) {
         loadTests(require('./secure-blocktree/addOptions'), context));
     describe('createCollection()',
         loadTests(require('./secure-blocktree/createCollection'), context));
+    describe('addRecord()',
+        loadTests(require('./secure-blocktree/addRecord'), context));
+    describe('addSchema()',
+        loadTests(require('./secure-blocktree/addSchema'), context));
+    describe('setPolicy()',
+        loadTests(require('./secure-blocktree/setPolicy'), context));
+    describe('roles',
+        loadTests(require('./secure-blocktree/roles'), context));
+    describe('grantIdentity() and resolveSigner()',
+        loadTests(require('./secure-blocktree/grantIdentity'), context));
+    describe('queryRecords()',
+        loadTests(require('./secure-blocktree/queryRecords'), context));
+    describe('asOf (point-in-time reads)',
+        loadTests(require('./secure-blocktree/asOf'), context));
+    describe('iterateBlocks(), iterateChain() and iterateChildren()',
+        loadTests(require('./secure-blocktree/iterators'), context));
+    describe('auditDatabase()',
+        loadTests(require('./secure-blocktree/auditDatabase'), context));
+    describe('beginTransaction()',
+        loadTests(require('./secure-blocktree/beginTransaction'), context));
+    describe('rotateKey()',
+        loadTests(require('./secure-blocktree/rotateKey'), context));
+    describe('createEnvelope() and addRecipient()',
+        loadTests(require('./secure-blocktree/createEnvelope'), context));
+    describe('crypto providers',
+        loadTests(require('./secure-blocktree/cryptoProviders'), context));
+    describe('detectForks() and resolveFork()',
+        loadTests(require('./secure-blocktree/resolveFork'), context));
+    describe('exportTree() and importTree()',
+        loadTests(require('./secure-blocktree/exportTree'), context));
+    describe('replication',
+        loadTests(require('./secure-blocktree/replication'), context));
     describe('performTrustedRead()',
         loadTests(require('./secure-blocktree/performTrustedRead'), context));
 }
@@ -0,0 +1,189 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const constants = require('../../src/constants');
+const { InvalidKeyError } = require('../../src/errors');
+const inMemoryBroker = require('../../src/brokers/inMemoryBroker');
+const fileKeystoreFactory = require('../../src/brokers/fileKeystore');
+const { decrypt, encrypt } = require('../../src/utils/crypto');
+const { getPrivateKey } = require('../test-helper');
+
+module.exports = (context) => {
+    /**
+     * Creates a zone with a key underneath the root zone, containing a zone whose data is
+     * encrypted with that key.
+     */
+    async function createEncryptedZone(name) {
+        const { secureBlocktree, secureRoot: { rootZone }, rootZoneKey } = context;
+        const zoneKey = await context.generateTestKey();
+        const zone = await secureBlocktree.createZone({
+            block: rootZone, sig: context.signAs(rootZoneKey),
+        });
+        await secureBlocktree.addKey({
+            block: zone,
+            sig: context.signAs(rootZoneKey),
+            key: zoneKey,
+            action: constants.action.any,
+        });
+        const secretZone = await secureBlocktree.createZone({
+            block: zone,
+            sig: context.signAs(zoneKey),
+            options: await secureBlocktree.encryptBlockData({
+                key: zoneKey,
+                type: constants.blockType.zone,
+                data: { name },
+            }),
+        });
+        return { zoneKey, secretZone };
+    }
+
+    /**
+     * Asserts that the request fails with the specified HTTP status.
+     */
+    async function assertStatus(fn, status) {
+        let isExecuted = false;
+        try {
+            await fn();
+            isExecuted = true;
+        } catch (err) {
+            assert.ok(err.response, err.message);
+            assert.strictEqual(err.response.status, status);
+        }
+        assert.strictEqual(isExecuted, false, 'Expected an exception to be thrown.');
+    }
+
+    return {
+        'should perform trusted reads using single-use tokens': async () => {
+            const { secureBlocktree, rootZoneKey } = context;
+            const secret = 'THE SECRET VALUE';
+            const { zoneKey, secretZone: zone } = await createEncryptedZone(secret);
+            const broker = context.httpBroker();
+            await broker.addAuthorizedKey({
+                publicKey: zoneKey, privateKey: getPrivateKey(zoneKey),
+            });
+            const token = await broker.generateRequestToken({ trustedKey: rootZoneKey });
+            const sig = await context.signAs(rootZoneKey)({ token });
+            const result = await secureBlocktree.performTrustedRead({
+                block: zone, key: rootZoneKey, token, sig, broker,
+            });
+            const decrypted = await secureBlocktree.decryptBlockData({
+                encryptedData: result,
+                type: constants.blockType.zone,
+                privateKey: getPrivateKey(rootZoneKey),
+            });
+            assert.strictEqual(decrypted.name, secret);
+
+            await assertStatus(() => secureBlocktree.performTrustedRead({
+                block: zone, key: rootZoneKey, token, sig, broker,
+            }), 403);
+
+            const scopedToken = await broker.generateRequestToken({
+                trustedKey: rootZoneKey, block: zone, authorizedKey: zoneKey, ttl: 1000,
+            });
+            assert.ok(await secureBlocktree.performTrustedRead({
+                block: zone,
+                key: rootZoneKey,
+                token: scopedToken,
+                sig: await context.signAs(rootZoneKey)({ token: scopedToken }),
+                broker,
+            }));
+
+            await broker.revokeAuthorizedKey({ publicKey: zoneKey });
+            const newToken = await broker.generateRequestToken({ trustedKey: rootZoneKey });
+            await assertStatus(async () => secureBlocktree.performTrustedRead({
+                block: zone,
+                key: rootZoneKey,
+                token: newToken,
+                sig: await context.signAs(rootZoneKey)({ token: newToken }),
+                broker,
+            }), 403);
+        },
+        'should reject requests which are not authenticated': async () => {
+            const { rootZoneKey } = context;
+            const otherKey = await context.generateTestKey();
+            const request = { trustedKey: rootZoneKey };
+            await assertStatus(() => context.httpBroker({
+                clientSecret: crypto.randomBytes(32).toString('base64'),
+            }).generateRequestToken(request), 401);
+            await assertStatus(() => context.httpBroker({
+                clientPrivateKey: getPrivateKey(otherKey),
+            }).generateRequestToken(request), 401);
+            await assertStatus(() => context.httpBroker({
+                clientPrivateKey: undefined,
+            }).generateRequestToken(request), 401);
+            await assertStatus(() => context.httpBroker({
+                serverPublicKey: undefined,
+            }).generateRequestToken(request), 400);
+            assert.ok(await context.httpBroker().generateRequestToken(request));
+        },
+        'should reject requests which are replayed': async () => {
+            const { rootZoneKey } = context;
+            let body = null;
+            const broker = context.httpBroker({
+                httpClientOptions: {
+                    transformRequest: [(data) => { body = data; return data; }],
+                },
+            });
+            await broker.addAuthorizedKey({
+                publicKey: rootZoneKey, privateKey: getPrivateKey(rootZoneKey),
+            });
+            await assertStatus(() => axios.post(`${context.brokerUrl}authorizedKeys`, body, {
+                headers: { [constants.broker.apiKeyHeader]: context.clientSecret },
+            }), 401);
+        },
+        'should reject requests outside of the request window': async () => {
+            const { rootZoneKey } = context;
+            const request = { trustedKey: rootZoneKey };
+            const offset = BigInt(constants.broker.requestWindow + 60 * 1000);
+            await assertStatus(() => context.httpBroker({
+                time: { generateTimestamp: () => BigInt(Date.now()) - offset },
+            }).generateRequestToken(request), 401);
+            await assertStatus(() => context.httpBroker({
+                time: { generateTimestamp: () => BigInt(Date.now()) + offset },
+            }).generateRequestToken(request), 401);
+            assert.ok(await context.httpBroker({
+                time: { generateTimestamp: () => BigInt(Date.now()) - 1000n },
+            }).generateRequestToken(request));
+        },
+        'should store authorized keys encrypted at rest': async () => {
+            const { rootZoneKey } = context;
+            const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'keystore-'));
+            const file = path.join(directory, 'keystore.json');
+            const secret = crypto.randomBytes(32);
+            try {
+                const broker = inMemoryBroker({ keystore: fileKeystoreFactory({ file, secret }) });
+                await broker.addAuthorizedKey({
+                    publicKey: rootZoneKey, privateKey: getPrivateKey(rootZoneKey),
+                });
+                assert.ok(!fs.readFileSync(file, 'utf-8').includes('PRIVATE KEY'));
+
+                // the key is available after re-opening the keystore.
+                const reopened = inMemoryBroker({
+                    keystore: fileKeystoreFactory({ file, secret }),
+                });
+                const data = Buffer.from('THE SECRET VALUE', 'utf-8');
+                const token = await reopened.generateRequestToken({ trustedKey: rootZoneKey });
+                const [result] = await reopened.buildTrustedSecrets({
+                    token,
+                    sig: await context.signAs(rootZoneKey)({ token }),
+                    secrets: [await encrypt(rootZoneKey, data)],
+                    authorizedKey: rootZoneKey,
+                    trustedKey: rootZoneKey,
+                });
+                assert.ok(Buffer.compare(await decrypt(getPrivateKey(rootZoneKey), result),
+                    data) === 0);
+
+                await reopened.revokeAuthorizedKey({ publicKey: rootZoneKey });
+                const keystore = fileKeystoreFactory({ file, secret });
+                assert.strictEqual(await keystore.readKey(rootZoneKey), null);
+                assert.throws(() => fileKeystoreFactory({ file, secret: Buffer.alloc(16) }),
+                    InvalidKeyError);
+            } finally {
+                fs.rmSync(directory, { recursive: true, force: true });
+            }
+        },
+    };
+};
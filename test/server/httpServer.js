@@ -0,0 +1,266 @@
+const assert = require('assert');
+const axios = require('axios');
+const constants = require('../../src/constants');
+const { toJson, fromJson } = require('../../src/utils/encoding');
+const { fromInt64 } = require('../../src/utils/convert');
+const { generateNonce } = require('../../src/utils/crypto');
+const { generateRequestDigest } = require('../../src/utils/http');
+const httpServerFactory = require('../../src/server/httpServer');
+const { getRandomHash } = require('../test-helper');
+
+module.exports = (context) => {
+    /**
+     * Signs a request body using the specified key, returning the request headers.
+     */
+    async function signRequest(operation, key, body, timestamp = BigInt(Date.now())) {
+        const header = Buffer.concat([fromInt64(timestamp), generateNonce()]);
+        const digest = generateRequestDigest(operation, Buffer.from(body, 'utf-8'), header);
+        const signature = await context.signAs(key)({ parent: digest, prev: null });
+        return {
+            headers: {
+                'Content-Type': constants.server.contentType,
+                [constants.server.signatureHeader]: signature.toString('base64'),
+                [constants.server.nonceHeader]: header.toString('base64'),
+            },
+        };
+    }
+
+    /**
+     * Signs and performs a write operation using the server.
+     */
+    async function write(operation, key, parameters) {
+        const { data: signingData } = await context.request('getSigningData', {
+            block: parameters.block, operation,
+        });
+        const sig = await context.signAs(key)(signingData);
+        const body = toJson({ ...parameters, sig, expectedHead: signingData.prev || undefined });
+        return context.request(operation, body, await signRequest(operation, key, body));
+    }
+
+    return {
+        'should read blocks from the secure blocktree': async () => {
+            const { secureRoot: { rootBlock, rootZone }, rootZoneKey } = context;
+            const { status, data } = await context.request('readSecureBlock', {
+                block: rootZone,
+            });
+            assert.strictEqual(status, 200);
+            assert.strictEqual(data.type, constants.blockType.zone);
+            assert.ok(Buffer.compare(data.hash, rootZone) === 0);
+            assert.strictEqual(typeof data.timestamp, 'bigint');
+
+            const head = (await context.request('getHeadBlock', { block: rootZone })).data;
+            const root = (await context.request('getRootBlock', { block: head })).data;
+            const parent = (await context.request('getParentBlock', { block: head })).data;
+            assert.ok(Buffer.compare(root, rootZone) === 0);
+            assert.ok(Buffer.compare(parent, rootBlock) === 0);
+
+            const keys = (await context.request('performKeyScan', { block: rootZone })).data;
+            assert.ok(keys.some((i) => Buffer.compare(i.key, rootZoneKey) === 0));
+            const children = (await context.request('performChildScan', {
+                block: rootBlock,
+            })).data;
+            assert.strictEqual(children.length, 1);
+            assert.ok(Buffer.compare(children[0].hash, rootZone) === 0);
+        },
+        'should write signed blocks to the secure blocktree': async () => {
+            const { secureBlocktree, secureRoot: { rootZone }, rootZoneKey } = context;
+            const collection = await write('createCollection', rootZoneKey, {
+                block: rootZone, options: { name: 'remote' },
+            });
+            assert.strictEqual(collection.status, 200);
+            const data = { name: 'test', count: 12345678901234567890n, bytes: Buffer.from('ab') };
+            const record = await write('addRecord', rootZoneKey, {
+                block: collection.data, data,
+            });
+            assert.strictEqual(record.status, 200);
+
+            const result = await secureBlocktree.readSecureBlock(record.data);
+            assert.deepStrictEqual(result.data, data);
+            assert.ok(Buffer.compare(await secureBlocktree.getHeadBlock(collection.data),
+                record.data) === 0);
+        },
+        'should only write a collection once its schema has also been signed': async () => {
+            const { secureBlocktree, secureRoot: { rootZone }, rootZoneKey } = context;
+            const schema = { fields: { name: { type: 'string', required: true } } };
+            const { status, data } = await write('createCollection', rootZoneKey, {
+                block: rootZone, options: { name: 'remote' }, schema,
+            });
+            assert.strictEqual(status, 200);
+            const { token, parent, prev } = data.pending;
+            assert.strictEqual(typeof token, 'string');
+            const children = await context.request('performChildScan', { block: rootZone });
+            assert.deepStrictEqual(children.data, []);
+
+            const body = toJson({
+                token, sig: await context.signAs(rootZoneKey)({ parent, prev }),
+            });
+            const result = await context.request('signPending', body,
+                await signRequest('signPending', rootZoneKey, body));
+            assert.strictEqual(result.status, 200);
+            assert.ok(Buffer.compare(result.data, prev) === 0);
+            const head = await secureBlocktree.getHeadBlock(prev);
+            assert.deepStrictEqual(await secureBlocktree.getActiveSchema({ block: head }), schema);
+
+            const reused = await context.request('signPending', body,
+                await signRequest('signPending', rootZoneKey, body));
+            assert.strictEqual(reused.status, 404);
+        },
+        'should map blocktree errors to HTTP status codes': async () => {
+            const { secureRoot: { rootZone }, rootKey } = context;
+            const notFound = await context.request('readSecureBlock', {
+                block: getRandomHash(),
+            });
+            assert.strictEqual(notFound.status, 404);
+            assert.strictEqual(notFound.data.error.name, 'InvalidBlockError');
+            assert.strictEqual(notFound.data.error.code, constants.error.invalidBlock);
+
+            const invalidKey = await context.generateTestKey();
+            const unauthorized = await write('createZone', invalidKey, { block: rootZone });
+            assert.strictEqual(unauthorized.status, 403);
+            assert.strictEqual(unauthorized.data.error.name, 'InvalidSignatureError');
+
+            const { data: signingData } = await context.request('getSigningData', {
+                block: rootZone, operation: 'addKey',
+            });
+            const added = await write('addKey', rootKey, {
+                block: rootZone, key: await context.generateTestKey(), action: 'read',
+            });
+            assert.strictEqual(added.status, 200);
+            const conflictBody = toJson({
+                block: rootZone,
+                key: await context.generateTestKey(),
+                action: 'read',
+                sig: await context.signAs(rootKey)(signingData),
+                expectedHead: signingData.prev,
+            });
+            const conflict = await context.request('addKey', conflictBody,
+                await signRequest('addKey', rootKey, conflictBody));
+            assert.strictEqual(conflict.status, 409);
+            assert.strictEqual(conflict.data.error.name, 'WriteConflictError');
+            assert.strictEqual(conflict.data.error.values, undefined);
+        },
+        'should reject write requests which are not signed by the block signers': async () => {
+            const { secureRoot: { rootZone }, rootKey, rootZoneKey } = context;
+            const { data: signingData } = await context.request('getSigningData', {
+                block: rootZone, operation: 'addKey',
+            });
+            const parameters = {
+                block: rootZone,
+                action: 'read',
+                sig: await context.signAs(rootKey)(signingData),
+                expectedHead: signingData.prev,
+            };
+            const body = toJson({ ...parameters, key: await context.generateTestKey() });
+
+            const unsigned = await context.request('addKey', body);
+            assert.strictEqual(unsigned.status, 401);
+            const otherKey = await context.request('addKey', body,
+                await signRequest('addKey', rootZoneKey, body));
+            assert.strictEqual(otherKey.status, 401);
+            // the key being added is not covered by the block signature.
+            const modified = await context.request('addKey',
+                toJson({ ...parameters, key: await context.generateTestKey() }),
+                await signRequest('addKey', rootKey, body));
+            assert.strictEqual(modified.status, 401);
+            assert.strictEqual(modified.data.error.message, 'The request signature is invalid.');
+            const valid = await context.request('addKey', body,
+                await signRequest('addKey', rootKey, body));
+            assert.strictEqual(valid.status, 200);
+        },
+        'should reject write requests which have expired or have already been used': async () => {
+            const { secureRoot: { rootZone }, rootKey } = context;
+            const body = async () => {
+                const { data: signingData } = await context.request('getSigningData', {
+                    block: rootZone, operation: 'addKey',
+                });
+                return toJson({
+                    block: rootZone,
+                    key: await context.generateTestKey(),
+                    action: 'read',
+                    sig: await context.signAs(rootKey)(signingData),
+                    expectedHead: signingData.prev,
+                });
+            };
+
+            const expiredBody = await body();
+            const expired = await context.request('addKey', expiredBody, await signRequest(
+                'addKey', rootKey, expiredBody,
+                BigInt(Date.now() - constants.server.requestWindow - 1000),
+            ));
+            assert.strictEqual(expired.status, 401);
+            assert.strictEqual(expired.data.error.message, 'The request has expired.');
+
+            const validBody = await body();
+            const headers = await signRequest('addKey', rootKey, validBody);
+            assert.strictEqual((await context.request('addKey', validBody, headers)).status, 200);
+            const replayed = await context.request('addKey', validBody, headers);
+            assert.strictEqual(replayed.status, 401);
+            assert.strictEqual(replayed.data.error.message, 'The request has already been used.');
+        },
+        'should only perform operations which are authorized': async () => {
+            const { secureBlocktree, secureRoot: { rootZone } } = context;
+            const calls = [];
+            const server = httpServerFactory({
+                secureBlocktree,
+                authorizeRequest: async ({ operation, headers }) => {
+                    calls.push(operation);
+                    return headers.authorization === 'Bearer reader'
+                        && operation !== 'performSecretScan';
+                },
+            });
+            const { port } = await server.listen(0, '127.0.0.1');
+            try {
+                const request = async (operation, authorization) => {
+                    const response = await axios({
+                        method: 'post',
+                        url: `http://127.0.0.1:${port}/api/${operation}`,
+                        data: toJson({ block: rootZone }),
+                        headers: { 'Content-Type': constants.server.contentType, authorization },
+                        transformResponse: (data) => data,
+                        validateStatus: () => true,
+                    });
+                    return { status: response.status, data: fromJson(response.data) };
+                };
+                assert.strictEqual((await request('readSecureBlock', 'Bearer reader')).status, 200);
+                assert.strictEqual((await request('readSecureBlock', 'Bearer other')).status, 403);
+                const denied = await request('performSecretScan', 'Bearer reader');
+                assert.strictEqual(denied.status, 403);
+                assert.strictEqual(denied.data.error.message, 'The request is not authorized.');
+                assert.deepStrictEqual(calls,
+                    ['readSecureBlock', 'readSecureBlock', 'performSecretScan']);
+            } finally {
+                await server.close();
+            }
+        },
+        'should reject invalid requests': async () => {
+            assert.strictEqual((await context.request('unknownOperation', {})).status, 404);
+            assert.strictEqual((await context.request('getRootBlock', {}, {
+                method: 'get', data: undefined,
+            })).status, 405);
+            assert.strictEqual((await context.request('getRootBlock', '{')).status, 400);
+            assert.strictEqual((await context.request('getRootBlock', '[]')).status, 400);
+            const tooLarge = await context.request('getRootBlock', {
+                block: Buffer.alloc(constants.server.maxBodySize),
+            });
+            assert.strictEqual(tooLarge.status, 413);
+        },
+        'should decode values with a "__proto__" key': async () => {
+            const result = fromJson('{ "__proto__": { "$bigint": "1" }, "block": null }');
+            assert.strictEqual(Object.getPrototypeOf(result), Object.prototype);
+            assert.deepStrictEqual(Object.keys(result), ['__proto__', 'block']);
+            assert.strictEqual(Object.getOwnPropertyDescriptor(result, '__proto__').value, 1n);
+            assert.strictEqual(toJson(result), '{"__proto__":{"$bigint":"1"},"block":null}');
+        },
+        'should not decode objects with reserved keys as tagged values': async () => {
+            const value = {
+                buffer: { $buffer: 'AQI=' },
+                bigint: { $bigint: '1' },
+                escaped: { $$bigint: '2', $name: 'test' },
+                tagged: [Buffer.from([1, 2]), 3n],
+            };
+            const json = toJson(value);
+            assert.strictEqual(JSON.parse(json).bigint.$$bigint, '1');
+            assert.deepStrictEqual(fromJson(json), value);
+        },
+    };
+};
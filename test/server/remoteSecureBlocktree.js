@@ -0,0 +1,202 @@
+/* eslint-disable no-restricted-syntax */
+const assert = require('assert');
+const constants = require('../../src/constants');
+const {
+    InvalidBlockError, InvalidRecordError, InvalidSignatureError, WriteConflictError,
+} = require('../../src/errors');
+const inMemoryBroker = require('../../src/brokers/inMemoryBroker');
+const { getPrivateKey, getRandomHash, assertThrows } = require('../test-helper');
+
+module.exports = (context) => ({
+    'should sign and write blocks using the same operations as a local blocktree': async () => {
+        const {
+            client, secureBlocktree, secureRoot: { rootZone }, rootZoneKey,
+        } = context;
+        const collection = await client.createCollection({
+            block: rootZone,
+            sig: context.signAs(rootZoneKey),
+            options: { name: 'remote' },
+            schema: { fields: { name: { type: 'string', required: true } } },
+        });
+        const record = await client.addRecord({
+            block: collection, sig: context.signAs(rootZoneKey), data: { name: 'test' },
+        });
+
+        const records = await client.queryRecords({ collection });
+        assert.deepStrictEqual(records.map((i) => i.data), [{ name: 'test' }]);
+        assert.ok(Buffer.compare(records[0].block, record) === 0);
+        assert.ok(Buffer.compare(await client.getHeadBlock(collection), record) === 0);
+        const local = await secureBlocktree.readSecureBlock(record);
+        assert.deepStrictEqual((await client.readSecureBlock(record)).sig, local.sig);
+        assert.strictEqual((await client.getActiveSchema({ block: record })).fields.name.type,
+            'string');
+    },
+    'should sign the block again if another block is added first': async () => {
+        const {
+            client, secureBlocktree, secureRoot: { rootZone }, rootZoneKey,
+        } = context;
+        const collection = await secureBlocktree.createCollection({
+            block: rootZone, sig: context.signAs(rootZoneKey),
+        });
+        let attempts = 0;
+        const sig = async (signingData) => {
+            // the request itself is signed without a previous block.
+            if (signingData.prev) {
+                attempts += 1;
+                if (attempts === 1) {
+                    await secureBlocktree.addRecord({
+                        block: collection,
+                        sig: context.signAs(rootZoneKey),
+                        data: { name: 'a' },
+                    });
+                }
+            }
+            return context.signAs(rootZoneKey)(signingData);
+        };
+        await client.addRecord({ block: collection, sig, data: { name: 'b' } });
+
+        assert.strictEqual(attempts, 2);
+        const records = await secureBlocktree.queryRecords({ collection });
+        assert.deepStrictEqual(records.map((i) => i.data.name), ['a', 'b']);
+
+        const head = await client.getHeadBlock(collection);
+        await secureBlocktree.addRecord({
+            block: collection, sig: context.signAs(rootZoneKey), data: { name: 'c' },
+        });
+        await assertThrows(() => client.addRecord({
+            block: collection,
+            sig: context.signAs(rootZoneKey),
+            data: { name: 'd' },
+            expectedHead: head,
+        }), WriteConflictError);
+    },
+    'should sign blocks with multiple keys when required by a policy': async () => {
+        const {
+            client, secureRoot: { rootZone }, rootZoneKey, rootKey,
+        } = context;
+        const secondKey = await context.generateTestKey();
+        await client.addKey({
+            block: rootZone,
+            sig: context.signAs(rootKey),
+            key: secondKey,
+            action: constants.action.write,
+        });
+        await client.setPolicy({
+            block: rootZone, sig: context.signAs(rootKey), policy: { createZone: 2 },
+        });
+        await assertThrows(() => client.createZone({
+            block: rootZone, sig: context.signAs(rootZoneKey),
+        }), InvalidSignatureError, InvalidSignatureError.reasons.quorumNotMet);
+        assert.ok(await client.createZone({
+            block: rootZone, sig: [context.signAs(rootZoneKey), context.signAs(secondKey)],
+        }));
+    },
+    'should require signing functions for write operations': async () => {
+        const { client, secureRoot: { rootZone }, rootZoneKey } = context;
+        const parent = await client.getRootBlock(rootZone);
+        await assertThrows(async () => client.createZone({
+            block: rootZone, sig: await context.signAs(rootZoneKey)({ parent, prev: null }),
+        }), InvalidSignatureError, InvalidSignatureError.reasons.signingFunctionRequired);
+    },
+    'should provide the read operations of a local blocktree': async () => {
+        const {
+            client, secureBlocktree, secureRoot: { rootZone }, rootZoneKey,
+        } = context;
+        const zone = await client.createZone({
+            block: rootZone, sig: context.signAs(rootZoneKey),
+        });
+        const ref = Buffer.from('ref', 'utf-8');
+        const secret = await client.addSecret({
+            block: zone,
+            sig: context.signAs(rootZoneKey),
+            key: rootZoneKey,
+            ref,
+            secret: await client.encryptData(rootZoneKey, 'THE SECRET VALUE'),
+        });
+        await client.setPolicy({
+            block: zone, sig: context.signAs(rootZoneKey), policy: { addRecord: 1 },
+        });
+        const head = await client.getHeadBlock(zone);
+
+        const local = [];
+        for await (const secureBlock of secureBlocktree.iterateChain(head)) {
+            local.push(secureBlock.hash);
+        }
+        const remote = [];
+        for await (const secureBlock of client.iterateChain(zone, { direction: 'forward' })) {
+            remote.push(secureBlock.hash);
+        }
+        assert.deepStrictEqual(remote, local.reverse());
+        const children = [];
+        for await (const secureBlock of client.iterateChildren(rootZone)) {
+            children.push(secureBlock.hash);
+        }
+        assert.ok(children.some((i) => Buffer.compare(i, zone) === 0));
+        assert.ok(Buffer.compare((await client.performSecretSeek({ block: zone, ref })).block,
+            secret) === 0);
+        assert.deepStrictEqual(await client.getActivePolicy({ block: head }), { addRecord: 1 });
+        await assertThrows(() => client.beginTransaction(), Error);
+    },
+    'should not create a collection if its schema is not signed': async () => {
+        const { client, secureRoot: { rootZone }, rootZoneKey } = context;
+        const sig = async ({ parent, prev }) => {
+            if (prev) {
+                throw new Error('The schema was not signed.');
+            }
+            return context.signAs(rootZoneKey)({ parent, prev });
+        };
+        let isExecuted = false;
+        try {
+            await client.createCollection({
+                block: rootZone,
+                sig,
+                schema: { fields: { name: { type: 'string', required: true } } },
+            });
+            isExecuted = true;
+        } catch (err) {
+            assert.strictEqual(err.message, 'The schema was not signed.');
+        }
+        assert.strictEqual(isExecuted, false, 'Expected an exception to be thrown.');
+        const children = [];
+        for await (const secureBlock of client.iterateChildren(rootZone)) {
+            children.push(secureBlock.hash);
+        }
+        assert.deepStrictEqual(children, []);
+    },
+    'should rethrow errors using the matching error classes': async () => {
+        const { client, secureRoot: { rootZone }, rootZoneKey } = context;
+        await assertThrows(() => client.readSecureBlock(getRandomHash()),
+            InvalidBlockError, InvalidBlockError.reasons.notFound);
+        const invalidKey = await context.generateTestKey();
+        await assertThrows(() => client.createZone({
+            block: rootZone, sig: context.signAs(invalidKey),
+        }), InvalidSignatureError);
+        await assertThrows(() => client.createCollection({
+            block: rootZone, sig: context.signAs(rootZoneKey), schema: { fields: 'invalid' },
+        }), InvalidRecordError);
+    },
+    'should perform trusted reads using a local broker': async () => {
+        const { client, secureRoot: { rootZone }, rootZoneKey } = context;
+        const secret = 'THE SECRET VALUE';
+        const newZone = await client.createZone({
+            block: rootZone,
+            sig: context.signAs(rootZoneKey),
+            options: await client.encryptBlockData({
+                key: rootZoneKey,
+                type: constants.blockType.zone,
+                data: { name: secret },
+            }),
+        });
+        const broker = inMemoryBroker();
+        await broker.addAuthorizedKey({
+            publicKey: rootZoneKey,
+            privateKey: getPrivateKey(rootZoneKey),
+        });
+        const token = await broker.generateRequestToken({ trustedKey: rootZoneKey });
+        const sig = await context.signAs(rootZoneKey)({ token });
+        const result = await client.performTrustedRead({
+            block: newZone, key: rootZoneKey, token, sig, broker,
+        });
+        assert.ok(result);
+    },
+});
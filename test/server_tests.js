@@ -0,0 +1,76 @@
+/* eslint-disable global-require */
+const crypto = require('crypto');
+const axios = require('axios');
+const httpServerFactory = require('../src/server/httpServer');
+const brokerServerFactory = require('../src/server/brokerServer');
+const inMemoryBroker = require('../src/brokers/inMemoryBroker');
+const httpBrokerFactory = require('../src/brokers/httpBroker');
+const remoteSecureBlocktreeFactory = require('../src/clients/remoteSecureBlocktree');
+const { toJson, fromJson } = require('../src/utils/encoding');
+const {
+    initSecureBlocktree, initializeSecureRoot, generateTestKey, getPrivateKey, signAs, loadTests,
+} = require('./test-helper');
+
+describe('HTTP Server', () => {
+    const context = {};
+
+    before(async () => {
+        context.generateTestKey = generateTestKey;
+        context.rootKey = await context.generateTestKey();
+        context.rootZoneKey = await context.generateTestKey();
+        context.clientKey = await context.generateTestKey();
+        context.serverKey = await context.generateTestKey();
+    });
+
+    beforeEach(async () => {
+        context.secureBlocktree = initSecureBlocktree(true);
+        context.signAs = (key, altKey) => signAs(context.secureBlocktree, key, altKey);
+        context.secureRoot = await initializeSecureRoot(
+            context.secureBlocktree, context.rootKey, context.rootZoneKey,
+        );
+        context.server = httpServerFactory({ secureBlocktree: context.secureBlocktree });
+        const { port } = await context.server.listen(0, '127.0.0.1');
+        context.url = `http://127.0.0.1:${port}`;
+        context.client = remoteSecureBlocktreeFactory({ url: context.url });
+        context.request = async (operation, parameters, options = {}) => {
+            const response = await axios({
+                method: 'post',
+                url: `${context.url}/api/${operation}`,
+                data: typeof parameters === 'string' ? parameters : toJson(parameters),
+                headers: { 'Content-Type': 'application/json' },
+                transformResponse: (data) => data,
+                validateStatus: () => true,
+                ...options,
+            });
+            return { status: response.status, data: fromJson(response.data) };
+        };
+
+        context.clientSecret = crypto.randomBytes(32).toString('base64');
+        context.broker = inMemoryBroker();
+        context.brokerServer = brokerServerFactory({
+            broker: context.broker,
+            clientSecret: context.clientSecret,
+            clientPublicKey: context.clientKey,
+            serverPrivateKey: getPrivateKey(context.serverKey),
+        });
+        const broker = await context.brokerServer.listen(0, '127.0.0.1');
+        context.brokerUrl = `http://127.0.0.1:${broker.port}/`;
+        context.httpBroker = (options = {}) => httpBrokerFactory({
+            url: context.brokerUrl,
+            clientSecret: context.clientSecret,
+            clientPrivateKey: getPrivateKey(context.clientKey),
+            serverPublicKey: context.serverKey,
+            ...options,
+        });
+    });
+
+    afterEach(async () => {
+        await context.server.close();
+        await context.brokerServer.close();
+    });
+
+    describe('httpServer', loadTests(require('./server/httpServer'), context));
+    describe('remoteSecureBlocktree',
+        loadTests(require('./server/remoteSecureBlocktree'), context));
+    describe('brokerServer', loadTests(require('./server/brokerServer'), context));
+});
@@ -0,0 +1,324 @@
+/* eslint-disable no-await-in-loop, no-restricted-syntax */
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const constants = require('../../src/constants');
+const { SerializationError } = require('../../src/errors');
+const { fromInt32 } = require('../../src/utils/convert');
+const { generateHash } = require('../../src/utils/crypto');
+const fileStorage = require('../../src/storage/fileStorage');
+const inMemoryStorage = require('../../src/storage/inMemoryStorage');
+const systemLayerFactory = require('../../src/layers/system');
+const blockchainLayerFactory = require('../../src/layers/blockchain');
+const blocktreeLayerFactory = require('../../src/layers/blocktree');
+const noCache = require('../../src/cache/noCache');
+const timeMock = require('../mocks/time');
+
+module.exports = (context) => {
+    function openStorage(options = {}) {
+        const storage = fileStorage({ directory: context.directory, ...options });
+        context.storages.push(storage);
+        return storage;
+    }
+
+    async function writeValue(storage, text) {
+        const value = Buffer.from(text, 'utf-8');
+        return storage.writeStorage(generateHash(value), value);
+    }
+
+    function createEntry(text, links = {}) {
+        const value = Buffer.from(text, 'utf-8');
+        return { hash: generateHash(value), value, links };
+    }
+
+    /**
+     * Writes a journal file as if a batch write had been interrupted.
+     */
+    function writeJournal(entries) {
+        const records = Buffer.concat(entries.map(({ hash, value, links }) => Buffer.concat([
+            fromInt32(Buffer.byteLength(value)),
+            hash,
+            links.prev || constants.block.zero,
+            links.parent || constants.block.zero,
+            value,
+        ])));
+        const journal = Buffer.concat([
+            Buffer.from(constants.fileStorage.journalMagic, 'utf-8'),
+            Buffer.from([constants.fileStorage.version]),
+            records,
+            Buffer.from(constants.fileStorage.commitMagic, 'utf-8'),
+            fromInt32(entries.length),
+            generateHash(records),
+        ]);
+        const file = path.join(context.directory, constants.fileStorage.journalFile);
+        fs.writeFileSync(file, journal);
+        return file;
+    }
+
+    return {
+        'should read back a written value': async () => {
+            const storage = openStorage();
+            const hash = await writeValue(storage, "I'm a string!");
+            const result = await storage.readStorage(hash);
+
+            assert.strictEqual(result.toString('utf-8'), "I'm a string!");
+            assert.strictEqual(await storage.countInStorage(), 1n);
+            assert.strictEqual(await storage.readStorage(generateHash(Buffer.from('nope'))), null);
+        },
+        'should retain values after being re-opened': async () => {
+            const storage = openStorage();
+            const hashes = [];
+            for (let i = 0; i < 10; i += 1) {
+                hashes.push(await writeValue(storage, `value ${i}`));
+            }
+            await storage.closeStorage();
+
+            const reopened = openStorage();
+            const keys = await reopened.readKeys();
+
+            assert.strictEqual(await reopened.countInStorage(), 10n);
+            for (let i = 0; i < 10; i += 1) {
+                assert.ok(Buffer.compare(keys[i], hashes[i]) === 0, 'Expected keys in write order.');
+                assert.strictEqual((await reopened.readStorage(hashes[i])).toString('utf-8'),
+                    `value ${i}`);
+            }
+        },
+        'should not write the same value twice': async () => {
+            const storage = openStorage();
+            await writeValue(storage, 'duplicate');
+            await writeValue(storage, 'duplicate');
+
+            assert.strictEqual(await storage.countInStorage(), 1n);
+        },
+        'should truncate a torn record at the end of a segment': async () => {
+            const storage = openStorage();
+            const hash1 = await writeValue(storage, 'first value');
+            const hash2 = await writeValue(storage, 'second value');
+            await storage.closeStorage();
+
+            // simulate a crash part of the way through the second record.
+            const [file] = fs.readdirSync(context.directory);
+            const fullPath = path.join(context.directory, file);
+            const { size } = fs.statSync(fullPath);
+            fs.truncateSync(fullPath, size - 4);
+
+            const reopened = openStorage();
+            assert.strictEqual(await reopened.countInStorage(), 1n);
+            assert.ok(await reopened.readStorage(hash1));
+            assert.strictEqual(await reopened.readStorage(hash2), null);
+
+            // the storage should remain writable after recovery.
+            const hash3 = await writeValue(reopened, 'third value');
+            await reopened.closeStorage();
+            const recovered = openStorage();
+            assert.strictEqual(await recovered.countInStorage(), 2n);
+            assert.strictEqual((await recovered.readStorage(hash3)).toString('utf-8'),
+                'third value');
+        },
+        'should discard a corrupted record at the end of a segment': async () => {
+            const storage = openStorage();
+            await writeValue(storage, 'first value');
+            const hash2 = await writeValue(storage, 'second value');
+            await storage.closeStorage();
+
+            const [file] = fs.readdirSync(context.directory);
+            const fullPath = path.join(context.directory, file);
+            const data = fs.readFileSync(fullPath);
+            const last = Buffer.byteLength(data) - 1;
+            data[last] = (data[last] + 1) % 256;
+            fs.writeFileSync(fullPath, data);
+
+            const reopened = openStorage();
+            assert.strictEqual(await reopened.countInStorage(), 1n);
+            assert.strictEqual(await reopened.readStorage(hash2), null);
+        },
+        'should start a new segment once the segment size is reached': async () => {
+            const storage = openStorage({ segmentSize: 128 });
+            const hashes = [];
+            for (let i = 0; i < 10; i += 1) {
+                hashes.push(await writeValue(storage, `a slightly longer value ${i}`));
+            }
+            await storage.closeStorage();
+
+            assert.ok(fs.readdirSync(context.directory).length > 1,
+                'Expected multiple segment files.');
+            const reopened = openStorage({ segmentSize: 128 });
+            for (let i = 0; i < 10; i += 1) {
+                assert.ok(await reopened.readStorage(hashes[i]));
+            }
+        },
+        'should fail to open a file which is not a segment': async () => {
+            fs.writeFileSync(path.join(context.directory,
+                `00000000${constants.fileStorage.segmentExtension}`), 'not a segment file');
+            let isExecuted = false;
+            try {
+                openStorage();
+                isExecuted = true;
+            } catch (err) {
+                assert.ok(err instanceof SerializationError);
+                assert.strictEqual(err.layer, constants.layer.system);
+                assert.strictEqual(err.reason, SerializationError.reasons.invalidSegment);
+            }
+            assert.strictEqual(isExecuted, false, 'Expected an exception to be thrown.');
+        },
+        'should iterate through values in the order they were written': async () => {
+            let storage = openStorage();
+            for (let i = 0; i < 5; i += 1) {
+                await writeValue(storage, `value ${i}`);
+            }
+            await storage.closeStorage();
+            storage = openStorage();
+
+            const result = [];
+            for await (const value of storage.iterateStorage()) {
+                result.push(value.toString('utf-8'));
+                if (result.length === 3) {
+                    break;
+                }
+            }
+            assert.deepStrictEqual(result, ['value 0', 'value 1', 'value 2']);
+        },
+        'should iterate through storage which does not support iteration': async () => {
+            const { iterateStorage, ...storage } = openStorage();
+            const system = systemLayerFactory({ cache: noCache(), storage, time: timeMock() });
+            await writeValue(storage, 'value 0');
+            await writeValue(storage, 'value 1');
+
+            const result = [];
+            for await (const value of system.iterateStorage()) {
+                result.push(value.toString('utf-8'));
+            }
+            assert.strictEqual(typeof iterateStorage, 'function');
+            assert.deepStrictEqual(result, ['value 0', 'value 1']);
+        },
+        'should index next and child blocks across restarts': async () => {
+            const storage = openStorage();
+            const root = await writeValue(storage, 'root');
+            const next = generateHash(Buffer.from('next', 'utf-8'));
+            await storage.writeStorage(next, Buffer.from('next', 'utf-8'), { prev: root });
+            const child = generateHash(Buffer.from('child', 'utf-8'));
+            await storage.writeStorage(child, Buffer.from('child', 'utf-8'),
+                { prev: null, parent: root });
+            await storage.closeStorage();
+
+            const reopened = openStorage();
+            const nextIndex = await reopened.readIndex(constants.storageIndex.next, root);
+            const childIndex = await reopened.readIndex(constants.storageIndex.children, root);
+            assert.deepStrictEqual(nextIndex, [next]);
+            assert.deepStrictEqual(childIndex, [child]);
+            assert.deepStrictEqual(await reopened.readIndex(constants.storageIndex.next, next), []);
+        },
+        'should rebuild the index from segments of an earlier version': async () => {
+            const time = timeMock();
+            const cache = noCache();
+            const memoryStorage = inMemoryStorage();
+            const system = systemLayerFactory({ cache, storage: memoryStorage, time });
+            const blockchain = blockchainLayerFactory({ system, cache, time });
+            const blocktree = blocktreeLayerFactory({ blockchain, cache });
+            const data = Buffer.from("I'm a string!", 'utf-8');
+            const root = await blocktree.writeBlock({ prev: null, parent: null, data });
+            const next = await blocktree.writeBlock({ prev: root, parent: null, data });
+            const child = await blocktree.writeBlock({ prev: null, parent: root, data });
+
+            // write the blocks to a segment without the previous and parent blocks.
+            const records = await Promise.all([root, next, child].map(async (hash) => {
+                const value = await memoryStorage.readStorage(hash);
+                return Buffer.concat([fromInt32(Buffer.byteLength(value)), hash, value]);
+            }));
+            fs.writeFileSync(path.join(context.directory,
+                `00000000${constants.fileStorage.segmentExtension}`), Buffer.concat([
+                Buffer.from(constants.fileStorage.magic, 'utf-8'),
+                Buffer.from([constants.fileStorage.minVersion]),
+                ...records,
+            ]));
+
+            const storage = openStorage();
+            assert.deepStrictEqual(
+                await storage.readIndex(constants.storageIndex.next, root), [next],
+            );
+            assert.deepStrictEqual(
+                await storage.readIndex(constants.storageIndex.children, root), [child],
+            );
+            assert.deepStrictEqual(
+                await storage.readIndex(constants.storageIndex.next, next), [],
+            );
+
+            // new records should be written to a new segment.
+            const hash2 = await writeValue(storage, 'new value');
+            await storage.closeStorage();
+            assert.strictEqual(fs.readdirSync(context.directory).length, 2);
+            const reopened = openStorage();
+            assert.strictEqual((await reopened.readStorage(hash2)).toString('utf-8'),
+                'new value');
+            assert.deepStrictEqual(
+                await reopened.readIndex(constants.storageIndex.children, root), [child],
+            );
+        },
+        'should write a batch of values': async () => {
+            const storage = openStorage();
+            const existing = await writeValue(storage, 'existing');
+            const first = createEntry('first');
+            const second = createEntry('second', { prev: first.hash });
+            const result = await storage.writeStorageBatch([
+                first, second, createEntry('existing'), first,
+            ]);
+            await storage.closeStorage();
+
+            assert.strictEqual(result.length, 4);
+            assert.ok(!fs.existsSync(path.join(context.directory,
+                constants.fileStorage.journalFile)), 'Expected the journal to be removed.');
+            const reopened = openStorage();
+            const keys = await reopened.readKeys();
+            assert.deepStrictEqual(keys, [existing, first.hash, second.hash]);
+            assert.deepStrictEqual(await reopened.readIndex(constants.storageIndex.next,
+                first.hash), [second.hash]);
+        },
+        'should replay a complete journal on startup': async () => {
+            const storage = openStorage();
+            const existing = await writeValue(storage, 'existing');
+            await storage.closeStorage();
+            const first = createEntry('first');
+            const second = createEntry('second', { prev: first.hash });
+            const file = writeJournal([createEntry('existing'), first, second]);
+
+            const reopened = openStorage();
+            assert.ok(!fs.existsSync(file), 'Expected the journal to be removed.');
+            assert.deepStrictEqual(await reopened.readKeys(), [existing, first.hash, second.hash]);
+            assert.strictEqual((await reopened.readStorage(second.hash)).toString('utf-8'),
+                'second');
+            assert.deepStrictEqual(await reopened.readIndex(constants.storageIndex.next,
+                first.hash), [second.hash]);
+        },
+        'should discard an incomplete journal on startup': async () => {
+            const first = createEntry('first');
+            const file = writeJournal([first, createEntry('second')]);
+            fs.truncateSync(file, fs.statSync(file).size - 1);
+
+            const storage = openStorage();
+            assert.ok(!fs.existsSync(file), 'Expected the journal to be removed.');
+            assert.strictEqual(await storage.countInStorage(), 0n);
+            assert.strictEqual(await storage.readStorage(first.hash), null);
+        },
+        'should support a blockchain across restarts': async () => {
+            const time = timeMock();
+            const cache = noCache();
+            let storage = openStorage();
+            let system = systemLayerFactory({ cache, storage, time });
+            let blockchain = blockchainLayerFactory({ system, cache, time });
+            const data = Buffer.from("I'm a string!", 'utf-8');
+            let block = null;
+            for (let i = 0; i < 5; i += 1) {
+                block = await blockchain.writeBlock({ prev: block, data });
+            }
+            const root = await blockchain.getRootBlock(block);
+            await storage.closeStorage();
+
+            storage = openStorage();
+            system = systemLayerFactory({ cache, storage, time });
+            blockchain = blockchainLayerFactory({ system, cache, time });
+
+            assert.ok(Buffer.compare(await blockchain.getHeadBlock(root), block) === 0);
+            assert.strictEqual((await blockchain.validateBlockchain(block)).isValid, true);
+        },
+    };
+};
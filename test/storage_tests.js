@@ -0,0 +1,23 @@
+/* eslint-disable global-require */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadTests } = require('./test-helper');
+
+describe('Blocktree Layer 0 - Storage', () => {
+    describe('fileStorage', () => {
+        const context = {};
+
+        beforeEach(async () => {
+            context.directory = fs.mkdtempSync(path.join(os.tmpdir(), 'blocktree-'));
+            context.storages = [];
+        });
+
+        afterEach(async () => {
+            await Promise.all(context.storages.map((i) => i.closeStorage()));
+            fs.rmSync(context.directory, { recursive: true, force: true });
+        });
+
+        describe('persistence', loadTests(require('./storage/fileStorage'), context));
+    });
+});
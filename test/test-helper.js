@@ -1,3 +1,5 @@
+/* eslint-disable no-await-in-loop */
+const assert = require('assert');
 const crypto = require('crypto');
 const constants = require('../src/constants');
 const { generateKeyPair, sign } = require('../src/utils/crypto');
@@ -77,8 +79,8 @@ function signAs(secureBlocktree, key, altKey) {
     };
 }
 
-async function generateTestKey() {
-    const key = await generateKeyPair();
+async function generateTestKey(algorithm, options) {
+    const key = await generateKeyPair(algorithm, options);
 
     // FOR TESTING PURPOSES ONLY!!!!
     const { publicKey } = key;
@@ -115,6 +117,46 @@ async function initializeSecureRoot(secureBlocktree, rootKey, rootZoneKey) {
     return { rootBlock, rootZone };
 }
 
+async function assertThrows(fn, errorType, reason) {
+    let isExecuted = false;
+    try {
+        await fn();
+        isExecuted = true;
+    } catch (err) {
+        assert.ok(err instanceof errorType);
+        assert.strictEqual(err.name, errorType.name);
+        if (reason !== undefined) {
+            assert.strictEqual(err.reason, reason);
+        }
+    }
+    assert.strictEqual(isExecuted, false, 'Expected an exception to be thrown.');
+}
+
+// schedules the timestamps for the next blocks to be written, one second apart.
+function scheduleTimestamps(secureBlocktree, count) {
+    const { time } = secureBlocktree.mocks;
+    const start = time.generateTimestamp() + 1000n;
+    const result = [];
+    for (let i = 0; i < count; i += 1) {
+        const timestamp = start + BigInt(i) * 1000n;
+        time.setNextTimestamp(timestamp);
+        result.push(timestamp);
+    }
+    return result;
+}
+
+async function writeChain(blockchain, count) {
+    const blocks = [];
+    let block = null;
+    for (let i = 0; i < count; i += 1) {
+        block = await blockchain.writeBlock({
+            prev: block, data: Buffer.from(`block ${i}`, 'utf-8'),
+        });
+        blocks.push(block);
+    }
+    return blocks;
+}
+
 const loadTests = (fn, context) => () => {
     const tests = fn(context);
     Object.keys(tests).forEach((test) => it(test, tests[test]));
@@ -129,5 +171,8 @@ module.exports = {
     generateTestKey,
     getPrivateKey,
     signAs,
+    assertThrows,
+    scheduleTimestamps,
+    writeChain,
     loadTests,
 };